@@ -15,19 +15,129 @@ const emailConfig = {
     user: process.env.EMAIL_USER,
     pass: process.env.EMAIL_PASSWORD
   },
-  defaultFrom: process.env.EMAIL_FROM || 'notification-system@example.com'
+  defaultFrom: process.env.EMAIL_FROM || 'notification-system@example.com',
+  maxAttachmentSize: parseInt(process.env.EMAIL_MAX_ATTACHMENT_SIZE || '10485760', 10) // bytes, all attachments of one email
 };
 
 
 
 // SMS configuration
 const smsConfig = {
-  provider: process.env.SMS_PROVIDER || 'mock',
+  provider: process.env.SMS_PROVIDER || 'mock',              // 'twilio', 'http', 'file' or 'mock'
+  routes: parseJsonEnv('SMS_ROUTES', []),                    // [{ prefix: '+44', provider: 'http' }], longest prefix wins
   twilioAccountSid: process.env.TWILIO_ACCOUNT_SID,
   twilioAuthToken: process.env.TWILIO_AUTH_TOKEN,
-  defaultFrom: process.env.TWILIO_PHONE_NUMBER
+  defaultFrom: process.env.SMS_FROM || process.env.TWILIO_PHONE_NUMBER,
+  defaultCountry: (process.env.SMS_DEFAULT_COUNTRY || '').toUpperCase() || null,  // e.g. 'US', for numbers without a country code
+  http: {
+    url: process.env.SMS_HTTP_URL,                           // may contain {{to}}, {{from}} and {{message}}
+    method: process.env.SMS_HTTP_METHOD || 'POST',
+    headers: parseJsonEnv('SMS_HTTP_HEADERS', {}),
+    body: process.env.SMS_HTTP_BODY || '{"to":"{{to}}","from":"{{from}}","message":"{{message}}"}',
+    messageIdField: process.env.SMS_HTTP_MESSAGE_ID_FIELD || 'id',  // dot path into the JSON response
+    timeout: parseInt(process.env.SMS_HTTP_TIMEOUT || '5000', 10)
+  },
+  file: {
+    path: process.env.SMS_FILE_PATH || 'data/sms-outbox.jsonl'
+  },
+  maxSegments: parseInt(process.env.SMS_MAX_SEGMENTS || '10', 10),          // longest concatenated message
+  transliterate: process.env.SMS_TRANSLITERATE === 'true',                  // replace accents to stay in GSM-7
+  costPerSegment: parseFloat(process.env.SMS_COST_PER_SEGMENT || '0.0079'), // used for cost estimates
+  costCurrency: process.env.SMS_COST_CURRENCY || 'USD'
+};
+
+// Webhook configuration
+const webhookConfig = {
+  secret: process.env.WEBHOOK_SECRET,
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT || '5000', 10),
+  headers: parseJsonEnv('WEBHOOK_HEADERS', {}),
+  signatureHeader: process.env.WEBHOOK_SIGNATURE_HEADER || 'X-Notification-Signature'
+};
+
+// Push notification configuration
+const pushConfig = {
+  defaultProvider: process.env.PUSH_DEFAULT_PROVIDER || 'fcm',    // used when options.platform is unknown
+  timeout: parseInt(process.env.PUSH_TIMEOUT || '5000', 10),
+  defaultTtl: parseInt(process.env.PUSH_DEFAULT_TTL || '86400', 10), // seconds
+  fcm: {
+    endpoint: process.env.FCM_ENDPOINT || 'https://fcm.googleapis.com',
+    projectId: process.env.FCM_PROJECT_ID,
+    accessToken: process.env.FCM_ACCESS_TOKEN
+  },
+  apns: {
+    endpoint: process.env.APNS_ENDPOINT || 'https://api.push.apple.com',
+    topic: process.env.APNS_TOPIC,            // the app's bundle id
+    authToken: process.env.APNS_AUTH_TOKEN    // provider JWT
+  }
+};
+
+// Outbound queue configuration
+const queueConfig = {
+  store: process.env.QUEUE_STORE || 'file',                 // 'file' or 'memory'
+  filePath: process.env.QUEUE_FILE || 'data/notification-queue.json',
+  pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL || '1000', 10),
+  defaultConcurrency: parseInt(process.env.QUEUE_CONCURRENCY || '5', 10),
+  concurrency: parseJsonEnv('QUEUE_CHANNEL_CONCURRENCY', { sms: 2 }),  // per-channel overrides
+  retention: parseInt(process.env.QUEUE_RETENTION_MS || '86400000', 10), // keep finished jobs for 24h
+  autoStart: process.env.QUEUE_AUTO_START !== 'false'
+};
+
+// Scheduled notification configuration
+const schedulerConfig = {
+  store: process.env.SCHEDULER_STORE || 'file',            // 'file' or 'memory'
+  filePath: process.env.SCHEDULER_FILE || 'data/scheduled-notifications.json',
+  pollInterval: parseInt(process.env.SCHEDULER_POLL_INTERVAL || '1000', 10),
+  retention: parseInt(process.env.SCHEDULER_RETENTION_MS || '86400000', 10), // keep fired items for 24h
+  autoStart: process.env.SCHEDULER_AUTO_START !== 'false'
+};
+
+// Delivery tracking configuration
+const trackerConfig = {
+  store: process.env.TRACKER_STORE || 'file',              // 'file' (JSON lines) or 'memory'
+  filePath: process.env.NOTIFICATION_FILE || 'data/sent-notifications.jsonl',
+  legacyFilePath: process.env.LEGACY_NOTIFICATION_FILE || 'sent_notifications.json', // migrated on first load
+  retention: parseInt(process.env.TRACKER_RETENTION_MS || '2592000000', 10), // keep history for 30 days
+  maxMessageLength: parseInt(process.env.TRACKER_MAX_MESSAGE_LENGTH || '10000', 10)
 };
 
+// Idempotency configuration
+const idempotencyConfig = {
+  ttl: parseInt(process.env.IDEMPOTENCY_TTL_MS || '86400000', 10)  // remember keys for 24h
+};
+
+// Rate limiting configuration (see rateLimiter.js for the rule format)
+const rateLimitConfig = {
+  rules: parseJsonEnv('RATE_LIMITS', [
+    { channel: 'sms', limit: 10, interval: 1000 },                                          // provider throughput
+    { channel: 'sms', notificationType: 'otp', perRecipient: true, limit: 5, interval: 3600000 } // 5 OTPs per number per hour
+  ])
+};
+
+// Template configuration (see templateRegistry.js for the directory layout)
+const templatesConfig = {
+  dir: process.env.TEMPLATES_DIR || null   // extra templates loaded on startup
+};
+
+/**
+ * Parse a JSON-encoded environment variable
+ * 
+ * @param {string} name - Environment variable name
+ * @param {*} fallback - Value to use if the variable is missing or invalid
+ * @returns {*} - Parsed value or fallback
+ */
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) {
+    return fallback;
+  }
+  
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`⚠️ Ignoring invalid JSON in ${name}: ${error.message}`);
+    return fallback;
+  }
+}
+
 // Validate required configuration
 function validateConfig() {
   const missingVars = [];
@@ -63,6 +173,14 @@ const environment = {
 module.exports = {
   email: emailConfig,
   sms: smsConfig,
+  webhook: webhookConfig,
+  push: pushConfig,
+  queue: queueConfig,
+  scheduler: schedulerConfig,
+  tracker: trackerConfig,
+  idempotency: idempotencyConfig,
+  rateLimit: rateLimitConfig,
+  templates: templatesConfig,
   isDev: process.env.NODE_ENV !== 'production',
   validateConfig
 };
\ No newline at end of file
@@ -5,9 +5,11 @@
  */
 
 const userPreferences = require('../userPreferences');
-const { getTemplate } = require('../templateManager');
-const mockEmailService = require('../notifications/emails');
-const mockSmsService = require('../notifications/sms');
+const { getTemplate, resolveTemplate, renderContent } = require('../templateRegistry');
+const templateEngine = require('../utilities/templateEngine');
+const notificationScheduler = require('../notificationScheduler');
+const deviceRegistry = require('../deviceRegistry');
+const { dispatchNotification } = require('../dispatcher');
 
 /**
  * Default test data for template personalization
@@ -27,9 +29,59 @@ const DEFAULT_DATA = {
   referenceNumber: 'your reference number'
 };
 
+// Notification types that are always sent right away, even during quiet hours
+const CRITICAL_NOTIFICATION_TYPES = ['otp'];
+
+// Channels a fallback chain can contain
+const FALLBACK_CHANNELS = ['push', 'sms', 'email'];
+
+/**
+ * Work out whether a user notification should be held back, and until when
+ * 
+ * A future sendAt (or delayUntil) always wins. Otherwise the notification is
+ * deferred to the end of the user's quiet hours, unless it is critical
+ * (options.priority === 'critical' or a critical notification type such as OTP).
+ * 
+ * @param {string} email - The email address of the user
+ * @param {string} notificationType - The type of notification
+ * @param {Object} options - Delivery options
+ * @returns {Object|null} { sendAt, reason } to defer, { error } for an invalid sendAt, or null to send now
+ */
+function getDeferral(email, notificationType, options = {}) {
+  const now = new Date();
+  const sendAtValue = options.sendAt !== undefined ? options.sendAt : options.delayUntil;
+  
+  if (sendAtValue !== undefined) {
+    const sendAt = notificationScheduler.resolveSendAt(sendAtValue);
+    
+    if (!sendAt) {
+      return { error: `Invalid sendAt value: ${sendAtValue}` };
+    }
+    
+    if (sendAt > now) {
+      return { sendAt, reason: 'scheduled' };
+    }
+  }
+  
+  const isCritical = options.priority === 'critical' || CRITICAL_NOTIFICATION_TYPES.includes(notificationType);
+  
+  if (!isCritical) {
+    const quietHoursEnd = userPreferences.getQuietHoursEnd(email, now);
+    
+    if (quietHoursEnd) {
+      return { sendAt: quietHoursEnd, reason: 'quietHours' };
+    }
+  }
+  
+  return null;
+}
+
 /**
  * Renders a template by replacing placeholders with actual values
  * 
+ * Conditionals, loops, nested paths and filters are supported (see
+ * utilities/templateEngine.js); placeholders without a value are left as is.
+ * 
  * @param {string} template - The template string containing placeholders
  * @param {Object} data - The data object with values to inject
  * @returns {string} The rendered template with placeholders replaced with values
@@ -39,11 +91,92 @@ function renderTemplate(template, data) {
     return '';
   }
   
-  // Replace all {{variableName}} occurrences with their corresponding values
-  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-    // Use the value from data if it exists, otherwise return the placeholder
-    return data[key] !== undefined ? data[key] : match;
+  return templateEngine.render(template, data);
+}
+
+/**
+ * Build the data a user's templates are rendered with
+ * 
+ * @param {Object} userPrefs - The user's stored preferences
+ * @param {Object} data - Data passed by the caller (wins over the defaults)
+ * @returns {Object} Template data
+ */
+function buildTemplateData(userPrefs, data) {
+  return {
+    ...DEFAULT_DATA,
+    userName: userPrefs.name || data.name || DEFAULT_DATA.userName,
+    userEmail: userPrefs.email || data.email,
+    userPhone: userPrefs.phone || data.phone,
+    ...data
+  };
+}
+
+/**
+ * Check whether a user wants a notification type on a channel
+ * 
+ * Uses the user's setting for the type's category (e.g. otp -> security),
+ * falling back to the global channel toggle.
+ * 
+ * @param {string} email - The email address of the user
+ * @param {string} channel - Notification channel ('email', 'sms' or 'push')
+ * @param {string} notificationType - The type of notification
+ * @returns {boolean} Whether the channel is enabled for this notification type
+ */
+function isChannelEnabledForType(email, channel, notificationType) {
+  const category = userPreferences.getNotificationCategory(notificationType);
+  return userPreferences.hasUserOptedIn(email, channel, category || undefined);
+}
+
+/**
+ * Send rendered content to a user through one channel via the dispatcher
+ * 
+ * @param {string} channel - 'email', 'sms' or 'push'
+ * @param {string} recipient - Email address, phone number or push recipient
+ * @param {Object} content - Rendered content
+ * @param {string} content.message - Message body
+ * @param {string} [content.subject] - Email subject
+ * @param {string} [content.html] - Email HTML (sent with the message as its plain-text alternative)
+ * @param {Array<string|Object>} [content.attachments] - Email attachments and inline images
+ * @param {string} [content.title] - Push title
+ * @param {string} notificationType - The type of notification (used for rate limits)
+ * @param {string} userId - The user's id (their email address), recorded with the tracked notification
+ * @returns {Promise<Object>} Per-channel result reflecting what the channel returned (including errorId on failure)
+ */
+async function dispatchToChannel(channel, recipient, content, notificationType, userId) {
+  const options = {};
+  if (content.subject) options.subject = content.subject;
+  if (content.html) options.html = content.html;
+  if (content.attachments) options.attachments = content.attachments;
+  if (content.title) options.title = content.title;
+  
+  const result = await dispatchNotification({
+    type: channel,
+    recipient,
+    message: content.message,
+    options,
+    notificationType,
+    userId,
+    // Quiet hours are the controller's call (see getDeferral), so the dispatcher doesn't apply them again
+    ignoreQuietHours: true
   });
+  
+  const success = result.dispatched !== false && result.status !== 'failed';
+  
+  const channelResult = {
+    success,
+    status: result.status,
+    messageId: result.messageId || null,
+    sentTo: recipient,
+    timestamp: new Date().toISOString()
+  };
+  
+  if (!success) {
+    channelResult.error = result.error || 'Unknown error';
+    channelResult.errorCode = result.errorCode;
+    channelResult.errorId = result.errorId;
+  }
+  
+  return channelResult;
 }
 
 /**
@@ -91,13 +224,13 @@ function determineNotificationChannels(email, notificationType) {
 
     // console.log(`Determining notification channels for ${JSON.stringify(userPrefs)}`);
     
-    // Check email preferences
-    if (userPrefs.emailEnabled) {
+    // Check email preferences (for this notification type's category)
+    if (isChannelEnabledForType(email, 'email', notificationType)) {
       channels.push('email');
     }
 
-    // Check SMS preferences
-    if (userPrefs.smsEnabled) {
+    // Check SMS preferences (for this notification type's category)
+    if (isChannelEnabledForType(email, 'sms', notificationType)) {
       channels.push('sms');
     }
 
@@ -149,7 +282,7 @@ function determineNotificationChannels(email, notificationType) {
  * @param {boolean} [options.requireAllChannels=false] - If true, fails if any requested channel can't be sent (implies combinedOnly)
  * @returns {Promise<Object>} An object containing the results of notification attempts
  */
-function sendNotification(email, notificationType, data = {}) {
+async function sendNotification(email, notificationType, data = {}) {
   // First determine which channels we can use
   const channelInfo = determineNotificationChannels(email, notificationType);
   
@@ -175,59 +308,34 @@ function sendNotification(email, notificationType, data = {}) {
     results: {}
   };
   
-  // Send through available channels using mock services
+  const userData = {
+    email,
+    name: channelInfo.user.name,
+    phone: channelInfo.user.phone
+  };
+  const templates = prepareNotificationTemplates(notificationType, channelInfo.channels, userData, data);
+  
+  // Send through available channels
   if (channelInfo.canSendEmail) {
-    try {
-      const emailResult = mockEmailService.sendEmailMock({
-        to: email,
-        type: notificationType,
-        data: {
-          ...data,
-          userName: channelInfo.user.name || 'Valued Customer'
-        }
-      });
-      
-      results.results.email = {
-        success: !!emailResult.sent,
-        messageId: emailResult.messageId || null,
-        error: emailResult.error || null
-      };
-      
-      console.log(`Email ${notificationType} notification ${emailResult.sent ? 'sent' : 'failed'} to ${email}`);
-    } catch (error) {
-      results.results.email = {
-        success: false,
-        error: error.message || 'Failed to send email'
-      };
-      console.log(`Error sending ${notificationType} email to ${email}:`, error);
+    if (templates.email) {
+      results.results.email = await dispatchToChannel('email', email,
+        { subject: templates.email.subject, message: templates.email.body, html: templates.email.html }, notificationType, email);
+    } else {
+      results.results.email = { success: false, error: 'Template not found' };
     }
+    
+    console.log(`Email ${notificationType} notification ${results.results.email.success ? 'sent' : 'failed'} to ${email}`);
   }
   
   if (channelInfo.canSendSms && channelInfo.user.phone) {
-    try {
-      const smsResult = mockSmsService.sendSmsMock({
-        to: channelInfo.user.phone,
-        type: notificationType,
-        data: {
-          ...data,
-          userName: channelInfo.user.name || 'Valued Customer'
-        }
-      });
-      
-      results.results.sms = {
-        success: !!smsResult.sent,
-        messageId: smsResult.messageId || null,
-        error: smsResult.error || null
-      };
-      
-      console.log(`SMS ${notificationType} notification ${smsResult.sent ? 'sent' : 'failed'} to ${channelInfo.user.phone}`);
-    } catch (error) {
-      results.results.sms = {
-        success: false,
-        error: error.message || 'Failed to send SMS'
-      };
-      console.log(`Error sending ${notificationType} SMS to ${channelInfo.user.phone}:`, error);
+    if (templates.sms) {
+      results.results.sms = await dispatchToChannel('sms', channelInfo.user.phone,
+        { message: templates.sms.message }, notificationType, email);
+    } else {
+      results.results.sms = { success: false, error: 'Template not found' };
     }
+    
+    console.log(`SMS ${notificationType} notification ${results.results.sms.success ? 'sent' : 'failed'} to ${channelInfo.user.phone}`);
   }
   
   // Mark overall success if at least one channel succeeded
@@ -281,14 +389,14 @@ function getUserNotificationChannels(email, notificationType) {
     const channels = [];
     const preferences = { email: false, sms: false };
 
-    // Check email preferences
-    if (userPrefs.emailEnabled) {
+    // Check email preferences (for this notification type's category)
+    if (isChannelEnabledForType(email, 'email', notificationType)) {
       channels.push('email');
       preferences.email = true;
     }
 
-    // Check SMS preferences
-    if (userPrefs.smsEnabled) {
+    // Check SMS preferences (for this notification type's category)
+    if (isChannelEnabledForType(email, 'sms', notificationType)) {
       channels.push('sms');
       preferences.sms = true;
     }
@@ -298,7 +406,7 @@ function getUserNotificationChannels(email, notificationType) {
       success: true,
       userData: {
         email: userPrefs.email,
-        phone: userPrefs.smsEnabled ? userPrefs.phone : null,
+        phone: preferences.sms ? userPrefs.phone : null,
         name: userPrefs.name || 'Valued Customer',
         language: userPrefs.language || 'en'
       },
@@ -352,35 +460,22 @@ function prepareNotificationTemplates(notificationType, channels, userData, dyna
    * @returns {Object} Template and metadata about fallback
    */
   function getTemplateWithFallback(type, notifType, lang) {
-    // First try with preferred language
-    const template = getTemplate(type, notifType, lang);
+    // The registry falls back to the base language, then English, then any language
+    const resolved = resolveTemplate(type, notifType, lang, { fallbackLanguage: DEFAULT_FALLBACK_LANGUAGE });
     
-    if (template) {
+    if (resolved) {
+      if (resolved.fallbackUsed) {
+        console.log(`${type} template not found for ${notifType} in "${lang}" language. Falling back to ${resolved.language}`);
+      }
+      
       return {
-        template,
-        language: lang,
-        fallbackUsed: false
+        template: resolved.template,
+        language: resolved.language,
+        fallbackUsed: resolved.fallbackUsed
       };
     }
     
-    // If preferred language is not available and is not already English,
-    // try falling back to English
-    if (lang !== DEFAULT_FALLBACK_LANGUAGE) {
-      console.log(`${type} template not found for ${notifType} in "${lang}" language. Falling back to ${DEFAULT_FALLBACK_LANGUAGE}`);
-      
-      const fallbackTemplate = getTemplate(type, notifType, DEFAULT_FALLBACK_LANGUAGE);
-      
-      if (fallbackTemplate) {
-        return {
-          template: fallbackTemplate,
-          language: DEFAULT_FALLBACK_LANGUAGE,
-          fallbackUsed: true
-        };
-      }
-    }
-    
-    // If we reach here, no template was found in either language
-    console.log(`No ${type} template found for ${notifType} in either "${lang}" or fallback language "${DEFAULT_FALLBACK_LANGUAGE}"`);
+    console.log(`No ${type} template found for ${notifType}`);
     return {
       template: null,
       language: null,
@@ -396,13 +491,14 @@ function prepareNotificationTemplates(notificationType, channels, userData, dyna
     if (!emailTemplate) {
       templates.email = null;
     } else {
-      // Render the subject and body templates with the personalized data
-      const renderedSubject = renderTemplate(emailTemplate.subject, templateData);
-      const renderedBody = renderTemplate(emailTemplate.body, templateData);
+      // Render the subject and body (and the HTML version with its layout) with the personalized data
+      const rendered = renderContent(emailTemplate, templateData, { locale: usedLanguage });
+      const renderedSubject = rendered.subject;
       
       templates.email = {
         subject: renderedSubject,
-        body: renderedBody,
+        body: rendered.body,
+        html: rendered.html,
         originalTemplate: emailTemplate,
         language: usedLanguage,
         fallbackUsed,
@@ -511,16 +607,200 @@ async function processUserNotification(email, notificationType, dynamicData = {}
   };
 }
 
+/**
+ * Build the notification for one step of a fallback chain
+ * 
+ * Push reuses the short SMS text as its body and the email subject as its title.
+ * 
+ * @param {string} channel - 'push', 'sms' or 'email'
+ * @param {string} email - The email address of the user
+ * @param {Object} userPrefs - The user's stored preferences
+ * @param {Object} templates - Rendered templates from prepareNotificationTemplates
+ * @returns {Object} { notification: { recipient, content } } to send, or { skipped } with the reason the step can't run
+ */
+function buildFallbackNotification(channel, email, userPrefs, templates) {
+  if (channel === 'email') {
+    if (!templates.email) {
+      return { skipped: 'No email template' };
+    }
+    
+    return {
+      notification: {
+        recipient: email,
+        content: { subject: templates.email.subject, message: templates.email.body, html: templates.email.html }
+      }
+    };
+  }
+  
+  if (channel === 'sms') {
+    if (!userPrefs.phone) {
+      return { skipped: 'No phone number on file' };
+    }
+    
+    if (!templates.sms) {
+      return { skipped: 'No SMS template' };
+    }
+    
+    return {
+      notification: { recipient: userPrefs.phone, content: { message: templates.sms.message } }
+    };
+  }
+  
+  // Push goes to every device registered to the user
+  if (!deviceRegistry.hasDevices(email)) {
+    return { skipped: 'No registered push devices' };
+  }
+  
+  const body = templates.sms ? templates.sms.message : templates.email && templates.email.body;
+  
+  if (!body) {
+    return { skipped: 'No template for a push message' };
+  }
+  
+  return {
+    notification: {
+      recipient: email,
+      content: { message: body, title: templates.email ? templates.email.subject : undefined }
+    }
+  };
+}
+
+/**
+ * Sends a notification through the first channel in a fallback chain that delivers it
+ * 
+ * Each channel is tried only when the previous one failed, was not opted in,
+ * or couldn't be used (no phone number, no devices, no template).
+ * 
+ * @param {string} email - The email address of the user
+ * @param {string} notificationType - The type of notification (e.g., 'otp', 'passwordReset')
+ * @param {Object} dynamicData - Dynamic data to populate the notification templates
+ * @param {string[]} fallbackChain - Channels in the order to try them, e.g. ['push', 'sms', 'email']
+ * @param {Array<string|Object>} [attachments] - Attachments for the email step
+ * @returns {Promise<Object>} Result with deliveredVia (or null), per-step outcomes and per-channel results
+ */
+async function sendWithFallback(email, notificationType, dynamicData, fallbackChain, attachments) {
+  const chain = fallbackChain.map(channel => String(channel).toLowerCase());
+  const unknownChannels = chain.filter(channel => !FALLBACK_CHANNELS.includes(channel));
+  
+  if (chain.length === 0 || unknownChannels.length > 0) {
+    return {
+      success: false,
+      error: `Invalid fallback chain: ${fallbackChain.join(', ') || '(empty)'}. Supported channels are: ${FALLBACK_CHANNELS.join(', ')}`
+    };
+  }
+  
+  const userPrefs = userPreferences.getUserPreferences(email);
+  
+  if (!userPrefs) {
+    return { success: false, error: 'User preferences not found' };
+  }
+  
+  const userData = {
+    email,
+    phone: userPrefs.phone,
+    name: userPrefs.name || 'Valued Customer',
+    language: userPrefs.language || 'en'
+  };
+  
+  // Render both templates up front; push borrows from them
+  const templates = prepareNotificationTemplates(notificationType, ['email', 'sms'], userData, dynamicData);
+  
+  const results = {
+    success: false,
+    fallbackChain: chain,
+    deliveredVia: null,
+    steps: [],
+    results: {}
+  };
+  
+  for (const channel of chain) {
+    if (!isChannelEnabledForType(email, channel, notificationType)) {
+      console.log(`Skipping ${channel} for ${notificationType}: ${email} has not opted in`);
+      results.steps.push({ channel, status: 'skipped', reason: 'Not opted in' });
+      continue;
+    }
+    
+    const { notification, skipped } = buildFallbackNotification(channel, email, userPrefs, templates);
+    
+    if (skipped) {
+      console.log(`Skipping ${channel} for ${notificationType}: ${skipped}`);
+      results.steps.push({ channel, status: 'skipped', reason: skipped });
+      continue;
+    }
+    
+    const content = channel === 'email' && attachments
+      ? { ...notification.content, attachments }
+      : notification.content;
+    
+    console.log(`Trying ${channel} for ${notificationType} notification to ${email}`);
+    const result = await dispatchToChannel(channel, notification.recipient, content, notificationType, email);
+    
+    results.results[channel] = result;
+    
+    if (result.success) {
+      results.steps.push({ channel, status: 'sent' });
+      results.success = true;
+      results.deliveredVia = channel;
+      break;
+    }
+    
+    console.log(`${channel} failed for ${notificationType} notification to ${email}: ${result.error}`);
+    results.steps.push({ channel, status: 'failed', reason: result.error, errorId: result.errorId });
+  }
+  
+  if (!results.success) {
+    results.error = 'No channel in the fallback chain delivered the notification';
+  }
+  
+  console.log(`Fallback chain ${chain.join(' -> ')} for ${email}, type: ${notificationType}, ` +
+    `delivered via: ${results.deliveredVia || 'none'}`);
+  
+  return results;
+}
+
 /**
  * Sends personalized notifications to a user through their preferred channels
- * using mock services for demonstration purposes
  * 
  * @param {string} email - The email address of the user
  * @param {string} notificationType - The type of notification (e.g., 'welcome', 'otp')
  * @param {Object} [dynamicData={}] - Dynamic data to populate the notification templates
+ * @param {Object} [options={}] - Delivery options
+ * @param {Date|string|number} [options.sendAt] - Send at this future time instead of now (alias: delayUntil)
+ * @param {string} [options.priority] - 'critical' sends even during the user's quiet hours
+ * @param {string[]} [options.fallbackChain] - Send through the first of these channels that delivers
+ *   (e.g. ['push', 'sms', 'email']) instead of every opted-in channel
+ * @param {Array<string|Object>} [options.attachments] - Email attachments and inline images (see
+ *   notifications/emails.js); use file paths for scheduled notifications, since those are stored as JSON
  * @returns {Promise<Object>} A result object with details about the notification attempts
  */
-async function sendUserNotification(email, notificationType, dynamicData = {}) {
+async function sendUserNotification(email, notificationType, dynamicData = {}, options = {}) {
+  // Future send times and quiet hours are handed to the scheduler; templates are rendered when it fires
+  const deferral = getDeferral(email, notificationType, options);
+  
+  if (deferral && deferral.error) {
+    return { success: false, error: deferral.error };
+  }
+  
+  if (deferral) {
+    const item = await notificationScheduler.scheduleUserNotification(
+      email, notificationType, dynamicData, deferral.sendAt, options);
+    
+    console.log(`Scheduled ${notificationType} notification for ${email} at ${item.sendAt}` +
+      (deferral.reason === 'quietHours' ? ' (quiet hours)' : ''));
+    
+    return {
+      success: true,
+      scheduled: true,
+      scheduleId: item.id,
+      sendAt: item.sendAt,
+      deferredForQuietHours: deferral.reason === 'quietHours'
+    };
+  }
+  
+  if (options.fallbackChain) {
+    return sendWithFallback(email, notificationType, dynamicData, [].concat(options.fallbackChain), options.attachments);
+  }
+  
   // Process and create personalized notification templates based on user preferences
   const processResult = await processUserNotification(email, notificationType, dynamicData);
   
@@ -536,37 +816,30 @@ async function sendUserNotification(email, notificationType, dynamicData = {}) {
     sentContent: {} // Store snippets of the actual content sent
   };
   
-  // Use mock services to send through enabled channels
+  // Send the rendered templates through each enabled channel
   
   if (channels.includes('email') && templates.email) {
-    try {
-      const fallbackInfo = templates.email.fallbackUsed 
-        ? ` using fallback language (${templates.email.language})` 
-        : '';
-        
-      console.log(`Sending personalized ${notificationType} email to: ${email}${fallbackInfo}`);
-      
-      // In a real implementation, we would call an actual email service here
-      // For mock purposes, we'll log and simulate a successful send
-      
-      // This is where the actual email service would be called with the rendered templates
-      // emailService.send({
-      //   to: email,
-      //   subject: templates.email.subject,
-      //   body: templates.email.body,
-      //   isHtml: false
-      // });
-      
-      results.results.email = {
-        success: true,
-        messageId: `mock-email-${Date.now()}`,
-        sentTo: email,
-        subject: templates.email.subject,
-        language: templates.email.language,
-        fallbackUsed: templates.email.fallbackUsed,
-        timestamp: new Date().toISOString()
-      };
+    const fallbackInfo = templates.email.fallbackUsed 
+      ? ` using fallback language (${templates.email.language})` 
+      : '';
       
+    console.log(`Sending personalized ${notificationType} email to: ${email}${fallbackInfo}`);
+    
+    const emailResult = await dispatchToChannel('email', email, {
+      subject: templates.email.subject,
+      message: templates.email.body,
+      html: templates.email.html,
+      attachments: options.attachments
+    }, notificationType, email);
+    
+    results.results.email = {
+      ...emailResult,
+      subject: templates.email.subject,
+      language: templates.email.language,
+      fallbackUsed: templates.email.fallbackUsed
+    };
+    
+    if (emailResult.success) {
       // Store a preview of the rendered content
       results.sentContent.email = {
         subject: templates.email.subject,
@@ -576,43 +849,30 @@ async function sendUserNotification(email, notificationType, dynamicData = {}) {
       };
       
       console.log(`Successfully sent personalized ${notificationType} email to ${email}${fallbackInfo}`);
-    } catch (error) {
-      console.log(`Failed to send email to ${email}:`, error);
-      results.results.email = {
-        success: false,
-        error: error.message || 'Unknown error',
-        timestamp: new Date().toISOString()
-      };
+    } else {
+      console.log(`Failed to send email to ${email}: ${emailResult.error} (${emailResult.errorId})`);
     }
   }
   
   // Send SMS if enabled
   if (channels.includes('sms') && templates.sms) {
-    try {
-      const fallbackInfo = templates.sms.fallbackUsed 
-        ? ` using fallback language (${templates.sms.language})` 
-        : '';
-        
-      console.log(`Sending personalized ${notificationType} SMS to: ${userData.phone}${fallbackInfo}`);
-      
-      // In a real implementation, we would call an actual SMS service here
-      // For mock purposes, we'll log and simulate a successful send
-      
-      // This is where the actual SMS service would be called with the rendered message
-      // smsService.send({
-      //   to: userData.phone,
-      //   message: templates.sms.message
-      // });
-      
-      results.results.sms = {
-        success: true,
-        messageId: `mock-sms-${Date.now()}`,
-        sentTo: userData.phone,
-        language: templates.sms.language,
-        fallbackUsed: templates.sms.fallbackUsed,
-        timestamp: new Date().toISOString()
-      };
+    const fallbackInfo = templates.sms.fallbackUsed 
+      ? ` using fallback language (${templates.sms.language})` 
+      : '';
       
+    console.log(`Sending personalized ${notificationType} SMS to: ${userData.phone}${fallbackInfo}`);
+    
+    const smsResult = await dispatchToChannel('sms', userData.phone, {
+      message: templates.sms.message
+    }, notificationType, email);
+    
+    results.results.sms = {
+      ...smsResult,
+      language: templates.sms.language,
+      fallbackUsed: templates.sms.fallbackUsed
+    };
+    
+    if (smsResult.success) {
       // Store a preview of the rendered content
       results.sentContent.sms = {
         message: templates.sms.message.substring(0, 100) + (templates.sms.message.length > 100 ? '...' : ''),
@@ -621,13 +881,8 @@ async function sendUserNotification(email, notificationType, dynamicData = {}) {
       };
       
       console.log(`Successfully sent personalized ${notificationType} SMS to ${userData.phone}${fallbackInfo}`);
-    } catch (error) {
-      console.log(`Failed to send SMS to ${userData.phone}:`, error);
-      results.results.sms = {
-        success: false,
-        error: error.message || 'Unknown error',
-        timestamp: new Date().toISOString()
-      };
+    } else {
+      console.log(`Failed to send SMS to ${userData.phone}: ${smsResult.error} (${smsResult.errorId})`);
     }
   }
   
@@ -641,7 +896,8 @@ async function sendUserNotification(email, notificationType, dynamicData = {}) {
     .map(([channel, result]) => ({
       channel,
       error: result.error,
-      errorType: result.errorType || 'unknown'
+      errorType: result.errorCode || 'unknown',
+      errorId: result.errorId
     }));
     
   if (failedChannels.length > 0) {
@@ -670,6 +926,8 @@ async function sendUserNotification(email, notificationType, dynamicData = {}) {
  * @param {string} notificationType - The type of notification (e.g., 'welcome', 'otp')
  * @param {Object} [data={}] - Data to populate the notification templates
  * @param {Object} [options={}] - Additional options for notification delivery
+ * @param {Date|string|number} [options.sendAt] - Send at this future time instead of now (alias: delayUntil)
+ * @param {string} [options.priority] - 'critical' sends even during the user's quiet hours
  * @returns {Promise<Object>} An object containing the results of notification attempts
  */
 const sendNotificationByPreference = async (email, notificationType, data = {}, options = {}) => {
@@ -703,6 +961,30 @@ const sendNotificationByPreference = async (email, notificationType, data = {},
     };
   }
 
+  // Hold back future-dated and quiet-hours notifications until they are due
+  const deferral = getDeferral(email, notificationType, options);
+  
+  if (deferral && deferral.error) {
+    return { success: false, error: deferral.error, channels: [] };
+  }
+  
+  if (deferral) {
+    const item = await notificationScheduler.schedulePreferenceNotification(
+      email, notificationType, data, deferral.sendAt, options);
+    
+    console.log(`Scheduled ${notificationType} notification for ${email} at ${item.sendAt}` +
+      (deferral.reason === 'quietHours' ? ' (quiet hours)' : ''));
+    
+    return {
+      success: true,
+      scheduled: true,
+      scheduleId: item.id,
+      sendAt: item.sendAt,
+      deferredForQuietHours: deferral.reason === 'quietHours',
+      channels: []
+    };
+  }
+
   // Determine which channels the user has opted in to
   const channels = [];
   const results = {
@@ -711,13 +993,13 @@ const sendNotificationByPreference = async (email, notificationType, data = {},
     results: {}
   };
 
-  // Check email preferences
-  if (userPrefs.emailEnabled) {
+  // Check email preferences (for this notification type's category)
+  if (isChannelEnabledForType(email, 'email', notificationType)) {
     channels.push('email');
   }
 
-  // Check SMS preferences
-  if (userPrefs.smsEnabled) {
+  // Check SMS preferences (for this notification type's category)
+  if (isChannelEnabledForType(email, 'sms', notificationType)) {
     channels.push('sms');
   }
 
@@ -898,35 +1180,24 @@ const sendNotificationByPreference = async (email, notificationType, data = {},
             console.log(`Using English fallback for ${notificationType} email template (user preferred: ${preferredLanguage})`);
           }
           
-          // Send email using mock service
-          const emailResult = mockEmailService.sendEmailMock({
-            type: 'email',
-            recipient: email,
-            subject: template.subject,
-            message: template.body,
-            data: {
-              ...data,
-              userName: userPrefs.name || 'Valued Customer'
-            },
-            options: {
-              ...options,
-              mockMode: true, // Using mock mode as requested
-              languageUsed: usedFallbackLanguage ? 'en' : preferredLanguage
-            }
-          });
+          // Render the template and send it through the email channel
+          const rendered = renderContent(template, buildTemplateData(userPrefs, data));
+          const emailResult = await dispatchToChannel('email', email, {
+            subject: rendered.subject,
+            message: rendered.body,
+            html: rendered.html
+          }, notificationType, email);
           
           // Prepare detailed result
           results.results.email = {
-            success: !!emailResult.dispatched,
-            messageId: emailResult.messageId || null,
-            error: emailResult.error || null,
+            ...emailResult,
             languageFallbackUsed: usedFallbackLanguage,
             requestedLanguage: preferredLanguage,
             actualLanguage: usedFallbackLanguage ? 'en' : preferredLanguage
           };
           
           // Log success or failure
-          if (emailResult.dispatched) {
+          if (emailResult.success) {
             console.log(
               `Email ${notificationType} notification sent to ${email}` + 
               (usedFallbackLanguage ? ` (using English fallback)` : '')
@@ -990,34 +1261,22 @@ const sendNotificationByPreference = async (email, notificationType, data = {},
             console.log(`Using English fallback for ${notificationType} SMS template (user preferred: ${preferredLanguage})`);
           }
           
-          // Send SMS using mock service
-          const smsResult = mockSmsService.sendSmsMock({
-            type: 'sms',
-            recipient: phone,
-            message: template,
-            data: {
-              ...data,
-              userName: userPrefs.name || 'Valued Customer'
-            },
-            options: {
-              ...options,
-              mockMode: true, // Using mock mode as requested
-              languageUsed: usedFallbackLanguage ? 'en' : preferredLanguage
-            }
-          });
+          // Render the template and send it through the SMS channel
+          const templateData = buildTemplateData(userPrefs, data);
+          const smsResult = await dispatchToChannel('sms', phone, {
+            message: renderTemplate(template, templateData)
+          }, notificationType, email);
           
           // Prepare detailed result
           results.results.sms = {
-            success: !!smsResult.dispatched,
-            messageId: smsResult.messageId || null,
-            error: smsResult.error || null,
+            ...smsResult,
             languageFallbackUsed: usedFallbackLanguage,
             requestedLanguage: preferredLanguage,
             actualLanguage: usedFallbackLanguage ? 'en' : preferredLanguage
           };
           
           // Log success or failure
-          if (smsResult.dispatched) {
+          if (smsResult.success) {
             console.log(
               `SMS ${notificationType} notification sent to ${phone}` + 
               (usedFallbackLanguage ? ` (using English fallback)` : '')
@@ -0,0 +1,187 @@
+/**
+ * Device Registry
+ *
+ * Keeps track of the push devices registered to each user. Devices are stored
+ * in the user's preferences (the `devices` array), so they persist with the
+ * rest of the user's settings. A user can have several devices; a device token
+ * belongs to at most one user.
+ */
+
+const userPreferences = require('./userPreferences');
+
+// Platforms a device can be registered for
+const SUPPORTED_PLATFORMS = ['ios', 'android', 'web'];
+
+/**
+ * Get a user's stored preferences without creating the user
+ *
+ * @param {string} userId - User ID or email
+ * @returns {Object|null} The user's preferences, or null if unknown or deleted
+ */
+function findUser(userId) {
+  const preferences = userPreferences.getAllPreferences()[userId];
+
+  if (!preferences || preferences.isDeleted === true) {
+    return null;
+  }
+
+  return preferences;
+}
+
+/**
+ * Find the user a device token is registered to
+ *
+ * @param {string} token - Device token
+ * @returns {string|null} The user ID, or null if the token is not registered
+ */
+function findDeviceOwner(token) {
+  const allPreferences = userPreferences.getAllPreferences();
+
+  const owner = Object.keys(allPreferences).find(userId =>
+    (allPreferences[userId].devices || []).some(device => device.token === token)
+  );
+
+  return owner || null;
+}
+
+/**
+ * Register a push device for a user (or refresh an existing registration)
+ *
+ * If the token is registered to another user it is moved, since a device
+ * token identifies a single app install.
+ *
+ * @param {string} userId - User ID or email
+ * @param {Object} device - Device details
+ * @param {string} device.token - Device token from FCM/APNs
+ * @param {string} device.platform - 'ios', 'android' or 'web'
+ * @param {string} [device.appVersion] - App version running on the device
+ * @returns {Object|null} The registered device, or null if the input is invalid
+ */
+function registerDevice(userId, device = {}) {
+  const { token, platform, appVersion } = device;
+
+  if (!token || typeof token !== 'string') {
+    console.error('Device token is required');
+    return null;
+  }
+
+  const normalizedPlatform = typeof platform === 'string' ? platform.toLowerCase() : platform;
+
+  if (!SUPPORTED_PLATFORMS.includes(normalizedPlatform)) {
+    console.error(`Unsupported device platform: ${platform}. Expected one of: ${SUPPORTED_PLATFORMS.join(', ')}`);
+    return null;
+  }
+
+  // Move the token away from a previous owner
+  const previousOwner = findDeviceOwner(token);
+  if (previousOwner && previousOwner !== userId) {
+    console.log(`Device token moved from ${previousOwner} to ${userId}`);
+    unregisterDevice(previousOwner, token);
+  }
+
+  // Creates the user with default preferences if needed
+  const preferences = userPreferences.getUserPreferences(userId);
+  if (!preferences) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const devices = [...(preferences.devices || [])];
+  const existingIndex = devices.findIndex(existing => existing.token === token);
+
+  const registered = {
+    token,
+    platform: normalizedPlatform,
+    appVersion: appVersion || null,
+    registeredAt: existingIndex >= 0 ? devices[existingIndex].registeredAt : now,
+    lastSeenAt: now
+  };
+
+  if (existingIndex >= 0) {
+    devices[existingIndex] = registered;
+  } else {
+    devices.push(registered);
+  }
+
+  userPreferences.updateUserPreferences(userId, { devices });
+
+  return registered;
+}
+
+/**
+ * Remove a push device from a user
+ *
+ * @param {string} userId - User ID or email
+ * @param {string} token - Device token
+ * @returns {boolean} Whether a device was removed
+ */
+function unregisterDevice(userId, token) {
+  const preferences = findUser(userId);
+
+  if (!preferences || !Array.isArray(preferences.devices)) {
+    return false;
+  }
+
+  const devices = preferences.devices.filter(device => device.token !== token);
+
+  if (devices.length === preferences.devices.length) {
+    return false;
+  }
+
+  userPreferences.updateUserPreferences(userId, { devices });
+
+  return true;
+}
+
+/**
+ * Get the push devices registered to a user
+ *
+ * @param {string} userId - User ID or email
+ * @returns {Object[]} The user's devices (empty if the user is unknown)
+ */
+function getUserDevices(userId) {
+  const preferences = findUser(userId);
+
+  return preferences && Array.isArray(preferences.devices)
+    ? preferences.devices.map(device => ({ ...device }))
+    : [];
+}
+
+/**
+ * Check whether a user has any registered push devices
+ *
+ * @param {string} userId - User ID or email
+ * @returns {boolean} True if the user has at least one device
+ */
+function hasDevices(userId) {
+  return getUserDevices(userId).length > 0;
+}
+
+/**
+ * Remove a token the push provider reported as invalid or unregistered
+ *
+ * @param {string} token - Device token
+ * @returns {string|null} The user the token was removed from, or null if it was not registered
+ */
+function pruneDeviceToken(token) {
+  const owner = findDeviceOwner(token);
+
+  if (!owner) {
+    return null;
+  }
+
+  unregisterDevice(owner, token);
+  console.log(`Pruned invalid device token for ${owner}`);
+
+  return owner;
+}
+
+module.exports = {
+  SUPPORTED_PLATFORMS,
+  registerDevice,
+  unregisterDevice,
+  getUserDevices,
+  hasDevices,
+  findDeviceOwner,
+  pruneDeviceToken
+};
@@ -9,47 +9,102 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
-// Import notification channels
+// Import notification channels (registers the built-in channels)
 const notifications = require('./notifications');
+const registry = require('./notifications/registry');
 const errorHandler = require('./error-handler');
+const config = require('./config');
+const notificationQueue = require('./notificationQueue');
+const notificationScheduler = require('./notificationScheduler');
+const notificationTracker = require('./notificationTracker');
+const userPreferences = require('./userPreferences');
+const idempotency = require('./idempotency');
+const rateLimiter = require('./rateLimiter');
+const { isValidEmail } = require('./utilities/validators');
+const { isValidPhoneNumber, formatPhoneNumber } = require('./utilities/phone');
 
-
+/**
+ * Get the requested send time of a notification (sendAt, or its alias delayUntil)
+ * 
+ * @param {Object} notification - The notification object
+ * @returns {Date|string|number|undefined} - The requested send time, if any
+ */
+function getSendAt(notification) {
+  return notification.sendAt !== undefined ? notification.sendAt : notification.delayUntil;
+}
 
 /**
- * Validates an email address format
+ * Work out whether a notification should be held back, and until when
  * 
- * @param {string} email - The email address to validate
- * @returns {boolean} - True if the email format is valid, false otherwise
+ * A future sendAt always wins. Otherwise, notifications for a user (userId) are
+ * deferred to the end of that user's quiet hours unless their priority is 'critical'
+ * or the caller has already applied quiet hours (ignoreQuietHours).
+ * 
+ * @param {Object} notification - The notification object
+ * @returns {Object|null} - { sendAt: Date, reason: 'scheduled' | 'quietHours' }, or null to send now
  */
-function isValidEmail(email) {
-  if (!email) return false;
+function getDeferral(notification) {
+  const now = new Date();
+  const sendAt = notificationScheduler.resolveSendAt(getSendAt(notification));
+  
+  if (sendAt && sendAt > now) {
+    return { sendAt, reason: 'scheduled' };
+  }
   
-  // Basic email validation using regex
-  // This checks for a pattern like name@domain.tld
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
+  if (notification.userId && notification.priority !== 'critical' && !notification.ignoreQuietHours) {
+    const quietHoursEnd = userPreferences.getQuietHoursEnd(notification.userId, now);
+    
+    if (quietHoursEnd) {
+      return { sendAt: quietHoursEnd, reason: 'quietHours' };
+    }
+  }
+  
+  return null;
 }
 
 /**
- * Validates a phone number format
+ * Normalize a recipient so every way of writing it shares one rate limit
+ * 
+ * Phone numbers become E.164 and email addresses lowercase; other recipients are used as given.
  * 
- * @param {string} phoneNumber - The phone number to validate
- * @returns {boolean} - True if the phone number format is valid, false otherwise
+ * @param {string} channel - Normalized channel name
+ * @param {string} recipient - The recipient as given
+ * @returns {string} - The recipient to key rate limits on
  */
-function isValidPhoneNumber(phoneNumber) {
-  if (!phoneNumber) return false;
+function getRateLimitRecipient(channel, recipient) {
+  if (channel === 'sms') {
+    return formatPhoneNumber(recipient) || recipient;
+  }
   
-  // Remove spaces, dashes, parentheses for validation
-  const cleaned = phoneNumber.replace(/\s+|-|\(|\)/g, '');
+  if (channel === 'email' && typeof recipient === 'string') {
+    return recipient.trim().toLowerCase();
+  }
   
-  // Basic phone validation - checks for a reasonable length and optional + prefix
-  // This allows formats like: +1234567890, 1234567890, etc.
-  const phoneRegex = /^\+?[0-9]{10,15}$/;
-  return phoneRegex.test(cleaned);
+  return recipient;
 }
 
 /**
- * Validates a notification based on its type
+ * Start following a notification in the delivery tracker
+ * 
+ * @param {Object} notification - The notification object
+ * @param {string} channel - Normalized channel name
+ * @returns {string|null} - The tracker's notificationId
+ */
+function trackQueued(notification, channel) {
+  const tracked = notificationTracker.trackNotification({
+    userId: notification.userId || null,
+    channel,
+    message: notification.message,
+    recipient: notification.recipient,
+    status: notificationTracker.NOTIFICATION_STATUS.QUEUED,
+    metadata: notification.notificationType ? { notificationType: notification.notificationType } : undefined
+  });
+  
+  return tracked ? tracked.notificationId : null;
+}
+
+/**
+ * Validates a notification against the registered channel for its type
  * 
  * @param {Object} notification - The notification object to validate
  * @returns {Object} - Validation result { isValid: boolean, error: string or null }
@@ -70,73 +125,95 @@ function validateNotification(notification) {
     return { isValid: false, error: 'Notification message is required' };
   }
   
-  if (message.length > 10000) {
-    return { isValid: false, error: 'Message is too long (max 10,000 characters)' };
+  // Channel-specific validations come from the registry
+  const channel = registry.getChannel(type);
+  
+  if (!channel) {
+    return { 
+      isValid: false, 
+      error: `Notification type '${type}' is not supported. Supported types are: ${getSupportedTypes().join(', ')}`
+    };
   }
   
-  // Type-specific validations
-  const normalizedType = type.toLowerCase();
+  if (message.length > channel.maxMessageLength) {
+    return { 
+      isValid: false, 
+      error: `${channel.name.toUpperCase()} message exceeds maximum length of ${channel.maxMessageLength} characters (${message.length})`
+    };
+  }
   
-  switch (normalizedType) {
-    case 'email':
-      if (!isValidEmail(recipient)) {
-        return { 
-          isValid: false, 
-          error: `Invalid email address: ${recipient}`
-        };
-      }
-      break;
-    
-    case 'sms':
-      if (!isValidPhoneNumber(recipient)) {
-        return { 
-          isValid: false, 
-          error: `Invalid phone number: ${recipient}. Expected format: +1234567890 or 1234567890`
-        };
-      }
-      
-      // Check SMS message length
-      if (message.length > 160) {
-        return { 
-          isValid: false, 
-          error: `SMS message exceeds maximum length of 160 characters (${message.length})`
-        };
-      }
-      break;
-    
-    case 'push':
-      // Validate push notification token/ID if needed
-      if (typeof recipient !== 'string' || recipient.length < 5) {
-        return { 
-          isValid: false, 
-          error: `Invalid device token/ID: ${recipient}`
-        };
-      }
-      break;
-    
-    default:
-      return { 
-        isValid: false, 
-        error: `Notification type '${type}' is not supported. Supported types are: ${Object.keys(notifications).join(', ')}`
-      };
+  const messageCheck = channel.validateMessage(message, notification.options || {});
+  if (!messageCheck.isValid) {
+    return { isValid: false, error: messageCheck.error };
+  }
+  
+  const recipientCheck = channel.validateRecipient(recipient);
+  if (!recipientCheck.isValid) {
+    return { isValid: false, error: recipientCheck.error };
+  }
+  
+  const sendAt = getSendAt(notification);
+  if (sendAt !== undefined && !notificationScheduler.resolveSendAt(sendAt)) {
+    return { isValid: false, error: `Invalid sendAt value: ${sendAt}` };
+  }
+  
+  const { idempotencyKey } = notification;
+  if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || !idempotencyKey.trim() || idempotencyKey.length > 255)) {
+    return { isValid: false, error: 'Idempotency key must be a non-empty string of at most 255 characters' };
   }
   
   // All validations passed
   return { isValid: true, error: null };
 }
 
+/**
+ * Run a dispatch once per idempotency key (or every time if the notification has none)
+ * 
+ * @param {Object} notification - The notification object
+ * @param {Function} dispatch - async (notification) => result
+ * @returns {Promise<Object>} - The dispatch result
+ */
+function runIdempotent(notification, dispatch) {
+  // Malformed keys fall through so validation reports them
+  if (!notification || typeof notification.idempotencyKey !== 'string' || !notification.idempotencyKey.trim()) {
+    return dispatch(notification);
+  }
+  
+  return idempotency.runOnce(notification.idempotencyKey, () => dispatch(notification));
+}
+
 /**
  * Dispatches notifications based on their type to the appropriate service
  * 
+ * A notification with an idempotencyKey is sent at most once: repeating the
+ * dispatch with the same key returns the original result.
+ * 
  * @param {Object} notification - Notification object to be dispatched
- * @param {string} notification.type - Type of notification (email, sms)
+ * @param {string} notification.type - Type of notification (email, sms, push, webhook)
  * @param {string} notification.recipient - Recipient of the notification
  * @param {string} notification.message - Content of the notification
  * @param {Object} [notification.options={}] - Additional options for the notification
- * @returns {Promise<Object>} - Promise resolving to the result of the operation
+ * @param {Date|string|number} [notification.sendAt] - Send at this future time instead of now (alias: delayUntil)
+ * @param {string} [notification.userId] - User the notification is for (enables quiet hours)
+ * @param {string} [notification.priority] - 'critical' bypasses the user's quiet hours
+ * @param {boolean} [notification.ignoreQuietHours] - Send now even in the user's quiet hours (for callers that apply them themselves)
+ * @param {string} [notification.idempotencyKey] - Caller-chosen key that makes retries of this dispatch safe
+ * @param {string} [notification.notificationType] - What the notification is (e.g. 'otp'), for type-specific rate limits
+ * @param {string} [notification.trackingId] - Tracker id of a notification that is already tracked (set by the queue)
+ * @returns {Promise<Object>} - Promise resolving to the result of the operation (including the tracker's trackingId once sent)
  * @throws {Error} - If the notification type is unsupported or required fields are missing
  */
-async function dispatchNotification(notification) {
+function dispatchNotification(notification) {
+  return runIdempotent(notification, sendNotification);
+}
+
+/**
+ * Validate, defer or send a notification (dispatchNotification without the idempotency check)
+ * 
+ * @param {Object} notification - Notification object to be dispatched
+ * @returns {Promise<Object>} - Promise resolving to the result of the operation
+ */
+async function sendNotification(notification) {
   try {
     // Validate the notification object
     if (!notification) {
@@ -167,9 +244,11 @@ async function dispatchNotification(notification) {
       );
     }
     
-    // Check if the notification type is supported
-    if (!notifications[normalizedType]) {
-      const error = `Notification type '${type}' is not supported. Supported types are: ${Object.keys(notifications).join(', ')}`;
+    // Look up the channel in the registry
+    const channel = registry.getChannel(normalizedType);
+    
+    if (!channel) {
+      const error = `Notification type '${type}' is not supported. Supported types are: ${getSupportedTypes().join(', ')}`;
       
       return errorHandler.handleException(
         'dispatcher',
@@ -180,29 +259,78 @@ async function dispatchNotification(notification) {
       );
     }
     
+    // Future send times and quiet hours go to the scheduler, which dispatches the notification when it is due
+    const deferral = getDeferral(notification);
+    
+    if (deferral) {
+      const item = await notificationScheduler.scheduleNotification(notification, deferral.sendAt);
+      
+      console.log(`[DISPATCHER] Scheduled ${normalizedType} notification to: ${recipient} for ${item.sendAt}` +
+        (deferral.reason === 'quietHours' ? ' (quiet hours)' : ''));
+      
+      return {
+        scheduleId: item.id,
+        type: normalizedType,
+        recipient,
+        status: 'scheduled',
+        scheduled: true,
+        sendAt: item.sendAt,
+        deferredForQuietHours: deferral.reason === 'quietHours'
+      };
+    }
+    
+    // Each send takes a token from every rate limit that covers it
+    const rateLimit = rateLimiter.consumeToken({
+      type: normalizedType,
+      recipient: getRateLimitRecipient(normalizedType, recipient),
+      notificationType: notification.notificationType
+    });
+    
+    if (!rateLimit.allowed) {
+      const error = new Error(`Rate limit exceeded for ${normalizedType} notifications (${rateLimit.scope}). Retry after ${Math.ceil(rateLimit.retryAfter / 1000)}s`);
+      error.code = 'RATE_LIMITED';
+      
+      return errorHandler.handleException(
+        normalizedType,
+        recipient,
+        message,
+        error,
+        { retryAfter: rateLimit.retryAfter, retryAt: rateLimit.retryAt, rateLimitScope: rateLimit.scope }
+      );
+    }
+    
+    // Queued notifications were tracked when they were enqueued
+    const trackingId = notification.trackingId || trackQueued(notification, normalizedType);
+    
     // Log the dispatch attempt
     console.log(`[DISPATCHER] Sending ${normalizedType} notification to: ${recipient}`);
     
+    let result;
     try {
       // Dispatch to the appropriate notification service
-      const result = await notifications[normalizedType].send(recipient, message, options);
+      const sent = await channel.send(recipient, message, options);
       
-      // Add dispatch metadata to the result
-      return {
-        ...result,
-        dispatched: true,
+      // Add dispatch metadata to the result (channels report failures as dispatched: false)
+      result = {
+        ...sent,
+        dispatched: sent.dispatched !== false,
         dispatchTimestamp: new Date()
       };
     } catch (error) {
       // Handle service-specific errors through error handler
-      return errorHandler.handleException(
+      result = errorHandler.handleException(
         normalizedType,
         recipient,
         message,
-        error,
-        { options }
+        error
       );
     }
+    
+    if (trackingId) {
+      notificationTracker.recordSendResult(trackingId, result);
+    }
+    
+    return { ...result, trackingId };
   } catch (unexpectedError) {
     // Catch any unexpected errors in the dispatcher itself
     return errorHandler.handleException(
@@ -214,6 +342,94 @@ async function dispatchNotification(notification) {
     );
   }
 }
+
+/**
+ * Queues a notification for delivery by the background worker
+ * 
+ * The notification is validated up front so callers still get validation
+ * errors immediately; delivery happens later. Use the returned jobId with
+ * getJobStatus to follow the job.
+ * 
+ * @param {Object} notification - Notification object (same shape as dispatchNotification)
+ * @returns {Promise<Object>} - { jobId, trackingId, status: 'queued', queued: true, ... } or an error response
+ */
+function queueNotification(notification) {
+  return runIdempotent(notification, enqueueNotification);
+}
+
+/**
+ * Validate and enqueue a notification (queueNotification without the idempotency check)
+ * 
+ * @param {Object} notification - Notification object (same shape as dispatchNotification)
+ * @returns {Promise<Object>} - { jobId, trackingId, status: 'queued', queued: true, ... } or an error response
+ */
+async function enqueueNotification(notification) {
+  try {
+    if (!notification) {
+      return errorHandler.handleException(
+        'dispatcher', 
+        'unknown', 
+        null, 
+        'Notification object is required'
+      );
+    }
+    
+    const { type, recipient, message } = notification;
+    const normalizedType = type ? type.toLowerCase() : null;
+    
+    // Reject invalid notifications now rather than after they sit in the queue
+    const validationResult = validateNotification(notification);
+    
+    if (!validationResult.isValid) {
+      return errorHandler.handleException(
+        normalizedType || 'dispatcher', 
+        recipient || 'unknown', 
+        message || null, 
+        validationResult.error,
+        { validationError: true }
+      );
+    }
+    
+    // Deferred notifications are held by the scheduler rather than the queue
+    if (getDeferral(notification)) {
+      return sendNotification(notification);
+    }
+    
+    // The worker passes the tracking id back to sendNotification with the job
+    const trackingId = trackQueued(notification, normalizedType);
+    
+    const job = await notificationQueue.enqueue({ ...notification, trackingId }).catch(error => {
+      if (trackingId) {
+        notificationTracker.recordSendResult(trackingId, { status: 'failed', error: error.message });
+      }
+      throw error;
+    });
+    
+    // Make sure something is draining the queue
+    if (config.queue.autoStart && !notificationQueue.isWorkerRunning()) {
+      await notificationQueue.startWorker();
+    }
+    
+    return {
+      jobId: job.id,
+      type: job.type,
+      recipient: job.recipient,
+      status: job.status,
+      queued: true,
+      queuedAt: job.createdAt,
+      trackingId
+    };
+  } catch (unexpectedError) {
+    return errorHandler.handleException(
+      'dispatcher',
+      notification?.recipient || 'unknown',
+      notification?.message || null,
+      unexpectedError,
+      { unexpectedError: true }
+    );
+  }
+}
+
 /**
  * Utility function to check if a notification type is supported
  * 
@@ -221,8 +437,7 @@ async function dispatchNotification(notification) {
  * @returns {boolean} - True if supported, false otherwise
  */
 function isTypeSupported(type) {
-  if (!type) return false;
-  return Object.keys(notifications).includes(type.toLowerCase());
+  return registry.hasChannel(type);
 }
 
 /**
@@ -231,7 +446,7 @@ function isTypeSupported(type) {
  * @returns {string[]} - Array of supported notification types
  */
 function getSupportedTypes() {
-  return Object.keys(notifications);
+  return registry.getChannelNames();
 }
 
 /**
@@ -253,8 +468,16 @@ function clearErrorLog() {
 
 module.exports = {
   dispatchNotification,
+  queueNotification,
+  getJobStatus: notificationQueue.getJobStatus,
+  cancelScheduled: notificationScheduler.cancelScheduled,
+  reschedule: notificationScheduler.reschedule,
+  listScheduled: notificationScheduler.listPending,
+  startWorker: notificationQueue.startWorker,
+  stopWorker: notificationQueue.stopWorker,
   isTypeSupported,
   getSupportedTypes,
+  registerChannel: notifications.registerChannel,
   validateNotification,
   isValidEmail,
   isValidPhoneNumber,
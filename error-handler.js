@@ -9,12 +9,43 @@
 
 const path = require('path');
 const fs = require('fs');
+const logger = require('./logger');
 
 // Configure error logging
 const LOG_DIRECTORY = process.env.LOG_DIRECTORY || 'logs';
 const ERROR_LOG_FILE = path.join(LOG_DIRECTORY, 'error.log');
 const MAX_LOG_LENGTH = 10000;
 
+// Default retry policy; maxAttempts includes the first attempt
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS || '1', 10),
+  baseDelay: parseInt(process.env.RETRY_BASE_DELAY || '500', 10),   // ms before the first retry
+  maxDelay: parseInt(process.env.RETRY_MAX_DELAY || '30000', 10),   // cap for the exponential backoff
+  jitter: parseFloat(process.env.RETRY_JITTER || '0.2'),            // +/- fraction applied to each delay
+  retryableCodes: []
+};
+
+// Per-channel retry policies. Retryable codes are matched against an error's
+// code, providerCode and responseCode (e.g. 'SMS_SEND_FAILED', 'ECONNECTION', 451).
+const retryPolicies = {
+  email: {
+    maxAttempts: 3,
+    retryableCodes: ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 421, 450, 451, 452]
+  },
+  sms: {
+    maxAttempts: 3,
+    retryableCodes: ['SMS_SEND_FAILED']
+  },
+  push: {
+    maxAttempts: 3,
+    retryableCodes: ['PUSH_TIMEOUT', 'PUSH_SEND_FAILED', 429, 500, 503]
+  },
+  webhook: {
+    maxAttempts: 3,
+    retryableCodes: ['WEBHOOK_TIMEOUT', 'WEBHOOK_SEND_FAILED', 429, 502, 503, 504]
+  }
+};
+
 // Create log directory if it doesn't exist
 try {
   if (!fs.existsSync(LOG_DIRECTORY)) {
@@ -115,9 +146,12 @@ function sanitizeRecipient(recipient) {
  * @returns {Object} - Formatted error response
  */
 function prepareErrorResponse(channel, recipient, message, error, additionalFields = {}) {
+  const errorCodes = getErrorCodes(error);
+  
   // Log the error
   const loggedError = logError(channel, recipient, error, {
-    messagePreview: message?.substring(0, 50)
+    messagePreview: message?.substring(0, 50),
+    ...errorCodes
   });
   
   // Prepare a sanitized response that doesn't expose sensitive details
@@ -130,10 +164,34 @@ function prepareErrorResponse(channel, recipient, message, error, additionalFiel
     errorId: generateErrorId(loggedError.timestamp),
     dispatched: false,
     dispatchTimestamp: new Date(),
+    ...errorCodes,
     ...additionalFields
   };
 }
 
+/**
+ * Extract machine-readable codes from an error
+ * 
+ * Channels attach `code` (our own error code), `providerCode` (the provider's
+ * error code, e.g. nodemailer's EENVELOPE) and `responseCode` (e.g. an SMTP reply code).
+ * 
+ * @param {Error|string} error - The error that occurred
+ * @returns {Object} - Only the codes that are present
+ */
+function getErrorCodes(error) {
+  const codes = {};
+  
+  if (!(error instanceof Error)) {
+    return codes;
+  }
+  
+  if (error.code) codes.errorCode = error.code;
+  if (error.providerCode) codes.providerCode = error.providerCode;
+  if (error.responseCode) codes.responseCode = error.responseCode;
+  
+  return codes;
+}
+
 /**
  * Generate a unique error ID based on timestamp
  * 
@@ -162,7 +220,83 @@ function handleException(channel, recipient, message, error, options = {}) {
 }
 
 /**
- * Wraps a function with error handling
+ * Set (or update) the retry policy for a channel
+ * 
+ * @param {string} channel - The channel name
+ * @param {Object} policy - Policy fields to set
+ * @param {number} [policy.maxAttempts] - Total attempts, including the first
+ * @param {number} [policy.baseDelay] - Delay before the first retry in ms (doubles each retry)
+ * @param {number} [policy.maxDelay] - Upper bound for a single delay in ms
+ * @param {number} [policy.jitter] - Random +/- fraction applied to each delay (0-1)
+ * @param {Array<string|number>} [policy.retryableCodes] - Error codes that count as transient
+ * @returns {Object} - The resulting policy for the channel
+ */
+function setRetryPolicy(channel, policy = {}) {
+  retryPolicies[channel] = {
+    ...retryPolicies[channel],
+    ...policy
+  };
+  
+  return getRetryPolicy(channel);
+}
+
+/**
+ * Get the effective retry policy for a channel
+ * 
+ * @param {string} channel - The channel name
+ * @param {Object|boolean} [overrides] - Per-call overrides, or false to disable retries
+ * @returns {Object} - The merged retry policy
+ */
+function getRetryPolicy(channel, overrides) {
+  if (overrides === false) {
+    return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+  }
+  
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...retryPolicies[channel],
+    ...(overrides && typeof overrides === 'object' ? overrides : {})
+  };
+}
+
+/**
+ * Check whether an error is transient under a retry policy
+ * 
+ * @param {Error|string} error - The error that occurred
+ * @param {Object} policy - The retry policy
+ * @returns {boolean} - True if the error should be retried
+ */
+function isRetryableError(error, policy) {
+  if (!(error instanceof Error) || !Array.isArray(policy.retryableCodes)) {
+    return false;
+  }
+  
+  return [error.code, error.providerCode, error.responseCode]
+    .some(code => code !== undefined && policy.retryableCodes.includes(code));
+}
+
+/**
+ * Calculate the delay before a retry using exponential backoff with jitter
+ * 
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Object} policy - The retry policy
+ * @returns {number} - Delay in milliseconds
+ */
+function calculateRetryDelay(attempt, policy) {
+  const exponential = policy.baseDelay * Math.pow(2, attempt - 1);
+  const capped = Math.min(exponential, policy.maxDelay);
+  const jitter = capped * policy.jitter * (Math.random() * 2 - 1);
+  
+  return Math.max(0, Math.round(capped + jitter));
+}
+
+/**
+ * Wraps a function with error handling and retries
+ * 
+ * Transient errors (per the channel's retry policy) are retried with exponential
+ * backoff and jitter. The final response, success or failure, includes the
+ * attempt history. Pass `options.retry` to override the policy for one call,
+ * or `options.retry = false` to disable retries.
  *
  * @param {Function} fn - The function to wrap
  * @param {string} channel - The channel name for error reporting
@@ -170,11 +304,56 @@ function handleException(channel, recipient, message, error, options = {}) {
  */
 function withErrorHandling(fn, channel) {
   return async function(...args) {
-    try {
-      return await fn(...args);
-    } catch (error) {
-      const [recipient, message, options] = args;
-      return handleException(channel, recipient, message, error, options);
+    const [recipient, message, options = {}] = args;
+    const policy = getRetryPolicy(channel, options && options.retry);
+    const attempts = [];
+    
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await fn(...args);
+        
+        attempts.push({ attempt, status: 'sent', timestamp: new Date().toISOString() });
+        
+        // Only a send that needed retries is worth a retry log entry
+        if (attempt > 1) {
+          logger.logRetryAttempt(channel, recipient, message, {
+            attempt,
+            maxAttempts: policy.maxAttempts,
+            status: 'sent'
+          });
+        }
+        
+        return result && typeof result === 'object' ? { ...result, attempts } : result;
+      } catch (error) {
+        const willRetry = attempt < policy.maxAttempts && isRetryableError(error, policy);
+        const delay = willRetry ? calculateRetryDelay(attempt, policy) : null;
+        
+        attempts.push({
+          attempt,
+          status: 'failed',
+          timestamp: new Date().toISOString(),
+          error: error instanceof Error ? error.message : error,
+          errorCode: error && error.code ? error.code : null,
+          retryInMs: delay
+        });
+        
+        if (policy.maxAttempts > 1) {
+          logger.logRetryAttempt(channel, recipient, message, {
+            attempt,
+            maxAttempts: policy.maxAttempts,
+            status: willRetry ? 'retrying' : 'failed',
+            error,
+            retryInMs: delay
+          });
+        }
+        
+        // Only the attempt history goes in the response; options may hold secrets or attachments
+        if (!willRetry) {
+          return handleException(channel, recipient, message, error, { attempts });
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
     }
   };
 }
@@ -217,6 +396,10 @@ module.exports = {
   prepareErrorResponse,
   handleException,
   withErrorHandling,
+  setRetryPolicy,
+  getRetryPolicy,
+  isRetryableError,
+  calculateRetryDelay,
   clearErrorLog,
   getErrorLog
 };
@@ -24,7 +24,7 @@ async function basicErrorExamples() {
   
   // Trigger an error in email by using a recipient with "error" in the name
   console.log('\n1. Sending email to trigger an error:');
-  const emailResult = await notifier.dispatch({
+  const emailResult = await notifier.dispatchNow({
     type: 'email',
     recipient: 'error@example.com', // This will trigger an error
     message: 'This message will fail to send'
@@ -37,7 +37,7 @@ async function basicErrorExamples() {
   
   // Trigger an SMS error
   console.log('\n2. Sending SMS to trigger an error:');
-  const smsResult = await notifier.dispatch({
+  const smsResult = await notifier.dispatchNow({
     type: 'sms',
     recipient: '+1error4567890', // This will trigger an error
     message: 'This message will fail to send'
@@ -47,7 +47,7 @@ async function basicErrorExamples() {
   
   // Trigger a push notification error
   console.log('\n3. Sending push notification to trigger an error:');
-  const pushResult = await notifier.dispatch({
+  const pushResult = await notifier.dispatchNow({
     type: 'push',
     recipient: 'error-device-token',
     message: 'This message will fail to send'
@@ -69,7 +69,7 @@ async function validationErrorExamples() {
   
   // Invalid email format
   console.log('\n1. Invalid email format:');
-  const invalidEmailResult = await notifier.dispatch({
+  const invalidEmailResult = await notifier.dispatchNow({
     type: 'email',
     recipient: 'not-a-valid-email',
     message: 'This will fail validation'
@@ -79,7 +79,7 @@ async function validationErrorExamples() {
   
   // Invalid phone number format
   console.log('\n2. Invalid phone number:');
-  const invalidPhoneResult = await notifier.dispatch({
+  const invalidPhoneResult = await notifier.dispatchNow({
     type: 'sms',
     recipient: 'abc123',
     message: 'This will fail validation'
@@ -89,10 +89,11 @@ async function validationErrorExamples() {
   
   // Message too long for SMS
   console.log('\n3. SMS message too long:');
-  const longSmsResult = await notifier.dispatch({
+  const longSmsResult = await notifier.dispatchNow({
     type: 'sms',
     recipient: '+15551234567',
-    message: 'This message is intentionally very long to exceed the 160 character limit for SMS messages. The validation system should catch this and prevent the message from being sent, returning an appropriate error response instead. This is a good example of content validation.'
+    // More than SMS_MAX_SEGMENTS (10) concatenated segments
+    message: 'This message is intentionally very long to exceed the maximum number of SMS segments. '.repeat(20)
   });
   
   console.log('Long SMS result:', longSmsResult);
@@ -111,19 +112,19 @@ async function errorLogExamples() {
   // Generate some errors
   console.log('\nGenerating some errors for the log...');
   
-  await notifier.dispatch({
+  await notifier.dispatchNow({
     type: 'email',
     recipient: 'error1@example.com',
     message: 'Error log test 1'
   });
   
-  await notifier.dispatch({
+  await notifier.dispatchNow({
     type: 'sms',
     recipient: '+1555error2',
     message: 'Error log test 2'
   });
   
-  await notifier.dispatch({
+  await notifier.dispatchNow({
     type: 'push',
     recipient: 'error3-device',
     message: 'Error log test 3'
@@ -143,7 +144,7 @@ async function simulatedErrorsExample() {
   
   // Using the simulateError option to test error handling
   console.log('\n1. Using simulateError option:');
-  const result = await notifier.dispatch({
+  const result = await notifier.dispatchNow({
     type: 'email',
     recipient: 'valid@example.com',
     message: 'This should be a valid message, but we simulate an error',
@@ -26,7 +26,7 @@ async function multiChannelLoggingExample() {
   
   // Send an email notification
   console.log('\nSending email notification...');
-  await notifier.dispatch({
+  await notifier.dispatchNow({
     type: 'email',
     recipient: 'user@example.com',
     message: 'Welcome to our service! This is an example email notification.',
@@ -40,7 +40,7 @@ async function multiChannelLoggingExample() {
   
   // Send an SMS notification
   console.log('\nSending SMS notification...');
-  await notifier.dispatch({
+  await notifier.dispatchNow({
     type: 'sms',
     recipient: '+15551234567',
     message: 'Your verification code is 123456'
@@ -51,7 +51,7 @@ async function multiChannelLoggingExample() {
   
   // Send a push notification
   console.log('\nSending push notification...');
-  await notifier.dispatch({
+  await notifier.dispatchNow({
     type: 'push',
     recipient: 'device-token-123',
     message: 'You have a new message waiting',
@@ -71,7 +71,7 @@ async function mockModeExample() {
   
   // Send a mock email
   console.log('\nSending mock email...');
-  await notifier.dispatch({
+  await notifier.dispatchNow({
     type: 'email',
     recipient: 'user@example.com',
     message: 'This is a simulated email that will not actually be sent',
@@ -86,7 +86,7 @@ async function mockModeExample() {
   
   // Send a mock SMS
   console.log('\nSending mock SMS...');
-  await notifier.dispatch({
+  await notifier.dispatchNow({
     type: 'sms',
     recipient: '+15551234567',
     message: 'This is a simulated SMS that will not actually be sent',
@@ -100,7 +100,7 @@ async function mockModeExample() {
   
   // Send a mock push notification
   console.log('\nSending mock push notification...');
-  await notifier.dispatch({
+  await notifier.dispatchNow({
     type: 'push',
     recipient: 'device-token-456',
     message: 'This is a simulated push notification',
@@ -121,7 +121,7 @@ async function errorLoggingExample() {
   
   // Send an email that will fail
   console.log('\nSending email that will fail...');
-  await notifier.dispatch({
+  await notifier.dispatchNow({
     type: 'email',
     recipient: 'error@example.com', // This will trigger an error
     message: 'This email will fail and be logged as an error'
@@ -132,7 +132,7 @@ async function errorLoggingExample() {
   
   // Send an SMS that will fail
   console.log('\nSending SMS that will fail...');
-  await notifier.dispatch({
+  await notifier.dispatchNow({
     type: 'sms',
     recipient: '+1error4567890', // This will trigger an error
     message: 'This SMS will fail and be logged as an error'
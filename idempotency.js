@@ -0,0 +1,110 @@
+/**
+ * Idempotency
+ * 
+ * Lets callers retry a dispatch safely. The first dispatch with a given
+ * idempotency key runs normally; its result is kept for a TTL, and any repeat
+ * with the same key gets that result back instead of sending again.
+ * 
+ * Only successful results (sent, queued or scheduled) are kept, so a failed
+ * send can be retried with the same key. A repeat that arrives while the
+ * first dispatch is still running waits for it rather than sending twice.
+ */
+
+const config = require('./config');
+const { createMemoryIdempotencyStore } = require('./stores/memoryIdempotencyStore');
+
+// Idempotency state
+let store = null;
+let ttl = config.idempotency.ttl;
+const inFlight = new Map();    // Promises of dispatches still running, keyed by idempotency key
+
+/**
+ * Configure idempotency handling
+ * 
+ * @param {Object} [options={}] - Idempotency options
+ * @param {Object} [options.store] - Idempotency store implementing get, set and remove
+ * @param {number} [options.ttl] - How long keys are remembered, in milliseconds
+ */
+function configureIdempotency(options = {}) {
+  if (options.store) store = options.store;
+  if (options.ttl) ttl = options.ttl;
+}
+
+/**
+ * Get the idempotency store, creating the default one if needed
+ * 
+ * @returns {Object} - Idempotency store
+ */
+function getStore() {
+  if (!store) {
+    store = createMemoryIdempotencyStore();
+  }
+  return store;
+}
+
+/**
+ * Check whether a dispatch result should be remembered
+ * 
+ * @param {Object} result - Dispatch result
+ * @returns {boolean} - True if the result is a success
+ */
+function isSuccessfulResult(result) {
+  return Boolean(result) && result.dispatched !== false && result.status !== 'failed';
+}
+
+/**
+ * Run a dispatch at most once per idempotency key
+ * 
+ * @param {string} key - Idempotency key supplied by the caller
+ * @param {Function} dispatch - async () => result, the dispatch to run
+ * @returns {Promise<Object>} - The dispatch result, or the original result (with idempotentReplay: true) for a repeat
+ */
+async function runOnce(key, dispatch) {
+  // A repeat of a dispatch that is still running shares its outcome
+  if (inFlight.has(key)) {
+    console.log(`[IDEMPOTENCY] Waiting for in-flight dispatch with key: ${key}`);
+    const result = await inFlight.get(key);
+    return { ...result, idempotentReplay: true };
+  }
+  
+  const running = (async () => {
+    const stored = await getStore().get(key);
+    
+    if (stored) {
+      console.log(`[IDEMPOTENCY] Returning stored result for key: ${key}`);
+      return { ...stored, idempotentReplay: true };
+    }
+    
+    const result = await dispatch();
+    
+    if (isSuccessfulResult(result)) {
+      await getStore().set(key, result, ttl);
+    }
+    
+    return result;
+  })();
+  
+  inFlight.set(key, running);
+  
+  try {
+    return await running;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * Forget an idempotency key so the next dispatch with it sends again
+ * 
+ * @param {string} key - Idempotency key
+ * @returns {Promise<boolean>} - Whether the key was stored
+ */
+function forgetKey(key) {
+  return getStore().remove(key);
+}
+
+module.exports = {
+  configureIdempotency,
+  runOnce,
+  forgetKey
+};
@@ -0,0 +1,284 @@
+/**
+ * Inbound SMS
+ *
+ * Handles replies to our SMS messages. Pass the payload a provider posts to
+ * its inbound webhook (Twilio, Vonage or the generic { from, to, message }
+ * shape) to handleInboundSms. The first word of the message is the keyword:
+ *
+ * - STOP (UNSUBSCRIBE, CANCEL...) turns SMS off for the sender
+ * - START (UNSTOP, SUBSCRIBE) turns it back on
+ * - HELP (INFO, AYUDA, AIDE, HILFE) answers with the help template
+ * - anything else goes to a handler registered with registerKeywordHandler
+ *
+ * The sender is looked up by phone number in the user preferences.
+ */
+
+const userPreferences = require('./userPreferences');
+const { renderTemplate } = require('./templateRegistry');
+const { formatPhoneNumber } = require('./utilities/phone');
+
+// Built-in keywords -> { action, language }. The language picks the reply for senders without a preference.
+const BUILT_IN_KEYWORDS = {
+  STOP: { action: 'optOut' },
+  STOPALL: { action: 'optOut' },
+  UNSUBSCRIBE: { action: 'optOut' },
+  CANCEL: { action: 'optOut' },
+  END: { action: 'optOut' },
+  QUIT: { action: 'optOut' },
+  BAJA: { action: 'optOut', language: 'es' },
+  ARRET: { action: 'optOut', language: 'fr' },
+  STOPP: { action: 'optOut', language: 'de' },
+  START: { action: 'optIn' },
+  UNSTOP: { action: 'optIn' },
+  SUBSCRIBE: { action: 'optIn' },
+  HELP: { action: 'help' },
+  INFO: { action: 'help' },
+  AYUDA: { action: 'help', language: 'es' },
+  AIDE: { action: 'help', language: 'fr' },
+  HILFE: { action: 'help', language: 'de' }
+};
+
+// Reply template for each built-in action
+const REPLY_TEMPLATES = {
+  optOut: 'optOut',
+  optIn: 'optIn',
+  help: 'help'
+};
+
+// Data for reply templates, merged under anything a handler returns
+const DEFAULT_REPLY_DATA = {
+  serviceName: 'NotifyHub',
+  supportEmail: 'support@example.com'
+};
+
+// Custom keyword handlers, keyed by uppercase keyword
+const keywordHandlers = new Map();
+
+let replyData = { ...DEFAULT_REPLY_DATA };
+let sendReply = null;   // async (notification) => result, defaults to dispatchNotification
+
+/**
+ * Configure inbound handling
+ *
+ * @param {Object} [options={}] - Inbound options
+ * @param {Object} [options.replyData] - Data for reply templates (serviceName, supportEmail...)
+ * @param {Function} [options.sendReply] - async (notification) => result, defaults to dispatchNotification
+ */
+function configureInboundSms(options = {}) {
+  if (options.replyData) replyData = { ...replyData, ...options.replyData };
+  if (options.sendReply) sendReply = options.sendReply;
+}
+
+/**
+ * Normalize a keyword ('Arrêt!' -> 'ARRET')
+ *
+ * @param {string} keyword - Keyword as written
+ * @returns {string} - Uppercase keyword without accents or punctuation
+ */
+function normalizeKeyword(keyword) {
+  return String(keyword || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w]/g, '')
+    .toUpperCase();
+}
+
+/**
+ * Register a handler for a reply keyword (e.g. 'C' to confirm an appointment)
+ *
+ * The handler gets { keyword, args, text, from, to, userId, preferences, language, payload }
+ * and may return a reply: a string, or { template, data } to render an SMS template.
+ *
+ * @param {string|string[]} keywords - Keyword, or keywords that share the handler
+ * @param {Function} handler - async (context) => reply | undefined
+ * @returns {string[]} - The normalized keywords
+ * @throws {Error} - If a keyword is empty or built in (STOP, START and HELP can't be overridden)
+ */
+function registerKeywordHandler(keywords, handler) {
+  if (typeof handler !== 'function') {
+    throw new Error('Keyword handler must be a function');
+  }
+
+  const normalized = [].concat(keywords).map(normalizeKeyword);
+
+  normalized.forEach(keyword => {
+    if (!keyword) {
+      throw new Error('Keyword must contain letters or digits');
+    }
+
+    if (BUILT_IN_KEYWORDS[keyword]) {
+      throw new Error(`${keyword} is a built-in keyword and can't be overridden`);
+    }
+  });
+
+  normalized.forEach(keyword => keywordHandlers.set(keyword, handler));
+  return normalized;
+}
+
+/**
+ * Remove a keyword handler
+ *
+ * @param {string} keyword - Keyword
+ * @returns {boolean} - True if a handler was removed
+ */
+function unregisterKeywordHandler(keyword) {
+  return keywordHandlers.delete(normalizeKeyword(keyword));
+}
+
+/**
+ * Get the keywords that have custom handlers
+ *
+ * @returns {string[]} - Registered keywords
+ */
+function getRegisteredKeywords() {
+  return [...keywordHandlers.keys()];
+}
+
+/**
+ * Read an inbound message from a provider webhook payload
+ *
+ * @param {Object} payload - Parsed webhook body: Twilio ({ From, To, Body, MessageSid }),
+ *   Vonage ({ msisdn, to, text, messageId }) or generic ({ from, to, message|text|body, id|messageId })
+ * @returns {Object|null} - { from, to, text, messageId, provider }, or null if there is no sender
+ */
+function parseInboundPayload(payload = {}) {
+  let message;
+
+  if (payload.From !== undefined || payload.MessageSid !== undefined) {
+    message = { from: payload.From, to: payload.To, text: payload.Body, messageId: payload.MessageSid, provider: 'twilio' };
+  } else if (payload.msisdn !== undefined) {
+    // Vonage sends international numbers without the +
+    message = { from: `+${payload.msisdn}`, to: payload.to && `+${payload.to}`, text: payload.text, messageId: payload.messageId, provider: 'vonage' };
+  } else {
+    message = {
+      from: payload.from,
+      to: payload.to,
+      text: payload.message !== undefined ? payload.message : payload.text !== undefined ? payload.text : payload.body,
+      messageId: payload.id || payload.messageId,
+      provider: payload.provider || 'http'
+    };
+  }
+
+  if (!message.from) {
+    return null;
+  }
+
+  return {
+    ...message,
+    // Short codes and alphanumeric senders aren't phone numbers; they are kept as sent
+    from: formatPhoneNumber(String(message.from)) || String(message.from),
+    to: message.to ? formatPhoneNumber(String(message.to)) || String(message.to) : null,
+    text: String(message.text || '').trim(),
+    messageId: message.messageId || null
+  };
+}
+
+/**
+ * Render a reply returned by a handler or chosen for a built-in keyword
+ *
+ * @param {string|Object} reply - Reply text, or { template, data }
+ * @param {string} language - Reply language
+ * @param {Object} data - Template data
+ * @returns {string|null} - Reply text, or null if there is nothing to send
+ */
+function renderReply(reply, language, data) {
+  if (!reply) {
+    return null;
+  }
+
+  if (typeof reply === 'string') {
+    return reply;
+  }
+
+  if (reply.template) {
+    const rendered = renderTemplate('sms', reply.template, language, { ...data, ...reply.data });
+    if (rendered === null) {
+      console.error(`[INBOUND] Reply template not found: sms.${reply.template}`);
+    }
+    return rendered;
+  }
+
+  return reply.text || null;
+}
+
+/**
+ * Handle an inbound SMS
+ *
+ * @param {Object} payload - Provider webhook payload (see parseInboundPayload)
+ * @returns {Promise<Object>} - { success, action, keyword, from, userId, reply, replyResult, error? }
+ *   where action is 'optOut', 'optIn', 'help', 'custom' or 'unmatched'. STOP and START from a
+ *   number no user has fail with errorCode UNKNOWN_SENDER.
+ */
+async function handleInboundSms(payload) {
+  const message = parseInboundPayload(payload);
+
+  if (!message) {
+    return { success: false, action: null, error: 'Inbound SMS has no sender number' };
+  }
+
+  const [firstWord = '', ...args] = message.text.split(/\s+/);
+  const keyword = normalizeKeyword(firstWord);
+  const builtIn = BUILT_IN_KEYWORDS[keyword];
+  const handler = keywordHandlers.get(keyword);
+  const userId = userPreferences.findUserByPhone(message.from);
+  const preferences = userId ? userPreferences.getUserPreferences(userId) : null;
+  const language = (preferences && (preferences.preferredLanguage || preferences.language))
+    || (builtIn && builtIn.language)
+    || 'en';
+
+  const result = {
+    success: true,
+    action: builtIn ? builtIn.action : handler ? 'custom' : 'unmatched',
+    keyword,
+    from: message.from,
+    userId,
+    reply: null,
+    replyResult: null
+  };
+
+  console.log(`[INBOUND] SMS from ${message.from} (${userId || 'unknown sender'}): ${keyword || '(empty)'} -> ${result.action}`);
+
+  if (result.action === 'unmatched') {
+    return result;
+  }
+
+  let reply;
+
+  if (builtIn) {
+    if (builtIn.action !== 'help') {
+      if (!userId) {
+        return { ...result, success: false, error: `No user has the phone number ${message.from}`, errorCode: 'UNKNOWN_SENDER' };
+      }
+
+      userPreferences.setChannelOptInStatus(userId, 'sms', builtIn.action === 'optIn');
+    }
+
+    reply = { template: REPLY_TEMPLATES[builtIn.action] };
+  } else {
+    try {
+      reply = await handler({ keyword, args, text: message.text, from: message.from, to: message.to, userId, preferences, language, payload });
+    } catch (error) {
+      console.error(`[INBOUND] Handler for ${keyword} failed:`, error.message);
+      return { ...result, success: false, error: error.message };
+    }
+  }
+
+  result.reply = renderReply(reply, language, { ...replyData, userName: preferences && preferences.name });
+
+  if (result.reply) {
+    const send = sendReply || require('./dispatcher').dispatchNotification;
+    result.replyResult = await send({ type: 'sms', recipient: message.from, message: result.reply });
+  }
+
+  return result;
+}
+
+module.exports = {
+  BUILT_IN_KEYWORDS,
+  configureInboundSms,
+  registerKeywordHandler,
+  unregisterKeywordHandler,
+  getRegisteredKeywords,
+  parseInboundPayload,
+  handleInboundSms
+};
@@ -7,19 +7,38 @@ const path = require('path');
 const fs = require('fs');
 const config = require('./config');
 const notificationSystem = require('./notifications');
-const { dispatcher,dispatchNotification } = require('./dispatcher');
+const dispatcher = require('./dispatcher');
 const errorHandler = require('./error-handler');
 const logger = require('./logger');
-const trackNotification = require('./notificationTracker').trackNotification;
+const deviceRegistry = require('./deviceRegistry');
+const notificationTracker = require('./notificationTracker');
+const inboundSms = require('./inboundSms');
+const trackNotification = notificationTracker.trackNotification;
 
 // Initialize the notification system
 console.log(`Initializing notification system in ${process.env.NODE_ENV || 'development'} mode...`);
 
 // Export all notification methods
 module.exports = {
-  dispatch: dispatcher?.dispatchNotification,
+  // dispatch queues the notification; dispatchNow sends it inline and waits for the channel
+  dispatch: dispatcher?.queueNotification,
+  dispatchNow: dispatcher?.dispatchNotification,
+  getJobStatus: dispatcher?.getJobStatus,
+  startWorker: dispatcher?.startWorker,
+  stopWorker: dispatcher?.stopWorker,
+  
+  // Scheduled notifications (dispatch with sendAt/delayUntil to schedule)
+  cancelScheduled: dispatcher?.cancelScheduled,
+  reschedule: dispatcher?.reschedule,
+  listScheduled: dispatcher?.listScheduled,
   isNotificationTypeSupported: dispatcher?.isTypeSupported,
   getSupportedNotificationTypes: dispatcher?.getSupportedTypes,
+  registerChannel: dispatcher?.registerChannel,
+  
+  // Push devices (push to a user ID fans out to every registered device)
+  registerDevice: deviceRegistry.registerDevice,
+  unregisterDevice: deviceRegistry.unregisterDevice,
+  getUserDevices: deviceRegistry.getUserDevices,
   
   // Expose validation utilities
   validateNotification: dispatcher?.validateNotification,
@@ -30,6 +49,17 @@ module.exports = {
   getErrorLog: dispatcher?.getErrorLog,
   clearErrorLog: dispatcher?.clearErrorLog,
   
+  // Delivery status tracking (provider callbacks report later lifecycle statuses)
+  trackNotification,
+  updateNotificationStatus: notificationTracker.updateNotificationStatus,
+  handleTwilioStatusCallback: notificationTracker.handleTwilioStatusCallback,
+  handleEmailEvent: notificationTracker.handleEmailEvent,
+  queryNotifications: notificationTracker.queryNotifications,
+  
+  // Inbound SMS (STOP/START/HELP and custom reply keywords)
+  handleInboundSms: inboundSms.handleInboundSms,
+  registerKeywordHandler: inboundSms.registerKeywordHandler,
+  
   // Expose logging utilities
   getNotificationLog: logger.getNotificationLog,
   clearNotificationLog: logger.clearNotificationLog,
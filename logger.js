@@ -98,6 +98,7 @@ function getColorForType(type) {
     email: chalk.blue,
     sms: chalk.green,
     push: chalk.magenta,
+    webhook: chalk.cyan,
     default: chalk.white
   };
   
@@ -127,6 +128,8 @@ function getStatusSymbol(status, isMock) {
     case 'pending':
     case 'queued':
       return chalk.blue('⋯'); // Pending
+    case 'retrying':
+      return chalk.yellow('↻'); // Failed, will be retried
     default:
       return chalk.gray('?'); // Unknown
   }
@@ -145,7 +148,13 @@ function formatForConsole(notification) {
     recipient, 
     messagePreview, 
     status = 'unknown',
-    mock = false
+    mock = false,
+    attempt,
+    maxAttempts,
+    segments,
+    encoding,
+    estimatedCost,
+    costCurrency
   } = formatForLog(notification);
   
   // Get the right color for this notification type
@@ -155,13 +164,19 @@ function formatForConsole(notification) {
   const time = new Date(timestamp).toLocaleTimeString();
   const statusSymbol = getStatusSymbol(status, mock);
   const mockLabel = mock ? chalk.yellow(' [MOCK]') : '';
+  const attemptLabel = attempt ? chalk.yellow(`[attempt ${attempt}/${maxAttempts}]`) : '';
+  const segmentLabel = segments
+    ? chalk.gray(`[${segments} segment${segments === 1 ? '' : 's'}, ${encoding}, ~${estimatedCost} ${costCurrency}]`)
+    : '';
   
   return [
     chalk.gray(`[${time}]`),
     statusSymbol,
     typeColor.bold(`[${type.toUpperCase()}]`),
+    attemptLabel,
     chalk.white(`To: ${recipient}`),
     mockLabel,
+    segmentLabel,
     chalk.gray('|'),
     chalk.white(messagePreview)
   ].join(' ');
@@ -275,6 +290,38 @@ function logNotificationAttempt(type, recipient, message, options = {}, isMock =
   }, 'debug');
 }
 
+/**
+ * Log the outcome of a single delivery attempt when retries are enabled
+ * 
+ * @param {string} type - Notification type (email, sms, etc.)
+ * @param {string} recipient - Recipient of the notification
+ * @param {string} message - Message content
+ * @param {Object} details - Attempt details
+ * @param {number} details.attempt - Attempt number (1-based)
+ * @param {number} details.maxAttempts - Maximum number of attempts
+ * @param {string} details.status - 'sent', 'retrying' or 'failed'
+ * @param {string|Error} [details.error] - The error for failed attempts
+ * @param {number} [details.retryInMs] - Delay before the next attempt
+ */
+function logRetryAttempt(type, recipient, message, details = {}) {
+  const { attempt, maxAttempts, status, error, retryInMs } = details;
+  
+  logNotification({
+    type,
+    recipient,
+    message,
+    status,
+    meta: {
+      stage: 'retry',
+      attempt,
+      maxAttempts,
+      error: error instanceof Error ? error.message : error,
+      errorCode: error && error.code ? error.code : undefined,
+      retryInMs
+    }
+  }, status === 'sent' ? 'info' : 'warn');
+}
+
 /**
  * Get the contents of the notification log
  * 
@@ -331,6 +378,7 @@ module.exports = {
   logSentNotification,
   logFailedNotification,
   logNotificationAttempt,
+  logRetryAttempt,
   getNotificationLog,
   clearNotificationLog,
   createTypedLogger,
@@ -0,0 +1,420 @@
+/**
+ * Notification Queue
+ *
+ * Durable outbound queue for notifications. `enqueue` stores a job and returns
+ * immediately; a background worker drains the queue and sends each job through
+ * the dispatcher, honoring a concurrency limit per channel.
+ *
+ * Jobs are kept in a pluggable store (file-backed by default, see stores/).
+ * Jobs that were mid-send when the process stopped are put back in the queue
+ * when it is loaded again.
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const notificationTracker = require('./notificationTracker');
+const { createFileQueueStore } = require('./stores/fileQueueStore');
+const { createMemoryQueueStore } = require('./stores/memoryQueueStore');
+
+// Job statuses
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+// Queue state
+let store = null;
+let jobs = new Map();          // In-memory view of every job, keyed by id
+let initPromise = null;
+let processor = null;          // Function used to send a job (defaults to the dispatcher)
+let concurrency = { ...config.queue.concurrency };
+let defaultConcurrency = config.queue.defaultConcurrency;
+let pollInterval = config.queue.pollInterval;
+
+// Worker state
+let workerTimer = null;
+let workerRunning = false;
+const activeByChannel = {};    // Number of in-flight jobs per channel
+const inFlight = new Set();    // Promises of in-flight jobs (awaited by stopWorker)
+
+/**
+ * Create the store named in the queue configuration
+ *
+ * @returns {Object} - Queue store
+ */
+function createDefaultStore() {
+  return config.queue.store === 'memory'
+    ? createMemoryQueueStore()
+    : createFileQueueStore();
+}
+
+/**
+ * Configure the queue (call before the first enqueue or worker start)
+ *
+ * @param {Object} [options={}] - Queue options
+ * @param {Object} [options.store] - Queue store implementing load, saveJob and removeJob
+ * @param {Function} [options.processor] - async (notification) => result, defaults to dispatchNotification
+ * @param {Object} [options.concurrency] - Per-channel concurrency limits, e.g. { sms: 2 }
+ * @param {number} [options.defaultConcurrency] - Limit for channels without their own setting
+ * @param {number} [options.pollInterval] - Worker polling interval in milliseconds
+ */
+function configureQueue(options = {}) {
+  if (options.store) {
+    store = options.store;
+    initPromise = null;
+  }
+
+  if (options.processor) processor = options.processor;
+  if (options.concurrency) concurrency = { ...concurrency, ...options.concurrency };
+  if (options.defaultConcurrency) defaultConcurrency = options.defaultConcurrency;
+  if (options.pollInterval) pollInterval = options.pollInterval;
+}
+
+/**
+ * Load the queue from its store (runs once; later calls share the same promise)
+ *
+ * @returns {Promise<void>}
+ */
+function initQueue() {
+  if (!initPromise) {
+    initPromise = (async () => {
+      if (!store) {
+        store = createDefaultStore();
+      }
+
+      const storedJobs = await store.load();
+      jobs = new Map();
+
+      for (const job of storedJobs) {
+        // A job still marked processing was interrupted by a restart; send it again
+        if (job.status === JOB_STATUS.PROCESSING) {
+          job.status = JOB_STATUS.QUEUED;
+          job.updatedAt = new Date().toISOString();
+          await store.saveJob(job);
+        }
+
+        jobs.set(job.id, job);
+      }
+
+      const queued = storedJobs.filter(job => job.status === JOB_STATUS.QUEUED).length;
+      if (queued > 0) {
+        console.log(`[QUEUE] Loaded ${queued} queued notification(s) from ${store.name} store`);
+      }
+    })();
+  }
+
+  return initPromise;
+}
+
+/**
+ * Generate a unique job id
+ *
+ * @returns {string} - Job id
+ */
+function generateJobId() {
+  return `job-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Get the concurrency limit for a channel
+ *
+ * @param {string} channel - Channel name
+ * @returns {number} - Maximum number of jobs sent at once on this channel
+ */
+function getConcurrencyLimit(channel) {
+  return concurrency[channel] || defaultConcurrency;
+}
+
+/**
+ * Update a job and persist it
+ *
+ * @param {Object} job - The job to update
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} - The updated job
+ */
+async function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  await store.saveJob(job);
+  return job;
+}
+
+/**
+ * Add a notification to the queue
+ *
+ * @param {Object} notification - Notification object ({ type, recipient, message, options, userId, priority, trackingId })
+ * @returns {Promise<Object>} - Copy of the queued job (including its id)
+ * @throws {Error} - If the job can't be stored
+ */
+async function enqueue(notification) {
+  await initQueue();
+
+  const now = new Date().toISOString();
+  const job = {
+    id: generateJobId(),
+    type: notification.type ? notification.type.toLowerCase() : notification.type,
+    recipient: notification.recipient,
+    message: notification.message,
+    options: notification.options || {},
+    notificationType: notification.notificationType || null,
+    userId: notification.userId || null,
+    priority: notification.priority || null,
+    trackingId: notification.trackingId || null,   // Delivery tracker id, if the notification is tracked
+    status: JOB_STATUS.QUEUED,
+    createdAt: now,
+    updatedAt: now,
+    availableAt: null,          // Set when a rate-limited job must wait before its next try
+    startedAt: null,
+    completedAt: null,
+    result: null,
+    error: null
+  };
+
+  jobs.set(job.id, job);
+
+  try {
+    await store.saveJob(job);
+  } catch (error) {
+    // A job that wasn't stored isn't queued
+    jobs.delete(job.id);
+    throw error;
+  }
+
+  console.log(`[QUEUE] Queued ${job.type} notification ${job.id} for: ${job.recipient}`);
+
+  // Wake the worker so the job doesn't wait for the next poll
+  if (workerRunning) {
+    setImmediate(drainQueue);
+  }
+
+  return { ...job };
+}
+
+/**
+ * Get the status of a queued job
+ *
+ * @param {string} jobId - The job id returned by enqueue
+ * @returns {Promise<Object|null>} - Copy of the job, or null if unknown
+ */
+async function getJobStatus(jobId) {
+  await initQueue();
+
+  const job = jobs.get(jobId);
+  return job ? { ...job } : null;
+}
+
+/**
+ * Get counts of jobs by status
+ *
+ * @returns {Promise<Object>} - { queued, processing, sent, failed, total }
+ */
+async function getQueueStats() {
+  await initQueue();
+
+  const stats = { queued: 0, processing: 0, sent: 0, failed: 0, total: jobs.size };
+  jobs.forEach(job => {
+    stats[job.status] = (stats[job.status] || 0) + 1;
+  });
+
+  return stats;
+}
+
+/**
+ * Send a single job through the processor and record the outcome
+ *
+ * @param {Object} job - The job to send
+ * @returns {Promise<void>}
+ * @throws {Error} - If the job can't be stored (a job that couldn't be marked as processing is queued again)
+ */
+async function processJob(job) {
+  const send = processor || require('./dispatcher').dispatchNotification;
+
+  try {
+    await updateJob(job, {
+      status: JOB_STATUS.PROCESSING,
+      startedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    // Nothing was sent, so put the job back and try again on a later poll
+    Object.assign(job, {
+      status: JOB_STATUS.QUEUED,
+      startedAt: null,
+      availableAt: new Date(Date.now() + pollInterval).toISOString()
+    });
+    throw error;
+  }
+
+  let result;
+  try {
+    result = await send({
+      type: job.type,
+      recipient: job.recipient,
+      message: job.message,
+      options: job.options,
+      notificationType: job.notificationType || undefined,
+      userId: job.userId || undefined,
+      priority: job.priority || undefined,
+      trackingId: job.trackingId || undefined
+    });
+  } catch (error) {
+    // The dispatcher doesn't throw, but custom processors might
+    result = { status: 'failed', dispatched: false, error: error.message, errorCode: error.code };
+  }
+
+  // Hitting a channel-wide limit (provider throughput) only delays the job; per-recipient limits fail it
+  if (result && result.errorCode === 'RATE_LIMITED' && result.rateLimitScope === 'channel') {
+    await updateJob(job, {
+      status: JOB_STATUS.QUEUED,
+      availableAt: result.retryAt
+    });
+    
+    console.log(`[QUEUE] Job ${job.id} rate limited, retrying at ${result.retryAt}`);
+    return;
+  }
+  
+  const failed = !result || result.dispatched === false || result.status === 'failed';
+
+  await updateJob(job, {
+    status: failed ? JOB_STATUS.FAILED : JOB_STATUS.SENT,
+    completedAt: new Date().toISOString(),
+    result: result || null,
+    error: failed ? (result && result.error) || 'Unknown error' : null
+  });
+
+  // Jobs that never reached a channel (or went through a custom processor) are settled here
+  if (job.trackingId) {
+    notificationTracker.recordSendResult(job.trackingId, result);
+  }
+
+  console.log(`[QUEUE] Job ${job.id} ${job.status}`);
+}
+
+/**
+ * Start as many queued jobs as the per-channel limits allow
+ */
+function drainQueue() {
+  if (!workerRunning) return;
+
+  const now = new Date().toISOString();
+  
+  // Oldest jobs first, skipping jobs that are waiting out a rate limit
+  const queued = [...jobs.values()]
+    .filter(job => job.status === JOB_STATUS.QUEUED && (!job.availableAt || job.availableAt <= now))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const job of queued) {
+    const channel = job.type;
+    const active = activeByChannel[channel] || 0;
+
+    if (active >= getConcurrencyLimit(channel)) {
+      continue;
+    }
+
+    activeByChannel[channel] = active + 1;
+
+    // Mark as processing right away so the next drain doesn't pick it up again
+    job.status = JOB_STATUS.PROCESSING;
+
+    const running = processJob(job)
+      .catch(error => {
+        console.error(`[QUEUE] Failed to process job ${job.id}:`, error.message);
+      })
+      .finally(() => {
+        activeByChannel[channel]--;
+        inFlight.delete(running);
+        drainQueue();
+      });
+
+    inFlight.add(running);
+  }
+}
+
+/**
+ * Remove finished jobs older than the retention period
+ *
+ * @param {number} [retention=config.queue.retention] - Retention period in milliseconds
+ * @returns {Promise<number>} - Number of jobs removed
+ */
+async function purgeFinishedJobs(retention = config.queue.retention) {
+  await initQueue();
+
+  const cutoff = Date.now() - retention;
+  let removed = 0;
+
+  for (const job of [...jobs.values()]) {
+    const finished = job.status === JOB_STATUS.SENT || job.status === JOB_STATUS.FAILED;
+
+    if (finished && new Date(job.completedAt).getTime() < cutoff) {
+      jobs.delete(job.id);
+      await store.removeJob(job.id);
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Start the background worker
+ *
+ * @param {Object} [options={}] - Options passed to configureQueue
+ * @returns {Promise<void>} - Resolves once the queue is loaded and the worker is running
+ */
+async function startWorker(options = {}) {
+  configureQueue(options);
+  await initQueue();
+
+  if (workerRunning) return;
+  workerRunning = true;
+
+  // Poll for work; unref() so an idle worker doesn't keep the process alive
+  workerTimer = setInterval(() => {
+    drainQueue();
+    purgeFinishedJobs().catch(error => {
+      console.error('[QUEUE] Failed to purge finished jobs:', error.message);
+    });
+  }, pollInterval);
+  workerTimer.unref();
+
+  console.log('[QUEUE] Worker started');
+  drainQueue();
+}
+
+/**
+ * Stop the background worker, waiting for in-flight jobs to finish
+ *
+ * @returns {Promise<void>}
+ */
+async function stopWorker() {
+  if (!workerRunning) return;
+
+  workerRunning = false;
+  clearInterval(workerTimer);
+  workerTimer = null;
+
+  await Promise.all([...inFlight]);
+  console.log('[QUEUE] Worker stopped');
+}
+
+/**
+ * Check whether the background worker is running
+ *
+ * @returns {boolean} - True if running
+ */
+function isWorkerRunning() {
+  return workerRunning;
+}
+
+module.exports = {
+  JOB_STATUS,
+  configureQueue,
+  initQueue,
+  enqueue,
+  getJobStatus,
+  getQueueStats,
+  purgeFinishedJobs,
+  startWorker,
+  stopWorker,
+  isWorkerRunning
+};
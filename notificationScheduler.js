@@ -0,0 +1,453 @@
+/**
+ * Notification Scheduler
+ *
+ * Holds notifications that should be sent at a future time. Scheduled items
+ * are persisted (file-backed by default, using the same store interface as
+ * the outbound queue) so they survive a process restart. A polling timer
+ * fires each item once it is due:
+ * - 'dispatch' items go through dispatcher.dispatchNotification
+ * - 'user' items go through userNotificationController.sendUserNotification
+ * - 'preference' items go through userNotificationController.sendNotificationByPreference
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const { createFileQueueStore } = require('./stores/fileQueueStore');
+const { createMemoryQueueStore } = require('./stores/memoryQueueStore');
+
+// Scheduled item statuses
+const SCHEDULE_STATUS = {
+  PENDING: 'pending',
+  FIRING: 'firing',
+  SENT: 'sent',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Scheduler state
+let store = null;
+let items = new Map();         // In-memory view of every scheduled item, keyed by id
+let initPromise = null;
+let pollInterval = config.scheduler.pollInterval;
+let schedulerTimer = null;
+let schedulerRunning = false;
+let checking = false;
+
+/**
+ * Configure the scheduler (call before the first schedule or start)
+ *
+ * @param {Object} [options={}] - Scheduler options
+ * @param {Object} [options.store] - Store implementing load, saveJob and removeJob
+ * @param {number} [options.pollInterval] - How often to check for due items, in milliseconds
+ */
+function configureScheduler(options = {}) {
+  if (options.store) {
+    store = options.store;
+    initPromise = null;
+  }
+
+  if (options.pollInterval) pollInterval = options.pollInterval;
+}
+
+/**
+ * Load scheduled items from the store (runs once; later calls share the same promise)
+ *
+ * @returns {Promise<void>}
+ */
+function initScheduler() {
+  if (!initPromise) {
+    initPromise = (async () => {
+      if (!store) {
+        store = config.scheduler.store === 'memory'
+          ? createMemoryQueueStore()
+          : createFileQueueStore({ filePath: config.scheduler.filePath });
+      }
+
+      const storedItems = await store.load();
+      items = new Map();
+
+      for (const item of storedItems) {
+        // An item still marked firing was interrupted by a restart; fire it again
+        if (item.status === SCHEDULE_STATUS.FIRING) {
+          item.status = SCHEDULE_STATUS.PENDING;
+          item.updatedAt = new Date().toISOString();
+          await store.saveJob(item);
+        }
+
+        items.set(item.id, item);
+      }
+    })();
+  }
+
+  return initPromise;
+}
+
+/**
+ * Convert a sendAt value to a Date
+ *
+ * @param {Date|string|number} value - Date, ISO string or epoch milliseconds
+ * @returns {Date|null} - The date, or null if the value is not a valid date
+ */
+function resolveSendAt(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Compute a time before a reference date (e.g. a reminder 24 hours before an appointment)
+ *
+ * @param {Date|string|number} date - The reference date
+ * @param {Object} offset - How long before the date
+ * @param {number} [offset.days=0] - Days before
+ * @param {number} [offset.hours=0] - Hours before
+ * @param {number} [offset.minutes=0] - Minutes before
+ * @returns {Date} - The resulting date
+ * @throws {Error} - If the reference date is invalid
+ */
+function timeBefore(date, offset = {}) {
+  const reference = resolveSendAt(date);
+
+  if (!reference) {
+    throw new Error(`Invalid reference date: ${date}`);
+  }
+
+  const { days = 0, hours = 0, minutes = 0 } = offset;
+  const offsetMs = ((days * 24 + hours) * 60 + minutes) * 60 * 1000;
+
+  return new Date(reference.getTime() - offsetMs);
+}
+
+/**
+ * Store a new scheduled item
+ *
+ * @param {string} target - 'dispatch', 'user' or 'preference'
+ * @param {Object} payload - What to send when the item fires
+ * @param {Date|string|number} sendAt - When to send
+ * @returns {Promise<Object>} - Copy of the scheduled item
+ * @throws {Error} - If sendAt is not a valid date or the item can't be stored
+ */
+async function addItem(target, payload, sendAt) {
+  const when = resolveSendAt(sendAt);
+
+  if (!when) {
+    const error = new Error(`Invalid sendAt value: ${sendAt}`);
+    error.code = 'INVALID_SEND_AT';
+    throw error;
+  }
+
+  await initScheduler();
+
+  const now = new Date().toISOString();
+  const item = {
+    id: `sched-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+    target,
+    payload,
+    sendAt: when.toISOString(),
+    status: SCHEDULE_STATUS.PENDING,
+    createdAt: now,
+    updatedAt: now,
+    firedAt: null,
+    result: null
+  };
+
+  items.set(item.id, item);
+
+  try {
+    await store.saveJob(item);
+  } catch (error) {
+    // An item that wasn't stored isn't scheduled
+    items.delete(item.id);
+    throw error;
+  }
+
+  console.log(`[SCHEDULER] Scheduled ${item.id} for ${item.sendAt}`);
+
+  if (config.scheduler.autoStart && !schedulerRunning) {
+    await startScheduler();
+  }
+
+  return { ...item };
+}
+
+/**
+ * Schedule a notification to be dispatched at a future time
+ *
+ * @param {Object} notification - Notification object ({ type, recipient, message, options })
+ * @param {Date|string|number} sendAt - When to send
+ * @returns {Promise<Object>} - Copy of the scheduled item
+ */
+function scheduleNotification(notification, sendAt) {
+  // The idempotency key belongs to the scheduling call, not to the send when the item fires
+  const { sendAt: _sendAt, delayUntil, idempotencyKey, ...payload } = notification;
+  return addItem('dispatch', payload, sendAt);
+}
+
+/**
+ * Build the stored payload for a user notification (send-time options are dropped)
+ *
+ * @param {string} email - The email address of the user
+ * @param {string} notificationType - The type of notification
+ * @param {Object} dynamicData - Template data
+ * @param {Object} options - Options passed to the controller when the item fires
+ * @returns {Object} - Payload for the scheduled item
+ */
+function buildUserPayload(email, notificationType, dynamicData, options) {
+  const { sendAt, delayUntil, ...sendOptions } = options || {};
+  return { email, notificationType, dynamicData, options: sendOptions };
+}
+
+/**
+ * Schedule a user notification (sendUserNotification) at a future time
+ *
+ * Templates are rendered when the item fires, so preference changes made in
+ * the meantime are respected.
+ *
+ * @param {string} email - The email address of the user
+ * @param {string} notificationType - The type of notification (e.g. 'appointmentReminder')
+ * @param {Object} dynamicData - Template data
+ * @param {Date|string|number} sendAt - When to send
+ * @param {Object} [options={}] - Options passed to sendUserNotification when the item fires
+ * @returns {Promise<Object>} - Copy of the scheduled item
+ */
+function scheduleUserNotification(email, notificationType, dynamicData, sendAt, options = {}) {
+  return addItem('user', buildUserPayload(email, notificationType, dynamicData, options), sendAt);
+}
+
+/**
+ * Schedule a preference-based notification (sendNotificationByPreference) at a future time
+ *
+ * @param {string} email - The email address of the user
+ * @param {string} notificationType - The type of notification
+ * @param {Object} data - Template data
+ * @param {Date|string|number} sendAt - When to send
+ * @param {Object} [options={}] - Options passed to sendNotificationByPreference when the item fires
+ * @returns {Promise<Object>} - Copy of the scheduled item
+ */
+function schedulePreferenceNotification(email, notificationType, data, sendAt, options = {}) {
+  return addItem('preference', buildUserPayload(email, notificationType, data, options), sendAt);
+}
+
+/**
+ * Get a scheduled item by id
+ *
+ * @param {string} id - Scheduled item id
+ * @returns {Promise<Object|null>} - Copy of the item, or null if unknown
+ */
+async function getScheduled(id) {
+  await initScheduler();
+
+  const item = items.get(id);
+  return item ? { ...item } : null;
+}
+
+/**
+ * Cancel a pending scheduled item
+ *
+ * @param {string} id - Scheduled item id
+ * @returns {Promise<Object|null>} - The cancelled item, or null if it is unknown or no longer pending
+ */
+async function cancelScheduled(id) {
+  await initScheduler();
+
+  const item = items.get(id);
+  if (!item || item.status !== SCHEDULE_STATUS.PENDING) {
+    return null;
+  }
+
+  item.status = SCHEDULE_STATUS.CANCELLED;
+  item.updatedAt = new Date().toISOString();
+  await store.saveJob(item);
+
+  console.log(`[SCHEDULER] Cancelled ${id}`);
+  return { ...item };
+}
+
+/**
+ * Move a pending scheduled item to a new time
+ *
+ * @param {string} id - Scheduled item id
+ * @param {Date|string|number} sendAt - The new send time
+ * @returns {Promise<Object|null>} - The updated item, or null if it is unknown or no longer pending
+ * @throws {Error} - If sendAt is not a valid date
+ */
+async function reschedule(id, sendAt) {
+  const when = resolveSendAt(sendAt);
+
+  if (!when) {
+    const error = new Error(`Invalid sendAt value: ${sendAt}`);
+    error.code = 'INVALID_SEND_AT';
+    throw error;
+  }
+
+  await initScheduler();
+
+  const item = items.get(id);
+  if (!item || item.status !== SCHEDULE_STATUS.PENDING) {
+    return null;
+  }
+
+  item.sendAt = when.toISOString();
+  item.updatedAt = new Date().toISOString();
+  await store.saveJob(item);
+
+  console.log(`[SCHEDULER] Rescheduled ${id} for ${item.sendAt}`);
+  return { ...item };
+}
+
+/**
+ * List pending scheduled items, soonest first
+ *
+ * @param {Object} [filter={}] - Optional filters
+ * @param {string} [filter.target] - Only items for this target ('dispatch', 'user' or 'preference')
+ * @param {Date|string|number} [filter.before] - Only items due before this time
+ * @returns {Promise<Object[]>} - Copies of the pending items
+ */
+async function listPending(filter = {}) {
+  await initScheduler();
+
+  const before = resolveSendAt(filter.before);
+
+  return [...items.values()]
+    .filter(item => item.status === SCHEDULE_STATUS.PENDING)
+    .filter(item => !filter.target || item.target === filter.target)
+    .filter(item => !before || new Date(item.sendAt) < before)
+    .sort((a, b) => a.sendAt.localeCompare(b.sendAt))
+    .map(item => ({ ...item }));
+}
+
+/**
+ * Send a due item through its target
+ *
+ * @param {Object} item - The scheduled item
+ * @returns {Promise<void>}
+ */
+async function fireItem(item) {
+  item.status = SCHEDULE_STATUS.FIRING;
+  item.updatedAt = new Date().toISOString();
+  await store.saveJob(item);
+
+  console.log(`[SCHEDULER] Firing ${item.id} (due ${item.sendAt})`);
+
+  let result;
+  try {
+    if (item.target === 'user' || item.target === 'preference') {
+      // Required here to avoid a circular dependency with the controller
+      const controller = require('./controllers/userNotificationController');
+      const { email, notificationType, dynamicData, options } = item.payload;
+      const send = item.target === 'user'
+        ? controller.sendUserNotification
+        : controller.sendNotificationByPreference;
+      result = await send(email, notificationType, dynamicData, options || {});
+    } else {
+      // Required here to avoid a circular dependency with the dispatcher
+      const { dispatchNotification } = require('./dispatcher');
+      result = await dispatchNotification(item.payload);
+    }
+  } catch (error) {
+    result = { success: false, dispatched: false, error: error.message };
+  }
+
+  const failed = !result || result.dispatched === false || result.success === false;
+
+  item.status = failed ? SCHEDULE_STATUS.FAILED : SCHEDULE_STATUS.SENT;
+  item.firedAt = new Date().toISOString();
+  item.updatedAt = item.firedAt;
+  item.result = result || null;
+  await store.saveJob(item);
+}
+
+/**
+ * Fire every pending item that is due and purge old finished items
+ *
+ * @returns {Promise<number>} - Number of items fired
+ */
+async function checkDueItems() {
+  // Skip if the previous check is still sending
+  if (checking) return 0;
+  checking = true;
+
+  try {
+    await initScheduler();
+
+    const now = new Date();
+    const due = await listPending({ before: new Date(now.getTime() + 1) });
+
+    for (const { id } of due) {
+      await fireItem(items.get(id));
+    }
+
+    // Drop finished items once they are past the retention period
+    const cutoff = now.getTime() - config.scheduler.retention;
+    for (const item of [...items.values()]) {
+      const finished = item.status !== SCHEDULE_STATUS.PENDING && item.status !== SCHEDULE_STATUS.FIRING;
+
+      if (finished && new Date(item.updatedAt).getTime() < cutoff) {
+        items.delete(item.id);
+        await store.removeJob(item.id);
+      }
+    }
+
+    return due.length;
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Start the scheduler's polling timer
+ *
+ * @param {Object} [options={}] - Options passed to configureScheduler
+ * @returns {Promise<void>}
+ */
+async function startScheduler(options = {}) {
+  configureScheduler(options);
+  await initScheduler();
+
+  if (schedulerRunning) return;
+  schedulerRunning = true;
+
+  // unref() so a scheduler with nothing due doesn't keep the process alive
+  schedulerTimer = setInterval(() => {
+    checkDueItems().catch(error => {
+      console.error('[SCHEDULER] Failed to check scheduled notifications:', error.message);
+    });
+  }, pollInterval);
+  schedulerTimer.unref();
+
+  console.log('[SCHEDULER] Scheduler started');
+}
+
+/**
+ * Stop the scheduler's polling timer
+ */
+function stopScheduler() {
+  if (!schedulerRunning) return;
+
+  schedulerRunning = false;
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+
+  console.log('[SCHEDULER] Scheduler stopped');
+}
+
+module.exports = {
+  SCHEDULE_STATUS,
+  configureScheduler,
+  initScheduler,
+  resolveSendAt,
+  timeBefore,
+  scheduleNotification,
+  scheduleUserNotification,
+  schedulePreferenceNotification,
+  getScheduled,
+  cancelScheduled,
+  reschedule,
+  listPending,
+  checkDueItems,
+  startScheduler,
+  stopScheduler
+};
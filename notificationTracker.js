@@ -2,21 +2,158 @@
  * Notification tracking utility
  * 
  * This module provides functionality for tracking notification events
- * across different channels and storing them to a file.
+ * across different channels and storing them for later lookup.
+ *
+ * Each tracked notification moves through a delivery lifecycle:
+ *
+ *   queued -> sent -> delivered -> opened -> clicked
+ *                 \-> bounced
+ *   (any step before delivery) -> failed
+ *
+ * Every transition is recorded with its timestamp in the notification's
+ * `history`. The dispatcher and the queue record notifications as queued and
+ * report the outcome of each send through recordSendResult. Provider callbacks
+ * (Twilio status callbacks, email bounce and engagement events) report later
+ * transitions through updateNotificationStatus.
+ *
+ * Records are kept in a pluggable store (JSON lines by default, see stores/)
+ * and expire after the configured retention period.
  */
 
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const { createJsonLinesTrackerStore } = require('./stores/jsonLinesTrackerStore');
+const { createMemoryTrackerStore } = require('./stores/memoryTrackerStore');
 
-// Define the file path for storing notifications
-const NOTIFICATION_FILE = 'sent_notifications.json';
+// Page size limits for queryNotifications
+const DEFAULT_QUERY_LIMIT = 50;
+const MAX_QUERY_LIMIT = 500;
+
+// Lifecycle statuses
+const NOTIFICATION_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  BOUNCED: 'bounced',
+  OPENED: 'opened',
+  CLICKED: 'clicked',
+  FAILED: 'failed'
+};
+
+// Statuses each status may move to. Bounced, failed and clicked are final.
+const ALLOWED_TRANSITIONS = {
+  queued: ['sent', 'delivered', 'bounced', 'failed'],
+  sent: ['delivered', 'bounced', 'opened', 'clicked', 'failed'],
+  delivered: ['opened', 'clicked', 'bounced'],
+  opened: ['clicked'],
+  clicked: [],
+  bounced: [],
+  failed: []
+};
+
+// Twilio MessageStatus values mapped to lifecycle statuses
+// (accepted/queued/sending add nothing to what we already know)
+const TWILIO_STATUS_MAP = {
+  sent: 'sent',
+  delivered: 'delivered',
+  undelivered: 'bounced',
+  failed: 'failed',
+  read: 'opened'
+};
+
+// Email provider event names mapped to lifecycle statuses
+const EMAIL_EVENT_MAP = {
+  delivered: 'delivered',
+  delivery: 'delivered',
+  bounce: 'bounced',
+  bounced: 'bounced',
+  open: 'opened',
+  opened: 'opened',
+  click: 'clicked',
+  clicked: 'clicked',
+  dropped: 'failed',
+  failed: 'failed'
+};
+
+// Tracker state
+let store = null;
+let notifications = null;      // In-memory view of every record, keyed by notificationId
+let retention = config.tracker.retention;
+let maxMessageLength = config.tracker.maxMessageLength;
+
+/**
+ * Create the store named in the tracker configuration
+ *
+ * @returns {Object} - Tracker store
+ */
+function createDefaultStore() {
+  return config.tracker.store === 'memory'
+    ? createMemoryTrackerStore()
+    : createJsonLinesTrackerStore();
+}
+
+/**
+ * Configure the tracker
+ *
+ * @param {Object} [options={}] - Tracker options
+ * @param {Object} [options.store] - Tracker store implementing load, saveNotification and removeNotifications
+ * @param {number} [options.retention] - How long to keep records, in milliseconds
+ * @param {number} [options.maxMessageLength] - Messages longer than this are truncated
+ */
+function configureTracker(options = {}) {
+  if (options.store) {
+    store = options.store;
+    notifications = null;
+  }
+
+  if (options.retention) retention = options.retention;
+  if (options.maxMessageLength) maxMessageLength = options.maxMessageLength;
+}
+
+/**
+ * Load the tracked notifications from the store (once), dropping expired ones
+ *
+ * @returns {Map} - Records keyed by notificationId
+ */
+function getRecords() {
+  if (!notifications) {
+    if (!store) {
+      store = createDefaultStore();
+    }
+
+    notifications = new Map();
+    store.load().forEach(record => notifications.set(record.notificationId, record));
+
+    purgeExpiredNotifications();
+  }
+
+  return notifications;
+}
+
+/**
+ * Generate a unique notification id
+ *
+ * @returns {string} - Notification id
+ */
+function generateNotificationId() {
+  return `ntf-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Check if a status is one of the lifecycle statuses
+ *
+ * @param {string} status - Status to check
+ * @returns {boolean} - True if valid
+ */
+function isValidStatus(status) {
+  return Object.values(NOTIFICATION_STATUS).includes(status);
+}
 
 /**
  * Track a notification event
  * 
- * This function logs notification data to the console and writes it to a file.
- * If the file doesn't exist, it creates it with an initial empty array.
- * Each notification is assigned a unique notificationId based on the current timestamp.
+ * This function logs notification data to the console and saves it to the tracker store.
+ * Each notification is assigned a unique notificationId.
  * If timestamp is not provided, it automatically generates one.
  * 
  * @param {Object} notificationData - The notification data to track
@@ -24,25 +161,32 @@ const NOTIFICATION_FILE = 'sent_notifications.json';
  * @param {string} notificationData.channel - The channel the notification was sent on (e.g., 'email', 'sms')
  * @param {string} notificationData.message - The message content or a reference to it
  * @param {string} notificationData.recipient - The contact detail the message was sent to (e.g., email address, phone number)
- * @param {string} notificationData.status - The status of the notification ('sent' or 'failed')
+ * @param {string} notificationData.status - The initial lifecycle status (usually 'queued', 'sent' or 'failed')
  * @param {string|number} [notificationData.timestamp] - The timestamp when the notification was sent (optional, generated if not provided)
+ * @param {string} [notificationData.providerMessageId] - The provider's id for the message (Twilio SID, email Message-ID), used to match callbacks
  * @param {Object} [notificationData.metadata] - Optional object containing additional key-value pairs (e.g., orderId, priority)
- * @returns {void}
+ * @returns {Object|null} - The tracked notification, or null if the status is invalid
  */
-function trackNotification({ userId, channel, message, recipient, status, timestamp, metadata }) {
-    // Generate a unique notification ID using current timestamp
-  const notificationId = Date.now();
+function trackNotification({ userId, channel, message, recipient, status, timestamp, providerMessageId, metadata }) {
+  if (!isValidStatus(status)) {
+    console.error(`Invalid notification status: ${status}. Expected one of: ${Object.values(NOTIFICATION_STATUS).join(', ')}`);
+    return null;
+  }
+
+  const notificationId = generateNotificationId();
   
-  // Use provided timestamp or generate one if not provided
-  const notificationTimestamp = timestamp || new Date().toISOString();
+  // Use provided timestamp or generate one if not provided (stored as ISO so records sort and filter by time)
+  const providedTime = timestamp !== undefined && timestamp !== null ? new Date(timestamp) : null;
+  const notificationTimestamp = providedTime && !isNaN(providedTime.getTime())
+    ? providedTime.toISOString()
+    : new Date().toISOString();
   
-  // Check if message exceeds character limit and needs truncation
-  const MESSAGE_CHAR_LIMIT = 100;
+  // Only very long messages are truncated, so support staff can see what was actually sent
   let truncated = false;
   let processedMessage = message;
   
-  if (message && message.length > MESSAGE_CHAR_LIMIT) {
-    processedMessage = message.substring(0, MESSAGE_CHAR_LIMIT);
+  if (message && message.length > maxMessageLength) {
+    processedMessage = message.substring(0, maxMessageLength);
     truncated = true;
   }
   
@@ -53,9 +197,15 @@ function trackNotification({ userId, channel, message, recipient, status, timest
     channel,
     message: processedMessage,
     recipient, // The contact detail the message was sent to
-    status, // This should be either 'sent' or 'failed'
-    timestamp: notificationTimestamp
+    status, // Current lifecycle status
+    timestamp: notificationTimestamp,
+    updatedAt: notificationTimestamp,
+    history: [{ status, timestamp: notificationTimestamp }]
   };
+
+  if (providerMessageId) {
+    notification.providerMessageId = providerMessageId;
+  }
   
   // Add truncation indicator if message was shortened
   if (truncated) {
@@ -67,57 +217,348 @@ function trackNotification({ userId, channel, message, recipient, status, timest
     notification.metadata = metadata;
   }
     
-    // Log to console for debugging
-  console.log(notification);
+  // Log the id only; the message may hold codes or links
+  console.log(`Tracking ${channel} notification ${notificationId} as ${status}`);
   
-  // Store the notification in the file, with robust error handling
+  // Storage errors are logged by the store, not thrown
+  getRecords().set(notificationId, notification);
+  store.saveNotification(notification);
+
+  return { ...notification };
+}
+
+/**
+ * Get a tracked notification by id
+ *
+ * @param {string} notificationId - The notification id
+ * @returns {Object|null} - The notification, or null if not found
+ */
+function getNotification(notificationId) {
+  const notification = getRecords().get(notificationId);
+  return notification ? { ...notification } : null;
+}
+
+/**
+ * Find a tracked notification by the provider's message id
+ *
+ * @param {string} providerMessageId - Twilio SID, email Message-ID, etc.
+ * @returns {Object|null} - The notification, or null if not found
+ */
+function findByProviderMessageId(providerMessageId) {
+  if (!providerMessageId) {
+    return null;
+  }
+
+  const notification = [...getRecords().values()].find(entry => entry.providerMessageId === providerMessageId);
+  return notification ? { ...notification } : null;
+}
+
+/**
+ * Move a tracked notification to a new lifecycle status
+ *
+ * The transition is appended to the notification's history. Transitions that
+ * go backwards (e.g. a 'delivered' callback arriving after 'opened') or leave
+ * a final status are ignored, since providers don't guarantee callback order.
+ *
+ * @param {string} notificationId - The notification id
+ * @param {string} status - The new status
+ * @param {Object} [details={}] - Extra information about the transition (error code, bounce reason, clicked URL...)
+ * @param {string} [details.timestamp] - When the transition happened (defaults to now)
+ * @param {string} [details.providerMessageId] - The provider's id for the message, stored on the notification
+ * @returns {Object|null} - The updated notification (unchanged if the transition was ignored), or null if not found or the status is invalid
+ */
+function updateNotificationStatus(notificationId, status, details = {}) {
+  if (!isValidStatus(status)) {
+    console.error(`Invalid notification status: ${status}. Expected one of: ${Object.values(NOTIFICATION_STATUS).join(', ')}`);
+    return null;
+  }
+
+  const notification = getRecords().get(notificationId);
+
+  if (!notification) {
+    console.error(`Notification not found: ${notificationId}`);
+    return null;
+  }
+
+  const allowed = ALLOWED_TRANSITIONS[notification.status] || [];
+  if (!allowed.includes(status)) {
+    console.log(`Ignoring ${notification.status} -> ${status} transition for notification ${notificationId}`);
+    return { ...notification };
+  }
+
+  const { timestamp, providerMessageId, ...transitionDetails } = details || {};
+  const transitionTimestamp = timestamp || new Date().toISOString();
+
+  const transition = { status, timestamp: transitionTimestamp };
+  if (Object.keys(transitionDetails).length > 0) {
+    transition.details = transitionDetails;
+  }
+
+  notification.status = status;
+  notification.updatedAt = transitionTimestamp;
+  if (providerMessageId) {
+    notification.providerMessageId = providerMessageId;
+  }
+  notification.history = [...notification.history, transition];
+
+  console.log(`Notification ${notificationId} is now ${status}`);
+  store.saveNotification(notification);
+
+  return { ...notification };
+}
+
+/**
+ * Record the outcome of a send on a queued notification
+ *
+ * A notification that has already moved on is left alone, so the queue worker
+ * can report a job's outcome even when the dispatcher already recorded it.
+ * The provider's message id (messageId, or sid for Twilio) is kept so status
+ * callbacks can find the notification.
+ *
+ * @param {string} notificationId - The notification id
+ * @param {Object|null} result - The dispatcher or channel result ({ status, dispatched, messageId, sid, error, errorCode })
+ * @returns {Object|null} - The notification, or null if not found
+ */
+function recordSendResult(notificationId, result) {
+  const notification = getRecords().get(notificationId);
+
+  if (!notification || notification.status !== NOTIFICATION_STATUS.QUEUED) {
+    return notification ? { ...notification } : null;
+  }
+
+  const failed = !result || result.dispatched === false || result.status === 'failed';
+
+  if (!failed) {
+    return updateNotificationStatus(notificationId, NOTIFICATION_STATUS.SENT, {
+      providerMessageId: result.messageId || result.sid || undefined
+    });
+  }
+
+  const details = {};
+  if (result && result.error) details.error = result.error;
+  if (result && result.errorCode) details.errorCode = result.errorCode;
+
+  return updateNotificationStatus(notificationId, NOTIFICATION_STATUS.FAILED, details);
+}
+
+/**
+ * Parse a query date bound
+ *
+ * @param {Date|string|number} value - Date, ISO string or epoch milliseconds
+ * @param {string} name - Parameter name, for the error message
+ * @returns {number|null} - Epoch milliseconds, or null if not given
+ * @throws {Error} - If the value is not a valid date
+ */
+function parseDateBound(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const time = new Date(value).getTime();
+  if (isNaN(time)) {
+    const error = new Error(`Invalid '${name}' date: ${value}`);
+    error.code = 'INVALID_DATE_RANGE';
+    throw error;
+  }
+
+  return time;
+}
+
+/**
+ * Encode the position after a record as an opaque cursor
+ *
+ * @param {Object} record - Last record of a page
+ * @returns {string} - Cursor
+ */
+function encodeCursor(record) {
+  return Buffer.from(JSON.stringify([record.timestamp, record.notificationId])).toString('base64url');
+}
+
+/**
+ * Decode a cursor returned by queryNotifications
+ *
+ * @param {string} cursor - Cursor
+ * @returns {Object} - { timestamp, notificationId }
+ * @throws {Error} - If the cursor is malformed
+ */
+function decodeCursor(cursor) {
   try {
-    let notifications = [];
-    
-    // File operations wrapped in try/catch
-    try {
-      // Check if file exists
-      if (fs.existsSync(NOTIFICATION_FILE)) {
-        // Read existing notifications
-        const fileContent = fs.readFileSync(NOTIFICATION_FILE, 'utf8');
-        // Parse the file content (potential JSON parse error)
-        notifications = JSON.parse(fileContent);
-        
-        // Validate that we got an array
-        if (!Array.isArray(notifications)) {
-          console.error('Error: notification file does not contain an array');
-          notifications = []; // Reset to empty array
-        }
-      }
-      
-      // Add new notification
-      notifications.push(notification);
-
-      // Limit to the most recent 100 notifications
-      const MAX_NOTIFICATIONS = 3;
-      if (notifications.length > MAX_NOTIFICATIONS) {
-        // Remove oldest entries (from the beginning of the array)
-        const excessEntries = notifications.length - MAX_NOTIFICATIONS;
-        notifications = notifications.slice(excessEntries);
-        console.log(`Trimmed ${excessEntries} oldest notification(s) to maintain the 3 entry limit`);
-      }
-      
-      // Write back to file
-      fs.writeFileSync(NOTIFICATION_FILE, JSON.stringify(notifications, null, 2), 'utf8');
-    } catch (fileError) {
-      // Handle specific file operation errors
-      if (fileError instanceof SyntaxError) {
-        console.error('Error parsing notification file JSON:', fileError);
-      } else {
-        console.error('Error accessing or writing to notification file:', fileError);
-      }
-      // Continue execution without throwing
+    const [timestamp, notificationId] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (typeof timestamp !== 'string' || typeof notificationId !== 'string') {
+      throw new Error('Unexpected cursor contents');
     }
-  } catch (error) {
-    // Catch any other unexpected errors
-    console.error('Unexpected error during notification storage:', error);
-    // Function continues execution
+
+    return { timestamp, notificationId };
+  } catch (parseError) {
+    const error = new Error(`Invalid cursor: ${cursor}`);
+    error.code = 'INVALID_CURSOR';
+    throw error;
   }
+}
+
+/**
+ * Compare records newest first (ties broken by id so paging is stable)
+ *
+ * @param {Object} a - Record
+ * @param {Object} b - Record
+ * @returns {number} - Sort order
+ */
+function compareNewestFirst(a, b) {
+  if (a.timestamp !== b.timestamp) {
+    return a.timestamp < b.timestamp ? 1 : -1;
   }
+  return a.notificationId < b.notificationId ? 1 : a.notificationId > b.notificationId ? -1 : 0;
+}
+
+/**
+ * Look up tracked notifications, newest first
+ *
+ * Pass the returned nextCursor back as `cursor` to get the following page;
+ * nextCursor is null on the last page.
+ *
+ * @param {Object} [filters={}] - Query filters
+ * @param {string} [filters.userId] - Only notifications for this user
+ * @param {string} [filters.channel] - Only this channel ('email', 'sms', ...)
+ * @param {string|string[]} [filters.status] - Only these lifecycle statuses
+ * @param {Date|string|number} [filters.from] - Only notifications tracked at or after this time
+ * @param {Date|string|number} [filters.to] - Only notifications tracked before this time
+ * @param {number} [filters.limit=50] - Page size (at most 500)
+ * @param {string} [filters.cursor] - Cursor from a previous page
+ * @returns {Object} - { notifications, nextCursor }
+ * @throws {Error} - INVALID_DATE_RANGE or INVALID_CURSOR for malformed filters
+ */
+function queryNotifications({ userId, channel, status, from, to, limit = DEFAULT_QUERY_LIMIT, cursor } = {}) {
+  const fromTime = parseDateBound(from, 'from');
+  const toTime = parseDateBound(to, 'to');
+  const after = cursor ? decodeCursor(cursor) : null;
+  const statuses = status ? [].concat(status) : null;
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+
+  const matches = [...getRecords().values()]
+    .filter(record => {
+      const time = new Date(record.timestamp).getTime();
+
+      if (userId !== undefined && record.userId !== userId) return false;
+      if (channel && record.channel !== channel) return false;
+      if (statuses && !statuses.includes(record.status)) return false;
+      if (fromTime !== null && time < fromTime) return false;
+      if (toTime !== null && time >= toTime) return false;
+
+      // Skip everything up to and including the last record of the previous page
+      if (after && compareNewestFirst(record, after) <= 0) return false;
+
+      return true;
+    })
+    .sort(compareNewestFirst);
+
+  const page = matches.slice(0, pageSize);
+
+  return {
+    notifications: page.map(record => ({ ...record })),
+    nextCursor: matches.length > pageSize ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+/**
+ * Remove notifications older than the retention period
+ *
+ * @param {number} [retentionPeriod] - Retention period in milliseconds (defaults to the configured retention)
+ * @returns {number} - Number of notifications removed
+ */
+function purgeExpiredNotifications(retentionPeriod = retention) {
+  const records = getRecords();
+  const cutoff = Date.now() - retentionPeriod;
+
+  const expired = [...records.values()]
+    .filter(record => new Date(record.updatedAt || record.timestamp).getTime() < cutoff)
+    .map(record => record.notificationId);
+
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  expired.forEach(id => records.delete(id));
+  store.removeNotifications(expired);
+
+  console.log(`Purged ${expired.length} notification(s) older than the retention period`);
+  return expired.length;
+}
+
+/**
+ * Apply a Twilio SMS status callback
+ *
+ * Pass the parsed form body Twilio posts to your StatusCallback URL.
+ *
+ * @param {Object} callback - Twilio callback parameters
+ * @param {string} callback.MessageSid - The message SID
+ * @param {string} callback.MessageStatus - Twilio message status (sent, delivered, undelivered, failed, read...)
+ * @param {string} [callback.ErrorCode] - Twilio error code for undelivered/failed messages
+ * @returns {Object|null} - The updated notification, or null if unknown or the status is not tracked
+ */
+function handleTwilioStatusCallback(callback = {}) {
+  const status = TWILIO_STATUS_MAP[String(callback.MessageStatus || '').toLowerCase()];
+
+  if (!status) {
+    return null;
+  }
+
+  const notification = findByProviderMessageId(callback.MessageSid);
+  if (!notification) {
+    console.error(`No tracked notification for Twilio message: ${callback.MessageSid}`);
+    return null;
+  }
+
+  const details = { provider: 'twilio', providerStatus: callback.MessageStatus };
+  if (callback.ErrorCode) {
+    details.errorCode = callback.ErrorCode;
+  }
+
+  return updateNotificationStatus(notification.notificationId, status, details);
+}
+
+/**
+ * Apply an email delivery event (delivery, bounce, open, click) from the email provider
+ *
+ * @param {Object} event - Normalized email event
+ * @param {string} event.messageId - The Message-ID returned when the email was sent
+ * @param {string} event.event - Event name ('delivered', 'bounce', 'open', 'click', 'dropped'...)
+ * @param {string} [event.reason] - Bounce or drop reason
+ * @param {string} [event.url] - Clicked URL
+ * @param {string} [event.timestamp] - When the event happened
+ * @returns {Object|null} - The updated notification, or null if unknown or the event is not tracked
+ */
+function handleEmailEvent(event = {}) {
+  const status = EMAIL_EVENT_MAP[String(event.event || '').toLowerCase()];
+
+  if (!status) {
+    return null;
+  }
+
+  const notification = findByProviderMessageId(event.messageId);
+  if (!notification) {
+    console.error(`No tracked notification for email message: ${event.messageId}`);
+    return null;
+  }
+
+  const details = { provider: 'email', providerStatus: event.event };
+  if (event.reason) details.reason = event.reason;
+  if (event.url) details.url = event.url;
+  if (event.timestamp) details.timestamp = event.timestamp;
+
+  return updateNotificationStatus(notification.notificationId, status, details);
+}
 
-module.exports = { trackNotification };
+module.exports = {
+  NOTIFICATION_STATUS,
+  configureTracker,
+  trackNotification,
+  getNotification,
+  findByProviderMessageId,
+  updateNotificationStatus,
+  recordSendResult,
+  queryNotifications,
+  purgeExpiredNotifications,
+  handleTwilioStatusCallback,
+  handleEmailEvent
+};
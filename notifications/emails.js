@@ -5,9 +5,13 @@
  * using Nodemailer with environment-based configuration
  */
 
+const fs = require('fs');
+const path = require('path');
 const nodemailer = require('nodemailer');
+const { detectMimeType } = require('nodemailer/lib/mime-funcs');
 const config = require('../config.js');
 const { isValidEmail, isNotEmpty } = require('../utilities/validators');
+const { inlineCss, htmlToText } = require('../utilities/html');
 
 const errorHandler = require('../error-handler');
 const logger = require('../logger.js').createTypedLogger('email');
@@ -17,23 +21,236 @@ const { withErrorHandling } = require('../error-handler');
 // Validate email configuration on module load
 // config.validateConfig();
 
-// Create transporter based on environment (mock or real)
-let transporter;
+// Nodemailer transport, created lazily on the first real send
+let transporter = null;
 
-// Initialize email transport
+// Emails "sent" in mock mode, newest last (see getMockOutbox)
+const MOCK_OUTBOX_LIMIT = 100;
+const mockOutbox = [];
+
+// Streams can only be read once, so their content is kept for retries
+const bufferedStreams = new WeakMap();
+
+/**
+ * Create a nodemailer SMTP transport from the email configuration
+ * 
+ * @returns {Object} - Nodemailer transport instance
+ */
 function initTransporter() {
-  if (process.env.EMAIL_MODE === 'mock' || config.isDev) {
-    console.log('📧 Using mock email transport in development mode');
-    return null; // No actual transporter needed for mock
-  } else {
-    // Create real nodemailer transport with configs from environment
-    return nodemailer.createTransport({
-      host: config.email.host,
-      port: config.email.port,
-      secure: config.email.secure,
-      auth: config.email.auth
+  const transportOptions = {
+    host: config.email.host,
+    port: config.email.port,
+    secure: config.email.secure
+  };
+  
+  // Only authenticate when credentials are configured (local relays often don't need them)
+  if (config.email.auth.user) {
+    transportOptions.auth = config.email.auth;
+  }
+  
+  return nodemailer.createTransport(transportOptions);
+}
+
+/**
+ * Get the shared SMTP transport, creating it if needed
+ * 
+ * @returns {Object} - Nodemailer transport instance
+ */
+function getTransporter() {
+  if (!transporter) {
+    transporter = initTransporter();
+  }
+  
+  return transporter;
+}
+
+/**
+ * Close the shared SMTP transport (e.g. on shutdown or between tests)
+ */
+function closeTransporter() {
+  if (transporter) {
+    transporter.close();
+    transporter = null;
+  }
+}
+
+/**
+ * Convert a plain-text message into a minimal HTML body
+ * 
+ * @param {string} text - Plain-text message
+ * @returns {string} - HTML-escaped message with line breaks preserved
+ */
+function textToHtml(text) {
+  const escaped = String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+  
+  return `<p>${escaped.replace(/\r?\n/g, '<br>')}</p>`;
+}
+
+/**
+ * Wrap a nodemailer error so the SMTP details survive error handling
+ * 
+ * @param {Error} error - Error thrown by nodemailer
+ * @returns {Error} - Error with code, providerCode and responseCode set
+ */
+function createSmtpError(error) {
+  const smtpError = new Error(`Failed to send email: ${error.message}`);
+  smtpError.code = 'EMAIL_SEND_FAILED';
+  smtpError.providerCode = error.code;          // Nodemailer code, e.g. EAUTH, ECONNECTION, EENVELOPE
+  smtpError.responseCode = error.responseCode;  // SMTP reply code, e.g. 550
+  smtpError.originalError = error;
+  
+  return smtpError;
+}
+
+/**
+ * Create an attachment validation error
+ * 
+ * @param {string} message - Error message
+ * @param {string} [code='INVALID_ATTACHMENT'] - Error code
+ * @returns {Error} - Error with code set
+ */
+function createAttachmentError(message, code = 'INVALID_ATTACHMENT') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Read a stream into a buffer, giving up once it grows past a size limit
+ * 
+ * @param {Object} stream - Readable stream
+ * @param {number} limit - Maximum number of bytes to read
+ * @returns {Promise<Buffer>} - Stream content (longer than limit if the limit was hit)
+ */
+function readStream(stream, limit) {
+  if (!bufferedStreams.has(stream)) {
+    bufferedStreams.set(stream, new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      
+      stream.on('data', chunk => {
+        chunks.push(Buffer.from(chunk));
+        size += chunk.length;
+        
+        if (size > limit) {
+          stream.destroy();
+          resolve(Buffer.concat(chunks));
+        }
+      });
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+      stream.on('error', reject);
+    }));
+  }
+  
+  return bufferedStreams.get(stream);
+}
+
+/**
+ * Validate attachments and turn them into nodemailer attachments
+ * 
+ * An attachment is a file path, or an object with a `path` or `content`
+ * (string, Buffer or readable stream). Attachments with a `cid` are inline
+ * images, referenced from the HTML as <img src="cid:...">. Streams are read
+ * into memory so their size can be checked against the limit.
+ * 
+ * @param {Array<string|Object>} attachments - Attachments from options.attachments
+ * @param {number} [maxSize=config.email.maxAttachmentSize] - Maximum total size in bytes
+ * @returns {Promise<Object>} - { attachments, metadata } where metadata lists
+ *   { filename, contentType, size, cid, inline } for each attachment
+ */
+async function prepareAttachments(attachments, maxSize = config.email.maxAttachmentSize) {
+  if (!Array.isArray(attachments)) {
+    throw createAttachmentError('Email attachments must be an array');
+  }
+  
+  const prepared = [];
+  const metadata = [];
+  let totalSize = 0;
+  
+  for (const [index, entry] of attachments.entries()) {
+    if (!entry || typeof entry !== 'object' && typeof entry !== 'string') {
+      throw createAttachmentError(`Attachment #${index + 1} must be a file path or an object`);
+    }
+    
+    const attachment = typeof entry === 'string' ? { path: entry } : { ...entry };
+    const label = attachment.filename || attachment.path || `#${index + 1}`;
+    
+    if (Boolean(attachment.path) === (attachment.content !== undefined && attachment.content !== null)) {
+      throw createAttachmentError(`Attachment ${label} needs either a path or content`);
+    }
+    
+    let size;
+    if (attachment.path) {
+      try {
+        const stats = await fs.promises.stat(attachment.path);
+        if (!stats.isFile()) {
+          throw createAttachmentError(`Attachment ${label} is not a file`);
+        }
+        size = stats.size;
+      } catch (error) {
+        throw error.code === 'INVALID_ATTACHMENT'
+          ? error
+          : createAttachmentError(`Attachment file not found: ${attachment.path}`);
+      }
+      
+      attachment.filename = attachment.filename || path.basename(attachment.path);
+    } else {
+      if (!attachment.filename) {
+        throw createAttachmentError(`Attachment #${index + 1} needs a filename`);
+      }
+      
+      if (typeof attachment.content.pipe === 'function') {
+        attachment.content = await readStream(attachment.content, maxSize - totalSize);
+      }
+      
+      if (typeof attachment.content === 'string') {
+        size = Buffer.byteLength(attachment.content, attachment.encoding || 'utf8');
+      } else if (Buffer.isBuffer(attachment.content)) {
+        size = attachment.content.length;
+      } else {
+        throw createAttachmentError(`Attachment ${label} content must be a string, Buffer or stream`);
+      }
+    }
+    
+    totalSize += size;
+    if (totalSize > maxSize) {
+      throw createAttachmentError(
+        `Email attachments exceed the ${maxSize} byte limit (at ${label})`, 'ATTACHMENT_TOO_LARGE');
+    }
+    
+    attachment.contentType = attachment.contentType || detectMimeType(attachment.filename);
+    prepared.push(attachment);
+    metadata.push({
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      size,
+      cid: attachment.cid || null,
+      inline: Boolean(attachment.cid)
     });
   }
+  
+  return { attachments: prepared, metadata };
+}
+
+/**
+ * Get the emails recorded in mock mode (oldest first, at most the last 100)
+ * 
+ * @returns {Object[]} - { messageId, from, to, subject, text, html, attachments, timestamp } for each email
+ */
+function getMockOutbox() {
+  return mockOutbox.map(entry => ({ ...entry, attachments: entry.attachments.map(attachment => ({ ...attachment })) }));
+}
+
+/**
+ * Empty the mock outbox (e.g. between tests)
+ */
+function clearMockOutbox() {
+  mockOutbox.length = 0;
 }
 
 // Mock implementation for sending emails (for development/testing)
@@ -54,6 +271,24 @@ function sendEmailMock(to, subject, body, options = {}) {
   });
 }
 
+/**
+ * Options as written to the log, with attachment contents left out
+ * 
+ * @param {Object} options - Email options
+ * @param {Object[]} [metadata] - Attachment metadata from prepareAttachments
+ * @returns {Object} - Options safe to serialize
+ */
+function toLogOptions(options, metadata) {
+  if (!options.attachments) {
+    return options;
+  }
+  
+  const attachments = metadata || [].concat(options.attachments).map(attachment =>
+    typeof attachment === 'string' ? attachment : (attachment && (attachment.filename || attachment.path)) || null);
+  
+  return { ...options, attachments };
+}
+
 /**
  * Validates email input parameters
  * 
@@ -102,6 +337,13 @@ function validateEmailInput(to, subject, body) {
  * @param {string} recipient - Email address of the recipient
  * @param {string} message - The message to be sent
  * @param {Object} options - Additional options for the email
+ * @param {string} [options.subject='Notification'] - Email subject line
+ * @param {string} [options.html] - HTML body (defaults to an HTML version of the message); its CSS is inlined
+ *   and it is sent with the message as the plain-text alternative (generated from the HTML if the message is empty)
+ * @param {string} [options.from] - Sender address (defaults to EMAIL_FROM)
+ * @param {Array<string|Object>} [options.attachments] - File paths or { filename, path | content, contentType, cid }
+ *   objects; content can be a string, Buffer or stream, and a cid makes the attachment an inline image.
+ *   The total size is limited by EMAIL_MAX_ATTACHMENT_SIZE
  * @returns {Promise<Object>} - Promise resolving to the result of the operation
  */
 async function sendEmail(recipient, message, options = {}) {
@@ -110,13 +352,34 @@ async function sendEmail(recipient, message, options = {}) {
     const isMock = process.env.EMAIL_MOCK_MODE === 'true' || options.mockMode === true;
     
     // Log the attempt
-    logger.logAttempt(recipient, message, options, isMock);
+    logger.logAttempt(recipient, message, toLogOptions(options), isMock);
     
     // Simulate potential errors (for demonstration)
     if (recipient.includes('error') || (options.simulateError === true)) {
       throw new Error('Simulated email sending failure');
     }
     
+    const mailOptions = {
+      from: options.from || config.email.defaultFrom,
+      to: recipient,
+      subject: options.subject || 'Notification',
+      // text + html makes nodemailer send multipart/alternative
+      text: message || htmlToText(options.html),
+      html: options.html ? inlineCss(options.html) : textToHtml(message)
+    };
+    
+    if (options.cc) mailOptions.cc = options.cc;
+    if (options.bcc) mailOptions.bcc = options.bcc;
+    if (options.replyTo) mailOptions.replyTo = options.replyTo;
+    
+    // Attachments are validated in mock mode too, so size limits show up before going live
+    let attachmentMetadata = [];
+    if (options.attachments && options.attachments.length > 0) {
+      const prepared = await prepareAttachments(options.attachments);
+      mailOptions.attachments = prepared.attachments;
+      attachmentMetadata = prepared.metadata;
+    }
+    
     // For mock mode, don't actually try to send
     if (isMock) {
       // Log success with mock flag
@@ -130,41 +393,61 @@ async function sendEmail(recipient, message, options = {}) {
         isMock: true
       };
       
+      if (attachmentMetadata.length > 0) result.attachments = attachmentMetadata;
+      
+      mockOutbox.push({
+        messageId: result.messageId,
+        from: mailOptions.from,
+        to: recipient,
+        subject: mailOptions.subject,
+        text: mailOptions.text,
+        html: mailOptions.html,
+        attachments: attachmentMetadata,
+        timestamp: result.timestamp
+      });
+      if (mockOutbox.length > MOCK_OUTBOX_LIMIT) mockOutbox.shift();
+      
       // Log the sent notification with mock flag
-      logger.logSent(recipient, message, options, true, {
+      logger.logSent(recipient, message, toLogOptions(options, attachmentMetadata), true, {
         messageId: result.messageId
       });
       
       return result;
     }
     
-    // In a real implementation, this would use an email service/library
-    // Such as nodemailer, sendgrid, AWS SES, etc.
-    
-    // Simulate a delay that might happen with real email sending
-    if (options.delay) {
-      await new Promise(resolve => setTimeout(resolve, options.delay));
+    // Send through the SMTP transport
+    let info;
+    try {
+      info = await getTransporter().sendMail(mailOptions);
+    } catch (error) {
+      throw createSmtpError(error);
     }
     
-    // Return a response like a real email API might
+    // Return the SMTP server's response
     const result = {
       type: 'email',
       recipient,
       message: message.length > 30 ? `${message.substring(0, 30)}...` : message,
-      messageId: `email-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+      messageId: info.messageId,
+      response: info.response,
+      accepted: info.accepted,
+      rejected: info.rejected,
       timestamp: new Date(),
       status: 'sent'
     };
     
+    if (attachmentMetadata.length > 0) result.attachments = attachmentMetadata;
+    
     // Log the successful send
-    logger.logSent(recipient, message, options, false, {
-      messageId: result.messageId
+    logger.logSent(recipient, message, toLogOptions(options, attachmentMetadata), false, {
+      messageId: result.messageId,
+      smtpResponse: info.response
     });
     
     return result;
   } catch (error) {
     // Log the failure
-    logger.logFailed(recipient, message, error, options, 
+    logger.logFailed(recipient, message, error, toLogOptions(options), 
                      process.env.EMAIL_MOCK_MODE === 'true' || options.mockMode === true);
     
     // Let the error propagate to be handled by the error handler wrapper
@@ -206,5 +489,9 @@ module.exports = {
   sendEmail,
   send,
   validateEmailInput,  // Export the validation function for testing
-  sendEmailMock
+  sendEmailMock,
+  prepareAttachments,
+  getMockOutbox,
+  clearMockOutbox,
+  closeTransporter
 };
\ No newline at end of file
@@ -1,10 +1,19 @@
 /**
  * Notification system module
+ *
+ * Registers the built-in channels in the channel registry and exposes the
+ * notification system API on top of it.
  */
 
 // Import notification modules
 const emailNotifier = require('./emails');
 const smsNotifier = require('./sms');
+const pushNotifier = require('./push');
+const webhookNotifier = require('./webhook');
+const registry = require('./registry');
+const deviceRegistry = require('../deviceRegistry');
+const { isValidEmail, isValidUrl, isValidDeviceToken } = require('../utilities/validators');
+const { parsePhoneNumber } = require('../utilities/phone');
 
 // Define supported notification types
 const NOTIFICATION_TYPES = {
@@ -14,75 +23,102 @@ const NOTIFICATION_TYPES = {
   WEBHOOK: 'webhook'
 };
 
-// Store notification handlers
-const notificationHandlers = {
-  [NOTIFICATION_TYPES.EMAIL]: emailNotifier.sendEmail,
-  [NOTIFICATION_TYPES.SMS]: smsNotifier.sendSms
-  // Other handlers will be added as implemented
-};
+// Register the built-in channels
+registry.registerChannel(NOTIFICATION_TYPES.EMAIL, {
+  send: emailNotifier.send,
+  validateRecipient: (recipient) => ({
+    isValid: isValidEmail(recipient),
+    error: `Invalid email address: ${recipient}`
+  }),
+  maxMessageLength: 10000,
+  capabilities: ['subject', 'html']
+});
+
+registry.registerChannel(NOTIFICATION_TYPES.SMS, {
+  send: smsNotifier.send,
+  validateRecipient: (recipient) => {
+    const phone = parsePhoneNumber(recipient);  // checks the length for the country calling code
+    return { isValid: phone.isValid, error: phone.error };
+  },
+  validateMessage: smsNotifier.validateMessage,  // limits segments, which depend on the encoding
+  maxMessageLength: 1600,
+  capabilities: []
+});
+
+registry.registerChannel(NOTIFICATION_TYPES.PUSH, {
+  send: pushNotifier.send,
+  validateRecipient: (recipient) => ({
+    isValid: deviceRegistry.hasDevices(recipient) || isValidDeviceToken(recipient),
+    error: `Invalid push recipient: ${recipient}. Expected a device token or a user ID with registered devices`
+  }),
+  maxMessageLength: 10000,
+  capabilities: ['title', 'badge', 'sound', 'data']
+});
+
+registry.registerChannel(NOTIFICATION_TYPES.WEBHOOK, {
+  send: webhookNotifier.send,
+  validateRecipient: (recipient) => ({
+    isValid: isValidUrl(recipient),
+    error: `Invalid webhook URL: ${recipient}. Expected an http(s) URL`
+  }),
+  maxMessageLength: 10000,
+  capabilities: ['data', 'headers']
+});
 
 // Notification system core functionality
 const notificationSystem = {
   // Send a notification
   send: async (type, recipient, message, options = {}) => {
     console.log(`Sending ${type} notification to ${recipient}`);
-    
-   if (!notificationHandlers[type]) {
+
+    const channel = registry.getChannel(type);
+
+    if (!channel) {
       const error = new Error(`Notification type '${type}' not supported`);
       error.code = 'UNSUPPORTED_TYPE';
       return Promise.reject(error);
     }
-     try {
-      // For email notifications, use subject and message format
-      if (type === NOTIFICATION_TYPES.EMAIL) {
-        return await notificationHandlers[type](
-          recipient, 
-          options.subject || 'Notification', 
-          message, 
-          options
-        );
-      }
-      
-      // For other notification types (SMS, push, webhook)
-      return await notificationHandlers[type](recipient, message, options);
-    } catch (error) {
-      console.error(`Failed to send ${type} notification:`, error.message);
-      throw error; // Re-throw for caller to handle
+
+    const recipientCheck = channel.validateRecipient(recipient);
+    if (!recipientCheck.isValid) {
+      const error = new Error(recipientCheck.error);
+      error.code = 'INVALID_RECIPIENT';
+      return Promise.reject(error);
     }
+
     try {
-      // For email type, we expect different parameters
-      if (type === NOTIFICATION_TYPES.EMAIL) {
-        const subject = options.subject || 'Notification';
-        return await handlers[type](recipient, subject, message, options);
-      }
-      
-      // Default handler call for other notification types
-      return await handlers[type](recipient, message, options);
+      return await channel.send(recipient, message, options);
     } catch (error) {
-      console.error(`Failed to send ${type} notification:`, error);
-      throw error;
+      console.error(`Failed to send ${type} notification:`, error.message);
+      throw error; // Re-throw for caller to handle
     }
   },
-  
-  // Register notification handler
+
+  // Register a channel with its send function, validator, max length and capabilities
+  registerChannel: registry.registerChannel,
+
+  // Register notification handler (shorthand for a channel with only a send function, replacing any existing one)
   registerHandler: (type, handler) => {
     console.log(`Registering handler for ${type} notifications`);
     if (typeof handler !== 'function') {
       throw new Error('Handler must be a function');
     }
-    handlers[type] = handler;
+    registry.registerChannel(type, { send: handler }, { replace: true });
     return true;
   },
-  
+
   // Get available notification types
   getTypes: () => {
-    return Object.values(NOTIFICATION_TYPES);
+    return registry.getChannelNames();
   },
-  
+
   // Check if a notification type is supported
   isSupported: (type) => {
-    return !!handlers[type];
-  }
+    return registry.hasChannel(type);
+  },
+
+  // Get the registry entry for a channel
+  getChannel: registry.getChannel
 };
 
 // Export notification types and system
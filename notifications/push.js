@@ -2,15 +2,25 @@
  * Push Notification Module
  * 
  * This module provides functionality for sending push notifications.
+ * Delivery goes through a provider adapter (FCM or APNs) chosen by options.platform.
  */
-// const errorHandler = require('../error-handler');
-const { withErrorHandling } = require('../error-handler');
+const errorHandler = require('../error-handler');
 const logger = require('../logger').createTypedLogger('push');
+const { getProvider } = require('./pushProviders');
+const deviceRegistry = require('../deviceRegistry');
+
 /**
  * Send a push notification
  * @param {string} recipient - Device token or user identifier
  * @param {string} message - The message to be sent
  * @param {Object} options - Additional options for the push notification
+ * @param {string} [options.platform] - Device platform: 'ios' (APNs), 'android' or 'web' (FCM)
+ * @param {string} [options.title] - Notification title
+ * @param {number} [options.badge] - Badge count
+ * @param {string} [options.sound] - Sound to play
+ * @param {Object} [options.data] - Custom data delivered with the notification
+ * @param {string} [options.collapseKey] - Collapse key; newer notifications replace older ones with the same key
+ * @param {number} [options.ttl] - Time to live in seconds (defaults to PUSH_DEFAULT_TTL)
  * @returns {Promise<Object>} - Promise resolving to the result of the operation
  */
 async function sendPush(recipient, message, options = {}) {
@@ -62,20 +72,17 @@ async function sendPush(recipient, message, options = {}) {
       return result;
     }
     
-    // In a real implementation, this would use a push notification service
-    // Such as Firebase Cloud Messaging, Apple Push Notification Service, etc.
-    
-    // Simulate a delay that might happen with real push notifications
-    if (options.delay) {
-      await new Promise(resolve => setTimeout(resolve, options.delay));
-    }
+    // Deliver through the provider for the device platform (APNs for iOS, FCM otherwise)
+    const provider = getProvider(options.platform);
+    const delivery = await provider.send(recipient, message, options);
     
-    // Return a response like a real push notification API might
     const result = {
       type: 'push',
+      provider: delivery.provider,
       recipient,
       message: message.length > 30 ? `${message.substring(0, 30)}...` : message,
-      messageId: `push-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+      messageId: delivery.messageId,
+      responseCode: delivery.responseCode,
       timestamp: new Date(),
       status: 'sent',
       deviceInfo: {
@@ -86,6 +93,7 @@ async function sendPush(recipient, message, options = {}) {
     
     // Log the successful send
     logger.logSent(recipient, message, options, false, {
+      provider: delivery.provider,
       platform,
       appVersion,
       messageId: result.messageId
@@ -140,9 +148,93 @@ async function sendPush(recipient, message, options = {}) {
 
 // Apply centralized error handling wrapper
 // const send = errorHandler.withErrorHandling(sendPush, 'push');
-const send = errorHandler.withErrorHandling(sendPush, 'push');
+const sendToDevice = errorHandler.withErrorHandling(sendPush, 'push');
+
+/**
+ * Send to a single device token, pruning it from the device registry if the
+ * provider reports it as invalid
+ * 
+ * @param {string} token - Device token
+ * @param {string} message - The message to be sent
+ * @param {Object} options - Push options
+ * @returns {Promise<Object>} - Result of the send (error response on failure)
+ */
+async function sendToToken(token, message, options = {}) {
+  const result = await sendToDevice(token, message, options);
+  
+  if (result.errorCode === 'INVALID_DEVICE_TOKEN') {
+    result.tokenPruned = deviceRegistry.pruneDeviceToken(token) !== null;
+  }
+  
+  return result;
+}
+
+/**
+ * Send a push notification to every device registered to a user
+ * 
+ * @param {string} userId - User ID or email with registered devices
+ * @param {string} message - The message to be sent
+ * @param {Object} options - Push options (platform and appVersion come from each device)
+ * @returns {Promise<Object>} - Combined result with one delivery per device
+ */
+async function sendToUser(userId, message, options = {}) {
+  const devices = deviceRegistry.getUserDevices(userId);
+  
+  console.log(`[PUSH] Sending to ${devices.length} device(s) registered to ${userId}`);
+  
+  const deliveries = await Promise.all(devices.map(async device => {
+    const result = await sendToToken(device.token, message, {
+      ...options,
+      platform: device.platform,
+      appVersion: device.appVersion
+    });
+    
+    return {
+      platform: device.platform,
+      status: result.status,
+      messageId: result.messageId || null,
+      error: result.error || null,
+      errorCode: result.errorCode || null,
+      tokenPruned: result.tokenPruned === true
+    };
+  }));
+  
+  const sentCount = deliveries.filter(delivery => delivery.status === 'sent').length;
+  
+  return {
+    type: 'push',
+    recipient: userId,
+    message: message.length > 30 ? `${message.substring(0, 30)}...` : message,
+    timestamp: new Date(),
+    status: sentCount > 0 ? 'sent' : 'failed',
+    dispatched: sentCount > 0,
+    error: sentCount > 0 ? null : 'Push delivery failed on every device',
+    deviceCount: devices.length,
+    sentCount,
+    prunedCount: deliveries.filter(delivery => delivery.tokenPruned).length,
+    deliveries
+  };
+}
+
+/**
+ * Send a push notification to a device token or to a user's registered devices
+ * 
+ * @param {string} recipient - Device token, or a user ID with registered devices
+ * @param {string} message - The message to be sent
+ * @param {Object} options - Push options
+ * @returns {Promise<Object>} - Promise resolving to the result of the operation
+ */
+async function send(recipient, message, options = {}) {
+  if (deviceRegistry.hasDevices(recipient)) {
+    return sendToUser(recipient, message, options);
+  }
+  
+  return sendToToken(recipient, message, options);
+}
+
 module.exports = {
   send,
+  sendToUser,
   // Also export the unwrapped function for testing or direct use
   sendPush
 };
\ No newline at end of file
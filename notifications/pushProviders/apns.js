@@ -0,0 +1,114 @@
+/**
+ * APNs Push Provider
+ *
+ * Formats payloads for the Apple Push Notification service and sends them over
+ * HTTP/2 to the configured endpoint (APNS_ENDPOINT), so a local stub can stand
+ * in for APNs.
+ */
+const config = require('../../config');
+const { requestHttp2 } = require('../../utilities/httpClient');
+
+// APNs reasons that mean the device token will never work again. BadDeviceToken and
+// DeviceTokenNotForTopic are left out: a wrong APNS_ENDPOINT (sandbox vs production) or
+// APNS_TOPIC causes them for every device, and pruning on them would drop every iOS token.
+const INVALID_TOKEN_REASONS = ['Unregistered'];
+
+/**
+ * Build the APNs payload for a device
+ *
+ * @param {string} token - APNs device token
+ * @param {string} message - Notification body
+ * @param {Object} [options={}] - Push options (title, badge, sound, data)
+ * @returns {Object} - Request body ({ aps: {...}, ...data })
+ */
+function formatPayload(token, message, options = {}) {
+  const payload = {
+    aps: {
+      alert: {
+        title: options.title,
+        body: message
+      },
+      badge: options.badge,
+      sound: options.sound
+    },
+    // Custom data sits next to the aps dictionary
+    ...options.data
+  };
+
+  return JSON.parse(JSON.stringify(payload)); // drops undefined fields
+}
+
+/**
+ * Build the APNs request headers
+ *
+ * @param {Object} [options={}] - Push options (collapseKey, ttl, priority)
+ * @returns {Object} - Request headers
+ */
+function formatHeaders(options = {}) {
+  const ttl = options.ttl !== undefined ? options.ttl : config.push.defaultTtl;
+  const headers = {
+    'content-type': 'application/json',
+    'apns-push-type': 'alert',
+    'apns-priority': options.priority === 'low' ? '5' : '10',
+    // apns-expiration is an absolute UNIX timestamp; 0 means "deliver once or drop"
+    'apns-expiration': String(ttl > 0 ? Math.floor(Date.now() / 1000) + ttl : 0)
+  };
+
+  if (config.push.apns.topic) headers['apns-topic'] = config.push.apns.topic;
+  if (config.push.apns.authToken) headers.authorization = `bearer ${config.push.apns.authToken}`;
+  if (options.collapseKey) headers['apns-collapse-id'] = options.collapseKey;
+
+  return headers;
+}
+
+/**
+ * Send a push notification through APNs
+ *
+ * @param {string} token - APNs device token
+ * @param {string} message - Notification body
+ * @param {Object} [options={}] - Push options
+ * @returns {Promise<Object>} - { provider, messageId, responseCode }
+ * @throws {Error} - INVALID_DEVICE_TOKEN, PUSH_HTTP_ERROR, PUSH_TIMEOUT or PUSH_SEND_FAILED
+ */
+async function send(token, message, options = {}) {
+  const url = `${config.push.apns.endpoint}/3/device/${encodeURIComponent(token)}`;
+
+  let response;
+  try {
+    response = await requestHttp2(url, {
+      method: 'POST',
+      headers: formatHeaders(options),
+      body: JSON.stringify(formatPayload(token, message, options)),
+      timeout: options.timeout || config.push.timeout
+    });
+  } catch (error) {
+    const pushError = new Error(`Failed to reach APNs: ${error.message}`);
+    pushError.code = error.code === 'ETIMEDOUT' ? 'PUSH_TIMEOUT' : 'PUSH_SEND_FAILED';
+    pushError.providerCode = error.code;
+    pushError.originalError = error;
+    throw pushError;
+  }
+
+  if (response.statusCode !== 200) {
+    const reason = response.json && response.json.reason;
+    const pushError = new Error(`APNs rejected the notification: HTTP ${response.statusCode}` +
+      (reason ? ` ${reason}` : ''));
+    pushError.code = INVALID_TOKEN_REASONS.includes(reason) ? 'INVALID_DEVICE_TOKEN' : 'PUSH_HTTP_ERROR';
+    pushError.providerCode = reason;
+    pushError.responseCode = response.statusCode;
+    throw pushError;
+  }
+
+  return {
+    provider: 'apns',
+    messageId: response.headers['apns-id'],
+    responseCode: response.statusCode
+  };
+}
+
+module.exports = {
+  name: 'apns',
+  formatPayload,
+  formatHeaders,
+  send
+};
@@ -0,0 +1,121 @@
+/**
+ * FCM Push Provider
+ *
+ * Formats payloads for the Firebase Cloud Messaging HTTP v1 API and sends them
+ * to the configured endpoint (FCM_ENDPOINT), so a local stub can stand in for FCM.
+ */
+const config = require('../../config');
+const { postJson } = require('../../utilities/httpClient');
+
+// FCM error codes that mean the registration token will never work again
+const INVALID_TOKEN_ERRORS = ['UNREGISTERED', 'INVALID_REGISTRATION'];
+
+/**
+ * Build the FCM v1 message for a device
+ *
+ * @param {string} token - FCM registration token
+ * @param {string} message - Notification body
+ * @param {Object} [options={}] - Push options (title, badge, sound, data, collapseKey, ttl)
+ * @returns {Object} - Request body ({ message: {...} })
+ */
+function formatPayload(token, message, options = {}) {
+  const ttl = options.ttl !== undefined ? options.ttl : config.push.defaultTtl;
+
+  const payload = {
+    token,
+    notification: {
+      title: options.title,
+      body: message
+    },
+    android: {
+      ttl: `${ttl}s`,
+      collapse_key: options.collapseKey,
+      notification: {
+        sound: options.sound,
+        notification_count: options.badge
+      }
+    }
+  };
+
+  // FCM data values must be strings
+  if (options.data) {
+    payload.data = Object.fromEntries(
+      Object.entries(options.data).map(([key, value]) => [
+        key,
+        typeof value === 'string' ? value : JSON.stringify(value)
+      ])
+    );
+  }
+
+  return { message: JSON.parse(JSON.stringify(payload)) }; // drops undefined fields
+}
+
+/**
+ * Check whether an FCM error response means the token is invalid
+ *
+ * @param {Object} response - HTTP response ({ statusCode, json })
+ * @returns {boolean} - True if the token is invalid or unregistered
+ */
+function isInvalidTokenResponse(response) {
+  const error = response.json && response.json.error;
+  const details = (error && Array.isArray(error.details)) ? error.details : [];
+
+  if (details.some(detail => INVALID_TOKEN_ERRORS.includes(detail.errorCode))) {
+    return true;
+  }
+
+  // A malformed token comes back as INVALID_ARGUMENT mentioning the registration token
+  return response.statusCode === 400 &&
+    !!error && error.status === 'INVALID_ARGUMENT' &&
+    /registration token/i.test(error.message || '');
+}
+
+/**
+ * Send a push notification through FCM
+ *
+ * @param {string} token - FCM registration token
+ * @param {string} message - Notification body
+ * @param {Object} [options={}] - Push options
+ * @returns {Promise<Object>} - { provider, messageId, responseCode }
+ * @throws {Error} - INVALID_DEVICE_TOKEN, PUSH_HTTP_ERROR, PUSH_TIMEOUT or PUSH_SEND_FAILED
+ */
+async function send(token, message, options = {}) {
+  const { endpoint, projectId, accessToken } = config.push.fcm;
+  const url = `${endpoint}/v1/projects/${projectId}/messages:send`;
+
+  let response;
+  try {
+    response = await postJson(url, formatPayload(token, message, options), {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: options.timeout || config.push.timeout
+    });
+  } catch (error) {
+    const pushError = new Error(`Failed to reach FCM: ${error.message}`);
+    pushError.code = error.code === 'ETIMEDOUT' ? 'PUSH_TIMEOUT' : 'PUSH_SEND_FAILED';
+    pushError.providerCode = error.code;
+    pushError.originalError = error;
+    throw pushError;
+  }
+
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    const providerError = response.json && response.json.error;
+    const pushError = new Error(`FCM rejected the notification: HTTP ${response.statusCode}` +
+      (providerError && providerError.message ? ` ${providerError.message}` : ''));
+    pushError.code = isInvalidTokenResponse(response) ? 'INVALID_DEVICE_TOKEN' : 'PUSH_HTTP_ERROR';
+    pushError.providerCode = providerError ? providerError.status : undefined;
+    pushError.responseCode = response.statusCode;
+    throw pushError;
+  }
+
+  return {
+    provider: 'fcm',
+    messageId: response.json && response.json.name,
+    responseCode: response.statusCode
+  };
+}
+
+module.exports = {
+  name: 'fcm',
+  formatPayload,
+  send
+};
@@ -0,0 +1,35 @@
+/**
+ * Push provider adapters
+ *
+ * Maps a device platform (options.platform) to the provider adapter that
+ * delivers to it. Every adapter exposes formatPayload(token, message, options)
+ * and send(token, message, options).
+ */
+const config = require('../../config');
+const fcm = require('./fcm');
+const apns = require('./apns');
+
+const providers = { fcm, apns };
+
+// Device platform -> provider name
+const PLATFORM_PROVIDERS = {
+  ios: 'apns',
+  android: 'fcm',
+  web: 'fcm'
+};
+
+/**
+ * Get the provider adapter for a device platform
+ *
+ * @param {string} [platform] - Device platform ('ios', 'android', 'web')
+ * @returns {Object} - Provider adapter (falls back to PUSH_DEFAULT_PROVIDER)
+ */
+function getProvider(platform) {
+  const name = PLATFORM_PROVIDERS[(platform || '').toLowerCase()] || config.push.defaultProvider;
+  return providers[name] || fcm;
+}
+
+module.exports = {
+  getProvider,
+  providers
+};
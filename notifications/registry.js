@@ -0,0 +1,177 @@
+/**
+ * Channel Registry
+ *
+ * Single source of truth for the notification channels known to the system.
+ * Each channel records its send function, recipient validator, maximum message
+ * length and capabilities. The dispatcher and the notification system both read
+ * from here, so channels registered at runtime can be dispatched immediately.
+ */
+
+// Default maximum message length for channels that don't specify one
+const DEFAULT_MAX_MESSAGE_LENGTH = 10000;
+
+// Registered channels, keyed by lowercase channel name
+const channels = new Map();
+
+/**
+ * Normalize a recipient or message validator so it always returns { isValid, error }
+ *
+ * Validators may return either a boolean or a { isValid, error } object.
+ *
+ * @param {Function} [validator] - The validator supplied at registration
+ * @param {Function} describeFailure - (value) => default error message when the validator returns false
+ * @returns {Function} - Validator returning { isValid, error }
+ */
+function normalizeValidator(validator, describeFailure) {
+  if (!validator) {
+    return () => ({ isValid: true, error: null });
+  }
+
+  return (...args) => {
+    const outcome = validator(...args);
+
+    if (typeof outcome === 'boolean') {
+      return {
+        isValid: outcome,
+        error: outcome ? null : describeFailure(args[0])
+      };
+    }
+
+    return {
+      isValid: !!(outcome && outcome.isValid),
+      error: outcome && outcome.error ? outcome.error : null
+    };
+  };
+}
+
+/**
+ * Register a notification channel
+ *
+ * @param {string} name - Channel name (e.g. 'email', 'slack')
+ * @param {Object} definition - Channel definition
+ * @param {Function} definition.send - async (recipient, message, options) => result
+ * @param {Function} [definition.validateRecipient] - (recipient) => boolean | { isValid, error }
+ * @param {Function} [definition.validateMessage] - (message, options) => boolean | { isValid, error },
+ *   for limits the maximum length can't express (e.g. SMS segments)
+ * @param {number} [definition.maxMessageLength=10000] - Maximum message length in characters
+ * @param {string[]} [definition.capabilities=[]] - Features the channel supports (e.g. 'subject', 'html')
+ * @param {Object} [options={}] - Registration options
+ * @param {boolean} [options.replace=false] - Replace an existing registration with the same name
+ * @returns {Object} - The registered channel definition
+ * @throws {Error} - If the definition is invalid, or the channel is already registered
+ *   and options.replace isn't set (code CHANNEL_ALREADY_REGISTERED)
+ */
+function registerChannel(name, definition = {}, options = {}) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Channel name must be a non-empty string');
+  }
+
+  if (!definition || typeof definition.send !== 'function') {
+    throw new Error(`Channel '${name}' must provide a send function`);
+  }
+
+  for (const field of ['validateRecipient', 'validateMessage']) {
+    if (definition[field] !== undefined && typeof definition[field] !== 'function') {
+      throw new Error(`Channel '${name}' ${field} must be a function`);
+    }
+  }
+
+  if (definition.maxMessageLength !== undefined
+    && !(Number.isInteger(definition.maxMessageLength) && definition.maxMessageLength > 0)) {
+    throw new Error(`Channel '${name}' maxMessageLength must be a positive integer`);
+  }
+
+  if (definition.capabilities !== undefined && !Array.isArray(definition.capabilities)) {
+    throw new Error(`Channel '${name}' capabilities must be an array`);
+  }
+
+  const normalizedName = name.toLowerCase();
+
+  if (channels.has(normalizedName)) {
+    if (!options.replace) {
+      const error = new Error(`Channel '${normalizedName}' is already registered (pass { replace: true } to replace it)`);
+      error.code = 'CHANNEL_ALREADY_REGISTERED';
+      throw error;
+    }
+
+    console.log(`Replacing existing registration for ${normalizedName} channel`);
+  }
+
+  const channel = {
+    name: normalizedName,
+    send: definition.send,
+    validateRecipient: normalizeValidator(definition.validateRecipient,
+      recipient => `Invalid ${normalizedName} recipient: ${recipient}`),
+    validateMessage: normalizeValidator(definition.validateMessage,
+      () => `Invalid ${normalizedName} message`),
+    maxMessageLength: definition.maxMessageLength || DEFAULT_MAX_MESSAGE_LENGTH,
+    capabilities: Array.isArray(definition.capabilities) ? [...definition.capabilities] : []
+  };
+
+  channels.set(normalizedName, channel);
+
+  return channel;
+}
+
+/**
+ * Remove a channel from the registry
+ *
+ * @param {string} name - Channel name
+ * @returns {boolean} - True if a channel was removed
+ */
+function unregisterChannel(name) {
+  if (!name || typeof name !== 'string') return false;
+  return channels.delete(name.toLowerCase());
+}
+
+/**
+ * Get a registered channel
+ *
+ * @param {string} name - Channel name (case-insensitive)
+ * @returns {Object|null} - The channel definition or null if not registered
+ */
+function getChannel(name) {
+  if (!name || typeof name !== 'string') return null;
+  return channels.get(name.toLowerCase()) || null;
+}
+
+/**
+ * Check if a channel is registered
+ *
+ * @param {string} name - Channel name (case-insensitive)
+ * @returns {boolean} - True if registered
+ */
+function hasChannel(name) {
+  return getChannel(name) !== null;
+}
+
+/**
+ * Get the names of all registered channels
+ *
+ * @returns {string[]} - Registered channel names
+ */
+function getChannelNames() {
+  return [...channels.keys()];
+}
+
+/**
+ * Check if a channel supports a capability
+ *
+ * @param {string} name - Channel name
+ * @param {string} capability - Capability to check (e.g. 'html')
+ * @returns {boolean} - True if the channel is registered and has the capability
+ */
+function hasCapability(name, capability) {
+  const channel = getChannel(name);
+  return !!channel && channel.capabilities.includes(capability);
+}
+
+module.exports = {
+  DEFAULT_MAX_MESSAGE_LENGTH,
+  registerChannel,
+  unregisterChannel,
+  getChannel,
+  hasChannel,
+  getChannelNames,
+  hasCapability
+};
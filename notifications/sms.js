@@ -1,66 +1,103 @@
 /**
  * SMS notification module
  * 
- * This module provides functionality to send SMS notifications
- * using Twilio or a mock implementation for development
+ * This module provides functionality to send SMS notifications through a
+ * pluggable provider (Twilio, an HTTP API or a file sink, see smsProviders/)
+ * or a mock implementation for development
  */
 
-// const errorHandler = require('../error-handler');
-const { withErrorHandling } = require('../error-handler');
 const errorHandler = require('../error-handler');
+const config = require('../config');
+const { analyzeMessage } = require('../utilities/smsEncoder');
+const { parsePhoneNumber, isValidPhoneNumber, formatPhoneNumber } = require('../utilities/phone');
+const { selectProvider } = require('./smsProviders');
 const logger = require('../logger').createTypedLogger('sms');
-// Import Twilio or create mock if credentials are not available
-let twilio;
-let twilioClient;
 
-// Try to load Twilio if available
-try {
-  if (process.env.SMS_PROVIDER === 'twilio' && 
-      process.env.TWILIO_ACCOUNT_SID &&
-      process.env.TWILIO_AUTH_TOKEN) {
-    
-    twilio = require('twilio');
-    twilioClient = twilio(
-      process.env.TWILIO_ACCOUNT_SID,
-      process.env.TWILIO_AUTH_TOKEN
-    );
-    console.log('Twilio SMS provider initialized');
-  }
-} catch (error) {
-  console.warn('Failed to initialize Twilio client:', error.message);
-  console.log('Using mock SMS implementation instead');
+// Options that configure our own handling and are not passed on to providers
+const INTERNAL_OPTIONS = ['retry', 'transliterate', 'provider', 'mockMode', 'simulateError', 'delay'];
+
+/**
+ * Create the error for a recipient that isn't a valid phone number
+ * 
+ * @param {Object} phone - Failed parsePhoneNumber result
+ * @returns {Error} - Error with code INVALID_PHONE_NUMBER and the parser's errorCode as reason
+ */
+function createPhoneNumberError(phone) {
+  const error = new Error(phone.error);
+  error.code = 'INVALID_PHONE_NUMBER';
+  error.reason = phone.errorCode;
+  return error;
 }
 
 /**
- * Validates a phone number format
- * @param {string} phoneNumber - The phone number to validate
- * @returns {boolean} - True if valid, false otherwise
+ * Check whether a message should be transliterated to GSM-7
+ * 
+ * @param {Object} [options={}] - Send options
+ * @param {boolean} [options.transliterate] - Overrides SMS_TRANSLITERATE
+ * @returns {boolean} - True to transliterate
  */
-function isValidPhoneNumber(phoneNumber) {
-  if (!phoneNumber || typeof phoneNumber !== 'string') return false;
-  
-  // Basic E.164 format validation (e.g., +12025551234)
-  // This is recommended for international phone numbers with Twilio
-  const phonePattern = /^\+[1-9]\d{1,14}$/;
+function shouldTransliterate(options = {}) {
+  return options.transliterate !== undefined ? options.transliterate === true : config.sms.transliterate;
+}
+
+/**
+ * Estimate the cost of sending a number of segments
+ * 
+ * @param {number} segments - Number of SMS segments
+ * @returns {number} - Estimated cost in config.sms.costCurrency
+ */
+function estimateCost(segments) {
+  return Math.round(segments * config.sms.costPerSegment * 1e6) / 1e6;
+}
+
+/**
+ * Work out the encoding, segments and estimated cost of a message
+ * 
+ * @param {string} message - SMS message content
+ * @param {Object} [options={}] - Send options (transliterate)
+ * @returns {Object} - analyzeMessage result plus estimatedCost and costCurrency
+ */
+function analyzeSms(message, options = {}) {
+  const analysis = analyzeMessage(message, { transliterate: shouldTransliterate(options) });
   
-  return phonePattern.test(phoneNumber.trim());
+  return {
+    ...analysis,
+    estimatedCost: estimateCost(analysis.segments),
+    costCurrency: config.sms.costCurrency
+  };
 }
 
 /**
- * Formats a phone number to E.164 format if possible
- * @param {string} phoneNumber - Phone number to format
- * @returns {string} - Formatted phone number
+ * Check that a message fits in the maximum number of segments
+ * 
+ * Registered as the SMS channel's message validator, so the dispatcher
+ * rejects long messages before queuing or sending them.
+ * 
+ * @param {string} message - SMS message content
+ * @param {Object} [options={}] - Send options (transliterate)
+ * @returns {Object} - { isValid, error }
  */
-function formatPhoneNumber(phoneNumber) {
-  // Strip all non-digit characters except leading +
-  const digits = phoneNumber.replace(/[^\d+]/g, '');
+function validateMessage(message, options = {}) {
+  const analysis = analyzeMessage(message, { transliterate: shouldTransliterate(options) });
   
-  // If no + prefix and starts with country code (e.g., 1 for US)
-  if (!digits.startsWith('+') && /^[1-9]/.test(digits)) {
-    return `+${digits}`;
+  if (analysis.segments > config.sms.maxSegments) {
+    return {
+      isValid: false,
+      error: `SMS message too long: ${analysis.segments} segments in ${analysis.encoding} (max ${config.sms.maxSegments})`
+    };
   }
   
-  return digits;
+  return { isValid: true, error: null };
+}
+
+/**
+ * Strip our own options before handing the rest to a provider
+ * 
+ * @param {Object} [options={}] - Send options
+ * @returns {Object} - Options for the provider (from, plus provider-specific ones)
+ */
+function getProviderOptions(options = {}) {
+  return Object.fromEntries(Object.entries(options).filter(([key]) => !INTERNAL_OPTIONS.includes(key)));
 }
 
 /**
@@ -97,14 +134,14 @@ function sendSmsMock(to, message) {
  * @returns {Promise} - Promise resolving with send result or error
  */
 async function sendSms(to, message, options = {}) {
-  // Format and validate the phone number
-  const formattedPhone = formatPhoneNumber(to);
-  if (!isValidPhoneNumber(formattedPhone)) {
-    const error = new Error(`Invalid phone number format: ${to}. Use E.164 format (e.g., +12025551234)`);
-    error.code = 'INVALID_PHONE_NUMBER';
+  // Parse and validate the phone number
+  const phone = parsePhoneNumber(to);
+  if (!phone.isValid) {
+    const error = createPhoneNumberError(phone);
     console.error('SMS validation failed:', error.message);
     return Promise.reject(error);
   }
+  const formattedPhone = phone.e164;
   
   // Validate message length (160 chars is standard SMS length)
   if (!message || typeof message !== 'string') {
@@ -113,86 +150,55 @@ async function sendSms(to, message, options = {}) {
     return Promise.reject(error);
   }
   
-  if (message.length > 1600) {  // Allow for concatenated messages but with a max
-    const error = new Error(`SMS message too long: ${message.length} chars (max 1600)`);
+  const sizeCheck = validateMessage(message, options);
+  if (!sizeCheck.isValid) {
+    const error = new Error(sizeCheck.error);
     error.code = 'MESSAGE_TOO_LONG';
     return Promise.reject(error);
   }
   
-  // Use mock if no Twilio client or in dev mode
-  if (!twilioClient || process.env.SMS_MODE === 'mock' || config.isDev) {
+  // Use mock if no provider is configured or in mock mode
+  const { name, provider } = selectProvider(formattedPhone, options);
+  if (!provider || process.env.SMS_MODE === 'mock') {
     return sendSmsMock(formattedPhone, message);
   }
   
-  try {
-    // Send via Twilio
-    const result = await twilioClient.messages.create({
-      body: message,
-      from: options.from || process.env.TWILIO_PHONE_NUMBER,
-      to: formattedPhone
-    });
-    
-    return {
-      success: true,
-      sid: result.sid,
-      status: result.status,
-      to: result.to
-    };
-  } catch (error) {
-    console.error('Twilio SMS sending failed:', error);
-    
-    // Create a more user-friendly error
-    const smsError = new Error(`Failed to send SMS: ${error.message}`);
-    smsError.code = 'SMS_SEND_FAILED';
-    smsError.originalError = error;
-    
-    throw smsError;
-  }
-}
-
-// Check if required environment variables are available
-function validateEnvVariables() {
-  const requiredVars = [
-    'TWILIO_ACCOUNT_SID', 
-    'TWILIO_AUTH_TOKEN', 
-    'TWILIO_PHONE_NUMBER'
-  ];
+  const result = await provider.send(formattedPhone, message, getProviderOptions(options));
   
-  const missingVars = requiredVars.filter(varName => !process.env[varName]);
-  
-  if (missingVars.length > 0) {
-    throw new Error(
-      `Missing required environment variables for SMS service: ${missingVars.join(', ')}. ` +
-      `Please make sure these are defined in your .env file or environment.`
-    );
-  }
+  return {
+    success: true,
+    sid: result.messageId,
+    status: result.status,
+    to: formattedPhone,
+    provider: name
+  };
 }
 
-// Initialize Twilio client with credentials from environment variables
-function getTwilioClient() {
-  // Validate environment variables before trying to use them
-  validateEnvVariables();
-  
-  // Dynamically require Twilio to prevent errors if env vars are not set
-  const twilio = require('twilio');
-  
-  // Create and return the Twilio client with credentials from environment variables
-  return twilio(
-    process.env.TWILIO_ACCOUNT_SID,
-    process.env.TWILIO_AUTH_TOKEN
-  );
-}
 /**
- * Send an SMS notification using Twilio
- * @param {string} recipient - Phone number of the recipient in E.164 format
+ * Send an SMS notification through the provider chosen for the recipient
+ * @param {string} recipient - Phone number of the recipient (E.164, or national with SMS_DEFAULT_COUNTRY)
  * @param {string} message - The message to be sent
  * @param {Object} options - Additional options for the SMS
- * @returns {Promise<Object>} - Promise resolving to the result of the operation
+ * @param {boolean} [options.transliterate] - Replace characters outside GSM-7 (defaults to SMS_TRANSLITERATE)
+ * @param {string} [options.provider] - Provider to use instead of SMS_ROUTES and SMS_PROVIDER
+ * @param {string} [options.from] - Sender number or ID (defaults to SMS_FROM or TWILIO_PHONE_NUMBER)
+ * @returns {Promise<Object>} - Promise resolving to the result of the operation, including
+ *   provider, encoding, segments, estimatedCost and numberType ('mobile', 'landline'...)
  */
 async function sendSMS(recipient, message, options = {}) {
+  let providerName = null;
+  
  try {
+    // Routes and providers work with the E.164 number
+    const phone = parsePhoneNumber(recipient);
+    const to = phone.isValid ? phone.e164 : recipient;
+    
+    // Pick the provider first; the 'mock' provider means mock mode
+    const { name, provider } = selectProvider(to, options);
+    providerName = name;
+    
     // Check if we're in mock mode
-    const isMock = process.env.SMS_MOCK_MODE === 'true' || options.mockMode === true;
+    const isMock = process.env.SMS_MOCK_MODE === 'true' || options.mockMode === true || !provider;
     
     // Log the attempt
     logger.logAttempt(recipient, message, options, isMock);
@@ -202,61 +208,80 @@ async function sendSMS(recipient, message, options = {}) {
       throw new Error('Simulated SMS sending failure');
     }
     
-    // For mock mode, don't actually try to send via Twilio
+    if (!phone.isValid) {
+      throw createPhoneNumberError(phone);
+    }
+    
+    const sizeCheck = validateMessage(message, options);
+    if (!sizeCheck.isValid) {
+      const error = new Error(sizeCheck.error);
+      error.code = 'MESSAGE_TOO_LONG';
+      throw error;
+    }
+    
+    // Segments and cost are reported with every result; transliterated text is what gets sent
+    const sms = analyzeSms(message, options);
+    const smsDetails = {
+      encoding: sms.encoding,
+      segments: sms.segments,
+      estimatedCost: sms.estimatedCost,
+      costCurrency: sms.costCurrency,
+      numberType: phone.type
+    };
+    
+    // For mock mode, don't actually try to send through the provider
     if (isMock) {
       // Simulate a delay that might happen with real SMS sending
       if (options.delay) {
         await new Promise(resolve => setTimeout(resolve, options.delay));
       }
       
+      const mockProvider = provider ? `${name}-mock` : name;
+      
       // Create a mock result
       const result = {
         type: 'sms',
-        provider: 'twilio-mock',
+        provider: mockProvider,
         recipient,
-        message: message.length > 30 ? `${message.substring(0, 30)}...` : message,
+        message: sms.text.length > 30 ? `${sms.text.substring(0, 30)}...` : sms.text,
         messageId: `mock-sms-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
         timestamp: new Date(),
         status: 'sent',
-        isMock: true
+        isMock: true,
+        ...smsDetails
       };
       
       // Log the sent notification with mock flag
-      logger.logSent(recipient, message, options, true, {
-        provider: 'twilio-mock',
-        messageId: result.messageId
+      logger.logSent(recipient, sms.text, options, true, {
+        provider: mockProvider,
+        messageId: result.messageId,
+        ...smsDetails
       });
       
       return result;
     }
     
-    // Only initialize the client when needed (lazy loading)
-    const twilioClient = getTwilioClient();
-    
-    // Send the SMS using Twilio
-    const result = await twilioClient.messages.create({
-      body: message,
-      from: process.env.TWILIO_PHONE_NUMBER,
-      to: recipient,
-      ...options  // Allow passing additional Twilio options
-    });
+    // Send through the provider (it throws errors with codes such as SMS_SEND_FAILED or INVALID_PHONE_NUMBER)
+    const delivery = await provider.send(to, sms.text, getProviderOptions(options));
     
     // Create a sanitized response
     const response = {
       type: 'sms',
-      provider: 'twilio',
+      provider: name,
       recipient,
-      message: message.length > 30 ? `${message.substring(0, 30)}...` : message,
-      messageId: result.sid,
+      message: sms.text.length > 30 ? `${sms.text.substring(0, 30)}...` : sms.text,
+      messageId: delivery.messageId,
       timestamp: new Date(),
-      status: result.status
+      status: delivery.status || 'sent',
+      ...smsDetails
     };
     
     // Log the successful send
-    logger.logSent(recipient, message, options, false, {
-      provider: 'twilio',
-      messageId: result.sid,
-      twilioStatus: result.status
+    logger.logSent(recipient, sms.text, options, false, {
+      provider: name,
+      messageId: delivery.messageId,
+      providerStatus: delivery.status,
+      ...smsDetails
     });
     
     return response;
@@ -264,78 +289,24 @@ async function sendSMS(recipient, message, options = {}) {
     // Log the failure
     logger.logFailed(recipient, message, error, options, 
                     process.env.SMS_MOCK_MODE === 'true' || options.mockMode === true, {
-      provider: 'twilio'
+      provider: providerName
     });
     
     // Let the error propagate to be handled by the error handler wrapper
     throw error;
   }
-
-  // try {
-  //   // Simulate error for testing (if requested)
-  //   if (recipient.includes('error') || (options.simulateError === true)) {
-  //     throw new Error('Simulated SMS sending failure');
-  //   }
-    
-  //   // For mock mode, don't actually try to send via Twilio
-  //   if (process.env.SMS_MOCK_MODE === 'true' || options.mockMode === true) {
-  //     console.log(`[SMS] MOCK MODE: Would send to ${recipient}: "${message}"`);
-      
-  //     // Simulate a delay that might happen with real SMS sending
-  //     if (options.delay) {
-  //       await new Promise(resolve => setTimeout(resolve, options.delay));
-  //     }
-      
-  //     return {
-  //       type: 'sms',
-  //       provider: 'twilio-mock',
-  //       recipient,
-  //       message: message.length > 30 ? `${message.substring(0, 30)}...` : message,
-  //       messageId: `mock-sms-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
-  //       timestamp: new Date(),
-  //       status: 'sent'
-  //     };
-  //   }
-    
-  //   // Only initialize the client when needed (lazy loading)
-  //   const twilioClient = getTwilioClient();
-    
-  //   // Log sending attempt (without exposing credentials)
-  //   console.log(`[SMS] Sending to: ${recipient}`);
-    
-  //   // Send the SMS using Twilio
-  //   const result = await twilioClient.messages.create({
-  //     body: message,
-  //     from: process.env.TWILIO_PHONE_NUMBER,
-  //     to: recipient,
-  //     ...options  // Allow passing additional Twilio options
-  //   });
-    
-  //   // Return a sanitized response
-  //   return {
-  //     type: 'sms',
-  //     provider: 'twilio',
-  //     recipient,
-  //     message: message.length > 30 ? `${message.substring(0, 30)}...` : message,
-  //     messageId: result.sid,
-  //     timestamp: new Date(),
-  //     status: result.status
-  //   };
-  // } catch (error) {
-  //   // Let the error propagate to be handled by the error handler wrapper
-  //   throw error;
-  // }
 }
 
 // Apply centralized error handling wrapper
-// const send = errorHandler.withErrorHandling(sendSMS, 'sms');
-
 const send = errorHandler.withErrorHandling(sendSMS, 'sms');
 
 module.exports = {
   sendSms,
   isValidPhoneNumber,
   send,
+  validateMessage,
+  analyzeSms,
+  estimateCost,
   formatPhoneNumber,
   sendSmsMock
 };
@@ -0,0 +1,61 @@
+/**
+ * File SMS Provider
+ *
+ * Appends each message as a JSON line to SMS_FILE_PATH instead of sending
+ * it, so local development and tests can read what would have been sent.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+
+/**
+ * "Send" an SMS by writing it to the sink file
+ *
+ * @param {string} to - Recipient phone number in E.164 format
+ * @param {string} message - Message text
+ * @param {Object} [options={}] - Send options (from)
+ * @returns {Promise<Object>} - { provider, messageId, status, file }
+ */
+async function send(to, message, options = {}) {
+  const file = config.sms.file.path;
+  const entry = {
+    id: `file-sms-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+    to,
+    from: options.from || config.sms.defaultFrom || null,
+    message,
+    timestamp: new Date().toISOString()
+  };
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+
+  return {
+    provider: 'file',
+    messageId: entry.id,
+    status: 'sent',
+    file
+  };
+}
+
+/**
+ * Read the messages written to the sink file
+ *
+ * @returns {Object[]} - { id, to, from, message, timestamp } entries, oldest first
+ */
+function readMessages() {
+  if (!fs.existsSync(config.sms.file.path)) {
+    return [];
+  }
+
+  return fs.readFileSync(config.sms.file.path, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+module.exports = {
+  name: 'file',
+  send,
+  readMessages
+};
@@ -0,0 +1,148 @@
+/**
+ * HTTP SMS Provider
+ *
+ * Sends through any HTTP SMS API described by URL and body templates
+ * (SMS_HTTP_URL, SMS_HTTP_BODY). {{to}}, {{from}} and {{message}} in the
+ * templates are replaced with the message fields: URL-encoded in the URL,
+ * and in the body encoded to match its Content-Type (form or JSON).
+ */
+const config = require('../../config');
+const { request } = require('../../utilities/httpClient');
+
+// Placeholders the templates may use
+const PLACEHOLDER_PATTERN = /{{\s*(to|from|message)\s*}}/g;
+
+/**
+ * Fill a template with message fields
+ *
+ * @param {string} template - URL or body template
+ * @param {Object} fields - { to, from, message }
+ * @param {Function} encode - Encodes each value for its position
+ * @returns {string} - Filled template
+ */
+function fillTemplate(template, fields, encode) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => encode(fields[name] || ''));
+}
+
+/**
+ * Get a header value case-insensitively
+ *
+ * @param {Object} headers - Request headers
+ * @param {string} name - Header name
+ * @returns {string} - Header value, or '' if absent
+ */
+function getHeader(headers, name) {
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? String(headers[key]) : '';
+}
+
+/**
+ * Build the HTTP request for a message
+ *
+ * @param {string} to - Recipient phone number
+ * @param {string} message - Message text
+ * @param {Object} [options={}] - Send options (from)
+ * @returns {Object} - { url, method, headers, body }
+ */
+function formatRequest(to, message, options = {}) {
+  const { url, method, headers, body } = config.sms.http;
+  const fields = { to, from: options.from || config.sms.defaultFrom, message };
+  const requestHeaders = { 'Content-Type': 'application/json', ...headers };
+  const formEncoded = getHeader(requestHeaders, 'Content-Type').includes('application/x-www-form-urlencoded');
+
+  return {
+    url: fillTemplate(url, fields, encodeURIComponent),
+    method: method.toUpperCase(),
+    headers: requestHeaders,
+    body: method.toUpperCase() === 'GET'
+      ? undefined
+      : fillTemplate(body, fields, formEncoded
+        ? encodeURIComponent
+        : value => JSON.stringify(String(value)).slice(1, -1))
+  };
+}
+
+/**
+ * Read a dot-separated field from a JSON response (e.g. 'data.id')
+ *
+ * @param {Object} json - Parsed response body
+ * @param {string} field - Field path
+ * @returns {*} - Field value, or undefined
+ */
+function readField(json, field) {
+  return field.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), json);
+}
+
+/**
+ * Pick our error code for an HTTP error response
+ *
+ * Rate limits (429) and server errors (5xx) are retried as SMS_SEND_FAILED;
+ * any other rejection would fail the same way again.
+ *
+ * @param {number} statusCode - HTTP status code
+ * @returns {string} - SMS_AUTH_FAILED, SMS_REJECTED or SMS_SEND_FAILED
+ */
+function getResponseErrorCode(statusCode) {
+  if (statusCode === 401 || statusCode === 403) {
+    return 'SMS_AUTH_FAILED';
+  }
+
+  return statusCode === 429 || statusCode >= 500 ? 'SMS_SEND_FAILED' : 'SMS_REJECTED';
+}
+
+/**
+ * Send an SMS through the configured HTTP API
+ *
+ * @param {string} to - Recipient phone number in E.164 format
+ * @param {string} message - Message text
+ * @param {Object} [options={}] - Send options (from, timeout)
+ * @returns {Promise<Object>} - { provider, messageId, status, responseCode }
+ * @throws {Error} - SMS_PROVIDER_NOT_CONFIGURED, SMS_AUTH_FAILED, SMS_REJECTED or SMS_SEND_FAILED (network errors, 429, 5xx)
+ */
+async function send(to, message, options = {}) {
+  if (!config.sms.http.url) {
+    const error = new Error('SMS_HTTP_URL must be set to use the http SMS provider');
+    error.code = 'SMS_PROVIDER_NOT_CONFIGURED';
+    throw error;
+  }
+
+  const { url, method, headers, body } = formatRequest(to, message, options);
+
+  let response;
+  try {
+    response = await request(url, {
+      method,
+      headers,
+      body,
+      timeout: options.timeout || config.sms.http.timeout
+    });
+  } catch (error) {
+    const smsError = new Error(`Failed to reach SMS API: ${error.message}`);
+    smsError.code = 'SMS_SEND_FAILED';
+    smsError.providerCode = error.code;
+    smsError.originalError = error;
+    throw smsError;
+  }
+
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    const smsError = new Error(`SMS API rejected the message: HTTP ${response.statusCode}`);
+    smsError.code = getResponseErrorCode(response.statusCode);
+    smsError.responseCode = response.statusCode;
+    throw smsError;
+  }
+
+  const messageId = response.json ? readField(response.json, config.sms.http.messageIdField) : undefined;
+
+  return {
+    provider: 'http',
+    messageId: messageId !== undefined ? String(messageId) : `http-sms-${Date.now()}`,
+    status: 'sent',
+    responseCode: response.statusCode
+  };
+}
+
+module.exports = {
+  name: 'http',
+  formatRequest,
+  send
+};
@@ -0,0 +1,126 @@
+/**
+ * SMS provider adapters
+ *
+ * Every provider exposes send(to, message, options) and resolves with
+ * { provider, messageId, status }. The provider for a message is picked by
+ * options.provider, then by the routing rule with the longest matching
+ * destination prefix (SMS_ROUTES), then by SMS_PROVIDER. The name 'mock'
+ * means no provider: the SMS channel answers in mock mode.
+ */
+const config = require('../../config');
+const twilio = require('./twilio');
+const http = require('./http');
+const file = require('./file');
+
+const MOCK_PROVIDER = 'mock';
+
+const providers = { twilio, http, file };
+
+// Routing rules ({ prefix, provider }), longest prefix first
+let routes = [];
+
+/**
+ * Create an error for a provider name nothing is registered under
+ *
+ * @param {string} name - Provider name
+ * @returns {Error} - Error with code UNKNOWN_SMS_PROVIDER
+ */
+function createUnknownProviderError(name) {
+  const error = new Error(`Unknown SMS provider '${name}'. Available providers: ${[...Object.keys(providers), MOCK_PROVIDER].join(', ')}`);
+  error.code = 'UNKNOWN_SMS_PROVIDER';
+  return error;
+}
+
+/**
+ * Register an SMS provider (or replace a built-in one)
+ *
+ * @param {string} name - Provider name used in SMS_PROVIDER, routes and options.provider
+ * @param {Object} provider - Provider with send(to, message, options)
+ * @returns {Object} - The registered provider
+ */
+function registerProvider(name, provider) {
+  if (!name || typeof name !== 'string' || name.toLowerCase() === MOCK_PROVIDER) {
+    throw new Error(`SMS provider name must be a non-empty string other than '${MOCK_PROVIDER}'`);
+  }
+
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`SMS provider '${name}' must provide a send function`);
+  }
+
+  providers[name.toLowerCase()] = provider;
+  return provider;
+}
+
+/**
+ * Set the routing rules that pick a provider by destination prefix
+ *
+ * @param {Object[]} rules - [{ prefix: '+44', provider: 'http' }, ...]
+ * @returns {Object[]} - The normalized rules, longest prefix first
+ */
+function configureRoutes(rules = []) {
+  if (!Array.isArray(rules)) {
+    throw new Error('SMS routes must be an array of { prefix, provider }');
+  }
+
+  routes = rules.map(rule => {
+    const digits = String((rule && rule.prefix) || '').replace(/[^\d]/g, '');
+
+    if (!digits || !rule.provider) {
+      throw new Error(`Invalid SMS route: ${JSON.stringify(rule)}. Expected { prefix: '+44', provider: 'http' }`);
+    }
+
+    return { prefix: `+${digits}`, provider: String(rule.provider).toLowerCase() };
+  }).sort((a, b) => b.prefix.length - a.prefix.length);
+
+  return getRoutes();
+}
+
+/**
+ * Get the current routing rules
+ *
+ * @returns {Object[]} - Copies of the rules, longest prefix first
+ */
+function getRoutes() {
+  return routes.map(rule => ({ ...rule }));
+}
+
+/**
+ * Work out which provider a message goes through
+ *
+ * @param {string} to - Recipient phone number in E.164 format
+ * @param {Object} [options={}] - Send options
+ * @param {string} [options.provider] - Provider to use regardless of routes
+ * @returns {Object} - { name, provider, route } where provider is null for 'mock'
+ *   and route is the matching rule, if any
+ * @throws {Error} - UNKNOWN_SMS_PROVIDER if the chosen name isn't registered
+ */
+function selectProvider(to, options = {}) {
+  const route = options.provider ? null : routes.find(rule => String(to).startsWith(rule.prefix)) || null;
+  const name = String(options.provider || (route && route.provider) || config.sms.provider).toLowerCase();
+
+  if (name === MOCK_PROVIDER) {
+    return { name, provider: null, route };
+  }
+
+  if (!providers[name]) {
+    throw createUnknownProviderError(name);
+  }
+
+  return { name, provider: providers[name], route };
+}
+
+// Invalid SMS_ROUTES shouldn't stop the module from loading
+try {
+  configureRoutes(config.sms.routes);
+} catch (error) {
+  console.warn(`⚠️ Ignoring SMS_ROUTES: ${error.message}`);
+}
+
+module.exports = {
+  MOCK_PROVIDER,
+  providers,
+  registerProvider,
+  configureRoutes,
+  getRoutes,
+  selectProvider
+};
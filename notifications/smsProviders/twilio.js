@@ -0,0 +1,128 @@
+/**
+ * Twilio SMS Provider
+ *
+ * Sends through the Twilio Messages API using TWILIO_ACCOUNT_SID,
+ * TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER. The Twilio client is created
+ * on the first send.
+ */
+const config = require('../../config');
+
+// Twilio error codes that mean the destination number itself is bad (never retryable)
+const TWILIO_INVALID_NUMBER_CODES = [21211, 21614];
+
+// Twilio error code for credentials it doesn't accept
+const TWILIO_AUTH_ERROR_CODE = 20003;
+
+let client = null;
+
+/**
+ * Get the Twilio client, creating it on first use
+ *
+ * @returns {Object} - Twilio client
+ * @throws {Error} - SMS_PROVIDER_NOT_CONFIGURED if credentials are missing
+ */
+function getClient() {
+  if (client) {
+    return client;
+  }
+
+  const missingVars = [
+    ['TWILIO_ACCOUNT_SID', config.sms.twilioAccountSid],
+    ['TWILIO_AUTH_TOKEN', config.sms.twilioAuthToken],
+    ['TWILIO_PHONE_NUMBER', config.sms.defaultFrom]
+  ].filter(([, value]) => !value).map(([name]) => name);
+
+  if (missingVars.length > 0) {
+    const error = new Error(
+      `Missing required environment variables for SMS service: ${missingVars.join(', ')}. ` +
+      `Please make sure these are defined in your .env file or environment.`
+    );
+    error.code = 'SMS_PROVIDER_NOT_CONFIGURED';
+    throw error;
+  }
+
+  // Required here so the package is only needed when Twilio is used
+  const twilio = require('twilio');
+  client = twilio(config.sms.twilioAccountSid, config.sms.twilioAuthToken);
+
+  return client;
+}
+
+/**
+ * Pick our error code for a Twilio error
+ *
+ * Only SMS_SEND_FAILED is retried: requests that got no answer, rate limits
+ * (HTTP 429) and Twilio server errors (5xx). Bad credentials and other
+ * rejected requests (4xx, e.g. a From number that can't send SMS) fail the
+ * same way every time.
+ *
+ * @param {Error} error - The error thrown by the Twilio client (code is Twilio's, status is HTTP)
+ * @returns {string} - INVALID_PHONE_NUMBER, SMS_AUTH_FAILED, SMS_REJECTED or SMS_SEND_FAILED
+ */
+function getTwilioErrorCode(error) {
+  if (TWILIO_INVALID_NUMBER_CODES.includes(error.code)) {
+    return 'INVALID_PHONE_NUMBER';
+  }
+
+  if (error.code === TWILIO_AUTH_ERROR_CODE || error.status === 401 || error.status === 403) {
+    return 'SMS_AUTH_FAILED';
+  }
+
+  if (!error.status || error.status === 429 || error.status >= 500) {
+    return 'SMS_SEND_FAILED';
+  }
+
+  return 'SMS_REJECTED';
+}
+
+/**
+ * Wrap a Twilio error with a stable error code
+ *
+ * @param {Error} error - The error thrown by the Twilio client
+ * @returns {Error} - Error with code, providerCode and responseCode set
+ */
+function createTwilioError(error) {
+  const smsError = new Error(`Failed to send SMS: ${error.message}`);
+  smsError.code = getTwilioErrorCode(error);
+  smsError.providerCode = error.code;
+  smsError.responseCode = error.status;
+  smsError.originalError = error;
+  return smsError;
+}
+
+/**
+ * Send an SMS through Twilio
+ *
+ * @param {string} to - Recipient phone number in E.164 format
+ * @param {string} message - Message text
+ * @param {Object} [options={}] - from, plus any other Twilio message options
+ * @returns {Promise<Object>} - { provider, messageId, status }
+ * @throws {Error} - INVALID_PHONE_NUMBER, SMS_AUTH_FAILED, SMS_REJECTED, SMS_SEND_FAILED or SMS_PROVIDER_NOT_CONFIGURED
+ */
+async function send(to, message, options = {}) {
+  const twilioClient = getClient();
+
+  let result;
+  try {
+    result = await twilioClient.messages.create({
+      body: message,
+      from: config.sms.defaultFrom,
+      to,
+      ...options  // Allow passing additional Twilio options (including from)
+    });
+  } catch (error) {
+    throw createTwilioError(error);
+  }
+
+  return {
+    provider: 'twilio',
+    messageId: result.sid,
+    status: result.status
+  };
+}
+
+module.exports = {
+  name: 'twilio',
+  createTwilioError,
+  send
+};
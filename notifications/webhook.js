@@ -0,0 +1,197 @@
+/**
+ * Webhook Notification Module
+ *
+ * This module delivers notifications by POSTing a signed JSON payload
+ * to a recipient URL.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const errorHandler = require('../error-handler');
+const { postJson } = require('../utilities/httpClient');
+const logger = require('../logger').createTypedLogger('webhook');
+
+// How old a signed request may be before receivers reject it as a replay
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Compute the HMAC signature for a webhook body
+ *
+ * The signature covers the timestamp and the raw body ("<timestamp>.<body>")
+ * so receivers can reject replayed requests.
+ *
+ * @param {string} body - The raw JSON body
+ * @param {string} timestamp - Timestamp sent in the X-Notification-Timestamp header
+ * @param {string} secret - Shared signing secret
+ * @returns {string} - Signature in the form "sha256=<hex digest>"
+ */
+function signPayload(body, timestamp, secret) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verify a webhook signature (for use by receivers)
+ *
+ * @param {string} body - The raw request body as received
+ * @param {string} signature - Value of the signature header
+ * @param {string} timestamp - Value of the X-Notification-Timestamp header
+ * @param {string} secret - Shared signing secret
+ * @param {number} [tolerance=300000] - Maximum age of the timestamp in milliseconds
+ * @returns {boolean} - True if the signature matches and the timestamp is recent
+ */
+function verifySignature(body, signature, timestamp, secret, tolerance = SIGNATURE_TOLERANCE_MS) {
+  if (!body || !signature || !timestamp || !secret) {
+    return false;
+  }
+
+  // Reject stale (or far future) timestamps so captured requests can't be replayed
+  const sentAt = Date.parse(timestamp);
+  if (isNaN(sentAt) || Math.abs(Date.now() - sentAt) > tolerance) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(body, timestamp, secret));
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Send a webhook notification
+ * @param {string} recipient - The URL to deliver the webhook to
+ * @param {string} message - The message to be sent
+ * @param {Object} options - Additional options for the webhook
+ * @param {string} [options.event='notification'] - Event name included in the payload
+ * @param {Object} [options.data] - Extra data included in the payload
+ * @param {Object} [options.headers] - Extra request headers (merged over WEBHOOK_HEADERS)
+ * @param {number} [options.timeout] - Request timeout in milliseconds (defaults to WEBHOOK_TIMEOUT)
+ * @param {string} [options.secret] - Signing secret (defaults to WEBHOOK_SECRET)
+ * @param {boolean} [options.unsigned=false] - Send without a signature when no secret is configured
+ * @returns {Promise<Object>} - Promise resolving to the result of the operation
+ */
+async function sendWebhook(recipient, message, options = {}) {
+  try {
+    // Check if we're in mock mode
+    const isMock = process.env.WEBHOOK_MOCK_MODE === 'true' || options.mockMode === true;
+
+    // Log the attempt
+    logger.logAttempt(recipient, message, options, isMock);
+
+    // Simulate error for testing (if requested) - URLs often contain "error", so only the option counts
+    if (options.simulateError === true) {
+      throw new Error('Simulated webhook delivery failure');
+    }
+
+    const timestamp = new Date().toISOString();
+    const payload = {
+      id: `webhook-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+      event: options.event || 'notification',
+      message,
+      data: options.data || {},
+      timestamp
+    };
+
+    // For mock mode, don't actually deliver the webhook
+    if (isMock) {
+      const result = {
+        type: 'webhook',
+        recipient,
+        message: message.length > 30 ? `${message.substring(0, 30)}...` : message,
+        messageId: payload.id,
+        timestamp: new Date(),
+        status: 'sent',
+        isMock: true
+      };
+
+      logger.logSent(recipient, message, options, true, {
+        messageId: result.messageId
+      });
+
+      return result;
+    }
+
+    // Refuse to send unsigned requests unless the caller asked for them
+    const secret = options.secret || config.webhook.secret;
+    if (!secret && options.unsigned !== true) {
+      const secretError = new Error('No webhook signing secret configured (set WEBHOOK_SECRET or pass options.unsigned)');
+      secretError.code = 'WEBHOOK_SECRET_MISSING';
+      throw secretError;
+    }
+
+    const body = JSON.stringify(payload);
+    const headers = {
+      'User-Agent': 'notification-system/1.0',
+      ...config.webhook.headers,
+      ...options.headers,
+      'X-Notification-Timestamp': timestamp
+    };
+
+    // Sign the body so receivers can verify it came from us
+    if (secret) {
+      headers[config.webhook.signatureHeader] = signPayload(body, timestamp, secret);
+    }
+
+    let response;
+    try {
+      response = await postJson(recipient, body, {
+        headers,
+        timeout: options.timeout || config.webhook.timeout
+      });
+    } catch (error) {
+      const webhookError = new Error(`Failed to deliver webhook: ${error.message}`);
+      webhookError.code = error.code === 'ETIMEDOUT' ? 'WEBHOOK_TIMEOUT' : 'WEBHOOK_SEND_FAILED';
+      webhookError.providerCode = error.code;
+      webhookError.originalError = error;
+      throw webhookError;
+    }
+
+    // Any non-2xx response counts as a failed delivery
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      const httpError = new Error(`Webhook endpoint responded with HTTP ${response.statusCode}`);
+      httpError.code = 'WEBHOOK_HTTP_ERROR';
+      httpError.responseCode = response.statusCode;
+      throw httpError;
+    }
+
+    const result = {
+      type: 'webhook',
+      recipient,
+      message: message.length > 30 ? `${message.substring(0, 30)}...` : message,
+      messageId: payload.id,
+      responseCode: response.statusCode,
+      signed: !!secret,
+      timestamp: new Date(),
+      status: 'sent'
+    };
+
+    // Log the successful delivery
+    logger.logSent(recipient, message, options, false, {
+      messageId: result.messageId,
+      responseCode: response.statusCode
+    });
+
+    return result;
+  } catch (error) {
+    // Log the failure
+    logger.logFailed(recipient, message, error, options,
+                    process.env.WEBHOOK_MOCK_MODE === 'true' || options.mockMode === true);
+
+    // Let the error propagate to be handled by the error handler wrapper
+    throw error;
+  }
+}
+
+// Apply centralized error handling wrapper
+const send = errorHandler.withErrorHandling(sendWebhook, 'webhook');
+
+module.exports = {
+  send,
+  // Also export the unwrapped function for testing or direct use
+  sendWebhook,
+  signPayload,
+  verifySignature
+};
@@ -0,0 +1,175 @@
+/**
+ * Rate Limiter
+ * 
+ * Token-bucket rate limiting for outgoing notifications. Each rule gives a
+ * bucket `limit` tokens that refill evenly over `interval` milliseconds; every
+ * send takes one token from each bucket whose rule matches it.
+ * 
+ * A rule can cover a whole channel (e.g. Twilio's throughput), each recipient
+ * on a channel (perRecipient: true), and/or one notification type:
+ * 
+ *   { channel: 'sms', limit: 10, interval: 1000 }                     // 10 SMS per second overall
+ *   { channel: 'sms', notificationType: 'otp', perRecipient: true,
+ *     limit: 5, interval: 60 * 60 * 1000 }                            // 5 OTP SMS per number per hour
+ */
+
+const config = require('./config');
+
+// Past this many buckets, full ones are dropped (a full bucket is the same as no bucket)
+const MAX_BUCKETS = 10000;
+
+// Rate limiting state
+let rules = normalizeRules(config.rateLimit.rules);
+const buckets = new Map();     // Token buckets keyed by rule index and recipient
+
+/**
+ * Drop rules that can't be enforced
+ * 
+ * @param {Object[]} ruleList - Rules to check
+ * @returns {Object[]} - Valid rules
+ */
+function normalizeRules(ruleList) {
+  if (!Array.isArray(ruleList)) {
+    console.warn('⚠️ Rate limit rules must be an array; rate limiting is disabled');
+    return [];
+  }
+  
+  return ruleList.filter(rule => {
+    const valid = rule
+      && Number.isInteger(rule.limit) && rule.limit > 0
+      && typeof rule.interval === 'number' && rule.interval > 0;
+    
+    if (!valid) {
+      console.warn(`⚠️ Ignoring invalid rate limit rule: ${JSON.stringify(rule)}`);
+    }
+    
+    return valid;
+  }).map(rule => ({
+    channel: rule.channel ? rule.channel.toLowerCase() : null,
+    notificationType: rule.notificationType || null,
+    perRecipient: rule.perRecipient === true,
+    limit: rule.limit,
+    interval: rule.interval
+  }));
+}
+
+/**
+ * Replace the rate limit rules (existing buckets are reset)
+ * 
+ * @param {Object[]} ruleList - Rules ({ channel, notificationType, perRecipient, limit, interval })
+ * @returns {Object[]} - The rules now in effect
+ */
+function configureRateLimits(ruleList) {
+  rules = normalizeRules(ruleList);
+  buckets.clear();
+  return getRateLimits();
+}
+
+/**
+ * Get the rate limit rules in effect
+ * 
+ * @returns {Object[]} - Copies of the rules
+ */
+function getRateLimits() {
+  return rules.map(rule => ({ ...rule }));
+}
+
+/**
+ * Empty every bucket's history so all limits start full again
+ */
+function resetRateLimits() {
+  buckets.clear();
+}
+
+/**
+ * Get a rule's bucket for a recipient, topped up for the time that has passed
+ * 
+ * @param {number} index - Rule index
+ * @param {Object} rule - The rule
+ * @param {string} recipient - The recipient
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - { key, tokens, updatedAt }
+ */
+function getBucket(index, rule, recipient, now) {
+  const key = `${index}|${rule.perRecipient ? recipient : '*'}`;
+  const bucket = buckets.get(key) || { key, tokens: rule.limit, updatedAt: now };
+  
+  const refill = ((now - bucket.updatedAt) / rule.interval) * rule.limit;
+  bucket.tokens = Math.min(rule.limit, bucket.tokens + refill);
+  bucket.updatedAt = now;
+  
+  return bucket;
+}
+
+/**
+ * Take a token for a notification from every matching bucket
+ * 
+ * Tokens are only taken when every matching bucket has one, so a rejected
+ * notification doesn't use up another rule's allowance.
+ * 
+ * @param {Object} notification - The notification about to be sent
+ * @param {string} notification.type - Channel
+ * @param {string} notification.recipient - Recipient
+ * @param {string} [notification.notificationType] - Notification type, e.g. 'otp'
+ * @returns {Object} - { allowed: true } or { allowed: false, retryAfter (ms), retryAt (ISO), scope: 'channel' | 'recipient' }
+ */
+function consumeToken({ type, recipient, notificationType }) {
+  const now = Date.now();
+  const channel = type ? type.toLowerCase() : type;
+  
+  const matching = rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => (!rule.channel || rule.channel === channel)
+      && (!rule.notificationType || rule.notificationType === notificationType));
+  
+  const checked = matching.map(({ rule, index }) => ({ rule, bucket: getBucket(index, rule, recipient, now) }));
+  checked.forEach(({ bucket }) => buckets.set(bucket.key, bucket));
+  
+  const exhausted = checked.filter(({ bucket }) => bucket.tokens < 1);
+  
+  if (exhausted.length > 0) {
+    // Wait for the slowest exhausted bucket to get a whole token back
+    const retryAfter = Math.max(...exhausted.map(({ rule, bucket }) =>
+      Math.ceil((1 - bucket.tokens) * (rule.interval / rule.limit))
+    ));
+    
+    return {
+      allowed: false,
+      retryAfter,
+      retryAt: new Date(now + retryAfter).toISOString(),
+      scope: exhausted.some(({ rule }) => rule.perRecipient) ? 'recipient' : 'channel'
+    };
+  }
+  
+  checked.forEach(({ bucket }) => {
+    bucket.tokens -= 1;
+  });
+  
+  if (buckets.size > MAX_BUCKETS) {
+    pruneFullBuckets(now);
+  }
+  
+  return { allowed: true };
+}
+
+/**
+ * Drop buckets that have refilled completely
+ * 
+ * @param {number} now - Current time in milliseconds
+ */
+function pruneFullBuckets(now) {
+  buckets.forEach((bucket, key) => {
+    const rule = rules[parseInt(key.split('|')[0], 10)];
+    
+    if (!rule || bucket.tokens + ((now - bucket.updatedAt) / rule.interval) * rule.limit >= rule.limit) {
+      buckets.delete(key);
+    }
+  });
+}
+
+module.exports = {
+  configureRateLimits,
+  getRateLimits,
+  resetRateLimits,
+  consumeToken
+};
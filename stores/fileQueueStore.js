@@ -0,0 +1,115 @@
+/**
+ * File Queue Store
+ * 
+ * Default queue store (also used by the scheduler). Persists all jobs to a
+ * JSON file so queued notifications survive a process restart. Writes go to a temporary file
+ * first and are renamed into place, so a crash mid-write never leaves a
+ * truncated queue file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Create a file-backed queue store
+ * 
+ * @param {Object} [options={}] - Store options
+ * @param {string} [options.filePath] - Path to the queue file (defaults to config.queue.filePath)
+ * @returns {Object} - Queue store implementing load, saveJob and removeJob
+ */
+function createFileQueueStore(options = {}) {
+  const filePath = options.filePath || config.queue.filePath;
+  const jobs = new Map();
+  
+  // Writes are chained so two saves never interleave on disk
+  let writeChain = Promise.resolve();
+  
+  /**
+   * Write the current job set to disk
+   * 
+   * @returns {Promise<void>} - Rejects if the write fails
+   */
+  function persist() {
+    const data = JSON.stringify([...jobs.values()], null, 2);
+    
+    const write = writeChain.then(async () => {
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, data, 'utf8');
+      await fs.promises.rename(tempPath, filePath);
+    });
+    
+    // The caller gets the failure; later writes still run
+    writeChain = write.catch(() => {});
+    
+    return write;
+  }
+  
+  /**
+   * Persist a change to the job set, undoing it if the write fails
+   * 
+   * @param {string} id - Id of the changed job
+   * @param {Object|undefined} previous - The job before the change (undefined if it was added)
+   * @returns {Promise<void>} - Rejects if the write fails
+   */
+  async function persistChange(id, previous) {
+    try {
+      await persist();
+    } catch (error) {
+      console.error('Failed to save notification queue:', error.message);
+      
+      if (previous) {
+        jobs.set(id, previous);
+      } else {
+        jobs.delete(id);
+      }
+      
+      throw error;
+    }
+  }
+  
+  return {
+    name: 'file',
+    filePath,
+    
+    async load() {
+      jobs.clear();
+      
+      try {
+        const data = await fs.promises.readFile(filePath, 'utf8');
+        const stored = JSON.parse(data);
+        
+        if (Array.isArray(stored)) {
+          stored.forEach(job => jobs.set(job.id, job));
+        }
+      } catch (error) {
+        // A missing file just means nothing has been queued yet
+        if (error.code !== 'ENOENT') {
+          console.error('Failed to load notification queue:', error.message);
+        }
+      }
+      
+      return [...jobs.values()].map(job => ({ ...job }));
+    },
+    
+    async saveJob(job) {
+      const previous = jobs.get(job.id);
+      jobs.set(job.id, { ...job });
+      await persistChange(job.id, previous);
+    },
+    
+    async removeJob(id) {
+      const previous = jobs.get(id);
+      const removed = jobs.delete(id);
+      if (removed) {
+        await persistChange(id, previous);
+      }
+      return removed;
+    }
+  };
+}
+
+module.exports = {
+  createFileQueueStore
+};
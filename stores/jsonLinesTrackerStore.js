@@ -0,0 +1,178 @@
+/**
+ * JSON Lines Tracker Store
+ * 
+ * Default tracker store. Each save appends the record as one JSON line instead
+ * of rewriting the whole file, so tracking stays cheap as history grows. A
+ * record that changes status is appended again; the last line for an id wins
+ * when the file is loaded. Removing records compacts the file, dropping
+ * superseded lines along the way.
+ *
+ * The first load (when the file doesn't exist yet) migrates the history kept
+ * by earlier versions in sent_notifications.json. That file is left in place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Convert a record from the old sent_notifications.json format
+ * 
+ * Old records have a numeric id, a 'sent' or 'failed' status and no history.
+ * 
+ * @param {Object} entry - The old record
+ * @returns {Object} - The record in the current format
+ */
+function convertLegacyRecord(entry) {
+  const time = new Date(entry.timestamp);
+  const timestamp = isNaN(time.getTime()) ? new Date().toISOString() : time.toISOString();
+  const status = entry.status === 'failed' ? 'failed' : 'sent';
+  
+  return {
+    ...entry,
+    notificationId: String(entry.notificationId),
+    status,
+    timestamp,
+    updatedAt: timestamp,
+    history: [{ status, timestamp }]
+  };
+}
+
+/**
+ * Create a JSON-lines file tracker store
+ * 
+ * @param {Object} [options={}] - Store options
+ * @param {string} [options.filePath] - Path to the tracking file (defaults to config.tracker.filePath)
+ * @param {string|null} [options.legacyFilePath] - Old JSON history to migrate on first load
+ *   (defaults to config.tracker.legacyFilePath; null skips the migration)
+ * @returns {Object} - Tracker store implementing load, saveNotification and removeNotifications
+ */
+function createJsonLinesTrackerStore(options = {}) {
+  const filePath = options.filePath || config.tracker.filePath;
+  const legacyFilePath = options.legacyFilePath !== undefined ? options.legacyFilePath : config.tracker.legacyFilePath;
+  
+  /**
+   * Read the file and keep the latest line for each notification
+   * 
+   * @returns {Map} - Records keyed by notificationId, in first-seen order
+   */
+  function readRecords() {
+    const records = new Map();
+    let data;
+    
+    try {
+      data = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      // A missing file just means nothing has been tracked yet
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to load notification history:', error.message);
+      }
+      return records;
+    }
+    
+    data.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      
+      try {
+        const record = JSON.parse(line);
+        records.set(record.notificationId, record);
+      } catch (error) {
+        // Skip a line left half-written by a crash rather than losing the whole file
+        console.error(`Skipping malformed line ${index + 1} in ${filePath}`);
+      }
+    });
+    
+    return records;
+  }
+  
+  /**
+   * Write records to the tracking file, replacing its contents
+   * 
+   * @param {Object[]} records - Records to write
+   */
+  function writeRecords(records) {
+    // Rewrite through a temporary file so a crash never truncates the history
+    const tempPath = `${filePath}.tmp`;
+    const data = records.map(record => `${JSON.stringify(record)}\n`).join('');
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, data, 'utf8');
+    fs.renameSync(tempPath, filePath);
+  }
+  
+  /**
+   * Copy the old JSON history into the tracking file
+   */
+  function migrateLegacyFile() {
+    let stored;
+    
+    try {
+      stored = JSON.parse(fs.readFileSync(legacyFilePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to read ${legacyFilePath}:`, error.message);
+      }
+      return;
+    }
+    
+    if (!Array.isArray(stored)) {
+      return;
+    }
+    
+    // Old ids were Date.now() values, so two records may share one
+    const seen = new Set();
+    const records = stored.map((entry, index) => {
+      const record = convertLegacyRecord(entry);
+      if (seen.has(record.notificationId)) {
+        record.notificationId = `${record.notificationId}-${index}`;
+      }
+      seen.add(record.notificationId);
+      return record;
+    });
+    
+    try {
+      writeRecords(records);
+      console.log(`Migrated ${records.length} notification(s) from ${legacyFilePath} to ${filePath}`);
+    } catch (error) {
+      console.error(`Failed to migrate ${legacyFilePath}:`, error.message);
+    }
+  }
+  
+  return {
+    name: 'file',
+    filePath,
+    
+    load() {
+      if (legacyFilePath && !fs.existsSync(filePath)) {
+        migrateLegacyFile();
+      }
+      
+      return [...readRecords().values()];
+    },
+    
+    saveNotification(record) {
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`, 'utf8');
+      } catch (error) {
+        console.error('Failed to save notification history:', error.message);
+      }
+    },
+    
+    removeNotifications(ids) {
+      const records = readRecords();
+      const removed = ids.filter(id => records.delete(id)).length;
+      
+      try {
+        writeRecords([...records.values()]);
+      } catch (error) {
+        console.error('Failed to compact notification history:', error.message);
+      }
+      
+      return removed;
+    }
+  };
+}
+
+module.exports = {
+  createJsonLinesTrackerStore
+};
@@ -0,0 +1,65 @@
+/**
+ * In-Memory Idempotency Store
+ * 
+ * Default idempotency store. Keeps idempotency keys and the results they
+ * produced in memory until their TTL runs out, so repeats are only recognized
+ * within the same process.
+ * 
+ * Every idempotency store implements the same async interface:
+ * - get(key)               -> Promise<Object|null>   stored result, or null if missing or expired
+ * - set(key, result, ttl)  -> Promise<void>          store a result for ttl milliseconds
+ * - remove(key)            -> Promise<boolean>       forget a key
+ */
+
+/**
+ * Create an in-memory idempotency store
+ * 
+ * @returns {Object} - Idempotency store implementing get, set and remove
+ */
+function createMemoryIdempotencyStore() {
+  const entries = new Map();
+  
+  /**
+   * Drop every expired entry so keys that are never repeated don't pile up
+   */
+  function sweep() {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    });
+  }
+  
+  return {
+    name: 'memory',
+    
+    async get(key) {
+      const entry = entries.get(key);
+      
+      if (!entry) {
+        return null;
+      }
+      
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      
+      return { ...entry.result };
+    },
+    
+    async set(key, result, ttl) {
+      sweep();
+      entries.set(key, { result: { ...result }, expiresAt: Date.now() + ttl });
+    },
+    
+    async remove(key) {
+      return entries.delete(key);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryIdempotencyStore
+};
@@ -0,0 +1,40 @@
+/**
+ * In-Memory Queue Store
+ * 
+ * Queue store that keeps jobs in memory only. Jobs are lost when the process
+ * exits, so this is meant for tests and short-lived scripts.
+ * 
+ * Every queue store implements the same async interface:
+ * - load()          -> Promise<Object[]>   all stored jobs
+ * - saveJob(job)    -> Promise<void>       insert or replace a job by id
+ * - removeJob(id)   -> Promise<boolean>    delete a job
+ */
+
+/**
+ * Create an in-memory queue store
+ * 
+ * @returns {Object} - Queue store implementing load, saveJob and removeJob
+ */
+function createMemoryQueueStore() {
+  const jobs = new Map();
+  
+  return {
+    name: 'memory',
+    
+    async load() {
+      return [...jobs.values()].map(job => ({ ...job }));
+    },
+    
+    async saveJob(job) {
+      jobs.set(job.id, { ...job });
+    },
+    
+    async removeJob(id) {
+      return jobs.delete(id);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryQueueStore
+};
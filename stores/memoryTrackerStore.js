@@ -0,0 +1,41 @@
+/**
+ * In-Memory Tracker Store
+ * 
+ * Tracker store that keeps notification records in memory only. Records are
+ * lost when the process exits, so this is meant for tests and short-lived scripts.
+ * 
+ * Every tracker store implements the same synchronous interface (synchronous
+ * so trackNotification can hand back the stored record right away):
+ * - load()                     -> Object[]   all stored notifications
+ * - saveNotification(record)   -> void       insert or replace a record by notificationId
+ * - removeNotifications(ids)   -> number     delete records, returns how many were removed
+ */
+
+/**
+ * Create an in-memory tracker store
+ * 
+ * @returns {Object} - Tracker store implementing load, saveNotification and removeNotifications
+ */
+function createMemoryTrackerStore() {
+  const records = new Map();
+  
+  return {
+    name: 'memory',
+    
+    load() {
+      return [...records.values()].map(record => ({ ...record }));
+    },
+    
+    saveNotification(record) {
+      records.set(record.notificationId, { ...record });
+    },
+    
+    removeNotifications(ids) {
+      return ids.filter(id => records.delete(id)).length;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryTrackerStore
+};
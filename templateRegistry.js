@@ -0,0 +1,749 @@
+/**
+ * Template Registry
+ *
+ * The single store of notification templates, organized as
+ * channel -> template name -> language -> content. Email templates are
+ * objects ({ subject, body }); SMS and other text templates are strings.
+ * An email template with an `html` field is an HTML email: it is wrapped in a
+ * layout (shared header, footer and unsubscribe block) and its plain-text
+ * `body` is generated from the HTML unless the template has one.
+ *
+ * templateManager.js, notificationTemplates.js and templateUtils.js all read
+ * from this store, so the controller and the dispatcher always agree on which
+ * templates exist. Template names are matched case-insensitively and through
+ * aliases ('verification' is the same template as 'otp'). A missing language
+ * falls back to its base language ('es-mx' -> 'es'), then to the fallback
+ * language ('en'), then to any language the template has.
+ *
+ * More templates can be loaded from a directory laid out as
+ * <dir>/<channel>/<name>/<language>.json (or .yaml / .yml), with layouts in
+ * <dir>/layouts/<name>.html and partials in <dir>/partials/<name>.html, either
+ * with loadTemplatesFromDirectory or by setting TEMPLATES_DIR.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const templateEngine = require('./utilities/templateEngine');
+const { htmlToText } = require('./utilities/html');
+
+// Language used when a template isn't available in the requested one
+const DEFAULT_LANGUAGE = 'en';
+
+// Other names templates are known by (lowercase alias -> lowercase name)
+const TEMPLATE_ALIASES = {
+  verification: 'otp'
+};
+
+// Placeholders that mean the same thing under different names
+const FIELD_ALIASES = [
+  ['otpCode', 'verificationCode']
+];
+
+// Layout used by HTML email templates that don't name one
+const DEFAULT_LAYOUT = 'default';
+
+// Built-in layouts; the rendered template goes where {{{content}}} is
+const layouts = {
+  default: [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    '<style>',
+    '  body { margin: 0; padding: 0; background-color: #f4f4f7; font-family: Arial, Helvetica, sans-serif; color: #333333; }',
+    '  .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; }',
+    '  .header { padding: 24px; background-color: #2d3748; color: #ffffff; font-size: 20px; font-weight: bold; }',
+    '  .content { padding: 24px; font-size: 15px; line-height: 1.5; }',
+    '  .footer { padding: 16px 24px; font-size: 12px; color: #718096; }',
+    '  a { color: #3182ce; }',
+    '  .footer-link { color: #718096; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    '<div class="container">',
+    '{{> header}}',
+    '<div class="content">{{{content}}}</div>',
+    '{{> footer}}',
+    '</div>',
+    '</body>',
+    '</html>'
+  ].join('\n')
+};
+
+// Built-in partials used by the default layout
+templateEngine.registerPartial('header', '<div class="header">{{serviceName}}</div>');
+templateEngine.registerPartial('footer', [
+  '<div class="footer">',
+  '{{#if supportEmail}}<p>Questions? Contact us at <a class="footer-link" href="mailto:{{supportEmail}}">{{supportEmail}}</a>.</p>{{/if}}',
+  '{{> unsubscribe}}',
+  '</div>'
+].join('\n'));
+templateEngine.registerPartial('unsubscribe',
+  '{{#if unsubscribeLink}}<p>You are receiving this email because you have an account with {{serviceName}}. ' +
+  '<a class="footer-link" href="{{unsubscribeLink}}">Unsubscribe</a></p>{{/if}}');
+
+// Built-in templates
+const templates = {
+  email: {
+    welcome: {
+      en: {
+        subject: "Welcome to {{serviceName}}!",
+        body: "Hello {{userName}},\n\nWelcome to {{serviceName}}! We're excited to have you join us.\n\nTo get started, please verify your email by clicking on the link below:\n{{verificationLink}}\n\nIf you have any questions, feel free to contact our support team at {{supportEmail}}.\n\nBest regards,\nThe {{serviceName}} Team"
+      },
+      es: {
+        subject: "¡Bienvenido a {{serviceName}}!",
+        body: "Hola {{userName}},\n\n¡Bienvenido a {{serviceName}}! Estamos emocionados de tenerte con nosotros.\n\nPara comenzar, verifica tu correo electrónico haciendo clic en el enlace a continuación:\n{{verificationLink}}\n\nSi tienes alguna pregunta, no dudes en contactar a nuestro equipo de soporte en {{supportEmail}}.\n\nSaludos cordiales,\nEl Equipo de {{serviceName}}"
+      },
+      fr: {
+        subject: "Bienvenue sur {{serviceName}} !",
+        body: "Bonjour {{userName}},\n\nBienvenue sur {{serviceName}} ! Nous sommes ravis de vous compter parmi nous.\n\nPour commencer, veuillez vérifier votre e-mail en cliquant sur le lien ci-dessous :\n{{verificationLink}}\n\nSi vous avez des questions, n'hésitez pas à contacter notre équipe d'assistance à {{supportEmail}}.\n\nCordialement,\nL'équipe {{serviceName}}"
+      },
+      de: {
+        subject: "Willkommen bei {{serviceName}}!",
+        body: "Hallo {{userName}},\n\nWillkommen bei {{serviceName}}! Wir freuen uns, dass Sie dabei sind.\n\nKlicken Sie auf den folgenden Link, um Ihre E-Mail-Adresse zu bestätigen:\n{{verificationLink}}\n\nBei Fragen wenden Sie sich bitte an unseren Support unter {{supportEmail}}.\n\nMit freundlichen Grüßen,\nDas {{serviceName}}-Team"
+      }
+    },
+    passwordReset: {
+      en: {
+        subject: "Password Reset Request for {{serviceName}}",
+        body: "Hello {{userName}},\n\nWe received a request to reset your password for your {{serviceName}} account.\n\nPlease click the link below to reset your password:\n{{resetLink}}\n\nThis link will expire in {{expiryTime}} hours.\n\nIf you didn't request this, you can safely ignore this email.\n\nBest regards,\nThe {{serviceName}} Team"
+      },
+      es: {
+        subject: "Solicitud de restablecimiento de contraseña para {{serviceName}}",
+        body: "Hola {{userName}},\n\nHemos recibido una solicitud para restablecer la contraseña de tu cuenta de {{serviceName}}.\n\nHaz clic en el enlace a continuación para restablecer tu contraseña:\n{{resetLink}}\n\nEste enlace caducará en {{expiryTime}} horas.\n\nSi no solicitaste esto, puedes ignorar este correo electrónico.\n\nSaludos cordiales,\nEl Equipo de {{serviceName}}"
+      },
+      fr: {
+        subject: "Demande de réinitialisation de mot de passe pour {{serviceName}}",
+        body: "Bonjour {{userName}},\n\nNous avons reçu une demande de réinitialisation du mot de passe de votre compte {{serviceName}}.\n\nVeuillez cliquer sur le lien ci-dessous pour réinitialiser votre mot de passe :\n{{resetLink}}\n\nCe lien expirera dans {{expiryTime}} heures.\n\nSi vous n'avez pas demandé cette réinitialisation, vous pouvez ignorer cet e-mail.\n\nCordialement,\nL'équipe {{serviceName}}"
+      },
+      de: {
+        subject: "Anfrage zum Zurücksetzen des Passworts für {{serviceName}}",
+        body: "Hallo {{userName}},\n\nWir haben eine Anfrage zum Zurücksetzen des Passworts für Ihr {{serviceName}}-Konto erhalten.\n\nBitte klicken Sie auf den folgenden Link, um Ihr Passwort zurückzusetzen:\n{{resetLink}}\n\nDieser Link läuft in {{expiryTime}} Stunden ab.\n\nWenn Sie dies nicht angefordert haben, können Sie diese E-Mail ignorieren.\n\nMit freundlichen Grüßen,\nDas {{serviceName}}-Team"
+      }
+    },
+    orderConfirmation: {
+      en: {
+        subject: "Order Confirmation #{{orderNumber}}",
+        body: "Hello {{userName}},\n\nThank you for your order!\n\nOrder Number: {{orderNumber}}\nOrder Date: {{orderDate}}\nTotal Amount: {{orderTotal}}\n\nShipping Address:\n{{shippingAddress}}\n\nEstimated Delivery Date: {{estimatedDelivery}}\n\nOrder Details:\n{{#if orderDetails}}{{orderDetails}}{{else}}{{#each items}}- {{quantity}} x {{name}}: {{price | currency:currency}}{{#unless @last}}\n{{/unless}}{{/each}}{{/if}}\n\nIf you have any questions about your order, please contact us at {{supportEmail}}.\n\nThank you for shopping with {{serviceName}}!\n\nBest regards,\nThe {{serviceName}} Team"
+      },
+      es: {
+        subject: "Confirmación de Pedido #{{orderNumber}}",
+        body: "Hola {{userName}},\n\n¡Gracias por tu pedido!\n\nNúmero de Pedido: {{orderNumber}}\nFecha del Pedido: {{orderDate}}\nImporte Total: {{orderTotal}}\n\nDirección de Envío:\n{{shippingAddress}}\n\nFecha Estimada de Entrega: {{estimatedDelivery}}\n\nDetalles del Pedido:\n{{#if orderDetails}}{{orderDetails}}{{else}}{{#each items}}- {{quantity}} x {{name}}: {{price | currency:currency}}{{#unless @last}}\n{{/unless}}{{/each}}{{/if}}\n\nSi tienes alguna pregunta sobre tu pedido, contáctanos en {{supportEmail}}.\n\n¡Gracias por comprar con {{serviceName}}!\n\nSaludos cordiales,\nEl Equipo de {{serviceName}}"
+      },
+      fr: {
+        subject: "Confirmation de commande #{{orderNumber}}",
+        body: "Bonjour {{userName}},\n\nMerci pour votre commande !\n\nNuméro de commande : {{orderNumber}}\nDate de commande : {{orderDate}}\nMontant total : {{orderTotal}}\n\nAdresse de livraison :\n{{shippingAddress}}\n\nDate de livraison estimée : {{estimatedDelivery}}\n\nDétails de la commande :\n{{#if orderDetails}}{{orderDetails}}{{else}}{{#each items}}- {{quantity}} x {{name}}: {{price | currency:currency}}{{#unless @last}}\n{{/unless}}{{/each}}{{/if}}\n\nSi vous avez des questions concernant votre commande, veuillez nous contacter à {{supportEmail}}.\n\nMerci d'avoir effectué vos achats chez {{serviceName}} !\n\nCordialement,\nL'équipe {{serviceName}}"
+      },
+      de: {
+        subject: "Bestellbestätigung #{{orderNumber}}",
+        body: "Hallo {{userName}},\n\nVielen Dank für Ihre Bestellung!\n\nBestellnummer: {{orderNumber}}\nBestelldatum: {{orderDate}}\nGesamtbetrag: {{orderTotal}}\n\nLieferadresse:\n{{shippingAddress}}\n\nVoraussichtliches Lieferdatum: {{estimatedDelivery}}\n\nBestelldetails:\n{{#if orderDetails}}{{orderDetails}}{{else}}{{#each items}}- {{quantity}} x {{name}}: {{price | currency:currency}}{{#unless @last}}\n{{/unless}}{{/each}}{{/if}}\n\nBei Fragen zu Ihrer Bestellung kontaktieren Sie uns bitte unter {{supportEmail}}.\n\nVielen Dank für Ihren Einkauf bei {{serviceName}}!\n\nMit freundlichen Grüßen,\nDas {{serviceName}}-Team"
+      }
+    },
+    otp: {
+      en: {
+        subject: "Your verification code for {{serviceName}}",
+        body: "Hello {{userName}},\n\nYour verification code for {{serviceName}} is: {{otpCode}}\n\nThis code will expire in {{expiryTime}} minutes.\n\nIf you did not request this code, please ignore this email.\n\nBest regards,\nThe {{serviceName}} Team"
+      },
+      es: {
+        subject: "Tu código de verificación para {{serviceName}}",
+        body: "Hola {{userName}},\n\nTu código de verificación para {{serviceName}} es: {{otpCode}}\n\nEste código caducará en {{expiryTime}} minutos.\n\nSi no has solicitado este código, por favor ignora este correo.\n\nSaludos cordiales,\nEl equipo de {{serviceName}}"
+      },
+      fr: {
+        subject: "Votre code de vérification pour {{serviceName}}",
+        body: "Bonjour {{userName}},\n\nVotre code de vérification pour {{serviceName}} est : {{otpCode}}\n\nCe code expirera dans {{expiryTime}} minutes.\n\nSi vous n'avez pas demandé ce code, veuillez ignorer cet e-mail.\n\nCordialement,\nL'équipe {{serviceName}}"
+      }
+    }
+  },
+  sms: {
+    welcome: {
+      en: "Welcome to {{serviceName}}, {{userName}}! Your account has been created successfully. Reply HELP for assistance.",
+      es: "¡Bienvenido a {{serviceName}}, {{userName}}! Tu cuenta ha sido creada con éxito. Responde AYUDA para obtener asistencia.",
+      fr: "Bienvenue sur {{serviceName}}, {{userName}} ! Votre compte a été créé avec succès. Répondez AIDE pour obtenir de l'assistance.",
+      de: "Willkommen bei {{serviceName}}, {{userName}}! Ihr Konto wurde erfolgreich erstellt. Antworten Sie mit HILFE für Unterstützung."
+    },
+    otp: {
+      en: "Your {{serviceName}} verification code is {{otpCode}}. This code will expire in {{expiryTime}} minutes.",
+      es: "Tu código de verificación de {{serviceName}} es {{otpCode}}. Este código caducará en {{expiryTime}} minutos.",
+      fr: "Votre code de vérification {{serviceName}} est {{otpCode}}. Ce code expirera dans {{expiryTime}} minutes.",
+      de: "Ihr {{serviceName}}-Verifizierungscode lautet {{otpCode}}. Dieser Code läuft in {{expiryTime}} Minuten ab."
+    },
+    orderUpdate: {
+      en: "{{serviceName}} Order #{{orderNumber}} update: {{updateMessage}}. Track your order at {{trackingLink}}",
+      es: "Actualización del pedido #{{orderNumber}} de {{serviceName}}: {{updateMessage}}. Sigue tu pedido en {{trackingLink}}",
+      fr: "Mise à jour de la commande {{serviceName}} #{{orderNumber}} : {{updateMessage}}. Suivez votre commande sur {{trackingLink}}",
+      de: "{{serviceName}} Bestellung #{{orderNumber}} Update: {{updateMessage}}. Verfolgen Sie Ihre Bestellung unter {{trackingLink}}"
+    },
+    appointmentReminder: {
+      en: "Reminder: You have an appointment scheduled for {{appointmentDate}} at {{appointmentTime}}. Reply C to confirm or R to reschedule.",
+      es: "Recordatorio: Tienes una cita programada para el {{appointmentDate}} a las {{appointmentTime}}. Responde C para confirmar o R para reprogramar.",
+      fr: "Rappel : Vous avez un rendez-vous prévu le {{appointmentDate}} à {{appointmentTime}}. Répondez C pour confirmer ou R pour reporter.",
+      de: "Erinnerung: Sie haben einen Termin am {{appointmentDate}} um {{appointmentTime}}. Antworten Sie mit C zum Bestätigen oder R zum Verschieben."
+    },
+    // Replies to inbound HELP, STOP and START messages (see inboundSms.js)
+    help: {
+      en: "{{serviceName}}: For help, email {{supportEmail}}. Reply STOP to unsubscribe. Msg & data rates may apply.",
+      es: "{{serviceName}}: Para obtener ayuda, escribe a {{supportEmail}}. Responde STOP para darte de baja.",
+      fr: "{{serviceName}} : Pour obtenir de l'aide, écrivez à {{supportEmail}}. Répondez STOP pour vous désabonner.",
+      de: "{{serviceName}}: Hilfe erhalten Sie unter {{supportEmail}}. Antworten Sie mit STOP, um sich abzumelden."
+    },
+    optOut: {
+      en: "{{serviceName}}: You have been unsubscribed and will not receive more SMS messages. Reply START to resubscribe.",
+      es: "{{serviceName}}: Te has dado de baja y no recibirás más SMS. Responde START para volver a suscribirte.",
+      fr: "{{serviceName}} : Vous êtes désabonné et ne recevrez plus de SMS. Répondez START pour vous réabonner.",
+      de: "{{serviceName}}: Sie wurden abgemeldet und erhalten keine SMS mehr. Antworten Sie mit START, um sich wieder anzumelden."
+    },
+    optIn: {
+      en: "{{serviceName}}: You are subscribed to SMS messages again. Reply HELP for help or STOP to unsubscribe.",
+      es: "{{serviceName}}: Vuelves a estar suscrito a los SMS. Responde AYUDA para obtener ayuda o STOP para darte de baja.",
+      fr: "{{serviceName}} : Vous êtes de nouveau abonné aux SMS. Répondez AIDE pour obtenir de l'aide ou STOP pour vous désabonner.",
+      de: "{{serviceName}}: Sie erhalten wieder SMS. Antworten Sie mit HILFE für Hilfe oder STOP, um sich abzumelden."
+    }
+  }
+};
+/**
+ * Normalize a channel name ('Email' -> 'email')
+ *
+ * @param {string} channel - Channel name
+ * @returns {string|null} - Lowercase channel name, or null if invalid
+ */
+function normalizeChannel(channel) {
+  return typeof channel === 'string' && channel.trim() ? channel.trim().toLowerCase() : null;
+}
+
+/**
+ * Normalize a language code ('es_MX' -> 'es-mx')
+ *
+ * @param {string} language - Language code
+ * @returns {string|null} - Lowercase language code, or null if invalid
+ */
+function normalizeLanguage(language) {
+  return typeof language === 'string' && language.trim()
+    ? language.trim().toLowerCase().replace(/_/g, '-')
+    : null;
+}
+
+/**
+ * Find the stored name of a template in a channel's templates
+ *
+ * Matches case-insensitively, then through TEMPLATE_ALIASES.
+ *
+ * @param {Object} channelTemplates - Templates of one channel (name -> language -> content)
+ * @param {string} name - Requested template name
+ * @returns {string|null} - The stored template name, or null if there is no match
+ */
+function matchTemplateName(channelTemplates, name) {
+  if (!channelTemplates || typeof name !== 'string' || !name.trim()) {
+    return null;
+  }
+
+  const requested = name.trim().toLowerCase();
+  const candidates = [requested, TEMPLATE_ALIASES[requested]].filter(Boolean);
+  const storedNames = Object.keys(channelTemplates);
+
+  for (const candidate of candidates) {
+    const match = storedNames.find(storedName => storedName.toLowerCase() === candidate);
+    if (match) {
+      return match;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the stored name of a template
+ *
+ * @param {string} channel - Channel name ('email', 'sms', ...)
+ * @param {string} name - Template name or alias
+ * @returns {string|null} - The stored template name, or null if the template doesn't exist
+ */
+function resolveTemplateName(channel, name) {
+  return matchTemplateName(templates[normalizeChannel(channel)], name);
+}
+
+/**
+ * Copy template content so callers can't change the stored template
+ *
+ * @param {Object|string} content - Template content
+ * @returns {Object|string} - Copy of the content
+ */
+function copyContent(content) {
+  return content && typeof content === 'object' ? { ...content } : content;
+}
+
+/**
+ * Find the template to use for a channel, name and language
+ *
+ * @param {string} channel - Channel name ('email', 'sms', ...)
+ * @param {string} name - Template name or alias
+ * @param {string|string[]} [language] - Language code, or language codes in order of preference
+ * @param {Object} [options={}] - Lookup options
+ * @param {string} [options.fallbackLanguage='en'] - Language tried after the requested ones
+ * @param {boolean} [options.strict=false] - Only accept one of the requested languages
+ * @returns {Object|null} - { channel, name, language, requestedLanguage, fallbackUsed, template }, or null if not found
+ */
+function resolveTemplate(channel, name, language, options = {}) {
+  const { fallbackLanguage = DEFAULT_LANGUAGE, strict = false } = options;
+
+  const channelKey = normalizeChannel(channel);
+  const templateName = resolveTemplateName(channelKey, name);
+
+  if (!templateName) {
+    return null;
+  }
+
+  const translations = templates[channelKey][templateName];
+  const requested = (Array.isArray(language) ? language : [language])
+    .map(normalizeLanguage)
+    .filter(Boolean);
+
+  // Requested languages first, then their base languages, the fallback language and any other
+  const candidates = [...requested];
+  if (!strict) {
+    requested.forEach(lang => candidates.push(lang.split('-')[0]));
+    candidates.push(normalizeLanguage(fallbackLanguage), ...Object.keys(translations));
+  }
+
+  const selected = candidates.find(lang => lang && translations[lang] !== undefined);
+
+  if (!selected) {
+    return null;
+  }
+
+  return {
+    channel: channelKey,
+    name: templateName,
+    language: selected,
+    requestedLanguage: requested[0] || null,
+    fallbackUsed: !requested.includes(selected),
+    template: copyContent(translations[selected])
+  };
+}
+
+/**
+ * Get a template's content
+ *
+ * @param {string} channel - Channel name ('email', 'sms', ...)
+ * @param {string} name - Template name or alias
+ * @param {string|string[]} [language] - Language code, or language codes in order of preference
+ * @param {Object} [options={}] - Lookup options (see resolveTemplate)
+ * @returns {Object|string|null} - The template ({ subject, body } for email, a string for SMS), or null if not found
+ */
+function getTemplate(channel, name, language, options = {}) {
+  const resolved = resolveTemplate(channel, name, language, options);
+  return resolved ? resolved.template : null;
+}
+
+/**
+ * Copy template data, filling in placeholders known under another name
+ *
+ * @param {Object} data - Template data
+ * @returns {Object} - Data with aliased fields filled in (e.g. otpCode from verificationCode)
+ */
+function applyFieldAliases(data = {}) {
+  const values = { ...data };
+
+  FIELD_ALIASES.forEach(([field, alias]) => {
+    if (values[field] == null && values[alias] != null) {
+      values[field] = values[alias];
+    } else if (values[alias] == null && values[field] != null) {
+      values[alias] = values[field];
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Wrap rendered HTML in a layout
+ *
+ * @param {string} html - Rendered template HTML
+ * @param {string|boolean} [layoutName] - Layout name; false for none, the default layout if omitted
+ * @param {Object} data - Template data (available to the layout and its partials)
+ * @param {Object} options - Render options
+ * @returns {string} - The complete HTML
+ * @throws {Error} - UNKNOWN_LAYOUT if the layout isn't registered
+ */
+function applyLayout(html, layoutName, data, options) {
+  if (layoutName === false || layoutName === null) {
+    return html;
+  }
+
+  const name = layoutName || DEFAULT_LAYOUT;
+  if (layouts[name] === undefined) {
+    const error = new Error(`Unknown email layout: ${name}`);
+    error.code = 'UNKNOWN_LAYOUT';
+    throw error;
+  }
+
+  return templateEngine.render(layouts[name], { ...data, content: html }, { ...options, escapeHtml: true });
+}
+
+/**
+ * Render template content with the template engine (utilities/templateEngine.js)
+ *
+ * Values in an `html` field are HTML-escaped unless written as {{{value}}} or
+ * {{value | raw}}. An `html` field is wrapped in the template's `layout` (the
+ * default layout unless set; false for none) and, if the template has no
+ * `body`, the plain-text body is generated from it. Placeholders without a
+ * value are left as they are.
+ *
+ * @param {Object|string} content - Template content (string, or object of strings)
+ * @param {Object} [data={}] - Template data
+ * @param {Object} [options={}] - Render options
+ * @param {string} [options.locale] - Locale for number, currency and date filters
+ * @param {string} [options.timeZone] - Time zone for date filters
+ * @param {boolean} [options.escapeHtml] - Escape values in every field (true) or none (false)
+ * @returns {Object|string} - The rendered content
+ * @throws {Error} - TEMPLATE_SYNTAX if the template is malformed, UNKNOWN_LAYOUT for a missing layout
+ */
+function renderContent(content, data = {}, options = {}) {
+  const values = applyFieldAliases(data);
+  const { escapeHtml, ...renderOptions } = options;
+
+  const render = (text, field) => templateEngine.render(text, values, {
+    ...renderOptions,
+    escapeHtml: escapeHtml === undefined ? field === 'html' : escapeHtml
+  });
+
+  if (typeof content === 'string') {
+    return render(content);
+  }
+
+  if (content && typeof content === 'object') {
+    const rendered = {};
+    Object.keys(content).forEach(key => {
+      if (key === 'layout') return;
+      rendered[key] = typeof content[key] === 'string' ? render(content[key], key) : content[key];
+    });
+
+    if (typeof content.html === 'string') {
+      rendered.html = applyLayout(rendered.html, content.layout, values, renderOptions);
+
+      // The plain-text alternative, unless the template has its own
+      if (typeof content.body !== 'string') {
+        rendered.body = htmlToText(rendered.html);
+      }
+    }
+
+    return rendered;
+  }
+
+  return content;
+}
+
+/**
+ * Look up a template and render it
+ *
+ * @param {string} channel - Channel name ('email', 'sms', ...)
+ * @param {string} name - Template name or alias
+ * @param {string|string[]} language - Language code, or language codes in order of preference
+ * @param {Object} [data={}] - Template data
+ * @param {Object} [options={}] - Lookup options (see resolveTemplate) and render options (see renderContent)
+ * @returns {Object|string|null} - The rendered template, or null if not found
+ */
+function renderTemplate(channel, name, language, data = {}, options = {}) {
+  const { locale, timeZone, escapeHtml, ...lookupOptions } = options;
+  const resolved = resolveTemplate(channel, name, language, lookupOptions);
+
+  if (!resolved) {
+    return null;
+  }
+
+  // Format numbers and dates for the template's language unless told otherwise
+  return renderContent(resolved.template, data, { locale: locale || resolved.language, timeZone, escapeHtml });
+}
+
+/**
+ * Add a template or replace one of its translations
+ *
+ * If a template with the same name (ignoring case) or alias already exists,
+ * the translation is stored under that template.
+ *
+ * @param {string} channel - Channel name ('email', 'sms', ...)
+ * @param {string} name - Template name
+ * @param {string} language - Language code
+ * @param {Object|string} content - { subject, body } or { subject, html, layout } for email, a string for SMS
+ * @returns {Object} - { channel, name, language } as stored
+ * @throws {Error} - INVALID_TEMPLATE if any argument is invalid
+ */
+function addTemplate(channel, name, language, content) {
+  const channelKey = normalizeChannel(channel);
+  const languageKey = normalizeLanguage(language);
+
+  let problem = null;
+  if (!channelKey) {
+    problem = 'Template channel must be a non-empty string';
+  } else if (typeof name !== 'string' || !name.trim()) {
+    problem = 'Template name must be a non-empty string';
+  } else if (!languageKey || !/^[a-z]{2,3}(-[a-z0-9]{2,8})?$/.test(languageKey)) {
+    problem = `Invalid language code: ${language}`;
+  } else if (channelKey === 'email') {
+    if (!content || typeof content.subject !== 'string'
+      || (typeof content.body !== 'string' && typeof content.html !== 'string')) {
+      problem = 'Email templates need a subject and a body or html';
+    }
+  } else if (typeof content !== 'string' && (!content || typeof content !== 'object')) {
+    problem = `${channelKey} templates must be a string or an object`;
+  }
+
+  if (problem) {
+    const error = new Error(problem);
+    error.code = 'INVALID_TEMPLATE';
+    throw error;
+  }
+
+  if (!templates[channelKey]) {
+    templates[channelKey] = {};
+  }
+
+  const templateName = resolveTemplateName(channelKey, name) || name.trim();
+  if (!templates[channelKey][templateName]) {
+    templates[channelKey][templateName] = {};
+  }
+
+  templates[channelKey][templateName][languageKey] = copyContent(content);
+
+  return { channel: channelKey, name: templateName, language: languageKey };
+}
+
+/**
+ * Add or replace an email layout
+ *
+ * The layout is a full HTML document with {{{content}}} where the template's
+ * HTML goes; it can use partials and the template data.
+ *
+ * @param {string} name - Layout name
+ * @param {string} html - Layout source
+ * @throws {Error} - INVALID_TEMPLATE if the layout has no {{{content}}}
+ */
+function registerLayout(name, html) {
+  if (typeof name !== 'string' || !name.trim() || typeof html !== 'string' || !/{{{\s*content\s*}}}/.test(html)) {
+    const error = new Error('A layout needs a name and HTML with a {{{content}}} placeholder');
+    error.code = 'INVALID_TEMPLATE';
+    throw error;
+  }
+
+  layouts[name.trim()] = html;
+}
+
+/**
+ * Get the names of the registered email layouts
+ *
+ * @returns {string[]} - Layout names
+ */
+function getLayouts() {
+  return Object.keys(layouts);
+}
+
+/**
+ * Check whether a template exists
+ *
+ * @param {string} channel - Channel name
+ * @param {string} name - Template name or alias
+ * @param {string} [language] - Only true if this exact language exists
+ * @returns {boolean} - True if the template exists
+ */
+function hasTemplate(channel, name, language) {
+  const templateName = resolveTemplateName(channel, name);
+
+  if (!templateName) {
+    return false;
+  }
+
+  return language === undefined
+    || templates[normalizeChannel(channel)][templateName][normalizeLanguage(language)] !== undefined;
+}
+
+/**
+ * Get the channels that have templates
+ *
+ * @returns {string[]} - Channel names
+ */
+function getChannels() {
+  return Object.keys(templates);
+}
+
+/**
+ * List templates, optionally for one channel
+ *
+ * @param {string} [channel] - Channel name
+ * @returns {Object[]} - [{ channel, name, languages }]
+ */
+function listTemplates(channel) {
+  const channels = channel ? [normalizeChannel(channel)] : getChannels();
+
+  return channels
+    .filter(channelKey => templates[channelKey])
+    .flatMap(channelKey => Object.keys(templates[channelKey]).map(name => ({
+      channel: channelKey,
+      name,
+      languages: Object.keys(templates[channelKey][name])
+    })));
+}
+
+/**
+ * Get the languages a template is available in
+ *
+ * @param {string} channel - Channel name
+ * @param {string} name - Template name or alias
+ * @returns {string[]} - Language codes (empty if the template doesn't exist)
+ */
+function getAvailableLanguages(channel, name) {
+  const templateName = resolveTemplateName(channel, name);
+  return templateName ? Object.keys(templates[normalizeChannel(channel)][templateName]) : [];
+}
+
+/**
+ * Parse YAML with whichever YAML package is installed
+ *
+ * @param {string} text - YAML source
+ * @returns {*} - Parsed value
+ * @throws {Error} - YAML_UNSUPPORTED if neither 'yaml' nor 'js-yaml' is installed
+ */
+function parseYaml(text) {
+  for (const moduleName of ['yaml', 'js-yaml']) {
+    let parser;
+    try {
+      parser = require(moduleName);
+    } catch (error) {
+      if (error.code === 'MODULE_NOT_FOUND') continue;
+      throw error;
+    }
+
+    return moduleName === 'yaml' ? parser.parse(text) : parser.load(text);
+  }
+
+  const error = new Error('YAML templates need the "yaml" or "js-yaml" package');
+  error.code = 'YAML_UNSUPPORTED';
+  throw error;
+}
+
+/**
+ * Read a template file
+ *
+ * SMS templates may be a plain string or an object with a `message` field.
+ *
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Object|string} - Template content
+ */
+function readTemplateFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const content = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(text) : parseYaml(text);
+
+  const keys = content && typeof content === 'object' ? Object.keys(content) : [];
+  if (keys.length === 1 && typeof content.message === 'string') {
+    return content.message;
+  }
+
+  return content;
+}
+
+/**
+ * Load templates from a directory laid out as <dir>/<channel>/<name>/<language>.<ext>
+ *
+ * Files are .json, .yaml or .yml (YAML needs the 'yaml' or 'js-yaml' package).
+ * Email layouts and partials are .html files in <dir>/layouts and <dir>/partials.
+ * Other files are ignored. A file that can't be read or isn't a valid template
+ * is reported in `errors` and doesn't stop the rest from loading.
+ *
+ * @param {string} dir - Template directory
+ * @returns {Object} - { loaded: [{ channel, name, language, file } or { layout|partial, file }], errors: [{ file, error }] }
+ * @throws {Error} - TEMPLATE_DIR_NOT_FOUND if the directory doesn't exist
+ */
+function loadTemplatesFromDirectory(dir) {
+  if (!dir || !fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    const error = new Error(`Template directory not found: ${dir}`);
+    error.code = 'TEMPLATE_DIR_NOT_FOUND';
+    throw error;
+  }
+
+  const result = { loaded: [], errors: [] };
+  const subdirectories = (parent) => fs.readdirSync(parent, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name);
+
+  // Layouts and partials: <dir>/layouts/<name>.html, <dir>/partials/<name>.html
+  const htmlFiles = (folder) => (fs.existsSync(path.join(dir, folder)) ? fs.readdirSync(path.join(dir, folder)) : [])
+    .filter(file => path.extname(file).toLowerCase() === '.html')
+    .map(file => ({ name: path.basename(file, path.extname(file)), file: path.join(dir, folder, file) }));
+
+  for (const { name, file } of htmlFiles('partials')) {
+    try {
+      templateEngine.registerPartial(name, fs.readFileSync(file, 'utf8'));
+      result.loaded.push({ partial: name, file });
+    } catch (error) {
+      result.errors.push({ file, error: error.message });
+    }
+  }
+
+  for (const { name, file } of htmlFiles('layouts')) {
+    try {
+      registerLayout(name, fs.readFileSync(file, 'utf8'));
+      result.loaded.push({ layout: name, file });
+    } catch (error) {
+      result.errors.push({ file, error: error.message });
+    }
+  }
+
+  const channels = subdirectories(dir).filter(folder => folder !== 'layouts' && folder !== 'partials');
+
+  for (const channel of channels) {
+    for (const name of subdirectories(path.join(dir, channel))) {
+      const templateDir = path.join(dir, channel, name);
+
+      for (const file of fs.readdirSync(templateDir)) {
+        const extension = path.extname(file).toLowerCase();
+        if (!['.json', '.yaml', '.yml'].includes(extension)) continue;
+
+        const filePath = path.join(templateDir, file);
+        try {
+          const stored = addTemplate(channel, name, path.basename(file, path.extname(file)), readTemplateFile(filePath));
+          result.loaded.push({ ...stored, file: filePath });
+        } catch (error) {
+          result.errors.push({ file: filePath, error: error.message });
+        }
+      }
+    }
+  }
+
+  console.log(`[TEMPLATES] Loaded ${result.loaded.length} template(s) from ${dir}`);
+  result.errors.forEach(({ file, error }) => {
+    console.warn(`[TEMPLATES] Skipped ${file}: ${error}`);
+  });
+
+  return result;
+}
+
+// Load the configured template directory on startup
+if (config.templates.dir) {
+  try {
+    loadTemplatesFromDirectory(path.resolve(config.templates.dir));
+  } catch (error) {
+    console.error(`[TEMPLATES] ${error.message}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  TEMPLATE_ALIASES,
+  templates,
+  getTemplate,
+  resolveTemplate,
+  resolveTemplateName,
+  matchTemplateName,
+  renderTemplate,
+  renderContent,
+  applyFieldAliases,
+  addTemplate,
+  registerLayout,
+  registerPartial: templateEngine.registerPartial,
+  getLayouts,
+  hasTemplate,
+  getChannels,
+  listTemplates,
+  getAvailableLanguages,
+  loadTemplatesFromDirectory
+};
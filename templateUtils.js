@@ -19,8 +19,8 @@
     // No template to render
     if (!template) return null;
     
-    // Prepare data with defaults for rendering
-    const renderData = data || {};
+    // Prepare data for rendering (filling in aliased fields such as otpCode)
+    const renderData = registry.applyFieldAliases(data || {});
     
     // If the template includes metadata from getTemplate() with includeMetadata option
     if (template && template.metadata && template.template) {
@@ -72,7 +72,7 @@
   }
   
   /**
-   * Render a string by replacing placeholders with values
+   * Render a string with the template engine (placeholders, conditionals, loops and filters)
    * 
    * @param {string} str - The template string
    * @param {Object} data - The data object with values
@@ -84,43 +84,21 @@
   function renderString(str, data, customDefaults, removeUnreplacedPlaceholders) {
     if (typeof str !== 'string') return str;
     
-    let result = str;
-    
-    // Find all unique placeholders in the template
-    const placeholderRegex = /{{([^{}]+)}}/g;
-    const placeholders = new Set();
-    let match;
-    
-    while ((match = placeholderRegex.exec(str)) !== null) {
-      placeholders.add(match[1]);
-    }
-    
     // Combine default values (custom defaults take precedence over global defaults)
     const mergedDefaults = { ...DEFAULT_FIELD_VALUES, ...customDefaults };
     
-    // Process each placeholder
-    placeholders.forEach(placeholder => {
-      // Check if data contains the placeholder value
-      if (data[placeholder] !== undefined && data[placeholder] !== null) {
-        // Use provided value
-        const regex = new RegExp(`{{${placeholder}}}`, 'g');
-        result = result.replace(regex, data[placeholder]);
-      } 
-      // Check if we have a default value for this placeholder
-      else if (mergedDefaults[placeholder] !== undefined) {
-        // Use default value
-        const regex = new RegExp(`{{${placeholder}}}`, 'g');
-        result = result.replace(regex, mergedDefaults[placeholder]);
+    // Provided values win over defaults, except null or undefined ones
+    const values = { ...mergedDefaults };
+    Object.keys(data).forEach(key => {
+      if (data[key] !== undefined && data[key] !== null) {
+        values[key] = data[key];
       }
-      // If removeUnreplacedPlaceholders is true, remove the unreplaced placeholder
-      else if (removeUnreplacedPlaceholders) {
-        const regex = new RegExp(`{{${placeholder}}}`, 'g');
-        result = result.replace(regex, '');
-      }
-      // Otherwise leave the placeholder as is
     });
     
-    return result;
+    // Placeholders with no value at all are removed if requested, otherwise left as is
+    return templateEngine.render(str, values, {
+      onMissing: (path, tag) => (removeUnreplacedPlaceholders ? '' : tag)
+    });
   }
 
   /**
@@ -130,41 +108,14 @@
  * template name, and language preferences with support for default values.
  */
 
-// Template store organized by type -> name -> language
-const templates = {
-    // Email templates
-    email: {
-      // Welcome email template
-      welcome: {
-        en: {
-          subject: "Welcome to {{serviceName}}!",
-          body: "Hello {{userName}},\n\nWelcome to {{serviceName}}! We're excited to have you join us.\n\nTo get started, please verify your email by clicking on the link below:\n{{verificationLink}}\n\nIf you have any questions, feel free to contact our support team at {{supportEmail}}.\n\nBest regards,\nThe {{serviceName}} Team"
-        },
-        es: {
-          subject: "¡Bienvenido a {{serviceName}}!",
-          body: "Hola {{userName}},\n\n¡Bienvenido a {{serviceName}}! Estamos emocionados de que te unas a nosotros.\n\nPara comenzar, verifica tu correo electrónico haciendo clic en el siguiente enlace:\n{{verificationLink}}\n\nSi tienes alguna pregunta, no dudes en contactar a nuestro equipo de soporte en {{supportEmail}}.\n\nSaludos cordiales,\nEl Equipo de {{serviceName}}"
-        },
-        fr: {
-          subject: "Bienvenue sur {{serviceName}} !",
-          body: "Bonjour {{userName}},\n\nBienvenue sur {{serviceName}} ! Nous sommes ravis de vous compter parmi nous.\n\nPour commencer, veuillez vérifier votre email en cliquant sur le lien ci-dessous :\n{{verificationLink}}\n\nSi vous avez des questions, n'hésitez pas à contacter notre équipe d'assistance à {{supportEmail}}.\n\nCordialement,\nL'équipe {{serviceName}}"
-        }
-      },
-      // Other email templates...
-    },
-    // SMS templates
-    sms: {
-      // Welcome SMS template
-      welcome: {
-        en: "Welcome to {{serviceName}}, {{userName}}! Your account has been created successfully. Reply HELP for assistance.",
-        es: "¡Bienvenido a {{serviceName}}, {{userName}}! Tu cuenta ha sido creada exitosamente. Responde AYUDA para obtener asistencia.",
-        fr: "Bienvenue sur {{serviceName}}, {{userName}} ! Votre compte a été créé avec succès. Répondez AIDE pour obtenir de l'assistance."
-      },
-      // Other SMS templates...
-    }
-  };
+const registry = require('./templateRegistry');
+const templateEngine = require('./utilities/templateEngine');
+
+// Template store organized by type -> name -> language (shared with the template registry)
+const templates = registry.templates;
   
   // Default language to use if the requested language is not available
-  const DEFAULT_LANGUAGE = 'en';
+  const DEFAULT_LANGUAGE = registry.DEFAULT_LANGUAGE;
   
   // Default values for common template fields
   const DEFAULT_FIELD_VALUES = {
@@ -255,30 +206,19 @@ const templates = {
         return null;
       }
   
-      // Check if the template name exists for this type
-      if (!templates[type][name]) {
+      // Check if the template name exists for this type (ignoring case, following aliases)
+      if (!registry.resolveTemplateName(type, name)) {
         console.warn(`Template name '${name}' not found for type '${type}'`);
         return null;
       }
   
-      // Try each language in the preference order
-      let template = null;
-      let selectedLanguage = null;
+      // Try each language in the preference order, then fall back unless in strict mode
+      const resolved = registry.resolveTemplate(type, name, normalizedLanguages, { strict: strictMode });
+      const template = resolved ? resolved.template : null;
+      const selectedLanguage = resolved ? resolved.language : null;
   
-      for (const lang of normalizedLanguages) {
-        if (templates[type][name][lang]) {
-          template = templates[type][name][lang];
-          selectedLanguage = lang;
-          break;
-        }
-      }
-  
-      // If no template found in preferred languages and not in strict mode,
-      // fall back to default language
-      if (!template && !strictMode && !normalizedLanguages.includes(DEFAULT_LANGUAGE)) {
-        console.info(`Template '${type}.${name}' not available in preferred languages, falling back to '${DEFAULT_LANGUAGE}'`);
-        template = templates[type][name][DEFAULT_LANGUAGE];
-        selectedLanguage = DEFAULT_LANGUAGE;
+      if (resolved && resolved.fallbackUsed) {
+        console.info(`Template '${type}.${name}' not available in preferred languages, falling back to '${selectedLanguage}'`);
   
         if (metadata) {
           metadata.fallbackUsed = true;
@@ -320,8 +260,8 @@ const templates = {
     // No template to render
     if (!template) return null;
     
-    // Prepare data with defaults for rendering
-    const renderData = data || {};
+    // Prepare data for rendering (filling in aliased fields such as otpCode)
+    const renderData = registry.applyFieldAliases(data || {});
     
     // If the template includes metadata from getTemplate() with includeMetadata option
     if (template && template.metadata && template.template) {
@@ -373,7 +313,7 @@ const templates = {
   }
   
   /**
-   * Render a string by replacing placeholders with values
+   * Render a string with the template engine (placeholders, conditionals, loops and filters)
    * 
    * @param {string} str - The template string
    * @param {Object} data - The data object with values
@@ -385,43 +325,21 @@ const templates = {
   function renderString(str, data, customDefaults, removeUnreplacedPlaceholders) {
     if (typeof str !== 'string') return str;
     
-    let result = str;
-    
-    // Find all unique placeholders in the template
-    const placeholderRegex = /{{([^{}]+)}}/g;
-    const placeholders = new Set();
-    let match;
-    
-    while ((match = placeholderRegex.exec(str)) !== null) {
-      placeholders.add(match[1]);
-    }
-    
     // Combine default values (custom defaults take precedence over global defaults)
     const mergedDefaults = { ...DEFAULT_FIELD_VALUES, ...customDefaults };
     
-    // Process each placeholder
-    placeholders.forEach(placeholder => {
-      // Check if data contains the placeholder value
-      if (data[placeholder] !== undefined && data[placeholder] !== null) {
-        // Use provided value
-        const regex = new RegExp(`{{${placeholder}}}`, 'g');
-        result = result.replace(regex, data[placeholder]);
-      } 
-      // Check if we have a default value for this placeholder
-      else if (mergedDefaults[placeholder] !== undefined) {
-        // Use default value
-        const regex = new RegExp(`{{${placeholder}}}`, 'g');
-        result = result.replace(regex, mergedDefaults[placeholder]);
+    // Provided values win over defaults, except null or undefined ones
+    const values = { ...mergedDefaults };
+    Object.keys(data).forEach(key => {
+      if (data[key] !== undefined && data[key] !== null) {
+        values[key] = data[key];
       }
-      // If removeUnreplacedPlaceholders is true, remove the unreplaced placeholder
-      else if (removeUnreplacedPlaceholders) {
-        const regex = new RegExp(`{{${placeholder}}}`, 'g');
-        result = result.replace(regex, '');
-      }
-      // Otherwise leave the placeholder as is
     });
     
-    return result;
+    // Placeholders with no value at all are removed if requested, otherwise left as is
+    return templateEngine.render(str, values, {
+      onMissing: (path, tag) => (removeUnreplacedPlaceholders ? '' : tag)
+    });
   }
   
   /**
@@ -509,24 +427,7 @@ const templates = {
   function templateExists(type, name, language) {
     if (!type || !name) return false;
     
-    try {
-      // Check if template type exists
-      if (!templates[type]) return false;
-      
-      // Check if template name exists
-      if (!templates[type][name]) return false;
-      
-      // If language is specified, check if that language exists
-      if (language) {
-        return !!templates[type][name][language.toLowerCase()];
-      }
-      
-      // Template type and name exist
-      return true;
-    } catch (error) {
-      console.error('Error checking template existence:', error);
-      return false;
-    }
+    return registry.hasTemplate(type, name, language);
   }
   
   /**
@@ -545,25 +446,10 @@ const templates = {
     }
   
     try {
-      // Normalize language code
-      const normalizedLanguage = language.toLowerCase();
-  
-      // Initialize type if it doesn't exist
-      if (!templates[type]) {
-        templates[type] = {};
-      }
-  
-      // Initialize name if it doesn't exist
-      if (!templates[type][name]) {
-        templates[type][name] = {};
-      }
-  
-      // Add/update the template
-      templates[type][name][normalizedLanguage] = templateContent;
-      
+      registry.addTemplate(type, name, language, templateContent);
       return true;
     } catch (error) {
-      console.error(`Error adding template '${type}.${name}.${language}':`, error);
+      console.error(`Error adding template '${type}.${name}.${language}':`, error.message);
       return false;
     }
   }
@@ -0,0 +1,108 @@
+/**
+ * Tests for the channel registry
+ *
+ * Registers a stub "slack" channel at runtime and sends through the
+ * dispatcher with in-memory stores, so nothing is delivered or written to
+ * disk.
+ *
+ * To run: node tests/channel-registry.test.js
+ */
+
+process.env.QUEUE_STORE = "memory";
+process.env.QUEUE_AUTO_START = "false";
+process.env.SCHEDULER_STORE = "memory";
+process.env.SCHEDULER_AUTO_START = "false";
+process.env.TRACKER_STORE = "memory";
+process.env.ENABLE_CONSOLE_LOGGING = "false";
+
+const dispatcher = require("../dispatcher");
+const registry = require("../notifications/registry");
+
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+function registrationError(name, definition, options) {
+  try {
+    registry.registerChannel(name, definition, options);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function runTests() {
+  console.log("\n=== Testing Channel Registry ===\n");
+
+  const posted = [];
+  const slack = {
+    send: async (recipient, message) => {
+      posted.push({ recipient, message });
+      return { type: "slack", recipient, status: "sent", messageId: `slack-${posted.length}` };
+    },
+    validateRecipient: (recipient) => recipient.startsWith("#"),
+    validateMessage: (message) => ({ isValid: !message.includes("@everyone"), error: "No @everyone pings" }),
+    maxMessageLength: 20,
+    capabilities: ["markdown"]
+  };
+
+  console.log("Registering:");
+  const registered = dispatcher.registerChannel("Slack", slack);
+  check("the channel is stored under its lowercase name", registered.name === "slack" && registry.getChannel("SLACK") === registered);
+  check("the dispatcher supports it right away", dispatcher.isTypeSupported("slack") && dispatcher.getSupportedTypes().includes("slack"));
+  check("capabilities are recorded", registry.hasCapability("slack", "markdown") && !registry.hasCapability("slack", "html"));
+  check("the built-in channels are registered", ["email", "sms", "push", "webhook"].every((name) => registry.hasChannel(name)));
+
+  console.log("\nValidating:");
+  const note = (recipient, message) => ({ type: "slack", recipient, message });
+  check("valid notifications pass", dispatcher.validateNotification(note("#ops", "Deploy finished")).isValid);
+  check("the recipient validator is used", dispatcher.validateNotification(note("ops", "Deploy finished")).error === "Invalid slack recipient: ops");
+  check("the message validator is used", dispatcher.validateNotification(note("#ops", "@everyone hi")).error === "No @everyone pings");
+  check("the maximum length is used", /SLACK message exceeds maximum length of 20/.test(
+    dispatcher.validateNotification(note("#ops", "This deploy took a very long time")).error));
+
+  console.log("\nDispatching:");
+  const sent = await dispatcher.dispatchNotification(note("#ops", "Deploy finished"));
+  check("notifications go to the channel's send function", sent.status === "sent" && sent.messageId === "slack-1"
+    && posted[0].recipient === "#ops" && posted[0].message === "Deploy finished");
+  const invalid = await dispatcher.dispatchNotification(note("ops", "Deploy finished"));
+  check("invalid notifications aren't sent", invalid.status === "failed" && posted.length === 1);
+
+  console.log("\nDuplicates:");
+  const duplicate = registrationError("slack", { send: async () => ({ status: "sent" }) });
+  check("registering a name twice is rejected", duplicate && duplicate.code === "CHANNEL_ALREADY_REGISTERED"
+    && registry.getChannel("slack") === registered);
+  check("names are compared case-insensitively", registrationError("SLACK", slack).code === "CHANNEL_ALREADY_REGISTERED");
+  const replaced = registry.registerChannel("slack", { send: slack.send }, { replace: true });
+  check("options.replace replaces the registration", registry.getChannel("slack") === replaced
+    && replaced.maxMessageLength === registry.DEFAULT_MAX_MESSAGE_LENGTH);
+  check("unregistered channels can be registered again", registry.unregisterChannel("slack")
+    && !dispatcher.isTypeSupported("slack") && registrationError("slack", slack) === null);
+
+  console.log("\nInvalid definitions:");
+  check("a name is required", /non-empty string/.test(registrationError("", slack).message)
+    && /non-empty string/.test(registrationError(42, slack).message));
+  check("a send function is required", /must provide a send function/.test(registrationError("fax", {}).message)
+    && /must provide a send function/.test(registrationError("fax", { send: "post" }).message)
+    && /must provide a send function/.test(registrationError("fax", null).message));
+  check("validators must be functions", /validateRecipient must be a function/.test(
+    registrationError("fax", { send: slack.send, validateRecipient: /^\+/ }).message));
+  check("maxMessageLength must be a positive integer", /maxMessageLength/.test(registrationError("fax", { send: slack.send, maxMessageLength: 0 }).message)
+    && /maxMessageLength/.test(registrationError("fax", { send: slack.send, maxMessageLength: "160" }).message));
+  check("capabilities must be an array", /capabilities must be an array/.test(
+    registrationError("fax", { send: slack.send, capabilities: "html" }).message));
+  check("rejected definitions aren't registered", !registry.hasChannel("fax"));
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+    process.exitCode = failures === 0 ? 0 : 1;
+  });
@@ -0,0 +1,194 @@
+/**
+ * Tests for real SMTP email delivery
+ *
+ * Starts a local in-process SMTP server and sends through the real
+ * nodemailer path in notifications/emails.js. Attachment files are written
+ * to a temp dir and removed afterwards.
+ *
+ * To run: node tests/email-delivery.test.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { SMTPServer } = require("smtp-server");
+
+const receivedMessages = [];
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+// Local SMTP stand-in: accepts everything except blocked@example.com
+const server = new SMTPServer({
+  authOptional: true,
+  disabledCommands: ["STARTTLS", "AUTH"],
+  logger: false,
+  onRcptTo(address, session, callback) {
+    if (address.address === "blocked@example.com") {
+      const error = new Error("Mailbox unavailable");
+      error.responseCode = 550;
+      return callback(error);
+    }
+    callback();
+  },
+  onData(stream, session, callback) {
+    let raw = "";
+    stream.on("data", (chunk) => (raw += chunk.toString()));
+    stream.on("end", () => {
+      receivedMessages.push({
+        from: session.envelope.mailFrom.address,
+        to: session.envelope.rcptTo.map((rcpt) => rcpt.address),
+        raw,
+      });
+      callback();
+    });
+  },
+});
+
+// Undo quoted-printable encoding so message parts can be searched
+function decodeQuotedPrintable(raw) {
+  return Buffer.from(
+    raw.replace(/=\r?\n/g, "").replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+    "binary"
+  ).toString("utf8");
+}
+
+async function runTests() {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  // Point the email configuration at the local server before loading the module
+  process.env.EMAIL_HOST = "127.0.0.1";
+  process.env.EMAIL_PORT = String(server.server.address().port);
+  process.env.EMAIL_SECURE = "false";
+  process.env.EMAIL_USER = "";
+  process.env.EMAIL_MOCK_MODE = "false";
+  process.env.ENABLE_CONSOLE_LOGGING = "false";
+
+  const emailNotifier = require("../notifications/emails");
+
+  console.log("\n=== Testing SMTP Delivery ===\n");
+
+  console.log("Successful delivery:");
+  const result = await emailNotifier.send(
+    "user@example.com",
+    "Hello from the SMTP test.\nSecond line & more.",
+    { subject: "SMTP Test" }
+  );
+  const message = receivedMessages[0];
+
+  check("result status is 'sent'", result.status === "sent");
+  check("result carries the SMTP messageId", !!result.messageId);
+  check("result carries the SMTP response", /^250/.test(result.response || ""));
+  check("server received exactly one message", receivedMessages.length === 1);
+  check("envelope recipient matches", message && message.to[0] === "user@example.com");
+  check("subject was sent", message && message.raw.includes("Subject: SMTP Test"));
+  check("text part was sent", message && message.raw.includes("Content-Type: text/plain"));
+  check("html part was sent", message && message.raw.includes("Content-Type: text/html"));
+  check("html part is escaped", message && message.raw.includes("&amp; more"));
+
+  console.log("\nHTML templates:");
+  const registry = require("../templateRegistry");
+  registry.addTemplate("email", "receiptTest", "en", {
+    subject: "Receipt {{receiptNumber}}",
+    html: "<h1>Thanks, {{userName}}</h1><p>View your <a href=\"{{receiptLink}}\">receipt</a>.</p>"
+  });
+  const rendered = registry.renderTemplate("email", "receiptTest", "en", {
+    receiptNumber: "R-1",
+    userName: "Jane & co",
+    receiptLink: "https://example.com/r/1",
+    serviceName: "Acme",
+    unsubscribeLink: "https://example.com/unsubscribe"
+  });
+  await emailNotifier.send("user@example.com", rendered.body, { subject: rendered.subject, html: rendered.html });
+  const htmlMessage = decodeQuotedPrintable(receivedMessages[1] ? receivedMessages[1].raw : "");
+
+  check("sent as multipart/alternative", htmlMessage.includes("multipart/alternative"));
+  check("layout header and unsubscribe block are included",
+    htmlMessage.includes(">Acme</div>") && htmlMessage.includes('href="https://example.com/unsubscribe"'));
+  check("CSS is inlined", /<div class="header" style="[^"]*background-color: #2d3748/.test(htmlMessage));
+  check("values are escaped in the HTML part", htmlMessage.includes("Thanks, Jane &amp; co"));
+  check("plain-text part is generated from the HTML",
+    htmlMessage.includes("Thanks, Jane & co") && htmlMessage.includes("receipt (https://example.com/r/1)"));
+
+  console.log("\nAttachments:");
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "attachments-"));
+  const invoicePath = path.join(dir, "invoice.pdf");
+  fs.writeFileSync(invoicePath, "%PDF-1.4 test invoice");
+  const attachments = [
+    invoicePath,
+    { filename: "terms.txt", content: Readable.from([Buffer.from("Terms and conditions")]) },
+    { filename: "logo.png", content: Buffer.from("not really a png"), cid: "logo@acme" }
+  ];
+
+  try {
+    const withAttachments = await emailNotifier.send("user@example.com", "See attached.", {
+      subject: "Invoice",
+      html: '<p><img src="cid:logo@acme"> See attached.</p>',
+      attachments
+    });
+    const attachmentMessage = receivedMessages[2] ? receivedMessages[2].raw : "";
+
+    check("result lists attachment metadata",
+      withAttachments.attachments && withAttachments.attachments.map((a) => `${a.filename}:${a.contentType}:${a.size}:${a.inline}`).join(",")
+        === "invoice.pdf:application/pdf:21:false,terms.txt:text/plain:20:false,logo.png:image/png:16:true");
+    check("file attachment is sent", /Content-Disposition: attachment; filename=invoice\.pdf/.test(attachmentMessage)
+      && attachmentMessage.includes(Buffer.from("%PDF-1.4 test invoice").toString("base64")));
+    check("stream attachment is sent", /filename=terms\.txt/.test(attachmentMessage));
+    check("inline image is sent with its content id",
+      attachmentMessage.includes("multipart/related") && attachmentMessage.includes("Content-ID: <logo@acme>"));
+
+    console.log("\nAttachment limits:");
+    const config = require("../config");
+    const maxSize = config.email.maxAttachmentSize;
+    config.email.maxAttachmentSize = 30;
+    const tooLarge = await emailNotifier.send("user@example.com", "Too big", { subject: "Big", attachments: [invoicePath, invoicePath] });
+    config.email.maxAttachmentSize = maxSize;
+
+    check("total size over the limit fails with ATTACHMENT_TOO_LARGE", tooLarge.status === "failed" && tooLarge.errorCode === "ATTACHMENT_TOO_LARGE");
+    const missing = await emailNotifier.send("user@example.com", "Missing", { subject: "Missing", attachments: [path.join(dir, "nope.pdf")] });
+    check("missing files fail with INVALID_ATTACHMENT", missing.status === "failed" && missing.errorCode === "INVALID_ATTACHMENT");
+    const unnamed = await emailNotifier.send("user@example.com", "Unnamed", { subject: "Unnamed", attachments: [{ content: "x" }] });
+    check("content without a filename fails with INVALID_ATTACHMENT", unnamed.errorCode === "INVALID_ATTACHMENT");
+    check("rejected emails are not sent", receivedMessages.length === 3);
+
+    console.log("\nMock outbox:");
+    emailNotifier.clearMockOutbox();
+    await emailNotifier.send("user@example.com", "Mocked", { subject: "Mock invoice", mockMode: true, attachments: [invoicePath] });
+    const outbox = emailNotifier.getMockOutbox();
+    check("mock sends are recorded", outbox.length === 1 && outbox[0].subject === "Mock invoice" && outbox[0].to === "user@example.com");
+    check("mock outbox records attachment metadata",
+      outbox[0].attachments.length === 1 && outbox[0].attachments[0].filename === "invoice.pdf" && outbox[0].attachments[0].size === 21);
+    check("mock sends don't reach the server", receivedMessages.length === 3);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log("\nRejected recipient:");
+  const failed = await emailNotifier.send("blocked@example.com", "This should bounce", {
+    subject: "Bounce Test",
+  });
+
+  check("result status is 'failed'", failed.status === "failed");
+  check("errorCode is EMAIL_SEND_FAILED", failed.errorCode === "EMAIL_SEND_FAILED");
+  check("providerCode is EENVELOPE", failed.providerCode === "EENVELOPE");
+  check("responseCode is 550", failed.responseCode === 550);
+  check("errorId is present", !!failed.errorId);
+
+  emailNotifier.closeTransporter();
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    server.close(() => {
+      console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+      process.exitCode = failures === 0 ? 0 : 1;
+    });
+  });
@@ -0,0 +1,120 @@
+/**
+ * Tests for retries in the error handler
+ *
+ * Wraps stub send functions with withErrorHandling under a test channel, with
+ * no delay between attempts. Logs go to a temporary directory.
+ *
+ * To run: node tests/error-handler.test.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const logDirectory = path.join(os.tmpdir(), `error-handler-logs-${process.pid}`);
+process.env.LOG_DIRECTORY = logDirectory;
+process.env.ENABLE_CONSOLE_LOGGING = "false";
+
+const errorHandler = require("../error-handler");
+const logger = require("../logger");
+
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+function codedError(message, fields) {
+  return Object.assign(new Error(message), fields);
+}
+
+// Fails with each error in turn, then succeeds
+function flaky(...errors) {
+  const send = async (recipient) => {
+    send.calls++;
+    if (errors.length > 0) throw errors.shift();
+    return { status: "sent", recipient };
+  };
+  send.calls = 0;
+  return send;
+}
+
+async function runTests() {
+  console.log("\n=== Testing Error Handler Retries ===\n");
+
+  errorHandler.setRetryPolicy("test", { maxAttempts: 3, baseDelay: 0, jitter: 0, retryableCodes: ["BUSY", 503] });
+
+  const retryLogs = [];
+  const logRetryAttempt = logger.logRetryAttempt;
+  logger.logRetryAttempt = (channel, recipient, message, details) => retryLogs.push(details);
+
+  console.log("Retry loop:");
+  const once = flaky();
+  const sent = await errorHandler.withErrorHandling(once, "test")("ops", "Hello");
+  check("a first-time success is returned with its attempt", sent.status === "sent" && sent.attempts.length === 1 && once.calls === 1);
+  check("a first-time success isn't logged as a retry", retryLogs.length === 0);
+
+  const twice = flaky(codedError("Busy", { code: "BUSY" }));
+  const retried = await errorHandler.withErrorHandling(twice, "test")("ops", "Hello");
+  check("transient errors are retried", retried.status === "sent" && twice.calls === 2);
+  check("the attempt history is kept", retried.attempts.map((a) => a.status).join(",") === "failed,sent"
+    && retried.attempts[0].errorCode === "BUSY");
+  check("each retried attempt is logged", retryLogs.map((d) => `${d.attempt}:${d.status}`).join(",") === "1:retrying,2:sent");
+
+  console.log("\nRetryable codes:");
+  const policy = errorHandler.getRetryPolicy("test");
+  check("codes match the error's code", errorHandler.isRetryableError(codedError("x", { code: "BUSY" }), policy));
+  check("codes match the provider code", errorHandler.isRetryableError(codedError("x", { code: "OTHER", providerCode: "BUSY" }), policy));
+  check("codes match the response code", errorHandler.isRetryableError(codedError("x", { responseCode: 503 }), policy));
+  check("other codes aren't retryable", !errorHandler.isRetryableError(codedError("x", { code: "AUTH_FAILED", responseCode: 401 }), policy));
+  check("errors without a code aren't retryable", !errorHandler.isRetryableError(new Error("x"), policy)
+    && !errorHandler.isRetryableError("Busy", policy));
+
+  const permanent = flaky(codedError("Bad credentials", { code: "AUTH_FAILED" }));
+  const rejected = await errorHandler.withErrorHandling(permanent, "test")("ops", "Hello");
+  check("permanent errors fail on the first attempt", rejected.status === "failed" && permanent.calls === 1
+    && rejected.errorCode === "AUTH_FAILED" && rejected.attempts.length === 1);
+
+  console.log("\nGiving up:");
+  const busy = () => codedError("Busy", { code: "BUSY" });
+  const down = flaky(busy(), busy(), busy(), busy());
+  const exhausted = await errorHandler.withErrorHandling(down, "test")("ops", "Hello");
+  check("sending stops after maxAttempts", down.calls === 3 && exhausted.status === "failed" && exhausted.attempts.length === 3);
+  check("the last attempt isn't scheduled for a retry", exhausted.attempts[2].retryInMs === null);
+
+  const overridden = flaky(busy(), busy());
+  await errorHandler.withErrorHandling(overridden, "test")("ops", "Hello", { retry: { maxAttempts: 2 } });
+  check("options.retry overrides maxAttempts", overridden.calls === 2);
+  const disabled = flaky(busy());
+  await errorHandler.withErrorHandling(disabled, "test")("ops", "Hello", { retry: false });
+  check("options.retry = false disables retries", disabled.calls === 1);
+
+  console.log("\nBackoff:");
+  const backoff = { baseDelay: 500, maxDelay: 3000, jitter: 0 };
+  const delays = [1, 2, 3, 4, 5].map((attempt) => errorHandler.calculateRetryDelay(attempt, backoff));
+  check("delays double after each attempt", delays.slice(0, 3).join(",") === "500,1000,2000");
+  check("delays are capped at maxDelay", delays[3] === 3000 && delays[4] === 3000);
+
+  const random = Math.random;
+  const jittered = { baseDelay: 1000, maxDelay: 30000, jitter: 0.2 };
+  Math.random = () => 0;
+  const lowest = errorHandler.calculateRetryDelay(1, jittered);
+  Math.random = () => 0.999999;
+  const highest = errorHandler.calculateRetryDelay(1, jittered);
+  Math.random = random;
+  check("jitter spreads delays by +/- the jitter fraction", lowest === 800 && highest === 1200);
+
+  logger.logRetryAttempt = logRetryAttempt;
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    fs.rmSync(logDirectory, { recursive: true, force: true });
+    console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+    process.exitCode = failures === 0 ? 0 : 1;
+  });
@@ -0,0 +1,104 @@
+/**
+ * Tests for channel failover in sendUserNotification
+ *
+ * Channels run in mock mode with a temporary preferences file. The push
+ * channel is swapped for a stub so provider outages can be simulated.
+ *
+ * To run: node tests/fallback-chain.test.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const preferencesFile = path.join(os.tmpdir(), `fallback-test-preferences-${process.pid}.json`);
+process.env.PREFERENCES_FILE = preferencesFile;
+process.env.EMAIL_MOCK_MODE = "true";
+process.env.SMS_MOCK_MODE = "true";
+process.env.QUEUE_STORE = "memory";
+process.env.QUEUE_AUTO_START = "false";
+process.env.SCHEDULER_STORE = "memory";
+process.env.SCHEDULER_AUTO_START = "false";
+process.env.TRACKER_STORE = "memory";
+
+const dispatcher = require("../dispatcher");
+const userPreferences = require("../userPreferences");
+const deviceRegistry = require("../deviceRegistry");
+const { sendUserNotification } = require("../controllers/userNotificationController");
+
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+// Push stub, replacing the real channel: fails while the provider is "down"
+let pushDown = false;
+const pushed = [];
+dispatcher.registerChannel("push", {
+  send: async (recipient, message, options) => {
+    if (pushDown) {
+      return { type: "push", recipient, status: "failed", dispatched: false, error: "Push provider unavailable", errorId: "err-push-down" };
+    }
+    pushed.push({ recipient, message, options });
+    return { type: "push", recipient, status: "sent", messageId: `push-${pushed.length}` };
+  }
+}, { replace: true });
+
+const CHAIN = ["push", "sms", "email"];
+
+async function runTests() {
+  console.log("\n=== Testing Fallback Chains ===\n");
+
+  const user = "jane@example.com";
+  userPreferences.getUserPreferences(user);
+  userPreferences.updateUserPreferences(user, { phone: "+12025551234", smsEnabled: true });
+  deviceRegistry.registerDevice(user, { token: "jane-device-token", platform: "ios" });
+
+  const otpData = { otpCode: "123456" };
+
+  console.log("Primary channel:");
+  const viaPush = await sendUserNotification(user, "otp", otpData, { fallbackChain: CHAIN });
+  check("first channel delivers", viaPush.success && viaPush.deliveredVia === "push");
+  check("later channels are not tried", viaPush.steps.length === 1 && !viaPush.results.sms);
+  check("push uses the rendered SMS text", /123456/.test(pushed[0].message) && pushed[0].recipient === user);
+
+  console.log("\nFailover:");
+  pushDown = true;
+  const viaSms = await sendUserNotification(user, "otp", otpData, { fallbackChain: CHAIN });
+  check("falls back when the primary channel fails", viaSms.success && viaSms.deliveredVia === "sms");
+  check("failed step is reported with its errorId", viaSms.steps[0].status === "failed" && viaSms.steps[0].errorId === "err-push-down");
+  check("delivered channel result is reported", viaSms.results.sms.success && viaSms.results.sms.sentTo === "+12025551234");
+
+  userPreferences.toggleChannelPreference(user, "sms", false);
+  const viaEmail = await sendUserNotification(user, "otp", otpData, { fallbackChain: CHAIN });
+  check("channels the user opted out of are skipped", viaEmail.deliveredVia === "email"
+    && viaEmail.steps[1].status === "skipped" && viaEmail.steps[1].reason === "Not opted in");
+
+  console.log("\nNothing delivers:");
+  const noEmail = await sendUserNotification(user, "otp", otpData, { fallbackChain: ["push", "sms"] });
+  check("reports failure when every step fails or is skipped", !noEmail.success && noEmail.deliveredVia === null
+    && noEmail.steps.length === 2);
+
+  const noDevices = "john@example.com";
+  userPreferences.getUserPreferences(noDevices);
+  pushDown = false;
+  const skippedPush = await sendUserNotification(noDevices, "welcome", {}, { fallbackChain: ["push", "email"] });
+  check("users without devices skip push", skippedPush.deliveredVia === "email"
+    && skippedPush.steps[0].reason === "No registered push devices");
+
+  const invalid = await sendUserNotification(user, "otp", otpData, { fallbackChain: ["pigeon"] });
+  check("unknown channels are rejected", !invalid.success && /Invalid fallback chain/.test(invalid.error));
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    fs.rmSync(preferencesFile, { force: true });
+    console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+    process.exitCode = failures === 0 ? 0 : 1;
+  });
@@ -0,0 +1,93 @@
+/**
+ * Tests for idempotent dispatch
+ *
+ * Runs every channel in mock mode with in-memory queue and schedule stores,
+ * so nothing is sent or written to disk.
+ *
+ * To run: node tests/idempotency.test.js
+ */
+
+process.env.EMAIL_MOCK_MODE = "true";
+process.env.SMS_MOCK_MODE = "true";
+process.env.PUSH_MOCK_MODE = "true";
+process.env.QUEUE_STORE = "memory";
+process.env.QUEUE_AUTO_START = "false";
+process.env.SCHEDULER_STORE = "memory";
+process.env.SCHEDULER_AUTO_START = "false";
+process.env.TRACKER_STORE = "memory";
+
+const dispatcher = require("../dispatcher");
+const idempotency = require("../idempotency");
+
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function runTests() {
+  console.log("\n=== Testing Idempotent Dispatch ===\n");
+
+  console.log("Repeats:");
+  for (const [type, recipient] of [["email", "jane@example.com"], ["sms", "+12025551234"], ["push", "device-token-123"]]) {
+    const notification = { type, recipient, message: "Your code is 123456", idempotencyKey: `otp-${type}` };
+    const first = await dispatcher.dispatchNotification(notification);
+    const repeat = await dispatcher.dispatchNotification(notification);
+
+    check(`${type} repeat returns the original result`, repeat.idempotentReplay === true
+      && repeat.messageId === first.messageId && !first.idempotentReplay);
+  }
+
+  const concurrent = { type: "sms", recipient: "+12025551234", message: "Order confirmed", idempotencyKey: "order-1" };
+  const [a, b] = await Promise.all([dispatcher.dispatchNotification(concurrent), dispatcher.dispatchNotification(concurrent)]);
+  check("concurrent repeats send once", a.messageId === b.messageId && b.idempotentReplay === true);
+
+  const unkeyed = { type: "sms", recipient: "+12025551234", message: "No key" };
+  await wait(2);
+  const unkeyedFirst = await dispatcher.dispatchNotification(unkeyed);
+  await wait(2);
+  const unkeyedSecond = await dispatcher.dispatchNotification(unkeyed);
+  check("notifications without a key are always sent", unkeyedFirst.messageId !== unkeyedSecond.messageId);
+
+  console.log("\nFailures:");
+  const invalid = await dispatcher.dispatchNotification({ type: "email", recipient: "not-an-email", message: "Hi", idempotencyKey: "retry-me" });
+  const corrected = await dispatcher.dispatchNotification({ type: "email", recipient: "jane@example.com", message: "Hi", idempotencyKey: "retry-me" });
+  check("failed results are not remembered", invalid.status === "failed" && corrected.status === "sent" && !corrected.idempotentReplay);
+
+  const badKey = await dispatcher.dispatchNotification({ type: "email", recipient: "jane@example.com", message: "Hi", idempotencyKey: 42 });
+  check("non-string keys are rejected", badKey.status === "failed" && /Idempotency key/.test(badKey.error));
+
+  console.log("\nQueued and scheduled:");
+  const queued = { type: "email", recipient: "jane@example.com", message: "Queued", idempotencyKey: "queue-1" };
+  const firstJob = await dispatcher.queueNotification(queued);
+  const repeatJob = await dispatcher.queueNotification(queued);
+  check("queueing twice creates one job", firstJob.jobId === repeatJob.jobId);
+
+  const scheduled = { type: "email", recipient: "jane@example.com", message: "Later", sendAt: Date.now() + 60000, idempotencyKey: "schedule-1" };
+  const firstSchedule = await dispatcher.dispatchNotification(scheduled);
+  const repeatSchedule = await dispatcher.dispatchNotification(scheduled);
+  const pending = await dispatcher.listScheduled();
+  check("scheduling twice creates one item", firstSchedule.scheduleId === repeatSchedule.scheduleId && pending.length === 1);
+  check("the key is not stored with the scheduled notification", pending[0].payload.idempotencyKey === undefined);
+
+  console.log("\nExpiry:");
+  idempotency.configureIdempotency({ ttl: 20 });
+  const shortLived = { type: "sms", recipient: "+12025551234", message: "Expires", idempotencyKey: "short-1" };
+  const beforeExpiry = await dispatcher.dispatchNotification(shortLived);
+  await wait(40);
+  const afterExpiry = await dispatcher.dispatchNotification(shortLived);
+  check("keys are forgotten after the TTL", !afterExpiry.idempotentReplay && afterExpiry.messageId !== beforeExpiry.messageId);
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+    process.exitCode = failures === 0 ? 0 : 1;
+  });
@@ -0,0 +1,124 @@
+/**
+ * Tests for inbound SMS handling
+ *
+ * Feeds provider webhook payloads to handleInboundSms with a temporary
+ * preferences file. Replies go through the SMS channel in mock mode.
+ *
+ * To run: node tests/inbound-sms.test.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const preferencesFile = path.join(os.tmpdir(), `inbound-test-preferences-${process.pid}.json`);
+process.env.PREFERENCES_FILE = preferencesFile;
+process.env.SMS_MOCK_MODE = "true";
+process.env.QUEUE_STORE = "memory";
+process.env.QUEUE_AUTO_START = "false";
+process.env.SCHEDULER_STORE = "memory";
+process.env.SCHEDULER_AUTO_START = "false";
+process.env.TRACKER_STORE = "memory";
+process.env.ENABLE_CONSOLE_LOGGING = "false";
+
+const userPreferences = require("../userPreferences");
+const inboundSms = require("../inboundSms");
+
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+async function runTests() {
+  console.log("\n=== Testing Inbound SMS ===\n");
+
+  const user = "jane@example.com";
+  userPreferences.getUserPreferences(user);
+  userPreferences.updateUserPreferences(user, { phone: "+12025551234", smsEnabled: true });
+  inboundSms.configureInboundSms({ replyData: { serviceName: "Acme", supportEmail: "help@acme.test" } });
+
+  console.log("Finding the sender:");
+  check("users are found by phone number", userPreferences.findUserByPhone("+1 (202) 555-1234") === user);
+  check("unknown numbers find nobody", userPreferences.findUserByPhone("+12025550000") === null);
+
+  console.log("\nSTOP and START:");
+  const stopped = await inboundSms.handleInboundSms({ from: "+12025551234", to: "+15005550006", message: "Stop please" });
+  check("STOP opts the sender out of SMS", stopped.success && stopped.action === "optOut" && stopped.userId === user
+    && !userPreferences.hasUserOptedIn(user, "sms"));
+  check("STOP is confirmed by SMS", stopped.replyResult && stopped.replyResult.status === "sent"
+    && /^Acme: You have been unsubscribed/.test(stopped.reply));
+
+  const started = await inboundSms.handleInboundSms({ from: "+12025551234", message: "start" });
+  check("START opts the sender back in", started.action === "optIn" && userPreferences.hasUserOptedIn(user, "sms"));
+
+  const unsubscribed = await inboundSms.handleInboundSms({ from: "+12025551234", message: "UNSUBSCRIBE." });
+  check("aliases and punctuation are understood", unsubscribed.action === "optOut" && !userPreferences.hasUserOptedIn(user, "sms"));
+  userPreferences.setChannelOptInStatus(user, "sms", true);
+
+  const stranger = await inboundSms.handleInboundSms({ from: "+12025550000", message: "STOP" });
+  check("STOP from an unknown number fails with UNKNOWN_SENDER", !stranger.success && stranger.errorCode === "UNKNOWN_SENDER"
+    && stranger.replyResult === null);
+
+  console.log("\nHELP:");
+  const help = await inboundSms.handleInboundSms({ from: "+12025550000", message: "HELP" });
+  check("HELP answers anyone with the help template", help.success && help.action === "help"
+    && help.reply === "Acme: For help, email help@acme.test. Reply STOP to unsubscribe. Msg & data rates may apply.");
+
+  const ayuda = await inboundSms.handleInboundSms({ from: "+12025550000", message: "ayuda" });
+  check("AYUDA answers in Spanish", /^Acme: Para obtener ayuda/.test(ayuda.reply));
+
+  userPreferences.updateUserPreferences(user, { preferredLanguage: "fr" });
+  const french = await inboundSms.handleInboundSms({ from: "+12025551234", message: "HELP" });
+  check("known senders get replies in their language", /^Acme : Pour obtenir de l'aide/.test(french.reply));
+  userPreferences.updateUserPreferences(user, { preferredLanguage: "en" });
+
+  console.log("\nCustom keywords:");
+  const appointments = [];
+  const keywords = inboundSms.registerKeywordHandler(["c", "r"], ({ keyword, userId, args }) => {
+    appointments.push({ keyword, userId, args });
+    return keyword === "C" ? "Your appointment is confirmed." : { template: "help" };
+  });
+  check("keywords are registered uppercase", keywords.join(",") === "C,R");
+
+  const confirmed = await inboundSms.handleInboundSms({ from: "+12025551234", message: "c 42" });
+  check("handlers get the keyword, user and arguments", appointments[0] && appointments[0].keyword === "C"
+    && appointments[0].userId === user && appointments[0].args[0] === "42");
+  check("string replies are sent", confirmed.action === "custom" && confirmed.reply === "Your appointment is confirmed."
+    && confirmed.replyResult.status === "sent");
+
+  const rescheduled = await inboundSms.handleInboundSms({ from: "+12025551234", message: "R" });
+  check("template replies are rendered", /^Acme: For help/.test(rescheduled.reply));
+
+  const unmatched = await inboundSms.handleInboundSms({ from: "+12025551234", message: "thanks!" });
+  check("other messages are left unmatched", unmatched.success && unmatched.action === "unmatched" && unmatched.reply === null);
+
+  let builtInError = null;
+  try {
+    inboundSms.registerKeywordHandler("stop", () => "nope");
+  } catch (error) {
+    builtInError = error;
+  }
+  check("built-in keywords can't be overridden", builtInError !== null);
+
+  console.log("\nProvider payloads:");
+  const twilio = inboundSms.parseInboundPayload({ From: "+12025551234", To: "+15005550006", Body: " HELP ", MessageSid: "SM123" });
+  check("Twilio webhooks are read", twilio.provider === "twilio" && twilio.from === "+12025551234"
+    && twilio.text === "HELP" && twilio.messageId === "SM123");
+  const vonage = inboundSms.parseInboundPayload({ msisdn: "12025551234", to: "15005550006", text: "STOP", messageId: "v-1" });
+  check("Vonage webhooks are read", vonage.provider === "vonage" && vonage.from === "+12025551234" && vonage.text === "STOP");
+  const noSender = await inboundSms.handleInboundSms({ message: "STOP" });
+  check("payloads without a sender are rejected", !noSender.success && noSender.action === null);
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    fs.rmSync(preferencesFile, { force: true });
+    console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+    process.exitCode = failures === 0 ? 0 : 1;
+  });
@@ -0,0 +1,190 @@
+/**
+ * Tests for the persistent notification queue
+ *
+ * Uses a temporary queue file and a stub processor, so no notifications
+ * are actually sent.
+ *
+ * To run: node tests/notification-queue.test.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const queueFile = path.join(os.tmpdir(), `notification-queue-${process.pid}.json`);
+const blockedDir = path.join(os.tmpdir(), `notification-queue-blocked-${process.pid}`);
+process.env.QUEUE_FILE = queueFile;
+process.env.QUEUE_AUTO_START = "false";
+
+const queue = require("../notificationQueue");
+const { createFileQueueStore } = require("../stores/fileQueueStore");
+const { createMemoryQueueStore } = require("../stores/memoryQueueStore");
+
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function runTests() {
+  console.log("\n=== Testing Notification Queue ===\n");
+
+  // Stub processor that records concurrency per channel
+  const active = {};
+  const maxActive = {};
+  const processed = [];
+  const received = {};
+
+  queue.configureQueue({
+    concurrency: { sms: 1, email: 2 },
+    pollInterval: 20,
+    processor: async (notification) => {
+      const { type } = notification;
+      active[type] = (active[type] || 0) + 1;
+      maxActive[type] = Math.max(maxActive[type] || 0, active[type]);
+      await wait(30);
+      active[type]--;
+      processed.push(notification.recipient);
+      received[notification.recipient] = notification;
+
+      if (notification.recipient === "fail@example.com") {
+        return { status: "failed", dispatched: false, error: "Mailbox unavailable" };
+      }
+      return { status: "sent", messageId: `msg-${processed.length}` };
+    },
+  });
+
+  console.log("Enqueue:");
+  const job = await queue.enqueue({ type: "email", recipient: "a@example.com", message: "Hello" });
+  const stored = JSON.parse(fs.readFileSync(queueFile, "utf8"));
+
+  check("enqueue returns a job id", /^job-/.test(job.id));
+  check("job starts queued", job.status === "queued");
+  check("job is written to the queue file", stored.some((entry) => entry.id === job.id));
+  check("status query finds the job", (await queue.getJobStatus(job.id)).status === "queued");
+  check("unknown job id returns null", (await queue.getJobStatus("job-missing")) === null);
+
+  const forUser = await queue.enqueue({ type: "email", recipient: "d@example.com", message: "Hello", userId: "user-42", priority: "critical" });
+  const storedForUser = JSON.parse(fs.readFileSync(queueFile, "utf8")).find((entry) => entry.id === forUser.id);
+  check("userId and priority are stored with the job", storedForUser.userId === "user-42" && storedForUser.priority === "critical");
+
+  console.log("\nWorker:");
+  const jobs = [job, forUser];
+  jobs.push(await queue.enqueue({ type: "email", recipient: "b@example.com", message: "Hello" }));
+  jobs.push(await queue.enqueue({ type: "email", recipient: "fail@example.com", message: "Hello" }));
+  for (let i = 0; i < 3; i++) {
+    jobs.push(await queue.enqueue({ type: "sms", recipient: `+1555000000${i}`, message: "Hi" }));
+  }
+
+  await queue.startWorker();
+  for (let i = 0; i < 50 && processed.length < jobs.length; i++) {
+    await wait(20);
+  }
+  await queue.stopWorker();
+
+  const statuses = await Promise.all(jobs.map((queued) => queue.getJobStatus(queued.id)));
+  const failedJob = statuses.find((entry) => entry.recipient === "fail@example.com");
+
+  check("all jobs were processed", processed.length === jobs.length);
+  check("sms concurrency limit of 1 was honored", maxActive.sms === 1);
+  check("email concurrency limit of 2 was honored", maxActive.email <= 2);
+  check("successful jobs are marked sent", statuses.filter((entry) => entry.status === "sent").length === 6);
+  check("failed delivery is marked failed", failedJob.status === "failed");
+  check("failed job records the error", failedJob.error === "Mailbox unavailable");
+  check("sent job keeps the channel result", statuses[0].result.messageId !== undefined);
+  check("the worker sends userId and priority", received["d@example.com"].userId === "user-42"
+    && received["d@example.com"].priority === "critical");
+
+  console.log("\nRestart recovery:");
+  // Simulate a job that was mid-send when the process died
+  const interrupted = {
+    id: "job-interrupted",
+    type: "email",
+    recipient: "c@example.com",
+    message: "Hello",
+    options: {},
+    status: "processing",
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  const fileStore = createFileQueueStore();
+  await fileStore.load();
+  await fileStore.saveJob(interrupted);
+
+  // A fresh store instance stands in for a new process
+  queue.configureQueue({ store: createFileQueueStore() });
+  const recovered = await queue.getJobStatus("job-interrupted");
+  const stats = await queue.getQueueStats();
+
+  check("interrupted job is re-queued", recovered && recovered.status === "queued");
+  check("finished jobs survive the restart", stats.sent === 6 && stats.failed === 1);
+
+  console.log("\nRetention:");
+  const purged = await queue.purgeFinishedJobs(0);
+  check("finished jobs are purged after the retention period", purged === 7);
+  check("queued jobs are kept", (await queue.getQueueStats()).total === 1);
+
+  console.log("\nFailed writes:");
+  // A file where the queue's directory should be makes every write fail
+  fs.writeFileSync(blockedDir, "");
+  const blockedStore = createFileQueueStore({ filePath: path.join(blockedDir, "queue.json") });
+  await blockedStore.load();
+  const saveError = await blockedStore.saveJob({ ...interrupted, id: "job-blocked" }).catch((error) => error);
+  check("saveJob rejects when the write fails", saveError instanceof Error);
+
+  fs.rmSync(blockedDir, { force: true });
+  await blockedStore.saveJob({ ...interrupted, id: "job-unblocked" });
+  const written = JSON.parse(fs.readFileSync(path.join(blockedDir, "queue.json"), "utf8"));
+  check("writes after a failure still reach the file", written.some((entry) => entry.id === "job-unblocked"));
+  check("the unsaved job isn't written later", !written.some((entry) => entry.id === "job-blocked"));
+
+  fs.rmSync(blockedDir, { recursive: true, force: true });
+  fs.writeFileSync(blockedDir, "");
+  queue.configureQueue({ store: createFileQueueStore({ filePath: path.join(blockedDir, "queue.json") }) });
+  const enqueueError = await queue.enqueue({ type: "email", recipient: "e@example.com", message: "Hello" }).catch((error) => error);
+  check("enqueue fails when the job can't be stored", enqueueError instanceof Error);
+  check("the failed job isn't queued", (await queue.getQueueStats()).total === 0);
+
+  // A store whose next write fails, for the worker's first status update
+  const flakyStore = createMemoryQueueStore();
+  const saveJob = flakyStore.saveJob;
+  let failNextSave = false;
+  flakyStore.saveJob = async (entry) => {
+    if (failNextSave) {
+      failNextSave = false;
+      throw new Error("Disk full");
+    }
+    return saveJob.call(flakyStore, entry);
+  };
+  queue.configureQueue({ store: flakyStore });
+  const retried = await queue.enqueue({ type: "email", recipient: "retry@example.com", message: "Hello" });
+  failNextSave = true;
+  await queue.startWorker();
+  await queue.stopWorker();
+  const afterFailure = await queue.getJobStatus(retried.id);
+  check("a job that can't be marked processing is queued again", afterFailure.status === "queued"
+    && afterFailure.startedAt === null && afterFailure.availableAt !== null && !processed.includes("retry@example.com"));
+
+  await queue.startWorker();
+  for (let i = 0; i < 50 && (await queue.getJobStatus(retried.id)).status !== "sent"; i++) {
+    await wait(20);
+  }
+  await queue.stopWorker();
+  check("and is sent on a later poll", (await queue.getJobStatus(retried.id)).status === "sent"
+    && processed.filter((recipient) => recipient === "retry@example.com").length === 1);
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    fs.rmSync(queueFile, { force: true });
+    fs.rmSync(blockedDir, { recursive: true, force: true });
+    console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+    process.exitCode = failures === 0 ? 0 : 1;
+  });
@@ -0,0 +1,146 @@
+/**
+ * Tests for scheduled notifications
+ *
+ * Uses in-memory stores and a stub channel that records what it is sent, so
+ * nothing is delivered or written to disk.
+ *
+ * To run: node tests/notification-scheduler.test.js
+ */
+
+process.env.QUEUE_STORE = "memory";
+process.env.QUEUE_AUTO_START = "false";
+process.env.SCHEDULER_STORE = "memory";
+process.env.SCHEDULER_AUTO_START = "false";
+process.env.TRACKER_STORE = "memory";
+process.env.ENABLE_CONSOLE_LOGGING = "false";
+
+const dispatcher = require("../dispatcher");
+const scheduler = require("../notificationScheduler");
+const { createMemoryQueueStore } = require("../stores/memoryQueueStore");
+
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const HOUR = 60 * 60 * 1000;
+
+async function runTests() {
+  console.log("\n=== Testing Notification Scheduler ===\n");
+
+  // Stub channel: recipients named "broken" fail
+  const delivered = [];
+  dispatcher.registerChannel("ledger", {
+    send: async (recipient, message) => {
+      if (recipient === "broken") {
+        throw new Error("Ledger unavailable");
+      }
+      delivered.push({ recipient, message });
+      return { status: "sent", recipient };
+    }
+  });
+  const note = (recipient, sendAt) => ({ type: "ledger", recipient, message: `For ${recipient}`, sendAt });
+
+  console.log("Scheduling:");
+  const sendAt = new Date(Date.now() + HOUR);
+  const scheduled = await dispatcher.dispatchNotification(note("ann", sendAt));
+  check("future sendAt schedules the notification", scheduled.status === "scheduled" && scheduled.scheduled === true
+    && /^sched-/.test(scheduled.scheduleId) && scheduled.sendAt === sendAt.toISOString());
+  check("nothing is sent yet", delivered.length === 0);
+
+  const item = await scheduler.getScheduled(scheduled.scheduleId);
+  check("the item keeps the notification", item.status === "pending" && item.target === "dispatch"
+    && item.payload.recipient === "ann" && item.payload.sendAt === undefined);
+
+  const delayed = await dispatcher.dispatchNotification({ ...note("bob"), delayUntil: Date.now() + 2 * HOUR });
+  check("delayUntil works like sendAt", delayed.status === "scheduled");
+
+  const invalid = await dispatcher.dispatchNotification(note("cy", "next tuesday"));
+  check("invalid sendAt values are rejected", invalid.status === "failed" && /Invalid sendAt value/.test(invalid.error));
+
+  console.log("\nPast sendAt:");
+  const immediate = await dispatcher.dispatchNotification(note("dee", new Date(Date.now() - HOUR)));
+  check("a past sendAt sends right away", immediate.status === "sent" && delivered.some((d) => d.recipient === "dee"));
+
+  console.log("\nListing:");
+  const pending = await dispatcher.listScheduled();
+  check("pending items are listed soonest first", pending.map((p) => p.payload.recipient).join(",") === "ann,bob");
+  check("listing filters by time", (await dispatcher.listScheduled({ before: Date.now() + 90 * 60 * 1000 })).length === 1);
+  check("listing filters by target", (await dispatcher.listScheduled({ target: "user" })).length === 0);
+
+  console.log("\nRescheduling:");
+  const later = new Date(Date.now() + 3 * HOUR);
+  const moved = await dispatcher.reschedule(scheduled.scheduleId, later);
+  check("reschedule moves the send time", moved.sendAt === later.toISOString()
+    && (await dispatcher.listScheduled())[0].payload.recipient === "bob");
+  let rescheduleError = null;
+  try {
+    await dispatcher.reschedule(scheduled.scheduleId, "soon");
+  } catch (error) {
+    rescheduleError = error;
+  }
+  check("invalid times are rejected with INVALID_SEND_AT", rescheduleError && rescheduleError.code === "INVALID_SEND_AT");
+  check("unknown items can't be rescheduled", (await dispatcher.reschedule("sched-missing", later)) === null);
+
+  console.log("\nCancelling:");
+  const cancelled = await dispatcher.cancelScheduled(delayed.scheduleId);
+  check("cancelled items are marked cancelled", cancelled.status === "cancelled");
+  check("cancelled items are no longer pending", (await dispatcher.listScheduled()).length === 1);
+  check("an item can't be cancelled twice", (await dispatcher.cancelScheduled(delayed.scheduleId)) === null);
+  check("cancelled items can't be rescheduled", (await dispatcher.reschedule(delayed.scheduleId, later)) === null);
+
+  console.log("\nFiring due items:");
+  await dispatcher.reschedule(scheduled.scheduleId, new Date(Date.now() - 1000));
+  const failing = await scheduler.scheduleNotification(note("broken"), new Date(Date.now() - 500));
+  const fired = await scheduler.checkDueItems();
+  const sentItem = await scheduler.getScheduled(scheduled.scheduleId);
+  const failedItem = await scheduler.getScheduled(failing.id);
+
+  check("due items fire on the next check", fired === 2);
+  check("they are sent through the dispatcher", delivered.some((d) => d.recipient === "ann" && d.message === "For ann"));
+  check("sent items keep the dispatch result", sentItem.status === "sent" && sentItem.firedAt !== null
+    && sentItem.result.status === "sent" && sentItem.result.trackingId !== undefined);
+  check("failed sends mark the item failed", failedItem.status === "failed" && failedItem.result.error === "Ledger unavailable");
+  check("fired items aren't fired again", (await scheduler.checkDueItems()) === 0);
+  check("fired items can't be cancelled", (await dispatcher.cancelScheduled(scheduled.scheduleId)) === null);
+
+  const soon = await dispatcher.dispatchNotification(note("eve", new Date(Date.now() + 30)));
+  await scheduler.startScheduler({ pollInterval: 10 });
+  for (let i = 0; i < 50 && (await scheduler.getScheduled(soon.scheduleId)).status === "pending"; i++) {
+    await wait(10);
+  }
+  scheduler.stopScheduler();
+  check("the polling timer fires items when they are due", (await scheduler.getScheduled(soon.scheduleId)).status === "sent"
+    && delivered.some((d) => d.recipient === "eve"));
+
+  console.log("\nRestart recovery:");
+  const restartStore = createMemoryQueueStore();
+  await restartStore.saveJob({
+    id: "sched-interrupted",
+    target: "dispatch",
+    payload: note("fay"),
+    sendAt: new Date(Date.now() - 1000).toISOString(),
+    status: "firing",
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+  scheduler.configureScheduler({ store: restartStore });
+  check("an item interrupted while firing is pending again", (await scheduler.getScheduled("sched-interrupted")).status === "pending");
+  await scheduler.checkDueItems();
+  check("and is sent on the next check", delivered.some((d) => d.recipient === "fay"));
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    scheduler.stopScheduler();
+    console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+    process.exitCode = failures === 0 ? 0 : 1;
+  });
@@ -0,0 +1,233 @@
+/**
+ * Tests for notification lifecycle tracking
+ *
+ * Uses a temporary tracking file, so the real notification history is left alone.
+ * Notifications sent through the dispatcher go to a stub channel or the SMS
+ * channel in mock mode.
+ *
+ * To run: node tests/notification-tracker.test.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const trackingFile = path.join(os.tmpdir(), `sent-notifications-${process.pid}.jsonl`);
+const legacyFile = path.join(os.tmpdir(), `sent_notifications-${process.pid}.json`);
+process.env.NOTIFICATION_FILE = trackingFile;
+process.env.LEGACY_NOTIFICATION_FILE = legacyFile;
+process.env.SMS_MOCK_MODE = "true";
+process.env.QUEUE_STORE = "memory";
+process.env.QUEUE_AUTO_START = "false";
+process.env.SCHEDULER_STORE = "memory";
+process.env.SCHEDULER_AUTO_START = "false";
+process.env.ENABLE_CONSOLE_LOGGING = "false";
+
+const tracker = require("../notificationTracker");
+const { createJsonLinesTrackerStore } = require("../stores/jsonLinesTrackerStore");
+const { createMemoryTrackerStore } = require("../stores/memoryTrackerStore");
+
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function runTests() {
+  console.log("\n=== Testing Notification Tracker ===\n");
+
+  console.log("Lifecycle:");
+  const email = tracker.trackNotification({
+    userId: "user123",
+    channel: "email",
+    message: "Your order has shipped",
+    recipient: "jane@example.com",
+    status: "queued"
+  });
+
+  check("tracking returns the notification", email && email.status === "queued");
+  check("initial status is recorded in the history", email.history.length === 1);
+
+  tracker.updateNotificationStatus(email.notificationId, "sent");
+  tracker.updateNotificationStatus(email.notificationId, "delivered");
+  const opened = tracker.updateNotificationStatus(email.notificationId, "opened", { timestamp: "2025-06-04T12:00:00.000Z" });
+
+  check("status follows the lifecycle", opened.status === "opened");
+  check("every transition is recorded", opened.history.map((h) => h.status).join(",") === "queued,sent,delivered,opened");
+  check("transitions use the given timestamp", opened.history[3].timestamp === "2025-06-04T12:00:00.000Z");
+
+  const stale = tracker.updateNotificationStatus(email.notificationId, "delivered");
+  check("late callbacks don't move the status backwards", stale.status === "opened" && stale.history.length === 4);
+
+  const clicked = tracker.updateNotificationStatus(email.notificationId, "clicked", { url: "https://example.com/track" });
+  check("details are kept on the transition", clicked.history[4].details.url === "https://example.com/track");
+  check("changes are persisted", tracker.getNotification(email.notificationId).status === "clicked");
+
+  check("unknown statuses are rejected", tracker.updateNotificationStatus(email.notificationId, "read") === null);
+  check("unknown notifications return null", tracker.updateNotificationStatus(42, "sent") === null);
+  check("tracking rejects unknown statuses", tracker.trackNotification({ channel: "sms", status: "pending" }) === null);
+
+  console.log("\nProvider callbacks:");
+  await wait(2);
+  const sms = tracker.trackNotification({
+    userId: "user123",
+    channel: "sms",
+    message: "Your code is 123456",
+    recipient: "+12025551234",
+    status: "sent",
+    providerMessageId: "SM123"
+  });
+
+  tracker.handleTwilioStatusCallback({ MessageSid: "SM123", MessageStatus: "sending" });
+  check("intermediate Twilio statuses are ignored", tracker.getNotification(sms.notificationId).status === "sent");
+
+  const undelivered = tracker.handleTwilioStatusCallback({ MessageSid: "SM123", MessageStatus: "undelivered", ErrorCode: "30003" });
+  check("undelivered SMS is marked bounced", undelivered.status === "bounced");
+  check("Twilio error code is recorded", undelivered.history[1].details.errorCode === "30003");
+
+  await wait(2);
+  const bounced = tracker.trackNotification({
+    channel: "email",
+    recipient: "nobody@example.com",
+    status: "sent",
+    providerMessageId: "<abc@mail.example.com>"
+  });
+
+  const bounce = tracker.handleEmailEvent({ messageId: "<abc@mail.example.com>", event: "bounce", reason: "550 Mailbox unavailable" });
+  check("email bounce is recorded", bounce.status === "bounced" && bounce.history[1].details.reason === "550 Mailbox unavailable");
+  check("bounced is final", tracker.handleEmailEvent({ messageId: "<abc@mail.example.com>", event: "open" }).status === "bounced");
+  check("bounced notification is found by provider id", tracker.findByProviderMessageId("<abc@mail.example.com>").notificationId === bounced.notificationId);
+  check("events for unknown messages return null", tracker.handleEmailEvent({ messageId: "<missing>", event: "delivered" }) === null);
+
+  console.log("\nJSON lines store:");
+  const longMessage = "Welcome message ".repeat(20);
+  const full = tracker.trackNotification({ userId: "user456", channel: "email", message: longMessage, status: "sent" });
+  check("ids are unique", new Set([email, sms, bounced, full].map((n) => n.notificationId)).size === 4);
+  check("messages over 100 characters are kept whole", full.message === longMessage && !full.truncated);
+
+  const lines = fs.readFileSync(trackingFile, "utf8").trim().split("\n");
+  check("each save appends one line", lines.length === 10);
+
+  const reloaded = createJsonLinesTrackerStore({ filePath: trackingFile }).load();
+  check("reload keeps the latest line per notification", reloaded.length === 4
+    && reloaded.find((n) => n.notificationId === email.notificationId).status === "clicked");
+
+  fs.appendFileSync(trackingFile, '{"notificationId": "half-writ');
+  check("a half-written line is skipped", createJsonLinesTrackerStore({ filePath: trackingFile }).load().length === 4);
+
+  console.log("\nMigrating sent_notifications.json:");
+  const migratedFile = path.join(os.tmpdir(), `migrated-notifications-${process.pid}.jsonl`);
+  fs.writeFileSync(legacyFile, JSON.stringify([
+    { notificationId: 1749039698044, userId: "user123", channel: "email", message: "Welcome", recipient: "tejal@example.com", status: "sent", timestamp: "2025-06-04T12:21:38.044Z" },
+    { notificationId: 1749039698044, userId: "user123", channel: "sms", message: "Welcome", recipient: "+12025551234", status: "failed", timestamp: "2025-06-04T12:21:38.044Z" }
+  ]));
+  const migrated = createJsonLinesTrackerStore({ filePath: migratedFile, legacyFilePath: legacyFile }).load();
+  check("old records are copied into the new store", migrated.length === 2 && fs.existsSync(migratedFile));
+  check("old records get an id, status and history", migrated[0].notificationId === "1749039698044"
+    && migrated[1].notificationId === "1749039698044-1" && migrated[1].status === "failed"
+    && migrated[0].history[0].timestamp === "2025-06-04T12:21:38.044Z");
+  fs.writeFileSync(legacyFile, "[]");
+  check("the migration runs only once", createJsonLinesTrackerStore({ filePath: migratedFile, legacyFilePath: legacyFile }).load().length === 2);
+  fs.rmSync(migratedFile, { force: true });
+
+  console.log("\nQueries:");
+  tracker.configureTracker({ store: createMemoryTrackerStore(), retention: 60 * 60 * 1000 });
+
+  const base = Date.now() - 10 * 60 * 1000;
+  for (let i = 0; i < 7; i++) {
+    tracker.trackNotification({
+      userId: i < 5 ? "support-user" : "other-user",
+      channel: i % 2 === 0 ? "email" : "sms",
+      recipient: "support@example.com",
+      message: `Message ${i}`,
+      status: i === 3 ? "failed" : "sent",
+      timestamp: base + i * 1000
+    });
+  }
+
+  const byUser = tracker.queryNotifications({ userId: "support-user" });
+  check("filters by user", byUser.notifications.length === 5 && byUser.nextCursor === null);
+  check("results are newest first", byUser.notifications[0].message === "Message 4");
+
+  check("filters by channel and status", tracker.queryNotifications({ channel: "sms", status: "failed" }).notifications.length === 1);
+  check("filters by several statuses", tracker.queryNotifications({ status: ["sent", "failed"] }).notifications.length === 7);
+  check("filters by time range", tracker.queryNotifications({ from: base + 2000, to: new Date(base + 5000) }).notifications.length === 3);
+
+  const firstPage = tracker.queryNotifications({ limit: 3 });
+  const secondPage = tracker.queryNotifications({ limit: 3, cursor: firstPage.nextCursor });
+  const lastPage = tracker.queryNotifications({ limit: 3, cursor: secondPage.nextCursor });
+  const paged = [...firstPage.notifications, ...secondPage.notifications, ...lastPage.notifications];
+  check("pages cover every notification once", paged.length === 7 && new Set(paged.map((n) => n.notificationId)).size === 7);
+  check("last page has no cursor", lastPage.notifications.length === 1 && lastPage.nextCursor === null);
+
+  let cursorError = null;
+  try {
+    tracker.queryNotifications({ cursor: "not-a-cursor" });
+  } catch (error) {
+    cursorError = error;
+  }
+  check("malformed cursors are rejected", cursorError && cursorError.code === "INVALID_CURSOR");
+
+  console.log("\nRetention:");
+  tracker.trackNotification({ userId: "old-user", channel: "sms", status: "sent", timestamp: Date.now() - 2 * 60 * 60 * 1000 });
+  check("expired notifications are purged", tracker.purgeExpiredNotifications() === 1);
+  check("recent notifications are kept", tracker.queryNotifications({ limit: 500 }).notifications.length === 7);
+
+  console.log("\nDispatcher and queue:");
+  const dispatcher = require("../dispatcher");
+  dispatcher.registerChannel("pager", {
+    send: async (recipient) => {
+      if (recipient === "down") {
+        throw new Error("Pager gateway unavailable");
+      }
+      return { status: "sent", recipient, sid: `PG-${recipient}` };
+    }
+  });
+
+  const page = await dispatcher.dispatchNotification({ type: "pager", recipient: "ops", message: "Disk full", userId: "user789" });
+  const pagedRecord = tracker.getNotification(page.trackingId);
+  check("dispatched notifications are tracked", pagedRecord && pagedRecord.userId === "user789" && pagedRecord.channel === "pager");
+  check("sends move them from queued to sent", pagedRecord.history.map((h) => h.status).join(",") === "queued,sent");
+
+  check("a sid is kept as the provider message id", pagedRecord.providerMessageId === "PG-ops");
+
+  const text = await dispatcher.dispatchNotification({ type: "sms", recipient: "+12025551234", message: "Your code is 123456" });
+  const textRecord = tracker.getNotification(text.trackingId);
+  check("the channel's messageId is kept as the provider message id", text.messageId && textRecord.providerMessageId === text.messageId);
+  const delivered = tracker.handleTwilioStatusCallback({ MessageSid: text.messageId, MessageStatus: "delivered" });
+  check("provider callbacks find dispatched notifications", delivered && delivered.notificationId === text.trackingId
+    && delivered.status === "delivered");
+
+  const down = await dispatcher.dispatchNotification({ type: "pager", recipient: "down", message: "Disk full" });
+  const downRecord = tracker.getNotification(down.trackingId);
+  check("failed sends are marked failed with the error", downRecord.status === "failed"
+    && downRecord.history[1].details.error === "Pager gateway unavailable");
+
+  const queued = await dispatcher.queueNotification({ type: "pager", recipient: "ops", message: "Backup done" });
+  check("queued notifications are tracked as queued", tracker.getNotification(queued.trackingId).status === "queued");
+  await dispatcher.startWorker({ pollInterval: 10 });
+  for (let i = 0; i < 50 && (await dispatcher.getJobStatus(queued.jobId)).status !== "sent"; i++) {
+    await wait(10);
+  }
+  await dispatcher.stopWorker();
+  check("the worker's send moves the same record to sent", tracker.getNotification(queued.trackingId).history.map((h) => h.status).join(",") === "queued,sent");
+
+  check("an outcome reported twice is recorded once", tracker.recordSendResult(down.trackingId, { status: "failed" }).history.length === 2);
+  const unsent = tracker.trackNotification({ channel: "pager", recipient: "ops", status: "queued" });
+  check("a missing result counts as failed", tracker.recordSendResult(unsent.notificationId, null).status === "failed");
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    fs.rmSync(trackingFile, { force: true });
+    fs.rmSync(legacyFile, { force: true });
+    console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+    process.exitCode = failures === 0 ? 0 : 1;
+  });
@@ -0,0 +1,95 @@
+/**
+ * Tests for phone number parsing and validation
+ *
+ * Covers utilities/phone.js and its use by the dispatcher and the SMS
+ * channel (in mock mode).
+ *
+ * To run: node tests/phone.test.js
+ */
+
+process.env.SMS_MOCK_MODE = "true";
+process.env.QUEUE_STORE = "memory";
+process.env.QUEUE_AUTO_START = "false";
+process.env.SCHEDULER_STORE = "memory";
+process.env.SCHEDULER_AUTO_START = "false";
+process.env.TRACKER_STORE = "memory";
+process.env.ENABLE_CONSOLE_LOGGING = "false";
+
+const phone = require("../utilities/phone");
+const config = require("../config");
+
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+async function runTests() {
+  console.log("\n=== Testing Phone Numbers ===\n");
+
+  console.log("International numbers:");
+  const london = phone.parsePhoneNumber("+44 20 7946 0018");
+  check("calling code and national number are split", london.isValid && london.e164 === "+442079460018"
+    && london.countryCallingCode === "44" && london.country === "GB" && london.nationalNumber === "2079460018");
+  check("00 works like +", phone.formatPhoneNumber("0044 20 7946 0018") === "+442079460018");
+  check("a bracketed trunk prefix is dropped", phone.formatPhoneNumber("+44 (0)20 7946 0018") === "+442079460018");
+  check("+1 numbers can't be pinned to one country", phone.parsePhoneNumber("+1 (202) 555-1234").country === null);
+
+  console.log("\nNational numbers:");
+  const missing = phone.parsePhoneNumber("(202) 555-1234");
+  check("need a default country", !missing.isValid && missing.errorCode === "MISSING_COUNTRY_CODE");
+  check("are parsed with options.defaultCountry", phone.formatPhoneNumber("(202) 555-1234", { defaultCountry: "US" }) === "+12025551234"
+    && phone.formatPhoneNumber("1-202-555-1234", { defaultCountry: "us" }) === "+12025551234");
+  check("drop the trunk prefix", phone.formatPhoneNumber("06 12 34 56 78", { defaultCountry: "FR" }) === "+33612345678"
+    && phone.formatPhoneNumber("015112345678", { defaultCountry: "DE" }) === "+4915112345678");
+  check("keep a leading 0 where it is part of the number", phone.formatPhoneNumber("06 6982 1234", { defaultCountry: "IT" }) === "+390669821234");
+  check("unknown default countries are reported", phone.parsePhoneNumber("0612345678", { defaultCountry: "XX" }).errorCode === "UNKNOWN_COUNTRY");
+  config.sms.defaultCountry = "GB";
+  check("SMS_DEFAULT_COUNTRY is the default", phone.parsePhoneNumber("07700 900123").e164 === "+447700900123");
+  config.sms.defaultCountry = null;
+
+  console.log("\nLengths per calling code:");
+  const short = phone.parsePhoneNumber("+44 7700 900");
+  check("short numbers fail with TOO_SHORT", !short.isValid && short.errorCode === "TOO_SHORT" && /\+44 numbers/.test(short.error));
+  check("long numbers fail with TOO_LONG", phone.parsePhoneNumber("+33 6 12 34 56 78 9").errorCode === "TOO_LONG");
+  check("numbers over 15 digits fail", phone.parsePhoneNumber("+1234567890123456").errorCode === "TOO_LONG");
+  check("invalid NANP area codes fail with INVALID_NUMBER", phone.parsePhoneNumber("+1 123 555 1234").errorCode === "INVALID_NUMBER");
+  check("calling codes without metadata get the E.164 check", phone.formatPhoneNumber("+234 803 123 4567") === "+2348031234567"
+    && phone.parsePhoneNumber("+234 803").errorCode === "TOO_SHORT");
+  check("text isn't a number", phone.parsePhoneNumber("call me").errorCode === "NOT_A_NUMBER"
+    && phone.parsePhoneNumber(undefined).errorCode === "NOT_A_NUMBER");
+
+  console.log("\nNumber types:");
+  check("mobile numbers are recognized", phone.parsePhoneNumber("+447700900123").type === "mobile"
+    && phone.parsePhoneNumber("+34 612 345 678").type === "mobile");
+  check("landlines are recognized", phone.parsePhoneNumber("+442079460018").type === "landline"
+    && phone.parsePhoneNumber("+34 912 345 678").type === "landline");
+  check("NANP numbers may be either", phone.parsePhoneNumber("+12025551234").type === "fixedLineOrMobile");
+  check("other numbers are unknown", phone.parsePhoneNumber("+2348031234567").type === "unknown");
+
+  console.log("\nDispatcher and SMS channel:");
+  const dispatcher = require("../dispatcher");
+  const smsNotifier = require("../notifications/sms");
+  const rejected = dispatcher.validateNotification({ type: "sms", recipient: "+44 7700 900", message: "Hi" });
+  check("the dispatcher rejects numbers too short for their country", !rejected.isValid && /\+44 numbers have at least/.test(rejected.error));
+  check("the dispatcher's isValidPhoneNumber uses the same rules", dispatcher.isValidPhoneNumber("+447700900123")
+    && !dispatcher.isValidPhoneNumber("2025551234"));
+
+  const sent = await smsNotifier.send("+44 (0)7700 900123", "Hello", { retry: { maxAttempts: 1 } });
+  check("the SMS channel reports the number type", sent.status === "sent" && sent.numberType === "mobile");
+  const failed = await smsNotifier.send("+1 123 555 1234", "Hello", { retry: { maxAttempts: 1 } });
+  check("the SMS channel rejects invalid numbers", failed.status === "failed" && failed.errorCode === "INVALID_PHONE_NUMBER");
+  const legacy = await smsNotifier.sendSms("555-123-4567", "Hello").catch((error) => error);
+  check("sendSms reports why the number is invalid", legacy.code === "INVALID_PHONE_NUMBER" && legacy.reason === "MISSING_COUNTRY_CODE");
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+    process.exitCode = failures === 0 ? 0 : 1;
+  });
@@ -0,0 +1,217 @@
+/**
+ * Tests for push notification delivery
+ *
+ * Starts local stand-ins for FCM (HTTP/1.1) and APNs (cleartext HTTP/2) and
+ * sends through the provider adapters used by notifications/push.js.
+ *
+ * To run: node tests/push-delivery.test.js
+ */
+
+const fs = require("fs");
+const http = require("http");
+const http2 = require("http2");
+const os = require("os");
+const path = require("path");
+
+// Keep registered devices out of the real preferences file
+const preferencesFile = path.join(os.tmpdir(), `push-test-preferences-${process.pid}.json`);
+process.env.PREFERENCES_FILE = preferencesFile;
+
+const requests = { fcm: [], apns: [] };
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+function readBody(stream) {
+  return new Promise((resolve) => {
+    let raw = "";
+    stream.on("data", (chunk) => (raw += chunk.toString()));
+    stream.on("end", () => resolve(raw));
+  });
+}
+
+// FCM stand-in: token "unregistered-token" is unknown, "busy-token" hits a server error
+const fcmServer = http.createServer(async (req, res) => {
+  const body = JSON.parse(await readBody(req));
+  requests.fcm.push({ url: req.url, headers: req.headers, body });
+
+  const token = body.message.token;
+  res.setHeader("Content-Type", "application/json");
+
+  if (token === "unregistered-token") {
+    res.statusCode = 404;
+    return res.end(JSON.stringify({
+      error: { code: 404, status: "NOT_FOUND", message: "Requested entity was not found.",
+        details: [{ "@type": "type.googleapis.com/google.firebase.fcm.v1.FcmError", errorCode: "UNREGISTERED" }] },
+    }));
+  }
+
+  if (token === "busy-token") {
+    res.statusCode = 503;
+    return res.end(JSON.stringify({ error: { code: 503, status: "UNAVAILABLE", message: "Try again" } }));
+  }
+
+  res.end(JSON.stringify({ name: "projects/test-project/messages/fcm-123" }));
+});
+
+// APNs stand-in: tokens named after an APNs rejection reason get that reason
+const APNS_REJECTIONS = {
+  "unregistered-ios-token": [410, "Unregistered"],
+  "bad-device-token": [400, "BadDeviceToken"],
+  "wrong-topic-token": [400, "DeviceTokenNotForTopic"]
+};
+const apnsServer = http2.createServer();
+apnsServer.on("stream", async (stream, headers) => {
+  const body = JSON.parse(await readBody(stream));
+  requests.apns.push({ headers, body });
+
+  const rejection = APNS_REJECTIONS[headers[":path"].split("/").pop()];
+  if (rejection) {
+    stream.respond({ ":status": rejection[0], "content-type": "application/json" });
+    return stream.end(JSON.stringify({ reason: rejection[1] }));
+  }
+
+  stream.respond({ ":status": 200, "apns-id": "apns-456" });
+  stream.end();
+});
+
+async function runTests() {
+  await new Promise((resolve) => fcmServer.listen(0, "127.0.0.1", resolve));
+  await new Promise((resolve) => apnsServer.listen(0, "127.0.0.1", resolve));
+
+  // Point the providers at the local stubs before loading the module
+  process.env.FCM_ENDPOINT = `http://127.0.0.1:${fcmServer.address().port}`;
+  process.env.FCM_PROJECT_ID = "test-project";
+  process.env.FCM_ACCESS_TOKEN = "fcm-access-token";
+  process.env.APNS_ENDPOINT = `http://127.0.0.1:${apnsServer.address().port}`;
+  process.env.APNS_TOPIC = "com.example.app";
+  process.env.APNS_AUTH_TOKEN = "apns-jwt";
+  process.env.PUSH_MOCK_MODE = "false";
+  process.env.ENABLE_CONSOLE_LOGGING = "false";
+
+  const pushNotifier = require("../notifications/push");
+  const errorHandler = require("../error-handler");
+  errorHandler.setRetryPolicy("push", { baseDelay: 10, jitter: 0 });
+
+  const pushOptions = {
+    title: "Order shipped",
+    badge: 3,
+    sound: "default",
+    data: { orderId: "1234", items: 2 },
+    collapseKey: "order-1234",
+    ttl: 3600,
+  };
+
+  console.log("\n=== Testing Push Delivery ===\n");
+
+  console.log("FCM (android):");
+  const fcmResult = await pushNotifier.send("android-token", "Your order is on its way", {
+    ...pushOptions,
+    platform: "android",
+  });
+  const fcmRequest = requests.fcm[0];
+  const fcmMessage = fcmRequest && fcmRequest.body.message;
+
+  check("result status is 'sent'", fcmResult.status === "sent");
+  check("result reports the fcm provider", fcmResult.provider === "fcm");
+  check("result carries the FCM message name", fcmResult.messageId === "projects/test-project/messages/fcm-123");
+  check("request goes to the v1 send endpoint", fcmRequest && fcmRequest.url === "/v1/projects/test-project/messages:send");
+  check("request is authorized", fcmRequest && fcmRequest.headers.authorization === "Bearer fcm-access-token");
+  check("title and body are sent", fcmMessage && fcmMessage.notification.title === "Order shipped"
+    && fcmMessage.notification.body === "Your order is on its way");
+  check("data values are strings", fcmMessage && fcmMessage.data.items === "2");
+  check("collapse key and TTL are set", fcmMessage && fcmMessage.android.collapse_key === "order-1234"
+    && fcmMessage.android.ttl === "3600s");
+  check("sound and badge are set", fcmMessage && fcmMessage.android.notification.sound === "default"
+    && fcmMessage.android.notification.notification_count === 3);
+
+  console.log("\nAPNs (ios):");
+  const apnsResult = await pushNotifier.send("ios-token", "Your order is on its way", {
+    ...pushOptions,
+    platform: "ios",
+  });
+  const apnsRequest = requests.apns[0];
+
+  check("result status is 'sent'", apnsResult.status === "sent");
+  check("result reports the apns provider", apnsResult.provider === "apns");
+  check("result carries the apns-id", apnsResult.messageId === "apns-456");
+  check("request goes to the device path", apnsRequest && apnsRequest.headers[":path"] === "/3/device/ios-token");
+  check("topic and auth headers are set", apnsRequest && apnsRequest.headers["apns-topic"] === "com.example.app"
+    && apnsRequest.headers.authorization === "bearer apns-jwt");
+  check("collapse id is set", apnsRequest && apnsRequest.headers["apns-collapse-id"] === "order-1234");
+  check("expiration reflects the TTL", apnsRequest
+    && Number(apnsRequest.headers["apns-expiration"]) - Math.floor(Date.now() / 1000) > 3500);
+  check("aps alert, badge and sound are sent", apnsRequest && apnsRequest.body.aps.alert.title === "Order shipped"
+    && apnsRequest.body.aps.badge === 3 && apnsRequest.body.aps.sound === "default");
+  check("custom data sits next to aps", apnsRequest && apnsRequest.body.orderId === "1234");
+
+  console.log("\nInvalid device tokens:");
+  const unregistered = await pushNotifier.send("unregistered-token", "Hello", { platform: "android" });
+  const unregisteredIos = await pushNotifier.send("unregistered-ios-token", "Hello", { platform: "ios" });
+
+  check("FCM UNREGISTERED is reported as INVALID_DEVICE_TOKEN", unregistered.errorCode === "INVALID_DEVICE_TOKEN");
+  check("FCM 404 is kept as the responseCode", unregistered.responseCode === 404);
+  check("APNs Unregistered is reported as INVALID_DEVICE_TOKEN", unregisteredIos.errorCode === "INVALID_DEVICE_TOKEN"
+    && unregisteredIos.responseCode === 410);
+  check("APNs reason is kept as the providerCode", unregisteredIos.providerCode === "Unregistered");
+  check("invalid tokens are not retried", unregistered.attempts.length === 1 && unregisteredIos.attempts.length === 1);
+
+  // Both also come from a wrong APNS_ENDPOINT or APNS_TOPIC, so they don't mark the token dead
+  const badToken = await pushNotifier.send("bad-device-token", "Hello", { platform: "ios" });
+  const wrongTopic = await pushNotifier.send("wrong-topic-token", "Hello", { platform: "ios" });
+  check("APNs BadDeviceToken is reported as PUSH_HTTP_ERROR", badToken.errorCode === "PUSH_HTTP_ERROR"
+    && badToken.providerCode === "BadDeviceToken" && badToken.attempts.length === 1);
+  check("APNs DeviceTokenNotForTopic is reported as PUSH_HTTP_ERROR", wrongTopic.errorCode === "PUSH_HTTP_ERROR"
+    && wrongTopic.providerCode === "DeviceTokenNotForTopic");
+
+  console.log("\nProvider errors:");
+  const before = requests.fcm.length;
+  const busy = await pushNotifier.send("busy-token", "Hello", { platform: "android" });
+
+  check("server errors are reported as PUSH_HTTP_ERROR", busy.errorCode === "PUSH_HTTP_ERROR");
+  check("server errors are retried", requests.fcm.length - before === 3);
+
+  console.log("\nDevice registry fan-out:");
+  const deviceRegistry = require("../deviceRegistry");
+  deviceRegistry.registerDevice("jane@example.com", { token: "jane-android-token", platform: "android", appVersion: "2.0.0" });
+  deviceRegistry.registerDevice("jane@example.com", { token: "jane-ios-token", platform: "ios", appVersion: "2.1.0" });
+  deviceRegistry.registerDevice("jane@example.com", { token: "unregistered-ios-token", platform: "ios" });
+  deviceRegistry.registerDevice("jane@example.com", { token: "bad-device-token", platform: "ios" });
+
+  const fcmBefore = requests.fcm.length;
+  const apnsBefore = requests.apns.length;
+  const fanOut = await pushNotifier.send("jane@example.com", "Hello Jane", { title: "Hi" });
+
+  check("user has four registered devices", fanOut.deviceCount === 4);
+  check("push to a user id fans out to every device", requests.fcm.length - fcmBefore === 1
+    && requests.apns.length - apnsBefore === 3);
+  check("result is sent when any device succeeds", fanOut.status === "sent" && fanOut.sentCount === 2);
+  check("invalid token is reported per device", fanOut.deliveries.some((d) => d.errorCode === "INVALID_DEVICE_TOKEN"));
+  check("invalid token is pruned from the registry", fanOut.prunedCount === 1
+    && deviceRegistry.findDeviceOwner("unregistered-ios-token") === null);
+  check("tokens rejected for other reasons are kept", deviceRegistry.findDeviceOwner("bad-device-token") === "jane@example.com"
+    && deviceRegistry.getUserDevices("jane@example.com").length === 3);
+  check("registering a token for another user moves it",
+    deviceRegistry.registerDevice("john@example.com", { token: "jane-ios-token", platform: "ios" }) !== null
+    && deviceRegistry.findDeviceOwner("jane-ios-token") === "john@example.com"
+    && deviceRegistry.getUserDevices("jane@example.com").length === 2);
+  check("unsupported platforms are rejected",
+    deviceRegistry.registerDevice("jane@example.com", { token: "some-token-123", platform: "symbian" }) === null);
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    fs.rmSync(preferencesFile, { force: true });
+    fcmServer.close();
+    apnsServer.close(() => {
+      console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+      process.exitCode = failures === 0 ? 0 : 1;
+    });
+  });
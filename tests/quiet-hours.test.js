@@ -0,0 +1,100 @@
+/**
+ * Tests for quiet hours
+ *
+ * Covers the time zone helpers in utilities/time.js, including the nights
+ * daylight saving time starts and ends, and deferral by the dispatcher.
+ * Uses a temporary preferences file and in-memory queue and schedule.
+ *
+ * To run: node tests/quiet-hours.test.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const preferencesFile = path.join(os.tmpdir(), `quiet-hours-test-preferences-${process.pid}.json`);
+process.env.PREFERENCES_FILE = preferencesFile;
+process.env.EMAIL_MOCK_MODE = "true";
+process.env.QUEUE_STORE = "memory";
+process.env.QUEUE_AUTO_START = "false";
+process.env.SCHEDULER_STORE = "memory";
+process.env.SCHEDULER_AUTO_START = "false";
+process.env.TRACKER_STORE = "memory";
+process.env.ENABLE_CONSOLE_LOGGING = "false";
+
+const time = require("../utilities/time");
+
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+const NEW_YORK = "America/New_York";
+const OVERNIGHT = { start: "22:00", end: "07:00" };
+
+function endOf(instant, quietHours, timeZone) {
+  const end = time.getQuietHoursEnd(new Date(instant), quietHours, timeZone);
+  return end && end.toISOString();
+}
+
+async function runTests() {
+  console.log("\n=== Testing Quiet Hours ===\n");
+
+  console.log("Windows:");
+  check("times inside an overnight window are quiet", time.isWithinQuietHours(new Date("2026-06-01T03:30:00Z"), OVERNIGHT, NEW_YORK));
+  check("the start is inclusive and the end exclusive", time.isWithinQuietHours(new Date("2026-06-02T02:00:00Z"), OVERNIGHT, NEW_YORK)
+    && !time.isWithinQuietHours(new Date("2026-06-01T11:00:00Z"), OVERNIGHT, NEW_YORK));
+  check("daytime windows don't wrap", time.isWithinQuietHours(new Date("2026-06-01T13:00:00Z"), { start: "12:00", end: "14:00" }, "UTC")
+    && !time.isWithinQuietHours(new Date("2026-06-01T15:00:00Z"), { start: "12:00", end: "14:00" }, "UTC"));
+  check("outside the window there is no end", endOf("2026-06-01T16:00:00Z", OVERNIGHT, NEW_YORK) === null);
+  check("invalid windows are never quiet", !time.isWithinQuietHours(new Date(), { start: "25:00", end: "07:00" })
+    && !time.isWithinQuietHours(new Date(), { start: "07:00", end: "07:00" }));
+
+  console.log("\nEnd of the window:");
+  check("before midnight it ends the next morning", endOf("2026-06-01T03:30:00Z", OVERNIGHT, NEW_YORK) === "2026-06-01T11:00:00.000Z");
+  check("after midnight it ends the same morning", endOf("2026-06-01T09:15:42.500Z", OVERNIGHT, NEW_YORK) === "2026-06-01T11:00:00.000Z");
+  check("daytime windows end the same day", endOf("2026-06-01T13:00:00Z", { start: "12:00", end: "14:30" }, "UTC") === "2026-06-01T14:30:00.000Z");
+  // 23:30 on 1 June in Tokyo (UTC+9) ends at 06:00 on 2 June
+  check("windows crossing midnight end on the next local day", endOf("2026-06-01T14:30:00Z", { start: "23:00", end: "06:00" }, "Asia/Tokyo") === "2026-06-01T21:00:00.000Z");
+
+  console.log("\nDaylight saving time:");
+  // 22:30 EST on 7 March; clocks go forward at 02:00, so 07:00 is EDT (UTC-4)
+  check("spring-forward night ends at 07:00 EDT", endOf("2026-03-08T03:30:00Z", OVERNIGHT, NEW_YORK) === "2026-03-08T11:00:00.000Z");
+  // 23:30 EDT on 31 October; clocks go back at 02:00, so 07:00 is EST (UTC-5)
+  check("fall-back night ends at 07:00 EST", endOf("2026-11-01T03:30:00Z", OVERNIGHT, NEW_YORK) === "2026-11-01T12:00:00.000Z");
+  check("after the change it still ends at 07:00 local", endOf("2026-03-08T08:00:00Z", OVERNIGHT, NEW_YORK) === "2026-03-08T11:00:00.000Z"
+    && endOf("2026-11-01T09:00:00Z", OVERNIGHT, NEW_YORK) === "2026-11-01T12:00:00.000Z");
+  check("an end skipped by the clocks lands just after the change",
+    endOf("2026-03-08T06:30:00Z", { start: "01:00", end: "02:30" }, NEW_YORK) === "2026-03-08T07:30:00.000Z");
+
+  console.log("\nDispatcher:");
+  const userPreferences = require("../userPreferences");
+  const dispatcher = require("../dispatcher");
+  const user = "night-owl@example.com";
+  userPreferences.getUserPreferences(user);
+  userPreferences.setTimeZone(user, "UTC");
+  const now = new Date();
+  const start = `${String(now.getUTCHours()).padStart(2, "0")}:00`;
+  const end = `${String((now.getUTCHours() + 2) % 24).padStart(2, "0")}:00`;
+  userPreferences.setQuietHours(user, { start, end });
+
+  const deferred = await dispatcher.dispatchNotification({ type: "email", recipient: user, message: "Hi", userId: user });
+  check("notifications in quiet hours are scheduled for the end", deferred.status === "scheduled" && deferred.deferredForQuietHours === true
+    && new Date(deferred.sendAt).toISOString() === userPreferences.getQuietHoursEnd(user).toISOString());
+  const critical = await dispatcher.dispatchNotification({ type: "email", recipient: user, message: "Code", userId: user, priority: "critical" });
+  check("critical notifications are sent right away", critical.status !== "scheduled");
+  dispatcher.cancelScheduled(deferred.scheduleId);
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    fs.rmSync(preferencesFile, { force: true });
+    console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+    process.exitCode = failures === 0 ? 0 : 1;
+  });
@@ -0,0 +1,112 @@
+/**
+ * Tests for rate limiting
+ *
+ * Runs SMS in mock mode with an in-memory queue, so nothing is sent or
+ * written to disk.
+ *
+ * To run: node tests/rate-limiter.test.js
+ */
+
+process.env.EMAIL_MOCK_MODE = "true";
+process.env.SMS_MOCK_MODE = "true";
+process.env.QUEUE_STORE = "memory";
+process.env.QUEUE_AUTO_START = "false";
+process.env.SCHEDULER_STORE = "memory";
+process.env.SCHEDULER_AUTO_START = "false";
+process.env.TRACKER_STORE = "memory";
+
+const dispatcher = require("../dispatcher");
+const rateLimiter = require("../rateLimiter");
+
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const otp = (recipient) => ({ type: "sms", recipient, message: "Your code is 123456", notificationType: "otp" });
+
+async function runTests() {
+  console.log("\n=== Testing Rate Limiting ===\n");
+
+  console.log("Per recipient and type:");
+  rateLimiter.configureRateLimits([
+    { channel: "sms", notificationType: "otp", perRecipient: true, limit: 5, interval: 60 * 60 * 1000 }
+  ]);
+
+  const results = [];
+  for (let i = 0; i < 6; i++) {
+    results.push(await dispatcher.dispatchNotification(otp("+12025551234")));
+  }
+
+  check("sends up to the limit", results.slice(0, 5).every((r) => r.status === "sent"));
+  const limited = results[5];
+  check("rejects past the limit with RATE_LIMITED", limited.status === "failed" && limited.errorCode === "RATE_LIMITED");
+  check("rejection goes through the error handler", /^err-/.test(limited.errorId) && limited.dispatched === false);
+  check("rejection says when to retry", limited.retryAfter > 0 && limited.retryAfter <= 12 * 60 * 1000
+    && new Date(limited.retryAt).getTime() > Date.now());
+  check("rejection names the limit's scope", limited.rateLimitScope === "recipient");
+
+  const reformatted = await dispatcher.dispatchNotification(otp("+1 (202) 555-1234"));
+  check("the same number written differently shares the limit", reformatted.errorCode === "RATE_LIMITED");
+  check("other recipients have their own allowance", (await dispatcher.dispatchNotification(otp("+12025559876"))).status === "sent");
+  check("other notification types are not limited",
+    (await dispatcher.dispatchNotification({ type: "sms", recipient: "+12025551234", message: "Order shipped" })).status === "sent");
+
+  rateLimiter.configureRateLimits([{ channel: "email", perRecipient: true, limit: 1, interval: 60 * 60 * 1000 }]);
+  await dispatcher.dispatchNotification({ type: "email", recipient: "Jane@Example.com", message: "Hello" });
+  check("email addresses share the limit whatever their case",
+    (await dispatcher.dispatchNotification({ type: "email", recipient: "jane@example.com", message: "Hello" })).errorCode === "RATE_LIMITED");
+
+  console.log("\nPer channel:");
+  rateLimiter.configureRateLimits([{ channel: "sms", limit: 2, interval: 100 }]);
+
+  const burst = [];
+  for (let i = 0; i < 3; i++) {
+    burst.push(await dispatcher.dispatchNotification({ type: "sms", recipient: `+1202555000${i}`, message: "Hello" }));
+  }
+  check("channel limit covers all recipients", burst[2].errorCode === "RATE_LIMITED" && burst[2].rateLimitScope === "channel");
+
+  await wait(60);
+  check("tokens refill over the interval", (await dispatcher.dispatchNotification({ type: "sms", recipient: "+12025550009", message: "Hello" })).status === "sent");
+
+  check("email is not covered by an SMS rule",
+    (await dispatcher.dispatchNotification({ type: "email", recipient: "jane@example.com", message: "Hello" })).errorCode !== "RATE_LIMITED");
+
+  console.log("\nQueued jobs:");
+  rateLimiter.configureRateLimits([{ channel: "sms", limit: 1, interval: 200 }]);
+
+  const first = await dispatcher.queueNotification({ type: "sms", recipient: "+12025551111", message: "First" });
+  const second = await dispatcher.queueNotification({ type: "sms", recipient: "+12025552222", message: "Second" });
+  await dispatcher.startWorker({ pollInterval: 20 });
+  await wait(100);
+
+  const waiting = await dispatcher.getJobStatus(second.jobId);
+  check("a job over the channel limit waits instead of failing", waiting.status === "queued" && waiting.availableAt !== null);
+
+  await wait(400);
+  check("the waiting job is sent once tokens refill", (await dispatcher.getJobStatus(second.jobId)).status === "sent"
+    && (await dispatcher.getJobStatus(first.jobId)).status === "sent");
+
+  rateLimiter.configureRateLimits([{ channel: "sms", notificationType: "otp", perRecipient: true, limit: 1, interval: 60 * 60 * 1000 }]);
+  await dispatcher.queueNotification(otp("+12025553333"));
+  const overLimit = await dispatcher.queueNotification(otp("+12025553333"));
+  await wait(100);
+  const failedJob = await dispatcher.getJobStatus(overLimit.jobId);
+  check("a job over a per-recipient limit fails", failedJob.status === "failed" && failedJob.result.errorCode === "RATE_LIMITED");
+
+  await dispatcher.stopWorker();
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+    process.exitCode = failures === 0 ? 0 : 1;
+  });
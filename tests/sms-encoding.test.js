@@ -0,0 +1,85 @@
+/**
+ * Tests for SMS encoding, segmentation and cost estimates
+ *
+ * Runs SMS in mock mode with an in-memory queue, so nothing is sent or
+ * written to disk.
+ *
+ * To run: node tests/sms-encoding.test.js
+ */
+
+process.env.SMS_MOCK_MODE = "true";
+process.env.QUEUE_STORE = "memory";
+process.env.QUEUE_AUTO_START = "false";
+process.env.SCHEDULER_STORE = "memory";
+process.env.SCHEDULER_AUTO_START = "false";
+process.env.TRACKER_STORE = "memory";
+process.env.SMS_MAX_SEGMENTS = "3";
+process.env.SMS_COST_PER_SEGMENT = "0.01";
+
+const { analyzeMessage, detectEncoding, splitSegments, transliterate } = require("../utilities/smsEncoder");
+const dispatcher = require("../dispatcher");
+
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+async function runTests() {
+  console.log("\n=== Testing SMS Encoding ===\n");
+
+  console.log("Encoding detection:");
+  check("plain text is GSM-7", detectEncoding("Your code is 123456") === "GSM-7");
+  check("GSM accents stay GSM-7", detectEncoding("Grüße, señor! Café à la carte") === "GSM-7");
+  check("accents outside GSM-7 switch to UCS-2", detectEncoding("Tu código") === "UCS-2");
+  check("emoji switch to UCS-2", detectEncoding("Thanks 👍") === "UCS-2");
+
+  console.log("\nSegments:");
+  check("160 GSM-7 characters fit in one segment", analyzeMessage("a".repeat(160)).segments === 1);
+  check("161 GSM-7 characters need two segments of 153", analyzeMessage("a".repeat(161)).segments === 2
+    && analyzeMessage("a".repeat(306)).segments === 2 && analyzeMessage("a".repeat(307)).segments === 3);
+  check("extension characters count twice", analyzeMessage("€".repeat(80)).segments === 1
+    && analyzeMessage("€".repeat(81)).segments === 2);
+  check("UCS-2 segments hold 70, then 67", analyzeMessage("ó".repeat(70)).segments === 1
+    && analyzeMessage("ó".repeat(71)).segments === 2 && analyzeMessage("ó".repeat(135)).segments === 3);
+  const emoji = splitSegments("👍".repeat(40));
+  check("surrogate pairs are not split", emoji.length === 2 && emoji.every(part => !/^[\uDC00-\uDFFF]|[\uD800-\uDBFF]$/.test(part)));
+  const accented = analyzeMessage("Tu código es 1234");
+  check("analysis reports the characters that force UCS-2",
+    accented.encoding === "UCS-2" && accented.remaining === 53 && accented.nonGsmCharacters.join("") === "ó");
+
+  console.log("\nTransliteration:");
+  check("accents missing from GSM-7 are dropped", transliterate("Tu código, façade, Łódź") === "Tu codigo, facade, Lodz");
+  check("GSM-7 accents are kept", transliterate("Grüße, señor") === "Grüße, señor");
+  check("typographic punctuation becomes plain", transliterate("“Hi” – it’s…") === "\"Hi\" - it's...");
+  const transliterated = analyzeMessage("Votre réservation à l’hôtel est confirmée", { transliterate: true });
+  check("transliterated messages go back to GSM-7",
+    transliterated.encoding === "GSM-7" && transliterated.transliterated && transliterated.text === "Votre réservation à l'hotel est confirmée");
+  check("characters without an equivalent are kept", transliterate("Привет 👍") === "Привет 👍");
+
+  console.log("\nSending:");
+  const sent = await dispatcher.dispatchNotification({ type: "sms", recipient: "+12025551234", message: "Código: 1234. " + "x".repeat(60) });
+  check("result reports encoding and segments", sent.status === "sent" && sent.encoding === "UCS-2" && sent.segments === 2);
+  check("result reports the estimated cost", sent.estimatedCost === 0.02 && sent.costCurrency === "USD");
+  const ascii = await dispatcher.dispatchNotification({
+    type: "sms", recipient: "+12025551234", message: "Código: 1234. " + "x".repeat(60), options: { transliterate: true }
+  });
+  check("transliteration per message saves segments", ascii.encoding === "GSM-7" && ascii.segments === 1 && ascii.estimatedCost === 0.01);
+  check("messages over 160 characters are accepted", (await dispatcher.dispatchNotification({
+    type: "sms", recipient: "+12025551234", message: "a".repeat(400)
+  })).segments === 3);
+  const tooLong = await dispatcher.dispatchNotification({ type: "sms", recipient: "+12025551234", message: "ó".repeat(202) });
+  check("messages over the segment limit fail validation",
+    tooLong.status === "failed" && tooLong.validationError === true && /4 segments in UCS-2/.test(tooLong.error));
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+    process.exitCode = failures === 0 ? 0 : 1;
+  });
@@ -0,0 +1,161 @@
+/**
+ * Tests for SMS providers and routing
+ *
+ * Starts a local stand-in for an HTTP SMS API and sends through the provider
+ * adapters used by notifications/sms.js. The file provider writes to a temp
+ * file that is removed afterwards.
+ *
+ * To run: node tests/sms-providers.test.js
+ */
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const sinkFile = path.join(os.tmpdir(), `sms-test-outbox-${process.pid}.jsonl`);
+const requests = [];
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+// SMS API stand-in: numbers ending in 500, 429, 401 or 400 get that status
+const apiServer = http.createServer((req, res) => {
+  let raw = "";
+  req.on("data", (chunk) => (raw += chunk.toString()));
+  req.on("end", () => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body: raw });
+    res.setHeader("Content-Type", "application/json");
+
+    const status = ["500", "429", "401", "400"].find((code) => req.url.endsWith(code));
+    if (status) {
+      res.statusCode = Number(status);
+      return res.end(JSON.stringify({ error: "Request failed" }));
+    }
+
+    res.end(JSON.stringify({ data: { messageId: `api-${requests.length}` } }));
+  });
+});
+
+async function runTests() {
+  await new Promise((resolve) => apiServer.listen(0, "127.0.0.1", resolve));
+
+  // Configure the providers before loading the module
+  process.env.SMS_MOCK_MODE = "false";
+  process.env.SMS_PROVIDER = "file";
+  process.env.SMS_FROM = "Acme";
+  process.env.SMS_FILE_PATH = sinkFile;
+  process.env.SMS_HTTP_URL = `http://127.0.0.1:${apiServer.address().port}/messages?to={{to}}`;
+  process.env.SMS_HTTP_HEADERS = JSON.stringify({ Authorization: "Bearer api-key" });
+  process.env.SMS_HTTP_MESSAGE_ID_FIELD = "data.messageId";
+  process.env.SMS_ROUTES = JSON.stringify([{ prefix: "+44", provider: "http" }]);
+  process.env.ENABLE_CONSOLE_LOGGING = "false";
+
+  const smsNotifier = require("../notifications/sms");
+  const smsProviders = require("../notifications/smsProviders");
+  const fileProvider = require("../notifications/smsProviders/file");
+  const httpProvider = require("../notifications/smsProviders/http");
+  const config = require("../config");
+  const noRetry = { retry: { maxAttempts: 1 } };
+
+  console.log("\n=== Testing SMS Providers ===\n");
+
+  console.log("File sink (SMS_PROVIDER):");
+  const filed = await smsNotifier.send("+12025551234", "Your code is 123456", noRetry);
+  const written = fileProvider.readMessages();
+  check("result reports the file provider", filed.status === "sent" && filed.provider === "file");
+  check("message is written to the sink file", written.length === 1 && written[0].to === "+12025551234"
+    && written[0].message === "Your code is 123456" && written[0].from === "Acme");
+  check("result carries the written message id", filed.messageId === written[0].id);
+
+  console.log("\nHTTP API (routed by prefix):");
+  const message = 'Say "hi"\nto Zoë';
+  const posted = await smsNotifier.send("+447700900123", message, noRetry);
+  const apiRequest = requests[0];
+  check("+44 numbers go through the http provider", posted.status === "sent" && posted.provider === "http");
+  check("URL template is filled and encoded", apiRequest && apiRequest.url === "/messages?to=%2B447700900123");
+  check("JSON body template is filled and escaped", apiRequest && JSON.parse(apiRequest.body).message === message
+    && JSON.parse(apiRequest.body).from === "Acme");
+  check("configured headers are sent", apiRequest && apiRequest.headers.authorization === "Bearer api-key");
+  check("message id is read from the response", posted.messageId === "api-1");
+  check("other numbers still use SMS_PROVIDER", fileProvider.readMessages().length === 1);
+
+  const failed = await smsNotifier.send("+447700900500", "Hello", noRetry);
+  check("HTTP errors fail with SMS_SEND_FAILED", failed.status === "failed" && failed.errorCode === "SMS_SEND_FAILED"
+    && failed.responseCode === 500);
+  const throttled = await smsNotifier.send("+447700900429", "Hello", noRetry);
+  check("HTTP 429 is retryable", throttled.errorCode === "SMS_SEND_FAILED");
+
+  const before = requests.length;
+  const unauthorized = await smsNotifier.send("+447700900401", "Hello", { retry: { maxAttempts: 3, baseDelay: 0 } });
+  check("bad credentials fail once with SMS_AUTH_FAILED", unauthorized.errorCode === "SMS_AUTH_FAILED"
+    && requests.length === before + 1);
+  const badRequest = await smsNotifier.send("+447700900400", "Hello", { retry: { maxAttempts: 3, baseDelay: 0 } });
+  check("other 4xx responses fail once with SMS_REJECTED", badRequest.errorCode === "SMS_REJECTED"
+    && requests.length === before + 2);
+
+  const retriedServerError = await smsNotifier.send("+447700900500", "Hello", { retry: { maxAttempts: 2, baseDelay: 0 } });
+  check("server errors are retried", retriedServerError.attempts.length === 2 && requests.length === before + 4);
+
+  config.sms.http.headers = { "Content-Type": "application/x-www-form-urlencoded" };
+  config.sms.http.body = "To={{to}}&Body={{message}}";
+  check("form bodies are URL-encoded",
+    httpProvider.formatRequest("+447700900123", "a&b c").body === "To=%2B447700900123&Body=a%26b%20c");
+
+  console.log("\nTwilio errors:");
+  const twilioProvider = require("../notifications/smsProviders/twilio");
+  const twilioError = (code, status) => twilioProvider.createTwilioError(Object.assign(new Error("Twilio error"), { code, status }));
+  check("invalid numbers map to INVALID_PHONE_NUMBER", twilioError(21211, 400).code === "INVALID_PHONE_NUMBER");
+  check("authentication errors map to SMS_AUTH_FAILED", twilioError(20003, 401).code === "SMS_AUTH_FAILED");
+  check("other rejected requests map to SMS_REJECTED", twilioError(21606, 400).code === "SMS_REJECTED");
+  check("rate limits and outages map to SMS_SEND_FAILED", twilioError(20429, 429).code === "SMS_SEND_FAILED"
+    && twilioError(20500, 500).code === "SMS_SEND_FAILED");
+  check("network errors map to SMS_SEND_FAILED", twilioError("ECONNRESET", undefined).code === "SMS_SEND_FAILED");
+  check("Twilio's code and status are kept", twilioError(20003, 401).providerCode === 20003 && twilioError(20003, 401).responseCode === 401);
+
+  console.log("\nRouting:");
+  smsProviders.configureRoutes([{ prefix: "+4", provider: "mock" }, { prefix: "44", provider: "http" }]);
+  check("longest prefix wins", smsProviders.selectProvider("+447700900123").name === "http"
+    && smsProviders.selectProvider("+4915112345678").name === "mock");
+  check("options.provider overrides routes", smsProviders.selectProvider("+447700900123", { provider: "file" }).name === "file");
+  const mocked = await smsNotifier.send("+4915112345678", "Hallo", noRetry);
+  check("the mock provider answers in mock mode", mocked.status === "sent" && mocked.isMock === true && mocked.provider === "mock");
+
+  const sent = [];
+  smsProviders.registerProvider("custom", {
+    send: async (to, text, options) => {
+      sent.push({ to, text, options });
+      return { provider: "custom", messageId: "custom-1", status: "queued" };
+    },
+  });
+  const custom = await smsNotifier.send("+12025551234", "Hi", { provider: "custom", transliterate: true, validityPeriod: 60 });
+  check("registered providers can be used", custom.provider === "custom" && custom.status === "queued" && sent.length === 1);
+  check("provider gets its own options but not ours", sent[0] && sent[0].options.validityPeriod === 60
+    && sent[0].options.transliterate === undefined);
+
+  const unknown = await smsNotifier.send("+12025551234", "Hi", { provider: "nope" });
+  check("unknown providers fail with UNKNOWN_SMS_PROVIDER", unknown.status === "failed" && unknown.errorCode === "UNKNOWN_SMS_PROVIDER");
+  let routeError = null;
+  try {
+    smsProviders.configureRoutes([{ provider: "http" }]);
+  } catch (error) {
+    routeError = error;
+  }
+  check("routes without a prefix are rejected", routeError !== null);
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    fs.rmSync(sinkFile, { force: true });
+    apiServer.close(() => {
+      console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+      process.exitCode = failures === 0 ? 0 : 1;
+    });
+  });
@@ -0,0 +1,116 @@
+/**
+ * Tests for the template engine
+ *
+ * To run: node tests/template-engine.test.js
+ */
+
+const { render, registerFilter } = require("../utilities/templateEngine");
+const registry = require("../templateRegistry");
+const templateUtils = require("../templateUtils");
+
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+function throwsCode(fn, code) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return error.code === code;
+  }
+}
+
+const order = {
+  user: { name: "Jane", vip: true },
+  currency: "EUR",
+  total: 1234.5,
+  placedAt: "2025-06-01T10:30:00Z",
+  items: [
+    { name: "Pen", quantity: 2, price: 1.5 },
+    { name: "Notebook", quantity: 1, price: 4 }
+  ]
+};
+
+console.log("\n=== Testing Template Engine ===\n");
+
+console.log("Backward compatibility:");
+check("flat placeholders are replaced", render("Hello {{userName}}!", { userName: "Jane" }) === "Hello Jane!");
+check("missing placeholders are left as is", render("Code: {{otpCode}}", {}) === "Code: {{otpCode}}");
+check("text that isn't an expression is kept", render("{{ see below }}", {}) === "{{ see below }}");
+check("values are not escaped unless asked", render("{{name}}", { name: "<b>" }) === "<b>");
+
+console.log("\nPaths:");
+check("nested paths", render("{{user.name}}", order) === "Jane");
+check("array indexes", render("{{items.1.name}}", order) === "Notebook");
+check("inherited properties are not readable", render("{{user.constructor}}", order) === "{{user.constructor}}");
+
+console.log("\nBlocks:");
+check("if / else", render("{{#if user.vip}}VIP{{else}}Regular{{/if}}", order) === "VIP"
+  && render("{{#if user.banned}}Banned{{else}}OK{{/if}}", order) === "OK");
+check("unless", render("{{#unless paid}}Unpaid{{/unless}}", order) === "Unpaid");
+check("empty arrays are false", render("{{#if list}}yes{{else}}no{{/if}}", { list: [] }) === "no");
+check("each over items",
+  render("{{#each items}}{{@index}}:{{name}}x{{quantity}}{{#unless @last}}, {{/unless}}{{/each}}", order) === "0:Penx2, 1:Notebookx1");
+check("each falls back to outer data", render("{{#each items}}{{name}} {{currency}};{{/each}}", order) === "Pen EUR;Notebook EUR;");
+check("each with this and else", render("{{#each tags}}[{{this}}]{{else}}none{{/each}}", { tags: ["a", "b"] }) === "[a][b]"
+  && render("{{#each tags}}x{{else}}none{{/each}}", {}) === "none");
+check("nested blocks", render("{{#each items}}{{#if @first}}{{name}}{{/if}}{{/each}}", order) === "Pen");
+
+console.log("\nFilters:");
+check("upper and lower", render("{{user.name | upper}} {{user.name | lower}}", order) === "JANE jane");
+check("currency", render('{{total | currency:"EUR"}}', order) === "€1,234.50");
+check("currency from data", render("{{price | currency:currency}}", { price: 2, currency: "GBP" }) === "£2.00");
+check("invalid currency codes leave the value as is", render("{{price | currency:code}}", { price: 5, code: "dollars" }) === "5");
+check("localized currency", /^1\.234,50\s€$/.test(render('{{total | currency:"EUR"}}', order, { locale: "de" })));
+check("date", render('{{placedAt | date:"long"}}', order) === "June 1, 2025"
+  && render('{{placedAt | date:"iso"}}', order) === "2025-06-01T10:30:00.000Z");
+check("default", render('{{nickname | default:"friend"}}', {}) === "friend");
+check("chained filters", render('{{missing | default:"x" | upper}}', {}) === "X");
+registerFilter("reverse", (value) => String(value).split("").reverse().join(""));
+check("custom filters", render("{{word | reverse}}", { word: "abc" }) === "cba");
+
+console.log("\nEscaping:");
+check("escapeHtml escapes values", render("<p>{{name}}</p>", { name: "<script>" }, { escapeHtml: true }) === "<p>&lt;script&gt;</p>");
+check("triple braces and raw skip escaping",
+  render("{{{html}}}{{html | raw}}", { html: "<b>" }, { escapeHtml: true }) === "<b><b>");
+const email = registry.renderContent({ subject: "Hi {{name}}", html: "<p>{{name}}</p>", layout: false }, { name: "Tom & Jerry" });
+check("email html fields are escaped by default", email.html === "<p>Tom &amp; Jerry</p>" && email.subject === "Hi Tom & Jerry");
+
+console.log("\nLayouts and HTML:");
+const { inlineCss, htmlToText } = require("../utilities/html");
+const wrapped = registry.renderContent({ subject: "Hi", html: "<p>Hello {{name}}</p>" }, { name: "Ann", serviceName: "Acme" });
+check("html is wrapped in the default layout", wrapped.html.includes("<p>Hello Ann</p>") && wrapped.html.includes(">Acme</div>"));
+check("plain-text body is generated from html", wrapped.body.startsWith("Acme\n\nHello Ann"));
+registry.registerPartial("signature", "<p>The {{serviceName}} team</p>");
+registry.registerLayout("minimal", "<main>{{{content}}}{{> signature}}</main>");
+check("custom layouts and partials",
+  registry.renderContent({ html: "<p>Hi</p>", layout: "minimal" }, { serviceName: "Acme" }).html === "<main><p>Hi</p><p>The Acme team</p></main>");
+check("unknown layouts are rejected", throwsCode(() => registry.renderContent({ html: "x", layout: "nope" }, {}), "UNKNOWN_LAYOUT"));
+check("layouts need a content slot", throwsCode(() => registry.registerLayout("bad", "<main></main>"), "INVALID_TEMPLATE"));
+check("unknown partials are rejected", throwsCode(() => render("{{> missing}}", {}), "TEMPLATE_SYNTAX"));
+check("inlineCss applies rules by specificity and keeps inline styles",
+  inlineCss('<style>p{color:red} .note{color:blue} a:hover{color:green}</style><p class="note">x</p><p style="color: black">y</p>')
+    === '<style>\na:hover {color:green}\n</style><p class="note" style="color: blue">x</p><p style="color: black">y</p>');
+check("htmlToText keeps links and list items",
+  htmlToText('<p>See <a href="https://x.test">docs</a></p><ul><li>One &amp; two</li></ul>') === "See docs (https://x.test)\n\n- One & two");
+
+console.log("\nErrors:");
+check("unclosed blocks", throwsCode(() => render("{{#if a}}x", {}), "TEMPLATE_SYNTAX"));
+check("mismatched blocks", throwsCode(() => render("{{#if a}}x{{/each}}", {}), "TEMPLATE_SYNTAX"));
+check("unknown filters", throwsCode(() => render("{{a | nope}}", { a: 1 }), "TEMPLATE_SYNTAX"));
+
+console.log("\nTemplates:");
+const confirmation = registry.renderTemplate("email", "orderConfirmation", "en", { ...order, orderNumber: "A-1" });
+check("orderConfirmation lists items without pre-formatted details",
+  confirmation.body.includes("- 2 x Pen: €1.50\n- 1 x Notebook: €4.00\n"));
+const preformatted = registry.renderTemplate("email", "orderConfirmation", "en", { orderDetails: "1 x Lamp" });
+check("orderConfirmation still accepts orderDetails", preformatted.body.includes("Order Details:\n1 x Lamp\n"));
+check("templateUtils renders blocks with defaults",
+  templateUtils.renderTemplate("{{#if showLegalDisclaimer}}Terms apply. {{/if}}{{userName}}", {}) === "Terms apply. Guest");
+
+console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+process.exitCode = failures === 0 ? 0 : 1;
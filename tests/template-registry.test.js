@@ -0,0 +1,114 @@
+/**
+ * Tests for the template registry
+ *
+ * Checks that the three template modules read the same templates, that names,
+ * aliases and language fallback behave the same everywhere, and that templates
+ * load from a directory (written to a temp dir and removed afterwards).
+ *
+ * To run: node tests/template-registry.test.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const registry = require("../templateRegistry");
+const templateManager = require("../templateManager");
+const { notificationTemplates, renderTemplateByLanguage } = require("../notificationTemplates");
+const templateUtils = require("../templateUtils");
+
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+function runTests() {
+  console.log("\n=== Testing Template Registry ===\n");
+
+  console.log("One store:");
+  check("all modules share the registry's store",
+    templateManager.multilingualTemplates === registry.templates
+    && notificationTemplates === registry.templates);
+  for (const [channel, name] of [["email", "passwordReset"], ["email", "otp"], ["sms", "appointmentReminder"], ["sms", "otp"]]) {
+    check(`${channel}.${name} is found by every module`,
+      templateManager.getTemplate(channel, name, "en") !== null
+      && templateUtils.getTemplate(channel, name, "en") !== null
+      && renderTemplateByLanguage(notificationTemplates, channel, name, "en", {}, { logWarnings: false }) !== null);
+  }
+
+  console.log("\nNames and aliases:");
+  check("names are case-insensitive", registry.getTemplate("email", "PASSWORDRESET", "en") !== null);
+  check("'verification' is an alias of 'otp'", registry.resolveTemplateName("sms", "verification") === "otp");
+  const verification = renderTemplateByLanguage(notificationTemplates, "sms", "verification", "de", { serviceName: "Acme", verificationCode: "123456", expiryTime: 10 }, { logWarnings: false });
+  check("verificationCode fills {{otpCode}}", /123456/.test(verification) && !/{{/.test(verification));
+  check("unknown templates return null", registry.getTemplate("sms", "doesNotExist", "en") === null);
+
+  console.log("\nLanguage fallback:");
+  const regional = registry.resolveTemplate("sms", "welcome", "es-MX");
+  check("regional codes fall back to the base language", regional.language === "es" && regional.fallbackUsed === true);
+  const missing = registry.resolveTemplate("email", "otp", "de");
+  check("missing languages fall back to English", missing.language === "en" && missing.fallbackUsed === true);
+  check("strict lookups don't fall back", registry.getTemplate("email", "otp", "de", { strict: true }) === null);
+  check("templateUtils follows the same fallback",
+    templateUtils.getTemplate("email", "otp", ["de"], { includeMetadata: true }).metadata.selectedLanguage === "en");
+
+  console.log("\nAdding templates:");
+  const added = registry.addTemplate("SMS", "Shipped", "EN", "{{serviceName}}: order {{orderNumber}} has shipped");
+  check("addTemplate normalizes channel and language", added.channel === "sms" && added.language === "en");
+  check("added templates are visible to every module",
+    templateManager.getAvailableTemplates("sms").includes("Shipped")
+    && templateUtils.templateExists("sms", "shipped", "en"));
+  check("renderTemplate renders by name and language",
+    registry.renderTemplate("sms", "shipped", "fr", { serviceName: "Acme", orderNumber: 42 }) === "Acme: order 42 has shipped");
+  let invalidError = null;
+  try {
+    registry.addTemplate("email", "broken", "en", { subject: "No body" });
+  } catch (error) {
+    invalidError = error;
+  }
+  check("email templates without a body are rejected", invalidError && invalidError.code === "INVALID_TEMPLATE");
+  check("legacy addTemplate reports failures as false", templateManager.addTemplate("email", "broken", "en", { subject: "No body" }) === false);
+
+  console.log("\nLoading from a directory:");
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "templates-"));
+  try {
+    fs.mkdirSync(path.join(dir, "email", "invoice"), { recursive: true });
+    fs.mkdirSync(path.join(dir, "sms", "welcome"), { recursive: true });
+    fs.writeFileSync(path.join(dir, "email", "invoice", "en.json"), JSON.stringify({ subject: "Invoice {{invoiceNumber}}", body: "Amount due: {{amount}}" }));
+    fs.writeFileSync(path.join(dir, "email", "invoice", "nl.json"), "{ not json");
+    fs.writeFileSync(path.join(dir, "sms", "welcome", "it.json"), JSON.stringify({ message: "Benvenuto su {{serviceName}}!" }));
+    fs.writeFileSync(path.join(dir, "sms", "welcome", "pt.yaml"), "message: Bem-vindo");
+    fs.writeFileSync(path.join(dir, "sms", "welcome", "README.md"), "ignored");
+
+    const result = registry.loadTemplatesFromDirectory(dir);
+    check("valid files are loaded", ["invoice/en.json", "welcome/it.json"].every(file => result.loaded.some(entry => entry.file.endsWith(path.normalize(file)))));
+    check("invalid files are reported", result.errors.some(error => error.file.endsWith("nl.json")));
+    check("YAML files load, or report that no YAML parser is installed",
+      registry.getTemplate("sms", "welcome", "pt", { strict: true }) === "Bem-vindo"
+      || result.errors.some(error => error.file.endsWith("pt.yaml") && /yaml/.test(error.error)));
+    check("loaded templates render", registry.renderTemplate("email", "invoice", "en", { invoiceNumber: "INV-1", amount: "9.99" }).subject === "Invoice INV-1");
+    check("loaded languages join existing templates", registry.getAvailableLanguages("sms", "welcome").includes("it"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  let dirError = null;
+  try {
+    registry.loadTemplatesFromDirectory(path.join(dir, "missing"));
+  } catch (error) {
+    dirError = error;
+  }
+  check("missing directories are rejected", dirError && dirError.code === "TEMPLATE_DIR_NOT_FOUND");
+}
+
+try {
+  runTests();
+} catch (error) {
+  console.error("Unexpected test error:", error);
+  failures++;
+}
+
+console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,104 @@
+/**
+ * Tests for preference-based sends in the user notification controller
+ *
+ * Channels run in mock mode with a temporary preferences file, so the
+ * controller goes through the real dispatcher without reaching a provider.
+ *
+ * To run: node tests/user-notifications.test.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const preferencesFile = path.join(os.tmpdir(), `user-notifications-preferences-${process.pid}.json`);
+process.env.PREFERENCES_FILE = preferencesFile;
+process.env.EMAIL_MOCK_MODE = "true";
+process.env.SMS_MOCK_MODE = "true";
+process.env.QUEUE_STORE = "memory";
+process.env.QUEUE_AUTO_START = "false";
+process.env.SCHEDULER_STORE = "memory";
+process.env.SCHEDULER_AUTO_START = "false";
+process.env.TRACKER_STORE = "memory";
+
+const userPreferences = require("../userPreferences");
+const controller = require("../controllers/userNotificationController");
+const notificationTracker = require("../notificationTracker");
+
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+async function runTests() {
+  console.log("\n=== Testing User Notification Controller ===\n");
+
+  userPreferences.getUserPreferences("ann@example.com");
+  userPreferences.updateUserPreferences("ann@example.com", { name: "Ann", phone: "+12025551234", smsEnabled: true });
+  // The preference API rejects invalid numbers, so store one the way older data may hold it
+  userPreferences.importPreferences({
+    "bad-phone@example.com": { ...userPreferences.getUserPreferences("bad-phone@example.com"), phone: "12", smsEnabled: true }
+  });
+
+  console.log("sendUserNotification:");
+  const sent = await controller.sendUserNotification("ann@example.com", "otp", { otpCode: "999111" });
+  check("delivers on every opted-in channel", sent.success && sent.results.email.success && sent.results.sms.success);
+  check("results carry the channel's message ids", /^mock-email-/.test(sent.results.email.messageId)
+    && /^mock-sms-/.test(sent.results.sms.messageId));
+  check("the rendered template is what gets sent", /999111/.test(sent.sentContent.sms.message) && sent.results.sms.sentTo === "+12025551234");
+
+  const failed = await controller.sendUserNotification("bad-phone@example.com", "otp", { otpCode: "1" });
+  check("channel failures are reported per channel", failed.results.email.success && !failed.results.sms.success);
+  check("failures carry the error handler's errorId", /^err-/.test(failed.results.sms.errorId)
+    && failed.failedChannels[0].errorId === failed.results.sms.errorId);
+
+  console.log("\nsendNotificationByPreference:");
+  const byPreference = await controller.sendNotificationByPreference("ann@example.com", "welcome", {});
+  check("delivers through the dispatcher", byPreference.success && /^mock-email-/.test(byPreference.results.email.messageId)
+    && /^mock-sms-/.test(byPreference.results.sms.messageId));
+
+  console.log("\nsendNotification:");
+  const simple = await controller.sendNotification("ann@example.com", "otp", { otpCode: "5" });
+  check("delivers through the dispatcher", simple.success && simple.results.email.success && simple.results.sms.success);
+
+  console.log("\nTracking:");
+  const tracked = notificationTracker.queryNotifications({ userId: "ann@example.com" }).notifications;
+  check("sends are tracked under the user's id", tracked.length >= 6
+    && tracked.some((record) => record.channel === "sms" && record.providerMessageId === sent.results.sms.messageId));
+
+  // The controller decides about quiet hours; the dispatcher doesn't defer its sends again
+  userPreferences.setTimeZone("ann@example.com", "UTC");
+  const hour = new Date().getUTCHours();
+  userPreferences.setQuietHours("ann@example.com", {
+    start: `${String(hour).padStart(2, "0")}:00`,
+    end: `${String((hour + 2) % 24).padStart(2, "0")}:00`
+  });
+  const otpInQuietHours = await controller.sendNotificationByPreference("ann@example.com", "otp", { otpCode: "3" });
+  check("critical sends go out in quiet hours", otpInQuietHours.success && !otpInQuietHours.scheduled
+    && otpInQuietHours.results.email.status === "sent");
+  userPreferences.setQuietHours("ann@example.com", null);
+
+  console.log("\nCategory preferences:");
+  userPreferences.setChannelOptInStatus("ann@example.com", "sms", false, "security");
+  const otp = await controller.sendNotificationByPreference("ann@example.com", "otp", { otpCode: "7" });
+  check("the type's category decides the channels", otp.success && otp.channels.join(",") === "email" && !otp.results.sms);
+  const welcome = await controller.sendNotificationByPreference("ann@example.com", "welcome", {});
+  check("types without a category use the global toggles", welcome.channels.join(",") === "email,sms");
+  userPreferences.setChannelOptInStatus("ann@example.com", "email", false, "security");
+  const none = await controller.sendNotificationByPreference("ann@example.com", "passwordReset", {});
+  check("nothing is sent when the category is off everywhere", !none.success && none.channels.length === 0
+    && none.preferencesRespected === true);
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    fs.rmSync(preferencesFile, { force: true });
+    console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+    process.exitCode = failures === 0 ? 0 : 1;
+  });
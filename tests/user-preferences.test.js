@@ -0,0 +1,144 @@
+/**
+ * Tests for user preferences
+ *
+ * Uses a temporary preferences file that is removed afterwards. It starts
+ * with a user saved before push notifications existed.
+ *
+ * To run: node tests/user-preferences.test.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const preferencesFile = path.join(os.tmpdir(), `preferences-test-${process.pid}.json`);
+process.env.PREFERENCES_FILE = preferencesFile;
+process.env.ENABLE_CONSOLE_LOGGING = "false";
+
+// Saved before pushEnabled was added
+fs.writeFileSync(preferencesFile, JSON.stringify({
+  "legacy@example.com": { emailEnabled: true, smsEnabled: false, createdAt: "2025-05-29T17:30:22.123Z", updatedAt: "2025-05-29T17:30:22.123Z" }
+}));
+
+const userPreferences = require("../userPreferences");
+
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+function runTests() {
+  console.log("\n=== Testing User Preferences ===\n");
+
+  console.log("Stored preferences:");
+  check("users saved before push existed are opted in to push", userPreferences.hasUserOptedIn("legacy@example.com", "push")
+    && userPreferences.getUserPreferences("legacy@example.com").pushEnabled === true);
+  check("their other settings are kept", userPreferences.hasUserOptedIn("legacy@example.com", "email")
+    && !userPreferences.hasUserOptedIn("legacy@example.com", "sms"));
+  userPreferences.importPreferences({ "imported@example.com": { emailEnabled: true, smsEnabled: true } });
+  check("imported users without pushEnabled are opted in to push", userPreferences.hasUserOptedIn("imported@example.com", "push"));
+  userPreferences.setChannelOptInStatus("legacy@example.com", "push", false);
+  check("push can still be turned off", !userPreferences.hasUserOptedIn("legacy@example.com", "push"));
+
+  console.log("\nCategories:");
+  check("notification types map to their category", userPreferences.getNotificationCategory("otp") === "security"
+    && userPreferences.getNotificationCategory("passwordReset") === "security"
+    && userPreferences.getNotificationCategory("newsletter") === "marketing"
+    && userPreferences.getNotificationCategory("orderUpdate") === "orders"
+    && userPreferences.getNotificationCategory("appointmentReminder") === "reminders");
+  check("category names map to themselves", userPreferences.getNotificationCategory("marketing") === "marketing");
+  check("other types have no category", userPreferences.getNotificationCategory("welcome") === null
+    && userPreferences.getNotificationCategory(undefined) === null);
+
+  const cat = "cat@example.com";
+  userPreferences.updateUserPreferences(cat, { emailEnabled: true, smsEnabled: true });
+  check("categories follow the global toggle until set", userPreferences.hasUserOptedIn(cat, "sms", "marketing")
+    && !userPreferences.getUserPreferences(cat).categoryPreferences.marketing);
+  check("a category can be turned off on one channel", userPreferences.setChannelOptInStatus(cat, "sms", false, "marketing")
+    && !userPreferences.hasUserOptedIn(cat, "sms", "marketing") && userPreferences.hasUserOptedIn(cat, "email", "marketing"));
+  check("other categories and the global toggle are unchanged", userPreferences.hasUserOptedIn(cat, "sms", "orders")
+    && userPreferences.hasUserOptedIn(cat, "sms") && userPreferences.getUserPreferences(cat).smsEnabled === true);
+  userPreferences.setChannelOptInStatus(cat, "sms", false);
+  userPreferences.setChannelOptInStatus(cat, "sms", true, "security");
+  check("a category can be turned on while the channel is off", userPreferences.hasUserOptedIn(cat, "sms", "security")
+    && !userPreferences.hasUserOptedIn(cat, "sms", "orders"));
+  // Security messages follow the user's choice like any other category
+  userPreferences.setChannelOptInStatus(cat, "email", false, "security");
+  check("security can be turned off too", !userPreferences.hasUserOptedIn(cat, "email", "security"));
+  check("unknown categories are rejected", !userPreferences.setChannelOptInStatus(cat, "sms", true, "gossip")
+    && !userPreferences.hasUserOptedIn(cat, "sms", "gossip"));
+
+  const optedInToMarketingSms = userPreferences.getUsersOptedInToChannel("sms", false, "marketing");
+  const optedInToSecuritySms = userPreferences.getUsersOptedInToChannel("sms", false, "security");
+  check("getUsersOptedInToChannel uses the category setting", !optedInToMarketingSms.includes(cat)
+    && optedInToSecuritySms.includes(cat));
+  check("users without a category setting use the global toggle", optedInToMarketingSms.includes("imported@example.com"));
+  check("getUsersOptedInToChannel rejects unknown categories", userPreferences.getUsersOptedInToChannel("sms", false, "gossip").length === 0);
+
+  const ann = "ann@example.com";
+  const bob = "bob@example.com";
+  userPreferences.getUserPreferences(ann);
+  userPreferences.getUserPreferences(bob);
+
+  console.log("\nStoring numbers:");
+  check("new users have no phone", userPreferences.getUserPreferences(ann).phone === null);
+  check("numbers are stored in E.164", userPreferences.setPhoneNumber(ann, "+1 (202) 555-1234")
+    && userPreferences.getUserPreferences(ann).phone === "+12025551234");
+  check("updateUserPreferences normalizes too", userPreferences.updateUserPreferences(bob, { phone: "+44 7700 900123" }).phone === "+447700900123");
+  check("invalid numbers are rejected", !userPreferences.setPhoneNumber(ann, "12")
+    && userPreferences.getUserPreferences(ann).phone === "+12025551234");
+
+  console.log("\nFinding users by phone:");
+  check("any format finds the user", userPreferences.findUserByPhone("+1 202-555-1234") === ann);
+  check("unknown numbers find nobody", userPreferences.findUserByPhone("+12025550000") === null);
+
+  console.log("\nDuplicates:");
+  check("another user's number is rejected", userPreferences.updateUserPreferences(bob, { phone: "+12025551234", smsEnabled: true }) === null
+    && userPreferences.getUserPreferences(bob).phone === "+447700900123" && userPreferences.getUserPreferences(bob).smsEnabled === false);
+  const strict = userPreferences.updateExistingUserPreferences(bob, { phone: "+1 202 555 1234" });
+  check("updateExistingUserPreferences reports the clash", /already belongs to another user/.test(strict.error));
+  check("setting your own number again is fine", userPreferences.setPhoneNumber(ann, "+12025551234"));
+
+  console.log("\nChanging and releasing numbers:");
+  userPreferences.setPhoneNumber(ann, "+12025559999");
+  check("the old number is released", userPreferences.findUserByPhone("+12025551234") === null
+    && userPreferences.findUserByPhone("+12025559999") === ann);
+  check("updateExistingUserPreferences can set a number", userPreferences.updateExistingUserPreferences(bob, { phone: "+12025551234" }).phone === "+12025551234"
+    && userPreferences.findUserByPhone("+12025551234") === bob);
+  check("null removes the number", userPreferences.setPhoneNumber(bob, null) && userPreferences.findUserByPhone("+12025551234") === null);
+
+  userPreferences.updateUserPreferences(ann, { isDeleted: true });
+  check("deleted users can't be found by default", userPreferences.findUserByPhone("+12025559999") === null
+    && userPreferences.findUserByPhone("+12025559999", true) === ann);
+  check("deleted users' numbers can be reused", userPreferences.setPhoneNumber(bob, "+12025559999")
+    && userPreferences.findUserByPhone("+12025559999") === bob);
+
+  userPreferences.removeUserPreferences(bob);
+  check("removed users can't be found", userPreferences.findUserByPhone("+12025559999") === null);
+
+  console.log("\nImport:");
+  const clash = userPreferences.importPreferences({
+    "cy@example.com": { emailEnabled: true, smsEnabled: true, phone: "+33612345678" },
+    "di@example.com": { emailEnabled: true, smsEnabled: true, phone: "+33 6 12 34 56 78" }
+  });
+  check("imports with duplicate numbers are rejected", clash === false && userPreferences.findUserByPhone("+33612345678") === null);
+  check("imported numbers are indexed", userPreferences.importPreferences({ "cy@example.com": { emailEnabled: true, phone: "+33612345678" } })
+    && userPreferences.findUserByPhone("+33612345678") === "cy@example.com");
+
+  delete require.cache[require.resolve("../userPreferences")];
+  const reloaded = require("../userPreferences");
+  check("the index is rebuilt from the preferences file", reloaded.findUserByPhone("+33612345678") === "cy@example.com");
+}
+
+try {
+  runTests();
+} catch (error) {
+  console.error("Unexpected test error:", error);
+  failures++;
+} finally {
+  fs.rmSync(preferencesFile, { force: true });
+  console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
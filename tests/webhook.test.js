@@ -0,0 +1,123 @@
+/**
+ * Tests for webhook signing and delivery
+ *
+ * Starts a local receiver that records each request and answers with the
+ * status named in its path (e.g. /status/503). Logs go to a temporary
+ * directory.
+ *
+ * To run: node tests/webhook.test.js
+ */
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const logDirectory = path.join(os.tmpdir(), `webhook-logs-${process.pid}`);
+process.env.LOG_DIRECTORY = logDirectory;
+process.env.ENABLE_CONSOLE_LOGGING = "false";
+process.env.QUEUE_STORE = "memory";
+process.env.QUEUE_AUTO_START = "false";
+process.env.SCHEDULER_STORE = "memory";
+process.env.SCHEDULER_AUTO_START = "false";
+process.env.TRACKER_STORE = "memory";
+// No default secret, so each send picks signed or unsigned itself
+process.env.WEBHOOK_SECRET = "";
+
+const webhook = require("../notifications/webhook");
+const errorHandler = require("../error-handler");
+const dispatcher = require("../dispatcher");
+
+const SECRET = "test-secret";
+const received = [];
+let failures = 0;
+
+function check(name, condition) {
+  console.log(`  ${condition ? "✅" : "❌"} ${name}`);
+  if (!condition) failures++;
+}
+
+const receiver = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk.toString()));
+  req.on("end", () => {
+    received.push({ url: req.url, headers: req.headers, body });
+    const status = /^\/status\/(\d{3})$/.exec(req.url);
+    res.statusCode = status ? parseInt(status[1], 10) : 200;
+    res.end();
+  });
+});
+
+async function runTests() {
+  console.log("\n=== Testing Webhooks ===\n");
+
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${receiver.address().port}`;
+  errorHandler.setRetryPolicy("webhook", { maxAttempts: 1 });
+
+  console.log("Signatures:");
+  const body = JSON.stringify({ message: "Hello" });
+  const timestamp = new Date().toISOString();
+  const signature = webhook.signPayload(body, timestamp, SECRET);
+  check("signatures are sha256 HMACs", /^sha256=[0-9a-f]{64}$/.test(signature)
+    && signature === webhook.signPayload(body, timestamp, SECRET));
+  check("a matching signature verifies", webhook.verifySignature(body, signature, timestamp, SECRET));
+  check("a wrong secret is rejected", !webhook.verifySignature(body, signature, timestamp, "other-secret"));
+  check("a changed body is rejected", !webhook.verifySignature(JSON.stringify({ message: "Bye" }), signature, timestamp, SECRET));
+  check("a malformed signature is rejected", !webhook.verifySignature(body, "sha256=abc", timestamp, SECRET)
+    && !webhook.verifySignature(body, undefined, timestamp, SECRET));
+
+  const stale = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+  const staleSignature = webhook.signPayload(body, stale, SECRET);
+  check("a stale timestamp is rejected", !webhook.verifySignature(body, staleSignature, stale, SECRET));
+  check("the tolerance can be widened", webhook.verifySignature(body, staleSignature, stale, SECRET, 15 * 60 * 1000));
+  check("a timestamp that isn't a date is rejected", !webhook.verifySignature(body, webhook.signPayload(body, "soon", SECRET), "soon", SECRET));
+  check("the signature covers the timestamp", !webhook.verifySignature(body, signature, new Date(Date.now() + 1000).toISOString(), SECRET));
+
+  console.log("\nSigned delivery:");
+  const sent = await webhook.sendWebhook(`${url}/hooks`, "Order shipped", { secret: SECRET, event: "order.shipped" });
+  const request = received[received.length - 1];
+  check("the payload is POSTed to the URL", sent.status === "sent" && sent.signed === true && request.url === "/hooks"
+    && JSON.parse(request.body).event === "order.shipped" && JSON.parse(request.body).message === "Order shipped");
+  check("the receiver can verify the request", webhook.verifySignature(request.body,
+    request.headers["x-notification-signature"], request.headers["x-notification-timestamp"], SECRET));
+
+  console.log("\nWithout a secret:");
+  const before = received.length;
+  let missing = null;
+  try {
+    await webhook.sendWebhook(`${url}/hooks`, "Order shipped");
+  } catch (error) {
+    missing = error;
+  }
+  check("sending is refused with WEBHOOK_SECRET_MISSING", missing && missing.code === "WEBHOOK_SECRET_MISSING"
+    && received.length === before);
+  const refused = await webhook.send(`${url}/hooks`, "Order shipped");
+  check("the wrapped send reports the code", refused.status === "failed" && refused.errorCode === "WEBHOOK_SECRET_MISSING");
+
+  const unsigned = await webhook.sendWebhook(`${url}/hooks`, "Order shipped", { unsigned: true });
+  check("options.unsigned sends without a signature", unsigned.status === "sent" && unsigned.signed === false
+    && received.length === before + 1 && received[before].headers["x-notification-signature"] === undefined);
+
+  console.log("\nFailed delivery:");
+  const rejected = await webhook.send(`${url}/status/503`, "Order shipped", { secret: SECRET });
+  check("non-2xx responses fail with WEBHOOK_HTTP_ERROR", rejected.status === "failed"
+    && rejected.errorCode === "WEBHOOK_HTTP_ERROR" && rejected.responseCode === 503);
+  check("failed results don't include the secret", rejected.secret === undefined && !JSON.stringify(rejected).includes(SECRET));
+  const dispatched = await dispatcher.dispatchNotification({
+    type: "webhook", recipient: `${url}/status/500`, message: "Order shipped", options: { secret: SECRET }
+  });
+  check("nor do failed dispatches", dispatched.status === "failed" && !JSON.stringify(dispatched).includes(SECRET));
+}
+
+runTests()
+  .catch((error) => {
+    console.error("Unexpected test error:", error);
+    failures++;
+  })
+  .finally(() => {
+    receiver.close();
+    fs.rmSync(logDirectory, { recursive: true, force: true });
+    console.log(failures === 0 ? "\n✅ ALL TESTS PASSED" : `\n❌ ${failures} TEST(S) FAILED`);
+    process.exitCode = failures === 0 ? 0 : 1;
+  });
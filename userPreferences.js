@@ -8,6 +8,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const time = require('./utilities/time');
+const phoneNumbers = require('./utilities/phone');
 
 // Configuration
 const PREFERENCES_FILE = process.env.PREFERENCES_FILE || 'data/user-preferences.json';
@@ -16,6 +18,31 @@ const PREFERENCES_DIR = path.dirname(PREFERENCES_FILE);
 // In-memory store for user preferences
 let preferencesStore = {};
 
+// Reverse index of phone numbers (E.164) -> user ID, for active users
+let phoneIndex = new Map();
+
+// Notification categories users can set channel preferences for
+const NOTIFICATION_CATEGORIES = ['security', 'marketing', 'orders', 'reminders'];
+
+// Notification type -> category. Types not listed here only use the global channel toggles.
+const NOTIFICATION_TYPE_CATEGORIES = {
+  otp: 'security',
+  verification: 'security',
+  passwordReset: 'security',
+  promotion: 'marketing',
+  newsletter: 'marketing',
+  orderConfirmation: 'orders',
+  orderUpdate: 'orders',
+  appointmentReminder: 'reminders'
+};
+
+// Channels that have a global toggle in the preferences
+const CHANNEL_PREFERENCE_FIELDS = {
+  email: 'emailEnabled',
+  sms: 'smsEnabled',
+  push: 'pushEnabled'
+};
+
 // Ensure preferences directory exists
 try {
   if (!fs.existsSync(PREFERENCES_DIR)) {
@@ -34,7 +61,11 @@ function initializePreferences() {
   try {
     if (fs.existsSync(PREFERENCES_FILE)) {
       const data = fs.readFileSync(PREFERENCES_FILE, 'utf8');
-      preferencesStore = JSON.parse(data);
+      preferencesStore = migratePreferences(JSON.parse(data));
+      
+      const { index, duplicates } = buildPhoneIndex(preferencesStore);
+      phoneIndex = index;
+      duplicates.forEach(duplicate => console.warn(`Phone number ${duplicate.phone} belongs to both ${duplicate.userId} and ${duplicate.otherUserId}; only ${duplicate.otherUserId} can be found by phone`));
       return true;
     }
     
@@ -47,6 +78,24 @@ function initializePreferences() {
   }
 }
 
+/**
+ * Fill in fields added after users were stored
+ * 
+ * Push was added with pushEnabled defaulting to true, so users saved before
+ * it existed are opted in to push rather than read as opted out.
+ * 
+ * @param {Object} store - Preferences keyed by user ID
+ * @returns {Object} The store with missing fields filled in
+ */
+function migratePreferences(store) {
+  return Object.fromEntries(Object.entries(store).map(([userId, preferences]) => [
+    userId,
+    preferences && typeof preferences === 'object' && typeof preferences.pushEnabled !== 'boolean'
+      ? { ...preferences, pushEnabled: true }
+      : preferences
+  ]));
+}
+
 /**
  * Save the current preferences store to the JSON file
  * 
@@ -63,6 +112,107 @@ function savePreferences() {
   }
 }
 
+/**
+ * Normalize a phone number for storage
+ * 
+ * @param {string} phone - Phone number in any common format (e.g. "+1 (202) 555-1234")
+ * @returns {string|null} The number in E.164 format, or null if it isn't a valid number
+ */
+function normalizePhoneNumber(phone) {
+  if (!phone || typeof phone !== 'string') {
+    return null;
+  }
+  
+  return phoneNumbers.formatPhoneNumber(phone);
+}
+
+/**
+ * Build the phone index for a preferences store
+ * 
+ * Deleted users and numbers that aren't valid are left out. If two users share
+ * a number, the first one keeps it and the clash is reported.
+ * 
+ * @param {Object} store - Preferences keyed by user ID
+ * @returns {{index: Map, duplicates: Object[]}} The index, and { phone, userId, otherUserId } for each clash
+ */
+function buildPhoneIndex(store) {
+  const index = new Map();
+  const duplicates = [];
+  
+  Object.entries(store).forEach(([userId, preferences]) => {
+    const phone = preferences && preferences.isDeleted !== true ? normalizePhoneNumber(preferences.phone) : null;
+    
+    if (!phone) {
+      return;
+    }
+    
+    if (index.has(phone)) {
+      duplicates.push({ phone, userId, otherUserId: index.get(phone) });
+      return;
+    }
+    
+    index.set(phone, userId);
+  });
+  
+  return { index, duplicates };
+}
+
+/**
+ * Check a phone number a user wants to store
+ * 
+ * @param {string} userId - User ID or email
+ * @param {string|null} phone - Phone number, or null/"" to remove it
+ * @returns {{phone: string|null}|{error: string}} The E.164 number to store, or an error
+ */
+function checkPhoneNumber(userId, phone) {
+  if (phone === null || phone === '') {
+    return { phone: null };
+  }
+  
+  const parsed = phoneNumbers.parsePhoneNumber(phone);
+  
+  if (!parsed.isValid) {
+    return { error: parsed.error };
+  }
+  
+  const normalized = parsed.e164;
+  const owner = phoneIndex.get(normalized);
+  
+  if (owner && owner !== userId) {
+    return { error: `Phone number ${normalized} already belongs to another user` };
+  }
+  
+  return { phone: normalized };
+}
+
+/**
+ * Update the phone index after a user's preferences changed
+ * 
+ * @param {string} userId - User ID or email
+ * @param {string|null} previousPhone - The user's phone number before the change
+ */
+function reindexPhone(userId, previousPhone) {
+  const previous = normalizePhoneNumber(previousPhone);
+  
+  if (previous && phoneIndex.get(previous) === userId) {
+    phoneIndex.delete(previous);
+  }
+  
+  const preferences = preferencesStore[userId];
+  const phone = preferences && preferences.isDeleted !== true ? normalizePhoneNumber(preferences.phone) : null;
+  
+  if (!phone) {
+    return;
+  }
+  
+  if (phoneIndex.has(phone) && phoneIndex.get(phone) !== userId) {
+    console.warn(`Phone number ${phone} of ${userId} already belongs to ${phoneIndex.get(phone)}; only ${phoneIndex.get(phone)} can be found by phone`);
+    return;
+  }
+  
+  phoneIndex.set(phone, userId);
+}
+
 /**
  * Validate a user ID or email
  * 
@@ -93,10 +243,16 @@ function createDefaultPreferences() {
   return {
     emailEnabled: true,  // Default to opt-in for email
     smsEnabled: false,   // Default to opt-out for SMS (requires explicit opt-in)
+    pushEnabled: true,   // Push also needs a registered device (see deviceRegistry.js)
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     isDeleted: false,
-    preferredLanguage: "en"
+    preferredLanguage: "en",
+    phone: null,         // E.164 number (e.g. "+12025551234"); unique across users
+    timeZone: "UTC",
+    quietHours: null,    // e.g. { start: "22:00", end: "07:00" } in the user's time zone
+    categoryPreferences: {}, // e.g. { marketing: { sms: false } }; overrides the global toggles per category
+    devices: []          // Push devices: { token, platform, appVersion, registeredAt, lastSeenAt }
   };
 }
 
@@ -110,10 +266,16 @@ function createDefaultPreferences(overrides = {}) {
   return {
     emailEnabled: true,  // Default to opt-in for email
     smsEnabled: false,   // Default to opt-out for SMS (requires explicit opt-in)
+    pushEnabled: true,   // Push also needs a registered device (see deviceRegistry.js)
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     isDeleted: false,
     preferredLanguage: "en",
+    phone: null,         // E.164 number (e.g. "+12025551234"); unique across users
+    timeZone: "UTC",
+    quietHours: null,    // e.g. { start: "22:00", end: "07:00" } in the user's time zone
+    categoryPreferences: {}, // e.g. { marketing: { sms: false } }; overrides the global toggles per category
+    devices: [],         // Push devices: { token, platform, appVersion, registeredAt, lastSeenAt }
     ...overrides
   };
 }
@@ -156,32 +318,81 @@ function initializeNewUserWithAllEnabled(userId) {
   return preferences;
 }
 
+/**
+ * Get the category a notification type belongs to
+ * 
+ * @param {string} notificationType - Notification type (e.g. 'otp') or a category name
+ * @returns {string|null} The category, or null if the type is not categorized
+ */
+function getNotificationCategory(notificationType) {
+  if (!notificationType || typeof notificationType !== 'string') {
+    return null;
+  }
+  
+  if (NOTIFICATION_CATEGORIES.includes(notificationType)) {
+    return notificationType;
+  }
+  
+  return NOTIFICATION_TYPE_CATEGORIES[notificationType] || null;
+}
+
+/**
+ * Check a channel against a preferences object
+ * 
+ * A category setting (categoryPreferences[category][channel]) wins when present;
+ * otherwise the global toggle for the channel applies.
+ * 
+ * @param {Object} preferences - The user's preferences
+ * @param {string} channel - Normalized channel name
+ * @param {string} [category] - Notification category
+ * @returns {boolean} Whether the channel is enabled
+ */
+function isChannelEnabled(preferences, channel, category) {
+  const categorySetting = category && preferences.categoryPreferences
+    && preferences.categoryPreferences[category]
+    && preferences.categoryPreferences[category][channel];
+  
+  if (typeof categorySetting === 'boolean') {
+    return categorySetting;
+  }
+  
+  return preferences[CHANNEL_PREFERENCE_FIELDS[channel]] === true;
+}
+
 /**
  * Check if a user has opted in to a specific notification channel
  * 
  * @param {string} userId - User ID or email
- * @param {string} channel - Notification channel ('email' or 'sms')
+ * @param {string} channel - Notification channel ('email', 'sms' or 'push')
+ * @param {string} [category] - Notification category (e.g. 'marketing'); omit for the global setting
  * @returns {boolean} Whether the user has opted in
  */
-function hasUserOptedIn(userId, channel) {
+function hasUserOptedIn(userId, channel, category) {
   // Default response if invalid input
   if (!isValidUserId(userId) || !channel) {
     return false;
   }
   
+  const normalizedChannel = channel.toLowerCase();
+  
+  if (!CHANNEL_PREFERENCE_FIELDS[normalizedChannel]) {
+    console.error(`Unknown notification channel: ${channel}`);
+    return false;
+  }
+  
+  if (category && !NOTIFICATION_CATEGORIES.includes(category)) {
+    console.error(`Unknown notification category: ${category}`);
+    return false;
+  }
+  
   // Get user preferences
   const preferences = getUserPreferences(userId);
   
-  // Check the appropriate preference based on channel
-  switch (channel.toLowerCase()) {
-    case 'email':
-      return preferences.emailEnabled === true;
-    case 'sms':
-      return preferences.smsEnabled === true;
-    default:
-      console.error(`Unknown notification channel: ${channel}`);
-      return false;
+  if (!preferences) {
+    return false;
   }
+  
+  return isChannelEnabled(preferences, normalizedChannel, category);
 }
 
 /**
@@ -204,6 +415,18 @@ function updateUserPreferences(userId, updates) {
     return null;
   }
   
+  // Phone numbers are stored in E.164 format and can't be shared between users
+  if ('phone' in updates) {
+    const phoneCheck = checkPhoneNumber(userId, updates.phone);
+    
+    if (phoneCheck.error) {
+      console.error(phoneCheck.error);
+      return null;
+    }
+    
+    updates = { ...updates, phone: phoneCheck.phone };
+  }
+  
   // Get current preferences or defaults
   const currentPrefs = getUserPreferences(userId);
   
@@ -216,6 +439,7 @@ function updateUserPreferences(userId, updates) {
   
   // Store updated preferences
   preferencesStore[userId] = updatedPrefs;
+  reindexPhone(userId, currentPrefs && currentPrefs.phone);
   
   // Persist to file
   savePreferences();
@@ -226,12 +450,17 @@ function updateUserPreferences(userId, updates) {
 /**
  * Set a user's opt-in status for a specific channel
  * 
+ * Without a category this sets the global toggle for the channel. With a
+ * category it only affects notifications in that category, e.g. turning off
+ * marketing SMS while keeping security (OTP) SMS.
+ * 
  * @param {string} userId - User ID or email
- * @param {string} channel - Notification channel ('email' or 'sms')
+ * @param {string} channel - Notification channel ('email', 'sms' or 'push')
  * @param {boolean} optIn - Whether to opt in (true) or out (false)
+ * @param {string} [category] - Notification category (e.g. 'marketing')
  * @returns {boolean} Whether the update was successful
  */
-function setChannelOptInStatus(userId, channel, optIn) {
+function setChannelOptInStatus(userId, channel, optIn, category) {
   // Validate inputs
   if (!isValidUserId(userId) || !channel) {
     return false;
@@ -239,21 +468,33 @@ function setChannelOptInStatus(userId, channel, optIn) {
   
   // Ensure optIn is a boolean
   const optInValue = optIn === true;
+  const normalizedChannel = channel.toLowerCase();
+  
+  if (!CHANNEL_PREFERENCE_FIELDS[normalizedChannel]) {
+    console.error(`Unknown notification channel: ${channel}`);
+    return false;
+  }
   
   // Prepare the update
   const updates = {};
   
-  // Set the appropriate field based on channel
-  switch (channel.toLowerCase()) {
-    case 'email':
-      updates.emailEnabled = optInValue;
-      break;
-    case 'sms':
-      updates.smsEnabled = optInValue;
-      break;
-    default:
-      console.error(`Unknown notification channel: ${channel}`);
+  if (category) {
+    if (!NOTIFICATION_CATEGORIES.includes(category)) {
+      console.error(`Unknown notification category: ${category}`);
       return false;
+    }
+    
+    const currentPrefs = getUserPreferences(userId);
+    const categoryPreferences = { ...(currentPrefs && currentPrefs.categoryPreferences) };
+    
+    categoryPreferences[category] = {
+      ...categoryPreferences[category],
+      [normalizedChannel]: optInValue
+    };
+    updates.categoryPreferences = categoryPreferences;
+  } else {
+    // Set the global toggle for the channel
+    updates[CHANNEL_PREFERENCE_FIELDS[normalizedChannel]] = optInValue;
   }
   
   // Perform the update
@@ -262,6 +503,84 @@ function setChannelOptInStatus(userId, channel, optIn) {
   return result !== null;
 }
 
+/**
+ * Set a user's time zone (used to evaluate quiet hours)
+ * 
+ * @param {string} userId - User ID or email
+ * @param {string} timeZone - IANA time zone name (e.g. "America/New_York")
+ * @returns {boolean} Whether the update was successful
+ */
+function setTimeZone(userId, timeZone) {
+  if (!time.isValidTimeZone(timeZone)) {
+    console.error(`Invalid time zone: ${timeZone}`);
+    return false;
+  }
+  
+  return updateUserPreferences(userId, { timeZone }) !== null;
+}
+
+/**
+ * Set a user's phone number
+ * 
+ * The number is stored in E.164 format and must not belong to another user.
+ * 
+ * @param {string} userId - User ID or email
+ * @param {string|null} phone - Phone number (e.g. "+1 202 555 1234"), or null to remove it
+ * @returns {boolean} Whether the update was successful
+ */
+function setPhoneNumber(userId, phone) {
+  return updateUserPreferences(userId, { phone }) !== null;
+}
+
+/**
+ * Set a user's quiet-hours window
+ * 
+ * Non-urgent notifications that fall inside the window are deferred until it ends.
+ * Times are "HH:MM" in the user's time zone; the window may wrap past midnight.
+ * 
+ * @param {string} userId - User ID or email
+ * @param {Object|null} quietHours - { start, end } (e.g. { start: "22:00", end: "07:00" }), or null to disable
+ * @returns {boolean} Whether the update was successful
+ */
+function setQuietHours(userId, quietHours) {
+  if (quietHours === null) {
+    return updateUserPreferences(userId, { quietHours: null }) !== null;
+  }
+  
+  const start = time.parseTimeOfDay(quietHours && quietHours.start);
+  const end = time.parseTimeOfDay(quietHours && quietHours.end);
+  
+  if (start === null || end === null || start === end) {
+    console.error('Quiet hours must have distinct start and end times in HH:MM format');
+    return false;
+  }
+  
+  return updateUserPreferences(userId, {
+    quietHours: { start: quietHours.start, end: quietHours.end }
+  }) !== null;
+}
+
+/**
+ * Get when a user's quiet hours end, if a given time falls inside them
+ * 
+ * Unknown users are not created by this lookup.
+ * 
+ * @param {string} userId - User ID or email
+ * @param {Date} [date=new Date()] - The time to check
+ * @returns {Date|null} End of the quiet-hours window, or null if the time is outside it
+ */
+function getQuietHoursEnd(userId, date = new Date()) {
+  const preferences = preferencesStore[userId];
+  
+  if (!preferences || preferences.isDeleted === true || !preferences.quietHours) {
+    return null;
+  }
+  
+  const timeZone = time.isValidTimeZone(preferences.timeZone) ? preferences.timeZone : 'UTC';
+  
+  return time.getQuietHoursEnd(date, preferences.quietHours, timeZone);
+}
+
 /**
  * Remove a user's preferences
  * 
@@ -275,7 +594,9 @@ function removeUserPreferences(userId) {
   }
   
   // Remove from store
+  const { phone } = preferencesStore[userId];
   delete preferencesStore[userId];
+  reindexPhone(userId, phone);
   
   // Persist changes
   return savePreferences();
@@ -304,15 +625,18 @@ function importPreferences(data, merge = true) {
     }
     
     // Merge or replace
-    if (merge) {
-      preferencesStore = {
-        ...preferencesStore,
-        ...data
-      };
-    } else {
-      preferencesStore = { ...data };
+    const importedStore = migratePreferences(merge ? { ...preferencesStore, ...data } : { ...data });
+    
+    // Phone numbers must stay unique across users
+    const { index, duplicates } = buildPhoneIndex(importedStore);
+    
+    if (duplicates.length > 0) {
+      throw new Error(`Phone number ${duplicates[0].phone} belongs to both ${duplicates[0].otherUserId} and ${duplicates[0].userId}`);
     }
     
+    preferencesStore = importedStore;
+    phoneIndex = index;
+    
     return savePreferences();
   } catch (error) {
     console.error('Failed to import preferences:', error.message);
@@ -356,6 +680,7 @@ function exportPreferences(filePath = null) {
  * @param {Object} preferences - Object containing preferences to update
  * @param {boolean} [preferences.emailEnabled] - Whether email notifications are enabled
  * @param {boolean} [preferences.smsEnabled] - Whether SMS notifications are enabled
+ * @param {string|null} [preferences.phone] - Phone number, stored in E.164 format; must not belong to another user
  * @returns {Object|{error: string}} - Updated preferences or error object with description
  */
 function updateExistingUserPreferences(userId, preferences) {
@@ -398,9 +723,21 @@ function updateExistingUserPreferences(userId, preferences) {
     }
   }
   
+  // Validate phone number if provided
+  let phoneCheck = null;
+  
+  if ('phone' in preferences) {
+    phoneCheck = checkPhoneNumber(userId, preferences.phone);
+    
+    if (phoneCheck.error) {
+      console.error(phoneCheck.error);
+      return { error: phoneCheck.error };
+    }
+  }
+  
   // If no preference fields provided, return error
-  if (!('emailEnabled' in preferences) && !('smsEnabled' in preferences)) {
-    const error = 'No preference fields provided. Must include emailEnabled and/or smsEnabled.';
+  if (!('emailEnabled' in preferences) && !('smsEnabled' in preferences) && !phoneCheck) {
+    const error = 'No preference fields provided. Must include emailEnabled, smsEnabled and/or phone.';
     console.error(error);
     return { error };
   }
@@ -425,7 +762,8 @@ function updateExistingUserPreferences(userId, preferences) {
   // Make sure we have at least one valid preference field to update
   if (!('emailEnabled' in preferences) && 
       !('smsEnabled' in preferences) && 
-      !('preferredLanguage' in preferences)) {
+      !('preferredLanguage' in preferences) &&
+      !phoneCheck) {
     const error = 'No valid preference fields provided. Must include emailEnabled, smsEnabled, and/or preferredLanguage.';
     console.error(error);
     return { error };
@@ -443,7 +781,12 @@ function updateExistingUserPreferences(userId, preferences) {
     updates.smsEnabled = preferences.smsEnabled;
   }
   
+  if (phoneCheck) {
+    updates.phone = phoneCheck.phone;
+  }
+  
   // Update the user's preferences
+  const previousPhone = preferencesStore[userId].phone;
   const updatedPrefs = {
     ...preferencesStore[userId],
     ...updates,
@@ -452,6 +795,7 @@ function updateExistingUserPreferences(userId, preferences) {
   
   // Store updated preferences
   preferencesStore[userId] = updatedPrefs;
+  reindexPhone(userId, previousPhone);
   
   // Persist to file
   savePreferences();
@@ -536,7 +880,7 @@ function initializeUserPreferences(userIds, defaultOverrides = {}) {
  * turning true to false or false to true. It also updates the updatedAt timestamp.
  * 
  * @param {string} userId - User ID or email
- * @param {string} channel - Notification channel ('email' or 'sms')
+ * @param {string} channel - Notification channel ('email', 'sms' or 'push')
  * @returns {Object|null} Updated preferences object or null if failed
  */
 function toggleChannelPreference(userId, channel) {
@@ -575,6 +919,12 @@ function toggleChannelPreference(userId, channel) {
       console.log(`Toggling SMS preference for ${userId} from ${currentPrefs.smsEnabled} to ${updates.smsEnabled}`);
       break;
       
+    case 'push':
+      // Flip the current value
+      updates.pushEnabled = !currentPrefs.pushEnabled;
+      console.log(`Toggling push preference for ${userId} from ${currentPrefs.pushEnabled} to ${updates.pushEnabled}`);
+      break;
+      
     default:
       console.error(`Unknown notification channel: ${channel}`);
       return null;
@@ -589,10 +939,12 @@ function toggleChannelPreference(userId, channel) {
 /**
  * Get a list of user IDs who have opted in to a specific notification channel
  * 
- * @param {string} channel - Notification channel ('email' or 'sms')
+ * @param {string} channel - Notification channel ('email', 'sms' or 'push')
+ * @param {boolean} [includeDeleted=false] - If true, will include users marked as deleted
+ * @param {string} [category] - Notification category; omit for the global setting
  * @returns {string[]} Array of user IDs who have opted in to the specified channel
  */
-function getUsersOptedInToChannel(channel, includeDeleted = false) {
+function getUsersOptedInToChannel(channel, includeDeleted = false, category) {
   // Validate channel parameter
   if (!channel || typeof channel !== 'string') {
     console.error('Invalid channel parameter');
@@ -603,19 +955,21 @@ function getUsersOptedInToChannel(channel, includeDeleted = false) {
   const normalizedChannel = channel.toLowerCase();
   
   // Validate that channel is supported
-  if (normalizedChannel !== 'email' && normalizedChannel !== 'sms') {
+  if (!CHANNEL_PREFERENCE_FIELDS[normalizedChannel]) {
     console.error(`Unsupported notification channel: ${channel}`);
     return [];
   }
 
-  // Determine which preference field to check
-  const preferenceField = normalizedChannel === 'email' ? 'emailEnabled' : 'smsEnabled';
+  if (category && !NOTIFICATION_CATEGORIES.includes(category)) {
+    console.error(`Unknown notification category: ${category}`);
+    return [];
+  }
   
   // Filter users who have opted in to the specified channel
   const optedInUsers = Object.entries(preferencesStore)
     .filter(([userId, preferences]) => {
-      // Check if the user has opted in to this channel
-      const hasOptedIn = preferences[preferenceField] === true;
+      // Check if the user has opted in to this channel (for the category, if given)
+      const hasOptedIn = isChannelEnabled(preferences, normalizedChannel, category);
       
       // If we're not including deleted users, filter them out
       if (!includeDeleted && preferences.isDeleted === true) {
@@ -626,7 +980,7 @@ function getUsersOptedInToChannel(channel, includeDeleted = false) {
     })
     .map(([userId]) => userId);
   
-  console.log(`Found ${optedInUsers.length} active users opted in to ${normalizedChannel} notifications` +
+  console.log(`Found ${optedInUsers.length} active users opted in to ${category ? `${category} ` : ''}${normalizedChannel} notifications` +
     (includeDeleted ? ' (including deleted users)' : ''));
   
   return optedInUsers;
@@ -742,6 +1096,34 @@ function getUsersByLanguage(languageCode, includeDeleted = false) {
   return usersWithLanguage;
 }
 
+/**
+ * Find the user a phone number belongs to
+ * 
+ * The number is normalized first, so '+1 (202) 555-1234' finds the user
+ * stored with '+12025551234'.
+ * 
+ * @param {string} phone - Phone number, e.g. the sender of an inbound SMS
+ * @param {boolean} [includeDeleted=false] - If true, will also look through users marked as deleted
+ * @returns {string|null} The user ID, or null if no user has this number
+ */
+function findUserByPhone(phone, includeDeleted = false) {
+  const normalized = normalizePhoneNumber(phone);
+  
+  if (!normalized) {
+    return null;
+  }
+  
+  if (phoneIndex.has(normalized) || !includeDeleted) {
+    return phoneIndex.get(normalized) || null;
+  }
+  
+  // Deleted users aren't indexed
+  const match = Object.entries(preferencesStore).find(([userId, preferences]) =>
+    preferences.isDeleted === true && normalizePhoneNumber(preferences.phone) === normalized);
+  
+  return match ? match[0] : null;
+}
+
 // Export public API
 module.exports = {
   hasUserOptedIn,
@@ -757,5 +1139,13 @@ module.exports = {
   initializeUserPreferences,
   toggleChannelPreference,
   getUsersOptedInToChannel,
-  getUsersByLanguage
+  getUsersByLanguage,
+  findUserByPhone,
+  setPhoneNumber,
+  normalizePhoneNumber,
+  getNotificationCategory,
+  NOTIFICATION_CATEGORIES,
+  setTimeZone,
+  setQuietHours,
+  getQuietHoursEnd
 };
\ No newline at end of file
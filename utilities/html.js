@@ -0,0 +1,235 @@
+/**
+ * HTML utilities for email
+ *
+ * inlineCss moves the rules of <style> blocks into style attributes, since
+ * many email clients ignore <style>. htmlToText builds the plain-text
+ * alternative of an HTML email.
+ */
+
+// Elements that never get inline styles
+const NON_VISUAL_TAGS = ['html', 'head', 'meta', 'title', 'link', 'style', 'script', 'br'];
+
+// Elements that start a new block of text in the plain-text version
+const BLOCK_TAGS = 'p|div|h[1-6]|ul|ol|table|tr|blockquote|section|header|footer|article|hr';
+
+// Named entities decoded in the plain-text version
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', hellip: '…', mdash: '—', ndash: '–' };
+
+/**
+ * Split a style sheet into top-level chunks ("selector { ... }" or "@media ... { ... }")
+ *
+ * @param {string} css - Style sheet
+ * @returns {string[]} - Chunks
+ */
+function splitRules(css) {
+  const chunks = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < css.length; i++) {
+    if (css[i] === '{') {
+      depth++;
+    } else if (css[i] === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        chunks.push(css.slice(start, i + 1).trim());
+        start = i + 1;
+      }
+    }
+  }
+
+  return chunks.filter(Boolean);
+}
+
+/**
+ * Parse a simple selector: tag, #id, .class or a combination like p.note
+ *
+ * @param {string} selector - Selector text
+ * @returns {Object|null} - { tag, id, classes, specificity }, or null if the selector isn't simple
+ */
+function parseSelector(selector) {
+  const match = /^([a-z][a-z0-9]*|\*)?(#[\w-]+)?((?:\.[\w-]+)*)$/i.exec(selector);
+
+  if (!selector || !match) {
+    return null;
+  }
+
+  const tag = match[1] && match[1] !== '*' ? match[1].toLowerCase() : null;
+  const id = match[2] ? match[2].slice(1) : null;
+  const classes = match[3] ? match[3].split('.').filter(Boolean) : [];
+
+  return { tag, id, classes, specificity: (id ? 100 : 0) + classes.length * 10 + (tag ? 1 : 0) };
+}
+
+/**
+ * Parse declarations ("color: red; margin: 0") into [property, value] pairs
+ *
+ * @param {string} text - Declarations
+ * @returns {Array[]} - [property, value] pairs
+ */
+function parseDeclarations(text) {
+  return text.split(';')
+    .map(declaration => declaration.trim())
+    .filter(declaration => declaration.includes(':'))
+    .map(declaration => {
+      const colon = declaration.indexOf(':');
+      return [declaration.slice(0, colon).trim().toLowerCase(), declaration.slice(colon + 1).trim().replace(/"/g, "'")];
+    });
+}
+
+/**
+ * Read an attribute from an opening tag's attribute text
+ *
+ * @param {string} attributes - Attribute text
+ * @param {string} name - Attribute name
+ * @returns {string|null} - Attribute value, or null if absent
+ */
+function getAttribute(attributes, name) {
+  const match = new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i').exec(attributes);
+  return match ? (match[2] !== undefined ? match[2] : match[3]) : null;
+}
+
+/**
+ * Move <style> rules into style attributes
+ *
+ * Simple selectors (tag, #id, .class and combinations such as p.note) are
+ * inlined, most specific last; a style attribute already on the element wins.
+ * Rules that can't be inlined (descendant selectors, pseudo-classes, @media)
+ * stay in the <style> block for clients that support it.
+ *
+ * @param {string} html - HTML document or fragment
+ * @returns {string} - HTML with inline styles
+ */
+function inlineCss(html) {
+  if (typeof html !== 'string' || !/<style/i.test(html)) {
+    return html;
+  }
+
+  const rules = [];
+
+  const withoutInlined = html.replace(/<style([^>]*)>([\s\S]*?)<\/style>/gi, (block, attributes, css) => {
+    const kept = [];
+
+    splitRules(css.replace(/\/\*[\s\S]*?\*\//g, '')).forEach(chunk => {
+      const open = chunk.indexOf('{');
+      const selectorText = chunk.slice(0, open).trim();
+
+      if (selectorText.startsWith('@')) {
+        kept.push(chunk);
+        return;
+      }
+
+      const declarations = parseDeclarations(chunk.slice(open + 1, -1));
+      const unsupported = [];
+
+      selectorText.split(',').map(selector => selector.trim()).forEach(selector => {
+        const parsed = parseSelector(selector);
+        if (parsed) {
+          rules.push({ ...parsed, declarations, order: rules.length });
+        } else {
+          unsupported.push(selector);
+        }
+      });
+
+      if (unsupported.length > 0) {
+        kept.push(`${unsupported.join(', ')} ${chunk.slice(open)}`);
+      }
+    });
+
+    return kept.length > 0 ? `<style${attributes}>\n${kept.join('\n')}\n</style>` : '';
+  });
+
+  rules.sort((a, b) => a.specificity - b.specificity || a.order - b.order);
+
+  return withoutInlined.replace(/<([a-z][a-z0-9]*)\b([^>]*?)(\/?)>/gi, (tag, name, attributes, selfClosing) => {
+    const tagName = name.toLowerCase();
+    if (NON_VISUAL_TAGS.includes(tagName)) {
+      return tag;
+    }
+
+    const id = getAttribute(attributes, 'id');
+    const classes = (getAttribute(attributes, 'class') || '').split(/\s+/).filter(Boolean);
+
+    const matching = rules.filter(rule =>
+      (!rule.tag || rule.tag === tagName)
+      && (!rule.id || rule.id === id)
+      && rule.classes.every(className => classes.includes(className))
+    );
+
+    if (matching.length === 0) {
+      return tag;
+    }
+
+    // Later (more specific) rules override earlier ones; the element's own style wins
+    const styles = new Map();
+    matching.forEach(rule => rule.declarations.forEach(([property, value]) => styles.set(property, value)));
+    parseDeclarations(getAttribute(attributes, 'style') || '').forEach(([property, value]) => styles.set(property, value));
+
+    const style = [...styles].map(([property, value]) => `${property}: ${value}`).join('; ');
+    const otherAttributes = attributes.replace(/\sstyle\s*=\s*("[^"]*"|'[^']*')/i, '');
+
+    return `<${name}${otherAttributes} style="${style}"${selfClosing ? ' /' : ''}>`;
+  });
+}
+
+/**
+ * Decode HTML entities
+ *
+ * @param {string} text - Text with entities
+ * @returns {string} - Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] !== undefined ? ENTITIES[code.toLowerCase()] : entity;
+  });
+}
+
+/**
+ * Build a plain-text version of an HTML email
+ *
+ * Block elements become paragraphs, list items become "- " lines and links
+ * are written as "label (url)".
+ *
+ * @param {string} html - HTML document or fragment
+ * @returns {string} - Plain text
+ */
+function htmlToText(html) {
+  if (typeof html !== 'string') {
+    return '';
+  }
+
+  const text = html
+    .replace(/<(head|style|script|title)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi, (link, attributes, label) => {
+      const href = getAttribute(attributes, 'href');
+      const labelText = label.replace(/<[^>]+>/g, '').trim();
+      const target = href ? href.replace(/^mailto:/i, '') : '';
+
+      return !target || href.startsWith('#') || decodeEntities(target) === decodeEntities(labelText)
+        ? labelText
+        : `${labelText} (${href})`;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(new RegExp(`<\\/?(${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  inlineCss,
+  htmlToText,
+  decodeEntities
+};
@@ -0,0 +1,209 @@
+/**
+ * HTTP client utility
+ *
+ * Minimal promise-based HTTP client built on Node's http/https/http2 modules,
+ * used by channels that talk to HTTP endpoints (webhooks, push providers).
+ */
+
+const http = require('http');
+const http2 = require('http2');
+const https = require('https');
+
+/**
+ * Send an HTTP request
+ *
+ * @param {string} url - The URL to send the request to
+ * @param {Object} [options={}] - Request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.headers={}] - Request headers
+ * @param {string|Buffer} [options.body] - Request body
+ * @param {number} [options.timeout=10000] - Timeout in milliseconds
+ * @returns {Promise<Object>} - Resolves with { statusCode, headers, body, json }
+ */
+function request(url, options = {}) {
+  const {
+    method = 'GET',
+    headers = {},
+    body,
+    timeout = 10000
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      const urlError = new Error(`Invalid URL: ${url}`);
+      urlError.code = 'INVALID_URL';
+      return reject(urlError);
+    }
+
+    const transport = parsedUrl.protocol === 'https:' ? https : http;
+    const requestHeaders = { ...headers };
+
+    if (body !== undefined && requestHeaders['Content-Length'] === undefined) {
+      requestHeaders['Content-Length'] = Buffer.byteLength(body);
+    }
+
+    const req = transport.request(parsedUrl, { method, headers: requestHeaders }, (res) => {
+      const chunks = [];
+
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const responseBody = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+
+        // Parse JSON responses so callers can inspect provider error payloads
+        if ((res.headers['content-type'] || '').includes('application/json') && responseBody) {
+          try {
+            json = JSON.parse(responseBody);
+          } catch (error) {
+            json = null;
+          }
+        }
+
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: responseBody,
+          json
+        });
+      });
+    });
+
+    req.setTimeout(timeout, () => {
+      const timeoutError = new Error(`Request to ${parsedUrl.host} timed out after ${timeout}ms`);
+      timeoutError.code = 'ETIMEDOUT';
+      req.destroy(timeoutError);
+    });
+
+    req.on('error', reject);
+
+    if (body !== undefined) {
+      req.write(body);
+    }
+
+    req.end();
+  });
+}
+
+/**
+ * Send a JSON payload with a POST request
+ *
+ * @param {string} url - The URL to post to
+ * @param {Object} payload - Payload to serialize as JSON
+ * @param {Object} [options={}] - Request options (headers, timeout)
+ * @returns {Promise<Object>} - Resolves with { statusCode, headers, body, json }
+ */
+function postJson(url, payload, options = {}) {
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+  return request(url, {
+    ...options,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...options.headers
+    },
+    body
+  });
+}
+
+/**
+ * Send an HTTP/2 request (for providers such as APNs that only speak HTTP/2)
+ *
+ * http:// URLs use cleartext HTTP/2 (h2c), which is handy for local stubs.
+ *
+ * @param {string} url - The URL to send the request to
+ * @param {Object} [options={}] - Request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.headers={}] - Request headers
+ * @param {string|Buffer} [options.body] - Request body
+ * @param {number} [options.timeout=10000] - Timeout in milliseconds
+ * @returns {Promise<Object>} - Resolves with { statusCode, headers, body, json }
+ */
+function requestHttp2(url, options = {}) {
+  const {
+    method = 'GET',
+    headers = {},
+    body,
+    timeout = 10000
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      const urlError = new Error(`Invalid URL: ${url}`);
+      urlError.code = 'INVALID_URL';
+      return reject(urlError);
+    }
+
+    const client = http2.connect(parsedUrl.origin);
+    let settled = false;
+
+    // Close the session once we have an outcome; one request per session keeps this simple
+    const finish = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      client.close();
+      callback(value);
+    };
+
+    client.on('error', error => finish(reject, error));
+
+    const req = client.request({
+      ':method': method,
+      ':path': `${parsedUrl.pathname}${parsedUrl.search}`,
+      ...headers
+    });
+
+    let responseHeaders = {};
+    const chunks = [];
+
+    req.setTimeout(timeout, () => {
+      const timeoutError = new Error(`Request to ${parsedUrl.host} timed out after ${timeout}ms`);
+      timeoutError.code = 'ETIMEDOUT';
+      req.close(http2.constants.NGHTTP2_CANCEL);
+      finish(reject, timeoutError);
+    });
+
+    req.on('response', receivedHeaders => {
+      responseHeaders = receivedHeaders;
+    });
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const responseBody = Buffer.concat(chunks).toString('utf8');
+      let json = null;
+
+      if ((responseHeaders['content-type'] || '').includes('application/json') && responseBody) {
+        try {
+          json = JSON.parse(responseBody);
+        } catch (error) {
+          json = null;
+        }
+      }
+
+      finish(resolve, {
+        statusCode: responseHeaders[':status'],
+        headers: responseHeaders,
+        body: responseBody,
+        json
+      });
+    });
+    req.on('error', error => finish(reject, error));
+
+    if (body !== undefined) {
+      req.write(body);
+    }
+
+    req.end();
+  });
+}
+
+module.exports = {
+  request,
+  postJson,
+  requestHttp2
+};
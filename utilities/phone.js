@@ -0,0 +1,224 @@
+/**
+ * Phone number utilities
+ *
+ * Parses phone numbers into E.164 (+<country calling code><national number>).
+ * International numbers (+44..., 0044...) carry their calling code; national
+ * numbers (020 7946 0018) are read with a default country. The national
+ * number's length is checked against the metadata for its calling code, and
+ * where the metadata can tell, the number is classified as mobile or landline.
+ * Numbers for calling codes without metadata are only checked against the
+ * E.164 length limits.
+ */
+const config = require('../config');
+
+// E.164 numbers have at most 15 digits, calling code included
+const MAX_E164_DIGITS = 15;
+
+// Shortest international number accepted for calling codes without metadata
+const MIN_UNKNOWN_DIGITS = 8;
+
+// Per-country metadata: calling code, trunk prefix dialled before national numbers,
+// national number lengths, and patterns for the national number where they are known
+const PHONE_METADATA = {
+  US: { callingCode: '1', nationalPrefix: '1', lengths: [10, 10], pattern: /^[2-9]\d{9}$/, fixedLineOrMobile: true },
+  CA: { callingCode: '1', nationalPrefix: '1', lengths: [10, 10], pattern: /^[2-9]\d{9}$/, fixedLineOrMobile: true },
+  GB: { callingCode: '44', nationalPrefix: '0', lengths: [9, 10], mobile: /^7[1-57-9]\d{8}$/, landline: /^[1-3]\d{8,9}$/ },
+  FR: { callingCode: '33', nationalPrefix: '0', lengths: [9, 9], pattern: /^[1-9]\d{8}$/, mobile: /^[67]\d{8}$/, landline: /^[1-5]\d{8}$/ },
+  DE: { callingCode: '49', nationalPrefix: '0', lengths: [6, 13], mobile: /^1[5-7]\d{8,9}$/, landline: /^[2-9]\d{5,12}$/ },
+  ES: { callingCode: '34', nationalPrefix: null, lengths: [9, 9], pattern: /^[5-9]\d{8}$/, mobile: /^[67]\d{8}$/, landline: /^[89]\d{8}$/ },
+  IT: { callingCode: '39', nationalPrefix: null, lengths: [6, 11], mobile: /^3\d{8,9}$/, landline: /^0\d{5,10}$/ },
+  NL: { callingCode: '31', nationalPrefix: '0', lengths: [9, 9], mobile: /^6\d{8}$/, landline: /^[1-57]\d{8}$/ },
+  AU: { callingCode: '61', nationalPrefix: '0', lengths: [9, 9], mobile: /^4\d{8}$/, landline: /^[2378]\d{8}$/ },
+  BR: { callingCode: '55', nationalPrefix: '0', lengths: [10, 11], mobile: /^[1-9]{2}9\d{8}$/, landline: /^[1-9]{2}[2-5]\d{7}$/ },
+  MX: { callingCode: '52', nationalPrefix: null, lengths: [10, 10], fixedLineOrMobile: true },
+  IN: { callingCode: '91', nationalPrefix: '0', lengths: [10, 10], pattern: /^[1-9]\d{9}$/ },
+  CN: { callingCode: '86', nationalPrefix: '0', lengths: [9, 11], mobile: /^1[3-9]\d{9}$/ },
+  JP: { callingCode: '81', nationalPrefix: '0', lengths: [9, 10], mobile: /^[789]0\d{8}$/, landline: /^[1-9]\d{8}$/ },
+  SG: { callingCode: '65', nationalPrefix: null, lengths: [8, 8], mobile: /^[89]\d{7}$/, landline: /^6\d{7}$/ }
+};
+
+// Calling code -> countries that share it (e.g. '1' -> ['US', 'CA'])
+const COUNTRIES_BY_CALLING_CODE = Object.entries(PHONE_METADATA).reduce((codes, [country, metadata]) => {
+  codes[metadata.callingCode] = [...(codes[metadata.callingCode] || []), country];
+  return codes;
+}, {});
+
+/**
+ * Build a failed parse result
+ *
+ * @param {*} input - The number as given
+ * @param {string} errorCode - Machine-readable reason
+ * @param {string} reason - Human-readable reason
+ * @returns {Object} - { isValid: false, input, error, errorCode }
+ */
+function createParseError(input, errorCode, reason) {
+  return {
+    isValid: false,
+    input,
+    error: `Invalid phone number: ${input}. ${reason}`,
+    errorCode
+  };
+}
+
+/**
+ * Classify a national number
+ *
+ * @param {Object} metadata - Country metadata
+ * @param {string} nationalNumber - National number without the trunk prefix
+ * @returns {string} - 'mobile', 'landline', 'fixedLineOrMobile' or 'unknown'
+ */
+function getNumberType(metadata, nationalNumber) {
+  if (metadata.fixedLineOrMobile) return 'fixedLineOrMobile';
+  if (metadata.mobile && metadata.mobile.test(nationalNumber)) return 'mobile';
+  if (metadata.landline && metadata.landline.test(nationalNumber)) return 'landline';
+  return 'unknown';
+}
+
+/**
+ * Split international digits into calling code and national number
+ *
+ * @param {string} digits - Digits after the + (or 00)
+ * @returns {Object|null} - { callingCode, nationalNumber }, or null if no known calling code matches
+ */
+function splitCallingCode(digits) {
+  for (let length = 1; length <= 3; length++) {
+    const callingCode = digits.slice(0, length);
+
+    if (COUNTRIES_BY_CALLING_CODE[callingCode]) {
+      return { callingCode, nationalNumber: digits.slice(length) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a phone number
+ *
+ * @param {string} input - Phone number, e.g. '+44 20 7946 0018', '0044 20 7946 0018' or '020 7946 0018'
+ * @param {Object} [options={}] - Parse options
+ * @param {string} [options.defaultCountry] - ISO country code for numbers without a calling code
+ *   (defaults to SMS_DEFAULT_COUNTRY)
+ * @returns {Object} - { isValid: true, e164, countryCallingCode, country, nationalNumber, type } where
+ *   type is 'mobile', 'landline', 'fixedLineOrMobile' or 'unknown' and country is null when the calling
+ *   code is shared (+1) or has no metadata; or { isValid: false, input, error, errorCode } with errorCode
+ *   NOT_A_NUMBER, MISSING_COUNTRY_CODE, UNKNOWN_COUNTRY, TOO_SHORT, TOO_LONG or INVALID_NUMBER
+ */
+function parsePhoneNumber(input, options = {}) {
+  if (typeof input !== 'string' || !/^\+?[\d\s().\/-]+$/.test(input.trim()) || !/\d/.test(input)) {
+    return createParseError(input, 'NOT_A_NUMBER', 'Only digits, spaces, dashes, dots, parentheses and a leading + are allowed');
+  }
+
+  const trimmed = input.trim();
+  const digits = trimmed.replace(/\D/g, '');
+  const international = trimmed.startsWith('+') || digits.startsWith('00');
+  const defaultCountry = String(options.defaultCountry || config.sms.defaultCountry || '').toUpperCase();
+  let callingCode;
+  let nationalNumber;
+
+  if (international) {
+    const internationalDigits = trimmed.startsWith('+') ? digits : digits.slice(2);
+
+    if (internationalDigits.length > MAX_E164_DIGITS) {
+      return createParseError(input, 'TOO_LONG', `Phone numbers have at most ${MAX_E164_DIGITS} digits`);
+    }
+
+    const split = splitCallingCode(internationalDigits);
+
+    if (!split) {
+      if (!/^[1-9]/.test(internationalDigits)) {
+        return createParseError(input, 'INVALID_NUMBER', 'Country calling codes don\'t start with 0');
+      }
+
+      if (internationalDigits.length < MIN_UNKNOWN_DIGITS) {
+        return createParseError(input, 'TOO_SHORT', `Phone numbers have at least ${MIN_UNKNOWN_DIGITS} digits`);
+      }
+
+      // No metadata for this calling code: E.164 length is all we can check
+      return {
+        isValid: true,
+        e164: `+${internationalDigits}`,
+        countryCallingCode: null,
+        country: null,
+        nationalNumber: null,
+        type: 'unknown'
+      };
+    }
+
+    ({ callingCode, nationalNumber } = split);
+  } else {
+    if (!defaultCountry) {
+      return createParseError(input, 'MISSING_COUNTRY_CODE',
+        'Use the international format (e.g. +12025551234) or set SMS_DEFAULT_COUNTRY');
+    }
+
+    if (!PHONE_METADATA[defaultCountry]) {
+      return createParseError(input, 'UNKNOWN_COUNTRY', `No phone number metadata for country ${defaultCountry}`);
+    }
+
+    callingCode = PHONE_METADATA[defaultCountry].callingCode;
+    nationalNumber = digits;
+  }
+
+  const countries = COUNTRIES_BY_CALLING_CODE[callingCode];
+  const country = countries.includes(defaultCountry) ? defaultCountry : countries.length === 1 ? countries[0] : null;
+  const metadata = PHONE_METADATA[country || countries[0]];
+  const [minLength, maxLength] = metadata.lengths;
+
+  // Drop the trunk prefix: 020 7946 0018 and +44 (0)20 7946 0018 are +44 20 7946 0018
+  if (metadata.nationalPrefix && nationalNumber.startsWith(metadata.nationalPrefix)
+    && nationalNumber.length - metadata.nationalPrefix.length >= minLength) {
+    nationalNumber = nationalNumber.slice(metadata.nationalPrefix.length);
+  }
+
+  if (nationalNumber.length < minLength) {
+    return createParseError(input, 'TOO_SHORT', `+${callingCode} numbers have at least ${minLength} digits after the country code`);
+  }
+
+  if (nationalNumber.length > maxLength || callingCode.length + nationalNumber.length > MAX_E164_DIGITS) {
+    return createParseError(input, 'TOO_LONG', `+${callingCode} numbers have at most ${maxLength} digits after the country code`);
+  }
+
+  if (metadata.pattern && !metadata.pattern.test(nationalNumber)) {
+    return createParseError(input, 'INVALID_NUMBER', `Not a valid +${callingCode} number`);
+  }
+
+  return {
+    isValid: true,
+    e164: `+${callingCode}${nationalNumber}`,
+    countryCallingCode: callingCode,
+    country,
+    nationalNumber,
+    type: getNumberType(metadata, nationalNumber)
+  };
+}
+
+/**
+ * Check whether a phone number is valid
+ *
+ * @param {string} phoneNumber - Phone number in any format parsePhoneNumber accepts
+ * @param {Object} [options={}] - Parse options (defaultCountry)
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function isValidPhoneNumber(phoneNumber, options = {}) {
+  return parsePhoneNumber(phoneNumber, options).isValid;
+}
+
+/**
+ * Format a phone number in E.164
+ *
+ * @param {string} phoneNumber - Phone number in any format parsePhoneNumber accepts
+ * @param {Object} [options={}] - Parse options (defaultCountry)
+ * @returns {string|null} - E.164 number (e.g. '+442079460018'), or null if the number isn't valid
+ */
+function formatPhoneNumber(phoneNumber, options = {}) {
+  const parsed = parsePhoneNumber(phoneNumber, options);
+  return parsed.isValid ? parsed.e164 : null;
+}
+
+module.exports = {
+  PHONE_METADATA,
+  parsePhoneNumber,
+  isValidPhoneNumber,
+  formatPhoneNumber
+};
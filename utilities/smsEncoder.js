@@ -0,0 +1,184 @@
+/**
+ * SMS encoder utilities
+ *
+ * An SMS is sent in GSM-7 when every character is in the GSM 03.38 alphabet
+ * (160 characters per message, 153 per part of a concatenated message) and in
+ * UCS-2 otherwise (70, or 67 per part). A single accented character outside
+ * GSM-7 switches the whole message to UCS-2, so these helpers report the
+ * encoding and segment count, and can transliterate text to stay in GSM-7.
+ */
+
+// GSM 03.38 basic alphabet (the escape character is left out)
+const GSM_7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?'
+  + '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+// Extension table characters, each sent as an escape plus the character (two septets)
+const GSM_7_EXTENDED = '\f^{}\\[~]|€';
+
+const GSM_7_CHARACTERS = new Set([...GSM_7_BASIC, ...GSM_7_EXTENDED]);
+
+// Units per message: septets for GSM-7, UTF-16 code units for UCS-2
+const SEGMENT_LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 }
+};
+
+// Replacements for characters that don't lose only an accent (those are handled by Unicode decomposition)
+const TRANSLITERATIONS = {
+  'ß': 'ss', 'œ': 'oe', 'Œ': 'OE', 'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ı': 'i',
+  '‘': "'", '’': "'", '‚': "'", '′': "'", '`': "'", '´': "'",
+  '“': '"', '”': '"', '„': '"', '″': '"', '«': '"', '»': '"',
+  '–': '-', '—': '-', '‐': '-', '−': '-', '…': '...', '•': '-', '·': '.',
+  '\u00a0': ' ', '\u2009': ' ', '\u202f': ' ', '\t': ' ',
+  '¢': 'c', '©': '(c)', '®': '(R)', '™': 'TM', '°': 'o'
+};
+
+/**
+ * Check if a character can be sent in GSM-7
+ *
+ * @param {string} character - A single character
+ * @returns {boolean} - True if it is in the GSM-7 alphabet or extension table
+ */
+function isGsmCharacter(character) {
+  return GSM_7_CHARACTERS.has(character);
+}
+
+/**
+ * Detect the encoding an SMS will be sent in
+ *
+ * @param {string} text - Message text
+ * @returns {string} - 'GSM-7' or 'UCS-2'
+ */
+function detectEncoding(text) {
+  return [...String(text)].every(isGsmCharacter) ? 'GSM-7' : 'UCS-2';
+}
+
+/**
+ * Get the characters of a text that are not in GSM-7 (each listed once)
+ *
+ * @param {string} text - Message text
+ * @returns {string[]} - Characters that force UCS-2
+ */
+function getNonGsmCharacters(text) {
+  return [...new Set([...String(text)].filter(character => !isGsmCharacter(character)))];
+}
+
+/**
+ * Replace characters outside GSM-7 with their closest GSM-7 equivalents
+ *
+ * Accents are dropped where GSM-7 lacks the accented letter (á → a, but é
+ * stays é), and typographic quotes, dashes and spaces become plain ones.
+ * Characters without an equivalent (emoji, other scripts) are kept, so the
+ * result may still need UCS-2.
+ *
+ * @param {string} text - Message text
+ * @returns {string} - Transliterated text
+ */
+function transliterate(text) {
+  return [...String(text)].map(character => {
+    if (isGsmCharacter(character)) {
+      return character;
+    }
+
+    if (TRANSLITERATIONS[character] !== undefined) {
+      return TRANSLITERATIONS[character];
+    }
+
+    const stripped = character.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return stripped && [...stripped].every(isGsmCharacter) ? stripped : character;
+  }).join('');
+}
+
+/**
+ * Count the units a character takes: septets in GSM-7, UTF-16 code units in UCS-2
+ *
+ * @param {string} character - A single character
+ * @param {string} encoding - 'GSM-7' or 'UCS-2'
+ * @returns {number} - Units used by the character
+ */
+function unitsOf(character, encoding) {
+  if (encoding === 'GSM-7') {
+    return GSM_7_EXTENDED.includes(character) ? 2 : 1;
+  }
+  return character.length;
+}
+
+/**
+ * Split a message into the parts it is sent as
+ *
+ * Extension characters and surrogate pairs are never split across parts.
+ *
+ * @param {string} text - Message text
+ * @returns {string[]} - Message parts (a single part if the message fits in one SMS)
+ */
+function splitSegments(text) {
+  const characters = [...String(text)];
+  const encoding = detectEncoding(text);
+  const limits = SEGMENT_LIMITS[encoding];
+
+  const totalUnits = characters.reduce((sum, character) => sum + unitsOf(character, encoding), 0);
+  if (totalUnits <= limits.single) {
+    return totalUnits === 0 ? [] : [characters.join('')];
+  }
+
+  const segments = [];
+  let current = '';
+  let units = 0;
+
+  for (const character of characters) {
+    const size = unitsOf(character, encoding);
+
+    if (units + size > limits.multipart) {
+      segments.push(current);
+      current = '';
+      units = 0;
+    }
+
+    current += character;
+    units += size;
+  }
+
+  segments.push(current);
+  return segments;
+}
+
+/**
+ * Work out how a message will be encoded and how many parts it is sent as
+ *
+ * @param {string} text - Message text
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.transliterate=false] - Transliterate to GSM-7 first
+ * @returns {Object} - { text, encoding, units, segments, unitsPerSegment, remaining, nonGsmCharacters, transliterated }
+ *   where text is the text to send, units counts septets (GSM-7) or UTF-16 code units (UCS-2)
+ *   and remaining is how many units still fit in the last part
+ */
+function analyzeMessage(text, options = {}) {
+  const original = String(text == null ? '' : text);
+  const message = options.transliterate ? transliterate(original) : original;
+  const encoding = detectEncoding(message);
+  const limits = SEGMENT_LIMITS[encoding];
+  const parts = splitSegments(message);
+  const countUnits = part => [...part].reduce((sum, character) => sum + unitsOf(character, encoding), 0);
+  const unitsPerSegment = parts.length > 1 ? limits.multipart : limits.single;
+
+  return {
+    text: message,
+    encoding,
+    units: countUnits(message),
+    segments: parts.length,
+    unitsPerSegment,
+    remaining: unitsPerSegment - (parts.length > 0 ? countUnits(parts[parts.length - 1]) : 0),
+    nonGsmCharacters: getNonGsmCharacters(message),
+    transliterated: message !== original
+  };
+}
+
+module.exports = {
+  SEGMENT_LIMITS,
+  isGsmCharacter,
+  detectEncoding,
+  getNonGsmCharacters,
+  transliterate,
+  splitSegments,
+  analyzeMessage
+};
@@ -0,0 +1,479 @@
+/**
+ * Template engine
+ *
+ * Renders the {{placeholder}} syntax used by every template:
+ *
+ * - {{userName}}, {{user.name}}, {{items.0.name}}: values, including nested paths
+ * - {{total | currency:"EUR"}}, {{date | date:"long"}}, {{name | upper}}: filters
+ * - {{#if paid}}...{{else}}...{{/if}} and {{#unless paid}}...{{/unless}}
+ * - {{#each items}}...{{else}}...{{/each}}: loops, with {{this}}, {{@index}},
+ *   {{@first}}, {{@last}} and {{@key}} inside; other names resolve against the
+ *   item first, then the outer data
+ * - {{{html}}} or {{html | raw}}: a value that is never HTML-escaped
+ * - {{> footer}}: a partial registered with registerPartial, rendered with the
+ *   current data
+ *
+ * Plain {{key}} templates render exactly as they did with flat substitution.
+ * Values are only HTML-escaped when the caller asks for it (escapeHtml).
+ */
+
+const { isValidTimeZone } = require('./time');
+
+// Compiled templates, keyed by source
+const compiled = new Map();
+const MAX_COMPILED = 500;
+
+// Partials by name, and how deeply they may include each other
+const partials = {};
+const MAX_PARTIAL_DEPTH = 10;
+
+// Tags: {{{raw}}} or {{expression}}
+const TAG_PATTERN = /{{{\s*([\s\S]+?)\s*}}}|{{\s*([\s\S]+?)\s*}}/g;
+
+// Date formats understood by the date filter
+const DATE_STYLES = {
+  short: { dateStyle: 'short' },
+  medium: { dateStyle: 'medium' },
+  long: { dateStyle: 'long' },
+  full: { dateStyle: 'full' },
+  time: { timeStyle: 'short' },
+  datetime: { dateStyle: 'medium', timeStyle: 'short' }
+};
+
+/**
+ * Create a template syntax error
+ *
+ * @param {string} message - What is wrong
+ * @returns {Error} - Error with code TEMPLATE_SYNTAX
+ */
+function syntaxError(message) {
+  const error = new Error(`Template syntax error: ${message}`);
+  error.code = 'TEMPLATE_SYNTAX';
+  return error;
+}
+
+/**
+ * Escape a value for use in HTML
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Split a string on a separator, ignoring separators inside quotes
+ *
+ * @param {string} text - Text to split
+ * @param {string} separator - Single-character separator
+ * @returns {string[]} - Trimmed parts
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (quote) {
+    throw syntaxError(`unterminated string in "${text}"`);
+  }
+
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parse a filter argument: a quoted string, a number, true/false, or a path
+ *
+ * @param {string} text - Argument source
+ * @returns {Object} - { value } for literals, { path } for paths
+ */
+function parseArgument(text) {
+  if (/^(["']).*\1$/.test(text)) return { value: text.slice(1, -1) };
+  if (/^-?\d+(\.\d+)?$/.test(text)) return { value: Number(text) };
+  if (text === 'true' || text === 'false') return { value: text === 'true' };
+  return { path: text };
+}
+
+/**
+ * Check whether text is a valid path ('user.name', 'this', '@index', '../total')
+ *
+ * @param {string} text - Candidate path
+ * @returns {boolean} - True if valid
+ */
+function isPath(text) {
+  return /^(\.\.\/)*@?[\w$-]+(\.[\w$-]+)*$/.test(text || '');
+}
+
+/**
+ * Parse an expression: a path followed by filters ("total | currency:'EUR'")
+ *
+ * @param {string} source - Expression source
+ * @returns {Object} - { path, filters: [{ name, args }] }
+ */
+function parseExpression(source) {
+  const [path, ...filterSources] = splitOutsideQuotes(source, '|');
+
+  if (!isPath(path)) {
+    throw syntaxError(`invalid expression "${source}"`);
+  }
+
+  const filters = filterSources.map(filterSource => {
+    const [name, ...args] = splitOutsideQuotes(filterSource, ':');
+    if (!/^\w+$/.test(name)) {
+      throw syntaxError(`invalid filter "${filterSource}"`);
+    }
+    return { name, args: args.map(parseArgument) };
+  });
+
+  return { path, filters };
+}
+
+/**
+ * Compile a template into a tree of text, value and block nodes
+ *
+ * @param {string} source - Template source
+ * @returns {Object[]} - Nodes
+ * @throws {Error} - TEMPLATE_SYNTAX for unbalanced blocks or invalid expressions
+ */
+function compile(source) {
+  if (compiled.has(source)) {
+    return compiled.get(source);
+  }
+
+  const root = { children: [] };
+  const stack = [root];
+  let target = root.children;
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      target.push({ type: 'text', text: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    const tag = match[0];
+    const raw = match[1] !== undefined;
+    const content = raw ? match[1] : match[2];
+    const block = /^#(if|unless|each)\s+(.+)$/.exec(content);
+    const close = /^\/(if|unless|each)$/.exec(content);
+
+    if (block) {
+      const node = { type: block[1], expression: parseExpression(block[2]), children: [], inverse: [] };
+      target.push(node);
+      stack.push(node);
+      target = node.children;
+    } else if (content === 'else') {
+      const current = stack[stack.length - 1];
+      if (current === root || target === current.inverse) {
+        throw syntaxError('{{else}} outside of a block');
+      }
+      target = current.inverse;
+    } else if (close) {
+      const current = stack.pop();
+      if (current === root || current.type !== close[1]) {
+        throw syntaxError(`unexpected {{/${close[1]}}}`);
+      }
+      const parent = stack[stack.length - 1];
+      target = parent === root || !parent.inverse.includes(current) ? parent.children : parent.inverse;
+    } else if (/^>\s*[\w-]+$/.test(content)) {
+      target.push({ type: 'partial', name: content.slice(1).trim() });
+    } else if (/^[#/>]/.test(content)) {
+      throw syntaxError(`unknown block "${tag}"`);
+    } else if (!content.includes('|') && !isPath(content)) {
+      // Not an expression (e.g. "{{ see below }}"): keep it as text, as flat substitution did
+      target.push({ type: 'text', text: tag });
+    } else {
+      target.push({ type: 'value', tag, raw, expression: parseExpression(content) });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw syntaxError(`{{#${stack[stack.length - 1].type}}} is never closed`);
+  }
+
+  if (lastIndex < source.length) {
+    target.push({ type: 'text', text: source.slice(lastIndex) });
+  }
+
+  if (compiled.size >= MAX_COMPILED) {
+    compiled.clear();
+  }
+  compiled.set(source, root.children);
+
+  return root.children;
+}
+
+/**
+ * Look up a path in the current scopes
+ *
+ * Names resolve against the innermost scope that has them, so loop items
+ * shadow outer data. Only own properties are read.
+ *
+ * @param {string} path - Path such as 'user.name', 'this', '@index' or '../total'
+ * @param {Object[]} scopes - Scopes from outermost to innermost ({ value, locals })
+ * @returns {*} - The value, or undefined if the path doesn't resolve
+ */
+function lookup(path, scopes) {
+  let depth = scopes.length - 1;
+  let relativePath = path;
+
+  // '../name' starts from the enclosing scope
+  while (relativePath.startsWith('../')) {
+    relativePath = relativePath.slice(3);
+    depth = Math.max(depth - 1, 0);
+  }
+
+  const segments = relativePath.split('.');
+  const [first, ...rest] = segments;
+  let value;
+
+  if (first.startsWith('@')) {
+    const scope = scopes.slice(0, depth + 1).reverse().find(candidate => candidate.locals && first in candidate.locals);
+    value = scope ? scope.locals[first] : undefined;
+  } else if (first === 'this') {
+    value = scopes[depth].value;
+  } else {
+    const scope = scopes.slice(0, depth + 1).reverse().find(candidate => hasOwn(candidate.value, first));
+    value = scope ? scope.value[first] : undefined;
+  }
+
+  for (const segment of rest) {
+    if (!hasOwn(value, segment)) return undefined;
+    value = value[segment];
+  }
+
+  return value;
+}
+
+/**
+ * Check whether a value has an own property (array indexes included)
+ *
+ * @param {*} value - Object or array
+ * @param {string} key - Property name
+ * @returns {boolean} - True if the property exists on the value itself
+ */
+function hasOwn(value, key) {
+  return value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key);
+}
+
+/**
+ * Built-in filters: (value, args, options) => new value
+ */
+const filters = {
+  upper: (value) => value == null ? value : String(value).toUpperCase(),
+  lower: (value) => value == null ? value : String(value).toLowerCase(),
+  capitalize: (value) => value == null ? value : String(value).charAt(0).toUpperCase() + String(value).slice(1),
+  trim: (value) => value == null ? value : String(value).trim(),
+  default: (value, [fallback = '']) => value == null || value === '' ? fallback : value,
+  join: (value, [separator = ', ']) => Array.isArray(value) ? value.join(separator) : value,
+  truncate: (value, [length = 50]) => {
+    if (value == null || String(value).length <= length) return value;
+    return `${String(value).slice(0, Math.max(length - 1, 0))}…`;
+  },
+  number: (value, [decimals], options) => {
+    if (value == null || value === '' || isNaN(Number(value))) return value;
+    const digits = decimals === undefined ? {} : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+    return new Intl.NumberFormat(options.locale, digits).format(Number(value));
+  },
+  currency: (value, [currency = 'USD'], options) => {
+    if (value == null || value === '' || isNaN(Number(value))) return value;
+    try {
+      return new Intl.NumberFormat(options.locale, { style: 'currency', currency: String(currency).toUpperCase() }).format(Number(value));
+    } catch (error) {
+      // Unknown currency codes (often from caller data) leave the value unformatted
+      return value;
+    }
+  },
+  date: (value, [format = 'medium'], options) => {
+    if (value == null || value === '') return value;
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return value;
+    if (format === 'iso') return date.toISOString();
+
+    const style = DATE_STYLES[format] || DATE_STYLES.medium;
+    const timeZone = isValidTimeZone(options.timeZone) ? options.timeZone : 'UTC';
+    return new Intl.DateTimeFormat(options.locale, { ...style, timeZone }).format(date);
+  },
+  escape: (value) => value == null ? value : escapeHtml(value),
+  raw: (value) => value
+};
+
+/**
+ * Register a filter (or replace a built-in one)
+ *
+ * @param {string} name - Filter name, as used in templates
+ * @param {Function} filter - (value, args, options) => new value
+ */
+function registerFilter(name, filter) {
+  if (!/^\w+$/.test(name || '') || typeof filter !== 'function') {
+    throw new Error('A filter needs a word-character name and a function');
+  }
+  filters[name] = filter;
+}
+
+/**
+ * Register a partial, included in templates as {{> name}}
+ *
+ * @param {string} name - Partial name
+ * @param {string} source - Template source
+ */
+function registerPartial(name, source) {
+  if (!/^[\w-]+$/.test(name || '') || typeof source !== 'string') {
+    throw new Error('A partial needs a name (letters, digits, _ or -) and a template string');
+  }
+  partials[name] = source;
+}
+
+/**
+ * Evaluate an expression: look up the path and apply its filters
+ *
+ * @param {Object} expression - Parsed expression
+ * @param {Object[]} scopes - Current scopes
+ * @param {Object} options - Render options
+ * @returns {*} - The value
+ */
+function evaluate(expression, scopes, options) {
+  return expression.filters.reduce((value, { name, args }) => {
+    if (!filters[name]) {
+      throw syntaxError(`unknown filter "${name}"`);
+    }
+    const values = args.map(arg => ('path' in arg ? lookup(arg.path, scopes) : arg.value));
+    return filters[name](value, values, options);
+  }, lookup(expression.path, scopes));
+}
+
+/**
+ * Check whether a value counts as true in {{#if}} (empty arrays don't)
+ *
+ * @param {*} value - Value
+ * @returns {boolean} - Truthiness
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render nodes into a string
+ *
+ * @param {Object[]} nodes - Compiled nodes
+ * @param {Object[]} scopes - Current scopes
+ * @param {Object} options - Render options
+ * @returns {string} - Rendered text
+ */
+function renderNodes(nodes, scopes, options) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.text;
+    } else if (node.type === 'value') {
+      const value = evaluate(node.expression, scopes, options);
+
+      if (value === undefined || value === null) {
+        output += options.onMissing(node.expression.path, node.tag);
+      } else {
+        const text = Array.isArray(value) ? value.join(', ') : String(value);
+        const raw = node.raw || node.expression.filters.some(filter => filter.name === 'raw' || filter.name === 'escape');
+        output += options.escapeHtml && !raw ? escapeHtml(text) : text;
+      }
+    } else if (node.type === 'partial') {
+      if (partials[node.name] === undefined) {
+        throw syntaxError(`unknown partial "${node.name}"`);
+      }
+      if (options.partialDepth >= MAX_PARTIAL_DEPTH) {
+        throw syntaxError(`partials nested more than ${MAX_PARTIAL_DEPTH} deep (does "${node.name}" include itself?)`);
+      }
+      output += renderNodes(compile(partials[node.name]), scopes, { ...options, partialDepth: options.partialDepth + 1 });
+    } else if (node.type === 'if' || node.type === 'unless') {
+      const truthy = isTruthy(evaluate(node.expression, scopes, options));
+      const branch = truthy === (node.type === 'if') ? node.children : node.inverse;
+      output += renderNodes(branch, scopes, options);
+    } else if (node.type === 'each') {
+      const collection = evaluate(node.expression, scopes, options);
+      const entries = Array.isArray(collection)
+        ? collection.map((item, index) => [index, item])
+        : collection && typeof collection === 'object' ? Object.entries(collection) : [];
+
+      if (entries.length === 0) {
+        output += renderNodes(node.inverse, scopes, options);
+        continue;
+      }
+
+      entries.forEach(([key, item], index) => {
+        const locals = { '@index': index, '@key': key, '@first': index === 0, '@last': index === entries.length - 1 };
+        output += renderNodes(node.children, [...scopes, { value: item, locals }], options);
+      });
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template string
+ *
+ * @param {string} template - Template source
+ * @param {Object} [data={}] - Template data
+ * @param {Object} [options={}] - Render options
+ * @param {boolean} [options.escapeHtml=false] - HTML-escape values (not {{{raw}}} or | raw)
+ * @param {string} [options.locale='en-US'] - Locale for the number, currency and date filters
+ * @param {string} [options.timeZone='UTC'] - Time zone for the date filter
+ * @param {Function} [options.onMissing] - (path, tag) => text for values that are missing; keeps the tag by default
+ * @returns {string} - Rendered text
+ * @throws {Error} - TEMPLATE_SYNTAX for malformed templates or unknown filters
+ */
+function render(template, data = {}, options = {}) {
+  if (typeof template !== 'string') {
+    return template;
+  }
+
+  const renderOptions = {
+    escapeHtml: false,
+    locale: 'en-US',
+    timeZone: 'UTC',
+    onMissing: (path, tag) => tag,
+    partialDepth: 0
+  };
+
+  // Options left undefined keep their defaults
+  Object.keys(options).forEach(key => {
+    if (options[key] !== undefined) renderOptions[key] = options[key];
+  });
+
+  try {
+    new Intl.NumberFormat(renderOptions.locale);
+  } catch (error) {
+    renderOptions.locale = 'en-US';
+  }
+
+  return renderNodes(compile(template), [{ value: data || {} }], renderOptions);
+}
+
+module.exports = {
+  render,
+  compile,
+  registerFilter,
+  registerPartial,
+  escapeHtml
+};
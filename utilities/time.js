@@ -0,0 +1,197 @@
+/**
+ * Time utilities
+ *
+ * Time zone aware helpers built on Intl, used for quiet hours.
+ * Times of day are "HH:MM" strings in the user's local time.
+ */
+
+/**
+ * Check if a time zone name is valid (e.g. 'America/New_York', 'UTC')
+ *
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} - True if Intl recognizes the time zone
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse an "HH:MM" time of day into minutes after midnight
+ *
+ * @param {string} value - Time of day, e.g. '22:00' or '7:30'
+ * @returns {number|null} - Minutes after midnight, or null if invalid
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Get the local calendar date and time of an instant in a time zone
+ *
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} - { year, month, day, hour, minute, second } (month is 1-12)
+ */
+function getLocalParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+}
+
+/**
+ * Get the local time of day for an instant in a time zone
+ *
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} - { minutes, seconds } where minutes is minutes after local midnight
+ */
+function getLocalTimeOfDay(date, timeZone) {
+  const { hour, minute, second } = getLocalParts(date, timeZone);
+
+  return {
+    minutes: hour * 60 + minute,
+    seconds: second
+  };
+}
+
+/**
+ * Get a time zone's offset from UTC at an instant
+ *
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} - Offset in milliseconds (negative west of UTC)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getLocalParts(date, timeZone);
+  const localAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  return localAsUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Get the instant of a local wall-clock time in a time zone
+ *
+ * Uses the offset in effect at that wall-clock time, so it stays right on
+ * days when daylight saving time starts or ends. A time skipped by the
+ * clocks going forward resolves to the same time after the change.
+ *
+ * @param {number} year - Local year
+ * @param {number} month - Local month (1-12)
+ * @param {number} day - Local day of the month (may overflow into the next month)
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} - The instant
+ */
+function fromLocalTime(year, month, day, minutes, timeZone) {
+  const localAsUtc = Date.UTC(year, month - 1, day, 0, minutes);
+  const guess = localAsUtc - getTimeZoneOffset(new Date(localAsUtc), timeZone);
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  const instant = localAsUtc - offset;
+
+  // The offsets disagree only when the time was skipped; take the later instant
+  if (getTimeZoneOffset(new Date(instant), timeZone) !== offset) {
+    return new Date(Math.max(guess, instant));
+  }
+
+  return new Date(instant);
+}
+
+/**
+ * Check if an instant falls inside a daily quiet-hours window
+ *
+ * Windows may wrap past midnight (e.g. 22:00-07:00). The start is inclusive
+ * and the end is exclusive.
+ *
+ * @param {Date} date - The instant to check
+ * @param {Object} quietHours - Window definition
+ * @param {string} quietHours.start - Local start time ("HH:MM")
+ * @param {string} quietHours.end - Local end time ("HH:MM")
+ * @param {string} [timeZone='UTC'] - The user's time zone
+ * @returns {boolean} - True if inside the window
+ */
+function isWithinQuietHours(date, quietHours, timeZone = 'UTC') {
+  const start = parseTimeOfDay(quietHours && quietHours.start);
+  const end = parseTimeOfDay(quietHours && quietHours.end);
+
+  if (start === null || end === null || start === end) {
+    return false;
+  }
+
+  const { minutes } = getLocalTimeOfDay(date, timeZone);
+
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Get the instant a quiet-hours window ends
+ *
+ * @param {Date} date - An instant inside the window
+ * @param {Object} quietHours - Window definition ({ start, end } as "HH:MM")
+ * @param {string} [timeZone='UTC'] - The user's time zone
+ * @returns {Date|null} - When the window ends, or null if the date is outside the window
+ */
+function getQuietHoursEnd(date, quietHours, timeZone = 'UTC') {
+  if (!isWithinQuietHours(date, quietHours, timeZone)) {
+    return null;
+  }
+
+  const end = parseTimeOfDay(quietHours.end);
+  const { year, month, day, hour, minute } = getLocalParts(date, timeZone);
+
+  // The window ends later today, or tomorrow if it wrapped past midnight
+  const endDay = hour * 60 + minute < end ? day : day + 1;
+
+  return fromLocalTime(year, month, endDay, end, timeZone);
+}
+
+module.exports = {
+  isValidTimeZone,
+  parseTimeOfDay,
+  getLocalTimeOfDay,
+  getTimeZoneOffset,
+  fromLocalTime,
+  isWithinQuietHours,
+  getQuietHoursEnd
+};
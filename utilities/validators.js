@@ -4,6 +4,9 @@
  * Contains functions for validating different types of input
  */
 
+// Phone numbers are parsed and checked per country by the phone module
+const { isValidPhoneNumber } = require('./phone');
+
 /**
  * Validates email address format
  * 
@@ -33,7 +36,42 @@ function isNotEmpty(str) {
   return str.trim().length > 0;
 }
 
+/**
+ * Validates that a string is an absolute HTTP(S) URL
+ * 
+ * @param {string} url - The URL to validate
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function isValidUrl(url) {
+  if (!url || typeof url !== 'string') return false;
+  
+  try {
+    const parsed = new URL(url.trim());
+    return (parsed.protocol === 'http:' || parsed.protocol === 'https:') && !!parsed.hostname;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validates the shape of a push device token
+ * 
+ * FCM registration tokens and APNs device tokens (64 hex characters) only use
+ * URL-safe characters; anything shorter than 8 characters can't be a real token.
+ * 
+ * @param {string} token - The device token to validate
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function isValidDeviceToken(token) {
+  if (!token || typeof token !== 'string') return false;
+  
+  return /^[A-Za-z0-9_:.-]{8,4096}$/.test(token);
+}
+
 module.exports = {
   isValidEmail,
-  isNotEmpty
+  isNotEmpty,
+  isValidPhoneNumber,
+  isValidUrl,
+  isValidDeviceToken
 };
\ No newline at end of file